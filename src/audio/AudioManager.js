@@ -438,14 +438,18 @@ export class AudioManager {
 
             if (!buffer) return;
 
-            this.voiceSource = this.context.createBufferSource();
-            this.voiceSource.buffer = buffer;
+            const source = this.context.createBufferSource();
+            source.buffer = buffer;
+            this.voiceSource = source;
 
-            this.voiceSource.connect(this.voiceGain);
-            this.voiceSource.start(0);
+            source.connect(this.voiceGain);
+            source.start(0);
 
-            this.voiceSource.onended = () => {
-                this.voiceSource = null;
+            source.onended = () => {
+                // A stopped clip ends after its replacement has started
+                if (this.voiceSource === source) {
+                    this.voiceSource = null;
+                }
                 this.events.emit('audio:voice:ended', { line });
             };
 
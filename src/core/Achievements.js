@@ -0,0 +1,277 @@
+/**
+ * Achievements - Long-term accomplishments, across every playthrough
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Achievements are declared in data/achievements.json. One with "on" is
+ * checked whenever that event is emitted; its "when" expression reads the
+ * event's fields (nested ones as e.g. choice.key), which win over story
+ * variables of the same name:
+ *
+ *   { "id": "steady_hands", "title": "...", "description": "...",
+ *     "on": "puzzle:complete", "when": "hintsUsed == 0" }
+ *
+ * One with only a "condition" is checked whenever the state changes. A
+ * "progress" block counts matching events (or "distinct" values of an
+ * expression) up to a "goal", which is a number or a { type } registered
+ * with registerGoal(). Unlocks and progress are kept in the player profile.
+ */
+
+import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { localization } from '../utils/Localization.js';
+
+// Events after which state-only achievements are checked again
+const STATE_EVENTS = [GameEvents.FLAG_SET, GameEvents.VARIABLE_SET, GameEvents.ITEM_ADD];
+
+const KNOWN_EVENTS = new Set(Object.values(GameEvents));
+
+/**
+ * Copy event data with nested plain objects also reachable by dotted name
+ * @param {Object} data - Event data
+ * @param {string} [prefix] - Name prefix of nested fields
+ * @param {Object} [into] - Object being filled
+ * @returns {Object} e.g. { choice: {...}, 'choice.key': '...', selectedIndex: 0 }
+ */
+function flattenEventData(data, prefix = '', into = {}) {
+    for (const [name, value] of Object.entries(data || {})) {
+        into[prefix + name] = value;
+        if (value && Object.getPrototypeOf(value) === Object.prototype) {
+            flattenEventData(value, `${prefix}${name}.`, into);
+        }
+    }
+    return into;
+}
+
+export class Achievements {
+    /**
+     * @param {StateManager} stateManager - State the conditions are checked against
+     * @param {ProfileManager} profile - Player profile the unlocks are kept in
+     */
+    constructor(stateManager, profile) {
+        this.events = globalEvents;
+        this.state = stateManager;
+        this.profile = profile;
+
+        // Definitions in display order
+        this.definitions = [];
+
+        // Goal resolvers by type: (goal) => number
+        this.goals = new Map();
+
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Register a goal type, for goals that depend on the game's content
+     * @param {string} type - Goal type used in data/achievements.json
+     * @param {Function} fn - (goal) => number
+     */
+    registerGoal(type, fn) {
+        this.goals.set(type, fn);
+    }
+
+    /**
+     * Set the achievement definitions and listen for their events
+     * @param {Array<Object>} definitions - From data/achievements.json
+     */
+    define(definitions = []) {
+        this.destroy();
+
+        this.definitions = definitions.filter(achievement => {
+            if (!achievement?.id) {
+                console.warn('Achievement without an id ignored');
+                return false;
+            }
+            if (achievement.on && !KNOWN_EVENTS.has(achievement.on)) {
+                console.warn(`Achievement "${achievement.id}" listens for unknown event "${achievement.on}"`);
+            }
+            return true;
+        });
+
+        const eventNames = new Set(this.definitions.map(achievement => achievement.on).filter(Boolean));
+        for (const eventName of eventNames) {
+            this.unsubscribers.push(this.events.on(eventName, (data) => this.onEvent(eventName, data)));
+        }
+
+        if (this.definitions.some(achievement => !achievement.on && achievement.condition)) {
+            for (const eventName of STATE_EVENTS) {
+                this.unsubscribers.push(this.events.on(eventName, () => this.checkConditions()));
+            }
+        }
+    }
+
+    /**
+     * Get an achievement definition
+     * @param {string} achievementId - Achievement ID
+     * @returns {Object|null}
+     */
+    get(achievementId) {
+        return this.definitions.find(achievement => achievement.id === achievementId) || null;
+    }
+
+    /**
+     * Check the achievements listening for an event
+     * @param {string} eventName - Event name
+     * @param {Object} data - Event data
+     */
+    onEvent(eventName, data) {
+        const context = flattenEventData(data);
+
+        for (const achievement of this.definitions) {
+            if (achievement.on !== eventName || this.isUnlocked(achievement.id)) continue;
+
+            if (achievement.when && !this.state.evaluateExpression(achievement.when, {}, context)) continue;
+            if (achievement.condition && !this.state.evaluateCondition(achievement.condition)) continue;
+
+            if (achievement.progress) {
+                this.advance(achievement, context);
+            } else {
+                this.unlock(achievement.id);
+            }
+        }
+    }
+
+    /**
+     * Unlock the state-only achievements whose condition now holds
+     */
+    checkConditions() {
+        for (const achievement of this.definitions) {
+            if (achievement.on || !achievement.condition || this.isUnlocked(achievement.id)) continue;
+
+            if (this.state.evaluateCondition(achievement.condition)) {
+                this.unlock(achievement.id);
+            }
+        }
+    }
+
+    /**
+     * Count a step towards an achievement, unlocking it at its goal
+     * @param {Object} achievement - Achievement definition
+     * @param {Object} context - Event fields
+     */
+    advance(achievement, context) {
+        const { distinct } = achievement.progress;
+        const value = distinct ? String(this.state.evaluateExpression(distinct, {}, context)) : null;
+
+        const count = this.profile.advanceAchievement(achievement.id, value);
+        const goal = this.getGoal(achievement);
+
+        this.events.emit(GameEvents.ACHIEVEMENT_PROGRESS, { achievementId: achievement.id, count, goal });
+
+        if (goal !== null && count >= goal) {
+            this.unlock(achievement.id);
+        }
+    }
+
+    /**
+     * Get the number of steps an achievement needs
+     * @param {Object} achievement - Achievement definition
+     * @returns {number|null} Null when the goal type is unknown
+     */
+    getGoal(achievement) {
+        const goal = achievement.progress?.goal ?? 1;
+        if (typeof goal === 'number') return goal;
+
+        const resolve = this.goals.get(goal.type);
+        if (!resolve) {
+            console.warn(`Unknown achievement goal type: ${goal.type}`);
+            return null;
+        }
+        return resolve(goal);
+    }
+
+    /**
+     * Unlock an achievement
+     * @param {string} achievementId - Achievement ID
+     * @returns {boolean} Whether it was unlocked for the first time
+     */
+    unlock(achievementId) {
+        const achievement = this.get(achievementId);
+        if (!achievement || !this.profile.unlockAchievement(achievementId)) return false;
+
+        this.events.emit(GameEvents.ACHIEVEMENT_UNLOCK, {
+            achievementId,
+            title: this.getTitle(achievement),
+            icon: achievement.icon || null
+        });
+        return true;
+    }
+
+    /**
+     * Check whether an achievement is unlocked
+     * @param {string} achievementId - Achievement ID
+     * @returns {boolean}
+     */
+    isUnlocked(achievementId) {
+        return this.profile.hasAchievement(achievementId);
+    }
+
+    /**
+     * Get an achievement's title in the current language
+     * @param {Object} achievement - Achievement definition
+     * @returns {string}
+     */
+    getTitle(achievement) {
+        return localization.t(`achievements.${achievement.id}.title`, achievement.title || achievement.id);
+    }
+
+    /**
+     * Describe every achievement for the achievements overlay
+     * Hidden ones give nothing away until they are unlocked.
+     * @returns {Array<Object>} { id, icon, unlocked, unlockedAt, hidden, title, description, progress }
+     */
+    getList() {
+        return this.definitions.map(achievement => {
+            const unlockedAt = this.profile.getAchievementTime(achievement.id);
+            const unlocked = unlockedAt !== null;
+            const hidden = achievement.hidden === true && !unlocked;
+            const goal = achievement.progress ? this.getGoal(achievement) : null;
+
+            return {
+                id: achievement.id,
+                icon: hidden ? null : achievement.icon || null,
+                unlocked,
+                unlockedAt,
+                hidden,
+                title: hidden ? null : this.getTitle(achievement),
+                description: hidden
+                    ? null
+                    : localization.t(`achievements.${achievement.id}.description`, achievement.description || ''),
+                progress: goal
+                    ? { count: unlocked ? goal : Math.min(this.profile.getAchievementProgress(achievement.id), goal), goal }
+                    : null
+            };
+        });
+    }
+
+    /**
+     * Get the number of achievements unlocked
+     * @returns {number}
+     */
+    getUnlockedCount() {
+        return this.definitions.filter(achievement => this.isUnlocked(achievement.id)).length;
+    }
+
+    /**
+     * Stop listening for events
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+/**
+ * Get every achievement title and description, for the English base table
+ * @param {Array<Object>} definitions - From data/achievements.json
+ * @returns {Object} Key to English text
+ */
+export function getAchievementStrings(definitions = []) {
+    const strings = {};
+    for (const achievement of definitions) {
+        if (achievement.title) strings[`achievements.${achievement.id}.title`] = achievement.title;
+        if (achievement.description) strings[`achievements.${achievement.id}.description`] = achievement.description;
+    }
+    return strings;
+}
+
+export default Achievements;
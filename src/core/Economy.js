@@ -0,0 +1,322 @@
+/**
+ * Economy - Gold, customer repair orders and the parts vendor
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Gold, reputation and the income earned so far live in the state variables
+ * gold, reputation and income, so they are saved, rolled back and readable
+ * in conditions ("gold >= 30", "reputation >= 2", "canAfford(15)").
+ * data/economy.json declares the rest:
+ *
+ *   { "startingGold": 30,
+ *     "orders": [{ "id": "elara_automaton", "customer": "elara",
+ *                  "puzzle": "ch1_first_repair", "deposit": 10,
+ *                  "payment": 40, "reputation": 1 }],
+ *     "vendor": [{ "item": "moonwater", "price": 4, "stock": 5 }] }
+ *
+ * An order is taken with { "type": "order", "take": "<id>" } and paid once
+ * its puzzle is solved, scaled by the puzzle's score.
+ */
+
+import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { localization } from '../utils/Localization.js';
+
+export const GOLD_VARIABLE = 'gold';
+export const REPUTATION_VARIABLE = 'reputation';
+export const INCOME_VARIABLE = 'income';
+
+// Score at which an order pays in full: a solve with no retries or hints
+const PAR_SCORE = 100;
+
+// How many of each item the vendor has sold, as vendor_sold_<itemId>
+export const SOLD_PREFIX = 'vendor_sold_';
+
+export class Economy {
+    /**
+     * @param {StateManager} stateManager - State holding gold, orders and the inventory
+     */
+    constructor(stateManager) {
+        this.events = globalEvents;
+        this.state = stateManager;
+
+        this.startingGold = 0;
+
+        // Order definitions, and what the vendor sells, in display order
+        this.orders = [];
+        this.vendor = [];
+
+        this.unsubscribers = [
+            this.events.on(GameEvents.PUZZLE_COMPLETE, ({ puzzleId, score }) => this.recordPuzzle(puzzleId, score)),
+            this.events.on(GameEvents.STATE_CHANGE, ({ type }) => {
+                if (type === 'reset' || type === 'load') this.seedValues();
+            })
+        ];
+
+        this.state.registerFunction('canAfford', (amount) => this.getGold() >= amount);
+    }
+
+    /**
+     * Set the orders and the vendor's stock
+     * @param {Object} data - From data/economy.json
+     */
+    define(data = {}) {
+        this.startingGold = data.startingGold ?? 0;
+        this.orders = (data.orders || []).filter(order => {
+            if (!order?.id) {
+                console.warn('Order without an id ignored');
+                return false;
+            }
+            return true;
+        });
+        this.vendor = data.vendor || [];
+        this.seedValues();
+    }
+
+    /**
+     * Give a new game (or a save from before the economy) its starting values
+     */
+    seedValues() {
+        const initial = {
+            [GOLD_VARIABLE]: this.startingGold,
+            [REPUTATION_VARIABLE]: 0,
+            [INCOME_VARIABLE]: 0
+        };
+        for (const [name, value] of Object.entries(initial)) {
+            if (!this.state.variables.has(name)) {
+                this.state.setVariable(name, value);
+            }
+        }
+    }
+
+    // ==================== GOLD ====================
+
+    /**
+     * Get the gold the shop has
+     * @returns {number}
+     */
+    getGold() {
+        return this.state.getVariable(GOLD_VARIABLE, 0);
+    }
+
+    /**
+     * Get the shop's reputation
+     * @returns {number}
+     */
+    getReputation() {
+        return this.state.getVariable(REPUTATION_VARIABLE, 0);
+    }
+
+    /**
+     * Take in gold, counting it as income
+     * @param {number} amount - Gold earned
+     * @param {string} reason - What it was earned for ('order', 'deposit', ...)
+     */
+    earn(amount, reason) {
+        if (amount <= 0) return;
+
+        this.state.incrementVariable(GOLD_VARIABLE, amount);
+        this.state.incrementVariable(INCOME_VARIABLE, amount);
+        this.events.emit(GameEvents.GOLD_CHANGE, { amount, total: this.getGold(), reason });
+    }
+
+    /**
+     * Pay out gold
+     * @param {number} amount - Gold spent
+     * @param {string} reason - What it was spent on
+     * @returns {boolean} Whether there was enough
+     */
+    spend(amount, reason) {
+        if (amount > this.getGold()) return false;
+
+        this.state.decrementVariable(GOLD_VARIABLE, amount);
+        this.events.emit(GameEvents.GOLD_CHANGE, { amount: -amount, total: this.getGold(), reason });
+        return true;
+    }
+
+    // ==================== ORDERS ====================
+
+    /**
+     * Get an order definition
+     * @param {string} orderId - Order ID
+     * @returns {Object|null}
+     */
+    getOrder(orderId) {
+        return this.orders.find(order => order.id === orderId) || null;
+    }
+
+    /**
+     * Get an order's title in the current language
+     * @param {Object} order - Order definition
+     * @returns {string}
+     */
+    getTitle(order) {
+        return localization.t(`orders.${order.id}.title`, order.title || order.id);
+    }
+
+    /**
+     * Take on a customer's order
+     * @param {string} orderId - Order ID
+     * @returns {boolean} Whether it was newly taken
+     */
+    takeOrder(orderId) {
+        const order = this.getOrder(orderId);
+        if (!order) {
+            console.warn(`Unknown order: ${orderId}`);
+            return false;
+        }
+        if (this.state.hasFlag(`order_${orderId}_taken`)) return false;
+
+        this.state.setFlag(`order_${orderId}_taken`, true);
+        this.events.emit(GameEvents.ORDER_TAKE, { orderId, customer: order.customer ?? null, title: this.getTitle(order) });
+        this.earn(order.deposit || 0, 'deposit');
+        return true;
+    }
+
+    /**
+     * Check whether an order has been taken and not yet delivered
+     * @param {string} orderId - Order ID
+     * @returns {boolean}
+     */
+    isOpen(orderId) {
+        return this.state.hasFlag(`order_${orderId}_taken`) && !this.state.hasFlag(`order_${orderId}_complete`);
+    }
+
+    /**
+     * Get the gold an order pays for a puzzle score
+     * @param {Object} order - Order definition
+     * @param {number} score - Puzzle score
+     * @returns {number}
+     */
+    getPayment(order, score) {
+        return Math.max(0, Math.round((order.payment || 0) * score / PAR_SCORE));
+    }
+
+    /**
+     * Deliver the open orders a solved puzzle was for
+     * @param {string} puzzleId - Puzzle ID
+     * @param {number} score - Score from PuzzleController.calculateScore()
+     */
+    recordPuzzle(puzzleId, score) {
+        for (const order of this.orders) {
+            if (order.puzzle !== puzzleId || !this.isOpen(order.id)) continue;
+
+            const payment = this.getPayment(order, score ?? PAR_SCORE);
+            this.state.setFlag(`order_${order.id}_complete`, true);
+            this.state.incrementVariable(REPUTATION_VARIABLE, order.reputation ?? 1);
+            this.earn(payment, 'order');
+
+            this.events.emit(GameEvents.ORDER_COMPLETE, {
+                orderId: order.id,
+                customer: order.customer ?? null,
+                title: this.getTitle(order),
+                score,
+                payment
+            });
+        }
+    }
+
+    /**
+     * Run an order command
+     * @param {Object} node - { take }
+     */
+    apply(node) {
+        if (node.take) {
+            this.takeOrder(node.take);
+        }
+    }
+
+    /**
+     * Describe the orders taken in this playthrough, for the journal
+     * @returns {Array<Object>} { id, customer, title, description, payment, complete }
+     */
+    getTakenOrders() {
+        return this.orders
+            .filter(order => this.state.hasFlag(`order_${order.id}_taken`))
+            .map(order => ({
+                id: order.id,
+                customer: order.customer ?? null,
+                title: this.getTitle(order),
+                description: localization.t(`orders.${order.id}.description`, order.description || ''),
+                payment: order.payment || 0,
+                complete: this.state.hasFlag(`order_${order.id}_complete`)
+            }));
+    }
+
+    // ==================== VENDOR ====================
+
+    /**
+     * Get how many of an item the vendor has left
+     * @param {Object} listing - Vendor entry
+     * @returns {number}
+     */
+    getStockLeft(listing) {
+        if (listing.stock === undefined) return Infinity;
+        return Math.max(0, listing.stock - this.state.getVariable(SOLD_PREFIX + listing.item, 0));
+    }
+
+    /**
+     * Describe what the vendor sells
+     * @returns {Array<Object>} { item, price, left, affordable }
+     */
+    getVendorStock() {
+        return this.vendor.map(listing => ({
+            item: listing.item,
+            price: listing.price,
+            left: this.getStockLeft(listing),
+            affordable: this.getGold() >= listing.price
+        }));
+    }
+
+    /**
+     * Buy one of an item from the vendor
+     * @param {string} itemId - Item ID
+     * @returns {Object} { success, message }
+     */
+    buy(itemId) {
+        const listing = this.vendor.find(entry => entry.item === itemId);
+        if (!listing) {
+            console.warn(`The vendor does not sell ${itemId}`);
+            return { success: false, message: '' };
+        }
+
+        if (this.getStockLeft(listing) <= 0) {
+            return { success: false, message: localization.t('ui.vendor.soldOut', 'Sold out') };
+        }
+        if (!this.state.canAddItem(itemId)) {
+            return { success: false, message: localization.t('ui.vendor.full', 'You can\'t carry any more of that.') };
+        }
+        if (!this.spend(listing.price, 'purchase')) {
+            return { success: false, message: localization.t('ui.vendor.tooPoor', 'You can\'t afford that.') };
+        }
+
+        this.state.incrementVariable(SOLD_PREFIX + itemId);
+        this.state.addItem(itemId);
+
+        this.events.emit(GameEvents.SFX_PLAY, { sound: 'coins' });
+        this.events.emit(GameEvents.SHOP_PURCHASE, { itemId, price: listing.price });
+        return { success: true, message: '' };
+    }
+
+    /**
+     * Stop listening for events
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+/**
+ * Get every order title and description, for the English base table
+ * @param {Object} data - From data/economy.json
+ * @returns {Object} Key to English text
+ */
+export function getEconomyStrings(data = {}) {
+    const strings = {};
+    for (const order of data.orders || []) {
+        if (order.title) strings[`orders.${order.id}.title`] = order.title;
+        if (order.description) strings[`orders.${order.id}.description`] = order.description;
+    }
+    return strings;
+}
+
+export default Economy;
@@ -5,9 +5,20 @@
 
 import { EventEmitter, globalEvents, GameEvents } from '../utils/EventEmitter.js';
 import { assetLoader } from '../utils/AssetLoader.js';
+import { localization } from '../utils/Localization.js';
 import { StateManager } from './StateManager.js';
 import { SaveManager } from './SaveManager.js';
 import { SceneManager } from './SceneManager.js';
+import { ProfileManager } from './ProfileManager.js';
+import { Achievements } from './Achievements.js';
+import { Workbench } from './Workbench.js';
+import { ItemRegistry } from './ItemRegistry.js';
+import { Economy } from './Economy.js';
+import { Workshop } from './Workshop.js';
+import { Endings } from '../narrative/Endings.js';
+
+// What New Game+ passes on when the config does not say
+const DEFAULT_CARRY_OVER = ['characters', 'items', 'recipes', 'endings'];
 
 export class GameManager {
     constructor() {
@@ -15,11 +26,19 @@ export class GameManager {
         this.isInitialized = false;
         this.isRunning = false;
         this.isPaused = false;
+        this.isRollingBack = false;
         
         // Core managers
         this.state = null;
         this.saves = null;
         this.scenes = null;
+        this.profile = null;
+        this.endings = null;
+        this.achievements = null;
+        this.workbench = null;
+        this.itemRegistry = null;
+        this.economy = null;
+        this.workshop = null;
         
         // External managers (set during initialization)
         this.audio = null;
@@ -67,6 +86,16 @@ export class GameManager {
             this.state = new StateManager();
             this.saves = new SaveManager(this.state);
             this.scenes = new SceneManager(this);
+            this.profile = new ProfileManager();
+            this.profile.load();
+            this.endings = new Endings(this.state, this.profile);
+            this.achievements = new Achievements(this.state, this.profile);
+            this.achievements.registerGoal('endings', () => this.endings.definitions.length);
+            this.workbench = new Workbench(this.state);
+            this.itemRegistry = new ItemRegistry();
+            this.state.setItemLimit(itemId => this.itemRegistry.getMaxQuantity(itemId));
+            this.economy = new Economy(this.state);
+            this.workshop = new Workshop(this.state, this.economy);
 
             await this.state.init();
             await this.saves.init();
@@ -80,6 +109,12 @@ export class GameManager {
 
             // Load chapter data
             await this.loadChapterManifest();
+            await this.loadEndings();
+            await this.loadAchievements();
+            await this.loadRecipes();
+            await this.loadItems();
+            await this.loadEconomy();
+            await this.loadWorkshop();
             this.updateLoadingProgress(70, 'Setting up UI...');
 
             // Set external managers if provided
@@ -140,11 +175,15 @@ export class GameManager {
                 screenEffects: true,
                 dyslexiaFont: false,
                 highContrast: false,
-                reduceMotion: false
+                reduceMotion: false,
+                language: 'en'
             },
             saveSlots: 10,
             autosave: true,
-            autosaveInterval: 60000 // 1 minute
+            autosaveInterval: 60000, // 1 minute
+            newGamePlus: {
+                carry: DEFAULT_CARRY_OVER
+            }
         };
     }
 
@@ -188,6 +227,78 @@ export class GameManager {
         }
     }
 
+    /**
+     * Load the ending definitions
+     */
+    async loadEndings() {
+        try {
+            const data = await assetLoader.loadJSON('endings', 'data/endings.json');
+            this.endings.define(data.endings);
+        } catch (error) {
+            console.warn('Endings data not found, the game will end without one');
+        }
+    }
+
+    /**
+     * Load the achievement definitions
+     */
+    async loadAchievements() {
+        try {
+            const data = await assetLoader.loadJSON('achievements', 'data/achievements.json');
+            this.achievements.define(data.achievements);
+        } catch (error) {
+            console.warn('Achievements data not found, none will be awarded');
+        }
+    }
+
+    /**
+     * Load the workbench recipes
+     */
+    async loadRecipes() {
+        try {
+            const data = await assetLoader.loadJSON('recipes', 'data/recipes.json');
+            this.workbench.define(data.recipes);
+        } catch (error) {
+            console.warn('Recipes data not found, nothing can be combined');
+        }
+    }
+
+    /**
+     * Load the item catalogue
+     */
+    async loadItems() {
+        try {
+            const data = await assetLoader.loadJSON('items', 'data/items.json');
+            this.itemRegistry.define(data.items);
+        } catch (error) {
+            console.warn('Items data not found, items are shown by their IDs');
+        }
+    }
+
+    /**
+     * Load the customer orders and the vendor's stock
+     */
+    async loadEconomy() {
+        try {
+            const data = await assetLoader.loadJSON('economy', 'data/economy.json');
+            this.economy.define(data);
+        } catch (error) {
+            console.warn('Economy data not found, there are no orders or vendor');
+        }
+    }
+
+    /**
+     * Load the job templates and the workshop days between chapters
+     */
+    async loadWorkshop() {
+        try {
+            const data = await assetLoader.loadJSON('workshop', 'data/workshop.json');
+            this.workshop.define(data);
+        } catch (error) {
+            console.warn('Workshop data not found, chapters follow each other directly');
+        }
+    }
+
     /**
      * Get placeholder chapter data
      * @param {number} num - Chapter number
@@ -228,6 +339,18 @@ export class GameManager {
         this.events.on(GameEvents.CHAPTER_START, this.handleChapterStart.bind(this));
         this.events.on(GameEvents.CHAPTER_END, this.handleChapterEnd.bind(this));
         
+        // The last workshop day leads into the next chapter
+        this.events.on(GameEvents.WORKSHOP_CLOSE, ({ chapter }) => {
+            this.startChapter(chapter);
+        });
+        
+        // Language changes
+        this.events.on(GameEvents.LOCALE_CHANGE, () => {
+            if (this.currentChapter) {
+                this.updateChapterIndicator(this.currentChapter, this.chapters.get(this.currentChapter));
+            }
+        });
+        
         // Puzzle events
         this.events.on(GameEvents.PUZZLE_COMPLETE, this.handlePuzzleComplete.bind(this));
         
@@ -257,21 +380,105 @@ export class GameManager {
      * Start a new game
      */
     async newGame() {
-        console.log('Starting new game...');
+        await this.beginRun(1);
+    }
+
+    /**
+     * Start a new game that keeps what the last finished run discovered
+     */
+    async newGamePlus() {
+        const carryOver = this.getCarryOver();
+        if (!carryOver) {
+            console.warn('No finished playthrough to carry over');
+            return;
+        }
+        await this.beginRun(1, carryOver);
+    }
+
+    /**
+     * Start a new game at a chapter picked from the chapter select screen
+     * @param {number} chapterNum - Chapter number
+     */
+    async startFromChapter(chapterNum) {
+        if (!this.isChapterUnlocked(chapterNum)) {
+            console.warn(`Chapter ${chapterNum} is not unlocked`);
+            return;
+        }
+        await this.beginRun(chapterNum);
+    }
+
+    /**
+     * Start a fresh run
+     * The player picks a name and pronouns first; going back from that
+     * screen returns to the main menu without starting.
+     * @param {number} chapterNum - Chapter to start at
+     * @param {Object|null} [carryOver] - New Game+ state from getCarryOver()
+     */
+    async beginRun(chapterNum, carryOver = null) {
+        const player = this.ui ? await this.ui.showPlayerSetup() : {};
+        if (!player) return;
+
+        console.log(carryOver ? 'Starting New Game+...' : 'Starting new game...');
         
         // Reset state
         this.state.reset();
+        this.state.setPlayer(player);
+        if (carryOver) {
+            this.state.applyCarryOver(carryOver);
+        }
+        this.restoreHistory({});
         
-        // Start from chapter 1
-        await this.startChapter(1);
+        await this.startChapter(chapterNum);
         
         this.isRunning = true;
-        this.events.emit(GameEvents.GAME_START, { isNewGame: true });
+        this.events.emit(GameEvents.GAME_START, {
+            isNewGame: true,
+            chapter: chapterNum,
+            newGamePlus: Boolean(carryOver)
+        });
         
         // Start game loop
         this.startGameLoop();
     }
 
+    /**
+     * Check whether a chapter can be picked on the chapter select screen
+     * The first chapter always can; the rest once completed in any playthrough.
+     * @param {number} chapterNum - Chapter number
+     * @returns {boolean}
+     */
+    isChapterUnlocked(chapterNum) {
+        return chapterNum === 1 || this.profile.getCompletedChapters().has(chapterNum);
+    }
+
+    /**
+     * Check whether a playthrough has been finished, so New Game+ is offered
+     * @returns {boolean}
+     */
+    hasNewGamePlus() {
+        return this.profile.getCarryOver() !== null;
+    }
+
+    /**
+     * Get what New Game+ passes on, as chosen by the config's
+     * newGamePlus.carry list ("characters", "items", "recipes", "endings")
+     * @returns {Object|null} { characters, items, recipes, endings }, or null before any run is finished
+     */
+    getCarryOver() {
+        const saved = this.profile.getCarryOver();
+        if (!saved) return null;
+
+        const carry = this.config?.newGamePlus?.carry || DEFAULT_CARRY_OVER;
+        return {
+            characters: carry.includes('characters') ? saved.characters || {} : {},
+            items: carry.includes('items') ? saved.items || {} : {},
+            recipes: carry.includes('recipes') ? saved.recipes || {} : {},
+            endings: carry.includes('endings')
+                ? this.endings.definitions.map(ending => ending.id).filter(id => this.endings.hasReached(id))
+                : []
+        };
+    }
+
     /**
      * Continue from last save
      */
@@ -294,12 +501,170 @@ export class GameManager {
         const success = await this.saves.load(slot);
         if (success) {
             const saveData = this.saves.getSaveData(slot);
-            await this.startChapter(saveData.chapter, saveData.scene);
+            
+            // Clear out whatever is currently playing
+            this.narrative?.stop?.();
+            this.state.clearHistory();
+            this.restoreHistory(saveData);
+            
+            if (this.workshop.isActive()) {
+                // Saved between chapters: back to the shop rather than the script
+                await this.enterChapter(saveData.chapter, saveData.runtime?.sceneId || saveData.scene);
+                this.workshop.open();
+            } else if (saveData.runtime) {
+                await this.resumeFromSnapshot(saveData.chapter, saveData.runtime);
+            } else {
+                // Older saves only know the scene, so replay it from the top
+                await this.startChapter(saveData.chapter, saveData.scene);
+            }
+            
             this.isRunning = true;
             this.startGameLoop();
         }
     }
 
+    /**
+     * Capture the exact moment of play: script position and what is on screen
+     * @returns {Object} Runtime snapshot
+     */
+    captureSnapshot() {
+        const position = this.narrative?.interpreter?.getPosition();
+        const puzzle = this.puzzles?.isActive() ? this.puzzles.getCurrentPuzzle() : null;
+
+        return {
+            sceneId: position?.sceneId || this.scenes.currentSceneId,
+            path: position?.sceneId ? position.path : [0],
+            characters: (this.narrative?.characters?.getDisplayed() || []).map(char => ({
+                id: char.id,
+                expression: char.expression,
+                position: char.position
+            })),
+            background: this.scenes.currentBackground,
+            music: this.audio?.currentMusic || null,
+            ambience: this.audio?.currentAmbience || null,
+            puzzle: puzzle?.id || null
+        };
+    }
+
+    /**
+     * Rebuild a saved moment and continue the script from it
+     * @param {number} chapterNum - Chapter number
+     * @param {Object} snapshot - Runtime snapshot from captureSnapshot()
+     */
+    async resumeFromSnapshot(chapterNum, snapshot) {
+        const startScene = await this.enterChapter(chapterNum, snapshot.sceneId);
+        if (!startScene) return;
+
+        await this.restoreStage(snapshot);
+        this.runScript(startScene, snapshot.path || [0]);
+    }
+
+    /**
+     * Put back what a snapshot had on screen once its scene setup has run
+     * @param {Object} snapshot - Runtime snapshot from captureSnapshot()
+     */
+    async restoreStage(snapshot) {
+        if (snapshot.background) {
+            this.scenes.setBackground(snapshot.background);
+        }
+
+        if (this.audio) {
+            if (snapshot.music) {
+                this.audio.playMusic(snapshot.music);
+            } else {
+                this.audio.stopMusic(false);
+            }
+            if (snapshot.ambience) {
+                this.audio.playAmbience(snapshot.ambience);
+            } else {
+                this.audio.stopAmbience(false);
+            }
+        }
+
+        const characters = this.narrative?.characters;
+        if (characters) {
+            await characters.hideAll('none');
+            for (const char of snapshot.characters || []) {
+                await characters.show({
+                    character: char.id,
+                    position: char.position,
+                    expression: char.expression,
+                    animation: 'none'
+                });
+            }
+        }
+
+        // The script restarts a puzzle it was waiting on; anything else is started here
+        const node = this.narrative?.interpreter?.getNodeAt(snapshot.sceneId, snapshot.path || [0]);
+        if (snapshot.puzzle && !(node?.type === 'puzzle' && node.puzzleId === snapshot.puzzle)) {
+            this.puzzles?.startPuzzle(snapshot.puzzle);
+        }
+    }
+
+    /**
+     * Remember the current moment so the player can roll back to it
+     * Called as each line or choice is shown.
+     */
+    recordRollbackPoint() {
+        const position = this.narrative?.interpreter?.getPosition();
+        if (!this.isRunning || !position?.sceneId) return;
+
+        this.state.saveToHistory({
+            chapter: this.currentChapter,
+            runtime: this.captureSnapshot(),
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Check if there is an earlier line to roll back to
+     * @returns {boolean}
+     */
+    canRollback() {
+        return this.isRunning && !this.isRollingBack && this.state.canRestoreFromHistory(2);
+    }
+
+    /**
+     * Rewind to the previous line or choice
+     * Restores state, characters, background and music, forgets the lines and
+     * choices that came after it, and runs the script again from there.
+     * @returns {Promise<boolean>} Whether a rollback happened
+     */
+    async rollback() {
+        if (!this.canRollback()) return false;
+
+        this.isRollingBack = true;
+        this.narrative?.stop?.();
+
+        try {
+            // The newest point is the line on screen; the one before it is the target
+            const playtime = this.state.get('playtime');
+            const { meta } = this.state.restoreFromHistory(2);
+            this.state.set('playtime', playtime);
+            const { chapter, runtime, timestamp } = meta;
+
+            this.narrative?.backlog?.rewind(timestamp);
+            this.narrative?.choices?.setHistory(
+                this.narrative.choices.getHistory().filter(entry => entry.timestamp < timestamp)
+            );
+
+            if (chapter !== this.currentChapter) {
+                await this.resumeFromSnapshot(chapter, runtime);
+            } else {
+                if (runtime.sceneId !== this.scenes.currentSceneId) {
+                    await this.scenes.goToScene(runtime.sceneId);
+                }
+                await this.restoreStage(runtime);
+                this.runScript(runtime.sceneId, runtime.path);
+            }
+
+            this.events.emit(GameEvents.ROLLBACK, { chapter, sceneId: runtime.sceneId });
+            return true;
+        } finally {
+            this.isRollingBack = false;
+        }
+    }
+
     /**
      * Save the current game
      * @param {number} slot - Save slot number
@@ -311,24 +676,65 @@ export class GameManager {
             chapter: this.currentChapter,
             scene: this.scenes.currentSceneId,
             playtime: this.state.get('playtime') || 0,
-            timestamp: Date.now()
+            timestamp: Date.now(),
+            runtime: this.captureSnapshot(),
+            backlog: this.narrative?.backlog?.serialize() || [],
+            choices: this.narrative?.choices?.getHistory() || []
         };
         
         return await this.saves.save(slot, saveData);
     }
 
     /**
-     * Start a chapter
+     * Put back the lines shown and choices made before a save
+     * Saves from before the backlog existed simply start with an empty one.
+     * @param {Object} saveData - Save data, or {} to start fresh
+     */
+    restoreHistory(saveData) {
+        this.narrative?.backlog?.restore(saveData.backlog);
+        this.narrative?.choices?.setHistory(saveData.choices);
+    }
+
+    /**
+     * Start a chapter and run its script
+     * @param {number} chapterNum - Chapter number
+     * @param {string} [sceneId] - Optional starting scene
+     * @param {number|Array} [position=0] - Optional content index or position path within the scene
+     */
+    async startChapter(chapterNum, sceneId = null, position = 0) {
+        const startScene = await this.enterChapter(chapterNum, sceneId);
+        
+        if (startScene) {
+            this.runScript(startScene, position);
+        }
+    }
+
+    /**
+     * Run the chapter script in the background from a position
+     * @param {string} sceneId - Scene ID
+     * @param {number|Array} [position=0] - Content index or position path
+     */
+    runScript(sceneId, position = 0) {
+        if (!this.narrative?.run) return;
+
+        this.narrative.run(sceneId, position).catch(error => {
+            console.error('Script runtime error:', error);
+        });
+    }
+
+    /**
+     * Load a chapter and its starting scene without running the script
      * @param {number} chapterNum - Chapter number
      * @param {string} [sceneId] - Optional starting scene
+     * @returns {Promise<string|null>} The starting scene ID
      */
-    async startChapter(chapterNum, sceneId = null) {
+    async enterChapter(chapterNum, sceneId = null) {
         console.log(`Starting chapter ${chapterNum}...`);
         
         const chapterData = this.chapters.get(chapterNum);
         if (!chapterData) {
             console.error(`Chapter ${chapterNum} not found`);
-            return;
+            return null;
         }
 
         this.currentChapter = chapterNum;
@@ -336,6 +742,9 @@ export class GameManager {
         // Preload chapter assets
         await assetLoader.preloadChapterAssets(chapterNum, chapterData);
         
+        // Prepare the chapter script
+        this.narrative?.loadChapter?.(chapterData);
+        
         // Update state
         this.state.set('currentChapter', chapterNum);
         
@@ -348,6 +757,8 @@ export class GameManager {
         // Load the starting scene
         const startScene = sceneId || (chapterData.scenes[0]?.id || 'intro');
         await this.scenes.loadScene(startScene, chapterData);
+        
+        return startScene;
     }
 
     /**
@@ -420,6 +831,7 @@ export class GameManager {
         // Update playtime
         const playtime = (this.state.get('playtime') || 0) + deltaTime;
         this.state.set('playtime', playtime);
+        this.profile.addPlaytime(deltaTime);
 
         // Update managers
         if (this.scenes) this.scenes.update(deltaTime);
@@ -434,6 +846,9 @@ export class GameManager {
      */
     handleSceneChange(data) {
         console.log('Scene changed:', data.sceneId);
+
+        // The lines read in the scene just left are written out together
+        this.profile.flush();
     }
 
     /**
@@ -444,14 +859,23 @@ export class GameManager {
         console.log(`Chapter ${data.chapter} started`);
         
         // Update UI
+        this.updateChapterIndicator(data.chapter, data.data);
+    }
+
+    /**
+     * Show a chapter's number and title in the HUD, in the active language
+     * @param {number} chapterNum - Chapter number
+     * @param {Object} chapterData - Chapter data
+     */
+    updateChapterIndicator(chapterNum, chapterData) {
         const chapterNumber = document.getElementById('chapter-number');
         const chapterTitle = document.getElementById('chapter-title');
         
         if (chapterNumber) {
-            chapterNumber.textContent = `Chapter ${data.chapter}`;
+            chapterNumber.textContent = localization.t('ui.hud.chapter', 'Chapter {number}', { number: chapterNum });
         }
-        if (chapterTitle) {
-            chapterTitle.textContent = data.data.title;
+        if (chapterTitle && chapterData) {
+            chapterTitle.textContent = localization.t(`${chapterData.id}.title`, chapterData.title);
         }
     }
 
@@ -462,8 +886,16 @@ export class GameManager {
     handleChapterEnd(data) {
         console.log(`Chapter ${data.chapter} ended`);
         
+        // The script running out during an ending scene finishes the game
+        const endingId = this.state.get('ending');
+        if (endingId) {
+            this.finishGame(endingId);
+            return;
+        }
+        
         // Mark chapter as complete
         this.state.setFlag(`chapter${data.chapter}Complete`, true);
+        this.profile.completeChapter(data.chapter);
         
         // Check for next chapter
         const nextChapter = data.chapter + 1;
@@ -471,14 +903,65 @@ export class GameManager {
             // Prompt to continue or return to menu
             this.events.emit(GameEvents.UI_NOTIFICATION, {
                 type: 'success',
-                message: `Chapter ${data.chapter} complete!`
+                message: localization.t('ui.notify.chapterComplete', 'Chapter {chapter} complete!', { chapter: data.chapter })
             });
+            
+            // Some chapters are preceded by days of side jobs in the shop
+            this.workshop.begin(nextChapter);
         } else {
             // Game complete
-            this.events.emit(GameEvents.GAME_OVER, { ending: 'complete' });
+            this.playEnding();
         }
     }
 
+    /**
+     * Pick the ending the playthrough has earned and play its scene
+     * Endings without a scene, or whose chapter is not written yet, finish at once.
+     */
+    async playEnding() {
+        const ending = this.endings.select();
+        if (!ending) {
+            console.warn('No ending matches the final state');
+            await this.finishGame(null);
+            return;
+        }
+
+        // Kept in state so a save made during the ending scene still ends the game
+        this.state.set('ending', ending.id);
+
+        const chapterData = this.chapters.get(ending.chapter);
+        if (!ending.scene || !chapterData?.scenes.some(scene => scene.id === ending.scene)) {
+            await this.finishGame(ending.id);
+        } else if (ending.chapter === this.currentChapter) {
+            await this.scenes.goToScene(ending.scene);
+            this.runScript(ending.scene);
+        } else {
+            await this.startChapter(ending.chapter, ending.scene);
+        }
+    }
+
+    /**
+     * Record the ending reached, show its card and return to the main menu
+     * @param {string|null} endingId - Ending ID, or null when none matched
+     */
+    async finishGame(endingId) {
+        const ending = endingId ? this.endings.get(endingId) : null;
+        if (ending) {
+            this.endings.record(ending.id);
+        }
+
+        // The next New Game+ starts from what this run discovered
+        this.profile.setCarryOver(this.state.getCarryOver());
+
+        this.events.emit(GameEvents.GAME_OVER, { ending: ending?.id ?? 'complete' });
+
+        await this.scenes.showTitleCard(
+            localization.t('ui.ending.theEnd', 'The End'),
+            ending ? this.endings.getTitle(ending) : ''
+        );
+        this.returnToMainMenu();
+    }
+
     /**
      * Handle puzzle completion
      * @param {Object} data - Puzzle completion data
@@ -488,6 +971,9 @@ export class GameManager {
         
         // Mark puzzle as complete
         this.state.setFlag(`puzzle_${data.puzzleId}_complete`, true);
+        if (typeof data.score === 'number') {
+            this.profile.recordPuzzleScore(data.puzzleId, data.score);
+        }
         
         // Award any items
         if (data.rewards) {
@@ -509,7 +995,7 @@ export class GameManager {
     handleSaveComplete(data) {
         this.events.emit(GameEvents.UI_NOTIFICATION, {
             type: 'success',
-            message: 'Game saved!'
+            message: localization.t('ui.notify.saved', 'Game saved!')
         });
     }
 
@@ -520,7 +1006,7 @@ export class GameManager {
     handleLoadComplete(data) {
         this.events.emit(GameEvents.UI_NOTIFICATION, {
             type: 'success',
-            message: 'Game loaded!'
+            message: localization.t('ui.notify.loaded', 'Game loaded!')
         });
     }
 
@@ -544,6 +1030,10 @@ export class GameManager {
         this.stopGameLoop();
         this.isRunning = false;
         this.isPaused = false;
+        this.profile.flush();
+        
+        // Stop the chapter script
+        this.narrative?.stop?.();
         
         // Hide game screen, show menu
         this.scenes?.transitionToScreen('main-menu-screen');
@@ -563,6 +1053,9 @@ export class GameManager {
         if (this.state) this.state.destroy();
         if (this.saves) this.saves.destroy();
         if (this.scenes) this.scenes.destroy();
+        if (this.achievements) this.achievements.destroy();
+        if (this.economy) this.economy.destroy();
+        if (this.workshop) this.workshop.destroy();
         
         this.isInitialized = false;
         this.isRunning = false;
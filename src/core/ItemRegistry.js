@@ -0,0 +1,202 @@
+/**
+ * ItemRegistry - The catalogue of items the player can hold
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Items are declared in data/items.json:
+ *
+ *   { "id": "harmonic_crystal", "name": "...", "description": "...",
+ *     "icon": "💎", "category": "reagent", "stackable": true,
+ *     "maxQuantity": 3, "usable": true, "combinable": true }
+ *
+ * Items stack without limit and can be used and combined unless they say
+ * otherwise; one that is not stackable is held once at most.
+ */
+
+import { localization } from '../utils/Localization.js';
+
+// Categories, in the order the inventory sorts them
+export const ITEM_CATEGORIES = ['part', 'reagent', 'key', 'note'];
+
+// Shown for items without an icon of their own
+const DEFAULT_ICON = '📦';
+
+// Category names, looked up when shown so they follow the language
+const CATEGORY_NAMES = {
+    part: () => localization.t('ui.items.category.part', 'Part'),
+    reagent: () => localization.t('ui.items.category.reagent', 'Reagent'),
+    key: () => localization.t('ui.items.category.key', 'Key item'),
+    note: () => localization.t('ui.items.category.note', 'Note')
+};
+
+export class ItemRegistry {
+    constructor() {
+        // Item definitions by ID
+        this.items = new Map();
+
+        // Unknown item IDs already warned about
+        this.unknown = new Set();
+    }
+
+    /**
+     * Set the item definitions
+     * @param {Array<Object>} items - From data/items.json
+     */
+    define(items = []) {
+        this.items.clear();
+        this.unknown.clear();
+
+        for (const item of items) {
+            if (!item?.id) {
+                console.warn('Item without an id ignored');
+                continue;
+            }
+            if (!ITEM_CATEGORIES.includes(item.category)) {
+                console.warn(`Item "${item.id}" has unknown category "${item.category}"`);
+            }
+            this.items.set(item.id, item);
+        }
+    }
+
+    /**
+     * Get an item definition, warning once about items that have none
+     * @param {string} itemId - Item ID
+     * @returns {Object|null}
+     */
+    get(itemId) {
+        const item = this.items.get(itemId);
+        if (!item && this.items.size > 0 && !this.unknown.has(itemId)) {
+            this.unknown.add(itemId);
+            console.warn(`Item "${itemId}" is not defined in data/items.json`);
+        }
+        return item || null;
+    }
+
+    /**
+     * Check whether an item is defined
+     * @param {string} itemId - Item ID
+     * @returns {boolean}
+     */
+    has(itemId) {
+        return this.items.has(itemId);
+    }
+
+    /**
+     * Get an item's name in the current language
+     * @param {string} itemId - Item ID
+     * @returns {string}
+     */
+    getName(itemId) {
+        return localization.t(`items.${itemId}.name`, this.get(itemId)?.name || itemId);
+    }
+
+    /**
+     * Get an item's description in the current language
+     * @param {string} itemId - Item ID
+     * @returns {string}
+     */
+    getDescription(itemId) {
+        return localization.t(`items.${itemId}.description`, this.get(itemId)?.description || '');
+    }
+
+    /**
+     * Get an item's icon
+     * @param {string} itemId - Item ID
+     * @returns {string}
+     */
+    getIcon(itemId) {
+        return this.get(itemId)?.icon || DEFAULT_ICON;
+    }
+
+    /**
+     * Get an item's category
+     * @param {string} itemId - Item ID
+     * @returns {string|null}
+     */
+    getCategory(itemId) {
+        return this.get(itemId)?.category ?? null;
+    }
+
+    /**
+     * Get a category's name in the current language
+     * @param {string|null} category - Category
+     * @returns {string}
+     */
+    getCategoryName(category) {
+        return CATEGORY_NAMES[category]?.() ?? localization.t('ui.items.category.other', 'Item');
+    }
+
+    /**
+     * Get the most of an item that can be held at once
+     * @param {string} itemId - Item ID
+     * @returns {number}
+     */
+    getMaxQuantity(itemId) {
+        const item = this.get(itemId);
+        if (!item) return Infinity;
+        if (item.stackable === false) return 1;
+        return item.maxQuantity ?? Infinity;
+    }
+
+    /**
+     * Check whether an item can be held and used on something
+     * @param {string} itemId - Item ID
+     * @returns {boolean}
+     */
+    isUsable(itemId) {
+        return this.get(itemId)?.usable !== false;
+    }
+
+    /**
+     * Check whether an item can be laid on the workbench
+     * @param {string} itemId - Item ID
+     * @returns {boolean}
+     */
+    isCombinable(itemId) {
+        return this.get(itemId)?.combinable !== false;
+    }
+
+    /**
+     * Filter and sort inventory entries for display
+     * @param {Array<{id: string, quantity: number}>} inventory - From StateManager.getInventory()
+     * @param {Object} [options]
+     * @param {string|null} [options.category] - Only items of this category
+     * @param {string} [options.sort='category'] - 'category', 'name' or 'quantity'
+     * @returns {Array<{id: string, quantity: number}>}
+     */
+    arrange(inventory, { category = null, sort = 'category' } = {}) {
+        const byName = (a, b) => this.getName(a.id).localeCompare(this.getName(b.id));
+        const rank = (entry) => {
+            const index = ITEM_CATEGORIES.indexOf(this.getCategory(entry.id));
+            return index === -1 ? ITEM_CATEGORIES.length : index;
+        };
+
+        const compare = {
+            category: (a, b) => rank(a) - rank(b) || byName(a, b),
+            name: byName,
+            quantity: (a, b) => b.quantity - a.quantity || byName(a, b)
+        }[sort];
+        if (!compare) {
+            console.warn(`Unknown inventory sort order: ${sort}`);
+        }
+
+        return inventory
+            .filter(entry => !category || this.getCategory(entry.id) === category)
+            .sort(compare || (() => 0));
+    }
+}
+
+/**
+ * Get every item name and description, for the English base table
+ * @param {Array<Object>} items - From data/items.json
+ * @returns {Object} Key to English text
+ */
+export function getItemStrings(items = []) {
+    const strings = {};
+    for (const item of items) {
+        if (item.name) strings[`items.${item.id}.name`] = item.name;
+        if (item.description) strings[`items.${item.id}.description`] = item.description;
+    }
+    return strings;
+}
+
+export default ItemRegistry;
@@ -0,0 +1,484 @@
+/**
+ * ProfileManager - Progress that outlives any one playthrough
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * The profile is stored apart from the save slots, so deleting every save
+ * keeps it: lines read, chapters completed, endings reached, achievements
+ * and the progress towards them, gallery unlocks, total playtime, best
+ * puzzle scores and what the last finished run passes on to New Game+.
+ */
+
+import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { storage, isObject } from '../utils/helpers.js';
+
+export const PROFILE_VERSION = 1;
+
+// Playtime is written out at most this often (seconds)
+const PLAYTIME_FLUSH_INTERVAL = 30;
+
+// Newly read lines are written out after this many, or when flushed
+const READ_LINE_FLUSH_COUNT = 50;
+
+// Each step upgrades a profile from the version before it, keyed by the
+// version it produces
+const MIGRATIONS = {
+    // Before the profile existed, each record had a localStorage key of its own
+    1: (profile) => ({
+        ...profile,
+        readLines: storage.get('befixed_read_lines', []),
+        completedChapters: storage.get('befixed_completed_chapters', []),
+        endings: storage.get('befixed_endings', {}),
+        carryOver: storage.get('befixed_new_game_plus', null)
+    })
+};
+
+const LEGACY_KEYS = ['befixed_read_lines', 'befixed_completed_chapters', 'befixed_endings', 'befixed_new_game_plus'];
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isString = value => typeof value === 'string';
+const isArrayOf = check => value => Array.isArray(value) && value.every(check);
+const isMapOf = check => value => Boolean(isObject(value)) && Object.values(value).every(check);
+
+// What each profile field must hold
+const FIELD_TYPES = {
+    created: isNumber,
+    readLines: isArrayOf(isString),
+    completedChapters: isArrayOf(Number.isInteger),
+    endings: isMapOf(isNumber),
+    achievements: isMapOf(isNumber),
+    achievementProgress: isMapOf(value => isNumber(value) || isArrayOf(isString)(value)),
+    gallery: isArrayOf(isString),
+    playtime: value => isNumber(value) && value >= 0,
+    puzzleScores: isMapOf(isNumber),
+    carryOver: value => value === null || Boolean(isObject(value))
+};
+
+export class ProfileManager {
+    /**
+     * @param {string} [storageKey='befixed_profile'] - localStorage key
+     */
+    constructor(storageKey = 'befixed_profile') {
+        this.events = globalEvents;
+        this.storageKey = storageKey;
+
+        this.profile = this.createEmpty();
+        this.readLines = new Set();
+
+        // Playtime and lines read since the profile was last written
+        this.unsavedPlaytime = 0;
+        this.unsavedLines = 0;
+    }
+
+    /**
+     * Load the profile, upgrading it (or the records kept before it) first
+     */
+    load() {
+        const stored = storage.get(this.storageKey, null);
+        this.setProfile(this.migrate(isObject(stored) ? stored : { version: 0 }));
+
+        if (stored?.version !== PROFILE_VERSION) {
+            this.persist();
+        }
+        if (!isObject(stored)) {
+            LEGACY_KEYS.forEach(key => storage.remove(key));
+        }
+    }
+
+    /**
+     * Get an empty profile of the current version
+     * @returns {Object}
+     */
+    createEmpty() {
+        return {
+            version: PROFILE_VERSION,
+            created: Date.now(),
+            readLines: [],
+            completedChapters: [],
+            endings: {},
+            achievements: {},
+            achievementProgress: {},
+            gallery: [],
+            playtime: 0,
+            puzzleScores: {},
+            carryOver: null
+        };
+    }
+
+    /**
+     * Bring profile data up to the current version
+     * Fields that are missing or hold the wrong type get their defaults, so
+     * older or hand-edited profiles still load.
+     * @param {Object} data - Profile data of any version
+     * @returns {Object}
+     */
+    migrate(data) {
+        const profile = this.upgrade(data);
+        const defaults = this.createEmpty();
+
+        for (const field of Object.keys(FIELD_TYPES)) {
+            if (!FIELD_TYPES[field](profile[field])) {
+                profile[field] = defaults[field];
+            }
+        }
+        return profile;
+    }
+
+    /**
+     * Run the migration steps from a profile's version to the current one
+     * @param {Object} data - Profile data of any version
+     * @returns {Object} Upgraded copy, not yet checked
+     */
+    upgrade(data) {
+        let profile = { ...data };
+
+        for (let version = (profile.version || 0) + 1; version <= PROFILE_VERSION; version++) {
+            profile = MIGRATIONS[version]?.(profile) ?? profile;
+        }
+        profile.version = PROFILE_VERSION;
+        return profile;
+    }
+
+    /**
+     * Get the fields of a profile that are present but hold the wrong type
+     * @param {Object} profile - Profile of the current version
+     * @returns {Array<string>}
+     */
+    getInvalidFields(profile) {
+        return Object.keys(FIELD_TYPES)
+            .filter(field => profile[field] !== undefined && !FIELD_TYPES[field](profile[field]));
+    }
+
+    /**
+     * Replace the profile in memory
+     * @param {Object} profile - Profile of the current version
+     */
+    setProfile(profile) {
+        this.profile = profile;
+        this.readLines = new Set(profile.readLines);
+    }
+
+    /**
+     * Write the profile to localStorage
+     */
+    persist() {
+        this.unsavedPlaytime = 0;
+        this.unsavedLines = 0;
+        storage.set(this.storageKey, { ...this.profile, readLines: [...this.readLines] });
+    }
+
+    // ==================== READ LINES ====================
+
+    /**
+     * Check whether a line has been shown in any playthrough
+     * @param {string} key - Content key
+     * @returns {boolean}
+     */
+    hasReadLine(key) {
+        return this.readLines.has(key);
+    }
+
+    /**
+     * Remember a line as shown
+     * Lines are written out in batches, when enough have built up or on flush().
+     * @param {string} key - Content key
+     */
+    markLineRead(key) {
+        if (this.readLines.has(key)) return;
+
+        this.readLines.add(key);
+        this.unsavedLines++;
+
+        if (this.unsavedLines >= READ_LINE_FLUSH_COUNT) {
+            this.persist();
+        }
+    }
+
+    /**
+     * Get the number of lines read
+     * @returns {number}
+     */
+    getReadLineCount() {
+        return this.readLines.size;
+    }
+
+    /**
+     * Forget every read line
+     */
+    clearReadLines() {
+        this.readLines.clear();
+        this.persist();
+    }
+
+    // ==================== CHAPTERS ====================
+
+    /**
+     * Remember a chapter as completed
+     * @param {number} chapterNum - Chapter number
+     */
+    completeChapter(chapterNum) {
+        if (this.profile.completedChapters.includes(chapterNum)) return;
+
+        this.profile.completedChapters = [...this.profile.completedChapters, chapterNum].sort((a, b) => a - b);
+        this.persist();
+    }
+
+    /**
+     * Get the chapters completed in any playthrough
+     * @returns {Set<number>}
+     */
+    getCompletedChapters() {
+        return new Set(this.profile.completedChapters);
+    }
+
+    // ==================== ENDINGS ====================
+
+    /**
+     * Remember an ending as reached
+     * @param {string} endingId - Ending ID
+     * @returns {boolean} Whether it was reached for the first time
+     */
+    recordEnding(endingId) {
+        if (this.hasEnding(endingId)) return false;
+
+        this.profile.endings = { ...this.profile.endings, [endingId]: Date.now() };
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Check whether an ending has been reached
+     * @param {string} endingId - Ending ID
+     * @returns {boolean}
+     */
+    hasEnding(endingId) {
+        return Object.hasOwn(this.profile.endings, endingId);
+    }
+
+    /**
+     * Get when an ending was first reached
+     * @param {string} endingId - Ending ID
+     * @returns {number|null} Timestamp
+     */
+    getEndingTime(endingId) {
+        return this.profile.endings[endingId] ?? null;
+    }
+
+    // ==================== ACHIEVEMENTS ====================
+
+    /**
+     * Remember an achievement as unlocked
+     * @param {string} achievementId - Achievement ID
+     * @returns {boolean} Whether it was unlocked for the first time
+     */
+    unlockAchievement(achievementId) {
+        if (this.hasAchievement(achievementId)) return false;
+
+        this.profile.achievements = { ...this.profile.achievements, [achievementId]: Date.now() };
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Check whether an achievement is unlocked
+     * @param {string} achievementId - Achievement ID
+     * @returns {boolean}
+     */
+    hasAchievement(achievementId) {
+        return Object.hasOwn(this.profile.achievements, achievementId);
+    }
+
+    /**
+     * Get when an achievement was unlocked
+     * @param {string} achievementId - Achievement ID
+     * @returns {number|null} Timestamp
+     */
+    getAchievementTime(achievementId) {
+        return this.profile.achievements[achievementId] ?? null;
+    }
+
+    /**
+     * Count a step towards an achievement
+     * @param {string} achievementId - Achievement ID
+     * @param {string|null} [value] - Step to count only once, or null to count every time
+     * @returns {number} Progress so far
+     */
+    advanceAchievement(achievementId, value = null) {
+        const progress = this.profile.achievementProgress[achievementId];
+        let next;
+
+        if (value === null) {
+            next = (typeof progress === 'number' ? progress : 0) + 1;
+        } else {
+            const steps = Array.isArray(progress) ? progress : [];
+            if (steps.includes(value)) return steps.length;
+            next = [...steps, value];
+        }
+
+        this.profile.achievementProgress = { ...this.profile.achievementProgress, [achievementId]: next };
+        this.persist();
+        return this.getAchievementProgress(achievementId);
+    }
+
+    /**
+     * Get the progress made towards an achievement
+     * @param {string} achievementId - Achievement ID
+     * @returns {number}
+     */
+    getAchievementProgress(achievementId) {
+        const progress = this.profile.achievementProgress[achievementId];
+        return Array.isArray(progress) ? progress.length : progress || 0;
+    }
+
+    // ==================== GALLERY ====================
+
+    /**
+     * Unlock a gallery entry
+     * @param {string} entryId - Gallery entry ID
+     */
+    unlockGallery(entryId) {
+        if (this.isGalleryUnlocked(entryId)) return;
+
+        this.profile.gallery = [...this.profile.gallery, entryId];
+        this.persist();
+    }
+
+    /**
+     * Check whether a gallery entry is unlocked
+     * @param {string} entryId - Gallery entry ID
+     * @returns {boolean}
+     */
+    isGalleryUnlocked(entryId) {
+        return this.profile.gallery.includes(entryId);
+    }
+
+    // ==================== PLAYTIME ====================
+
+    /**
+     * Add to the total playtime across every playthrough
+     * @param {number} seconds - Time played
+     */
+    addPlaytime(seconds) {
+        this.profile.playtime += seconds;
+        this.unsavedPlaytime += seconds;
+
+        if (this.unsavedPlaytime >= PLAYTIME_FLUSH_INTERVAL) {
+            this.persist();
+        }
+    }
+
+    /**
+     * Get the total playtime across every playthrough
+     * @returns {number} Seconds
+     */
+    getPlaytime() {
+        return this.profile.playtime;
+    }
+
+    /**
+     * Write out playtime and read lines not yet persisted (e.g. at the end
+     * of a scene or when the page closes)
+     */
+    flush() {
+        if (this.unsavedPlaytime > 0 || this.unsavedLines > 0) {
+            this.persist();
+        }
+    }
+
+    // ==================== PUZZLE SCORES ====================
+
+    /**
+     * Keep a puzzle score if it beats the best so far
+     * @param {string} puzzleId - Puzzle ID
+     * @param {number} score - Score
+     * @returns {boolean} Whether it is a new best
+     */
+    recordPuzzleScore(puzzleId, score) {
+        const best = this.getPuzzleBest(puzzleId);
+        if (best !== null && best >= score) return false;
+
+        this.profile.puzzleScores = { ...this.profile.puzzleScores, [puzzleId]: score };
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Get the best score reached on a puzzle
+     * @param {string} puzzleId - Puzzle ID
+     * @returns {number|null}
+     */
+    getPuzzleBest(puzzleId) {
+        return this.profile.puzzleScores[puzzleId] ?? null;
+    }
+
+    // ==================== NEW GAME+ ====================
+
+    /**
+     * Keep what a finished run passes on to New Game+
+     * @param {Object} carryOver - From StateManager.getCarryOver()
+     */
+    setCarryOver(carryOver) {
+        this.profile.carryOver = carryOver;
+        this.persist();
+    }
+
+    /**
+     * Get what the last finished run passes on
+     * @returns {Object|null}
+     */
+    getCarryOver() {
+        return this.profile.carryOver;
+    }
+
+    // ==================== IMPORT / EXPORT ====================
+
+    /**
+     * Export the profile as a JSON string
+     * @returns {string}
+     */
+    exportProfile() {
+        return JSON.stringify({ ...this.profile, readLines: [...this.readLines] }, null, 2);
+    }
+
+    /**
+     * Replace the profile with an exported one, upgrading it if it is older
+     * @param {string} jsonString - Exported profile
+     * @returns {boolean}
+     */
+    importProfile(jsonString) {
+        try {
+            const data = JSON.parse(jsonString);
+
+            // Validate profile data
+            if (!data || typeof data !== 'object' || !Number.isInteger(data.version) || data.version < 1) {
+                throw new Error('Invalid profile data format');
+            }
+            if (data.version > PROFILE_VERSION) {
+                throw new Error(`Profile version ${data.version} is newer than this game supports`);
+            }
+
+            const invalid = this.getInvalidFields(this.upgrade(data));
+            if (invalid.length > 0) {
+                throw new Error(`Invalid profile fields: ${invalid.join(', ')}`);
+            }
+
+            this.setProfile(this.migrate(data));
+            this.persist();
+            this.events.emit(GameEvents.PROFILE_CHANGE, { type: 'import' });
+            return true;
+        } catch (error) {
+            console.error('Profile import failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Forget everything in the profile
+     */
+    reset() {
+        this.setProfile(this.createEmpty());
+        this.persist();
+        this.events.emit(GameEvents.PROFILE_CHANGE, { type: 'reset' });
+    }
+}
+
+export default ProfileManager;
@@ -5,6 +5,7 @@
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
 import { storage, formatDate, formatTime } from '../utils/helpers.js';
+import { localization } from '../utils/Localization.js';
 
 export class SaveManager {
     constructor(stateManager) {
@@ -53,6 +54,9 @@ export class SaveManager {
 
     /**
      * Save game to a slot
+     * A `runtime` snapshot in additionalData (script position, characters,
+     * background, audio, puzzle) lets a load resume mid-scene; `backlog` and
+     * `choices` carry the lines shown and choices made so far.
      * @param {number} slot - Save slot (1-10)
      * @param {Object} additionalData - Additional data to save
      * @returns {boolean} Success
@@ -70,7 +74,7 @@ export class SaveManager {
             
             const saveData = {
                 slot,
-                version: '1.0.0',
+                version: '1.1.0',
                 timestamp: Date.now(),
                 chapter: this.state.get('currentChapter'),
                 scene: this.state.get('currentScene'),
@@ -169,7 +173,7 @@ export class SaveManager {
      */
     generatePreview(saveData) {
         return {
-            chapterText: `Chapter ${saveData.chapter}`,
+            chapterText: localization.t('ui.hud.chapter', 'Chapter {number}', { number: saveData.chapter }),
             chapterTitle: this.getChapterTitle(saveData.chapter),
             dateText: formatDate(saveData.timestamp),
             playtimeText: formatTime(saveData.playtime)
@@ -192,7 +196,7 @@ export class SaveManager {
             'The Final Repair',
             'A New Beginning'
         ];
-        return titles[chapter - 1] || 'Unknown Chapter';
+        return localization.t(`chapter${chapter}.title`, titles[chapter - 1] || 'Unknown Chapter');
     }
 
     /**
@@ -316,7 +320,8 @@ export class SaveManager {
             screenEffects: true,
             dyslexiaFont: false,
             highContrast: false,
-            reduceMotion: false
+            reduceMotion: false,
+            language: 'en'
         };
     }
 
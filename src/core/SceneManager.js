@@ -5,6 +5,8 @@
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
 import { wait } from '../utils/helpers.js';
+import { localization } from '../utils/Localization.js';
+import { html, setHtml } from '../utils/SafeHtml.js';
 
 export class SceneManager {
     constructor(gameManager) {
@@ -15,6 +17,7 @@ export class SceneManager {
         this.currentScreenId = 'loading-screen';
         this.currentSceneId = null;
         this.currentChapterData = null;
+        this.currentBackground = null;
         
         // Scene data
         this.scenes = new Map();
@@ -142,21 +145,34 @@ export class SceneManager {
     }
 
     /**
-     * Set the background
+     * Set the background and unlock it in the gallery
      * @param {string|Object} background - Background data
      */
     setBackground(background) {
         const bgElement = document.getElementById('background-image');
         if (!bgElement) return;
 
-        if (typeof background === 'string') {
-            bgElement.style.backgroundImage = `url(${background})`;
-        } else if (background.image) {
-            bgElement.style.backgroundImage = `url(${background.image})`;
-            if (background.position) {
-                bgElement.style.backgroundPosition = background.position;
-            }
+        this.currentBackground = background;
+
+        const image = typeof background === 'string' ? background : background.image;
+        if (!image) return;
+
+        bgElement.style.backgroundImage = `url(${this.resolveBackground(image)})`;
+        if (background.position) {
+            bgElement.style.backgroundPosition = background.position;
         }
+
+        // Every background shown is unlocked in the profile's gallery
+        this.game.profile?.unlockGallery(this.resolveBackground(image));
+    }
+
+    /**
+     * Resolve a background key from the chapter's backgrounds table
+     * @param {string} background - Background key or image path
+     * @returns {string} Image path
+     */
+    resolveBackground(background) {
+        return this.currentChapterData?.backgrounds?.[background] || background;
     }
 
     /**
@@ -180,7 +196,7 @@ export class SceneManager {
             if (slot && char.sprite) {
                 const img = document.createElement('img');
                 img.src = char.sprite;
-                img.alt = char.name || 'Character';
+                img.alt = char.name || localization.t('ui.character.alt', 'Character');
                 img.className = `character-enter-${char.position || 'center'}`;
                 slot.appendChild(img);
             }
@@ -276,14 +292,24 @@ export class SceneManager {
      * @param {string} [subtitle] - Optional subtitle
      */
     async showChapterCard(chapterNum, title, subtitle = '') {
+        await this.showTitleCard(localization.t('ui.hud.chapter', 'Chapter {number}', { number: chapterNum }), title, subtitle);
+    }
+
+    /**
+     * Show a full-screen title card (chapter openings, endings)
+     * @param {string} label - Small line above the title
+     * @param {string} title - Title
+     * @param {string} [subtitle] - Optional subtitle
+     */
+    async showTitleCard(label, title, subtitle = '') {
         // Create chapter card element
         const card = document.createElement('div');
         card.className = 'chapter-card';
-        card.innerHTML = `
-            <div class="card-number">Chapter ${chapterNum}</div>
+        setHtml(card, html`
+            <div class="card-number">${label}</div>
             <div class="card-title">${title}</div>
-            ${subtitle ? `<div class="card-subtitle">${subtitle}</div>` : ''}
-        `;
+            ${subtitle ? html`<div class="card-subtitle">${subtitle}</div>` : ''}
+        `);
 
         document.body.appendChild(card);
 
@@ -5,6 +5,10 @@
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
 import { deepClone, deepMerge } from '../utils/helpers.js';
+import { compileExpression, compileAssignment, isFlagName, evaluate, applyOperator } from '../utils/Expression.js';
+
+// Who the player is until they choose at the new-game setup screen
+export const DEFAULT_PLAYER = { name: 'Artificer', pronouns: 'they' };
 
 export class StateManager {
     constructor() {
@@ -18,15 +22,60 @@ export class StateManager {
         this.journal = {
             entries: [],
             characters: new Map(),
-            items: new Map()
+            items: new Map(),
+            recipes: new Map()
         };
         
-        // State history for undo (optional)
+        // State history for rollback
         this.history = [];
         this.maxHistory = 50;
         
         // Subscribers for state changes
         this.subscribers = new Map();
+        
+        // Functions callable from expressions
+        this.functions = new Map();
+        this.registerDefaultFunctions();
+
+        // Condition types added by other systems (type -> function(condition))
+        this.conditions = new Map();
+
+        // Most of an item that can be held (itemId -> number), set by the item registry
+        this.itemLimit = null;
+    }
+
+    /**
+     * Register the built-in expression functions
+     */
+    registerDefaultFunctions() {
+        this.registerFunction('flag', (name) => this.hasFlag(name));
+        this.registerFunction('has', (itemId, quantity = 1) => this.hasItem(itemId, quantity));
+        this.registerFunction('count', (itemId) => this.getItemQuantity(itemId));
+        this.registerFunction('chapter', () => this.get('currentChapter'));
+        this.registerFunction('min', Math.min);
+        this.registerFunction('max', Math.max);
+        this.registerFunction('abs', Math.abs);
+        this.registerFunction('floor', Math.floor);
+        this.registerFunction('ceil', Math.ceil);
+        this.registerFunction('round', Math.round);
+    }
+
+    /**
+     * Register a function callable from expressions
+     * @param {string} name - Function name
+     * @param {Function} fn - Implementation (receives evaluated arguments)
+     */
+    registerFunction(name, fn) {
+        this.functions.set(name, fn);
+    }
+
+    /**
+     * Register an extra condition type
+     * @param {string} type - Condition type
+     * @param {Function} fn - Check (receives the condition object, returns a boolean)
+     */
+    registerCondition(type, fn) {
+        this.conditions.set(type, fn);
     }
 
     /**
@@ -48,7 +97,8 @@ export class StateManager {
         this.journal = {
             entries: [],
             characters: new Map(),
-            items: new Map()
+            items: new Map(),
+            recipes: new Map()
         };
         this.history = [];
 
@@ -57,6 +107,8 @@ export class StateManager {
         this.state.set('currentScene', null);
         this.state.set('playtime', 0);
         this.state.set('gameStarted', false);
+        this.state.set('player', { ...DEFAULT_PLAYER });
+        this.state.set('ending', null);
         
         this.events.emit(GameEvents.STATE_CHANGE, { type: 'reset' });
     }
@@ -105,7 +157,8 @@ export class StateManager {
             journal: {
                 entries: [...this.journal.entries],
                 characters: Object.fromEntries(this.journal.characters),
-                items: Object.fromEntries(this.journal.items)
+                items: Object.fromEntries(this.journal.items),
+                recipes: Object.fromEntries(this.journal.recipes)
             }
         };
     }
@@ -131,13 +184,36 @@ export class StateManager {
             this.journal = {
                 entries: data.journal.entries || [],
                 characters: new Map(Object.entries(data.journal.characters || {})),
-                items: new Map(Object.entries(data.journal.items || {}))
+                items: new Map(Object.entries(data.journal.items || {})),
+                recipes: new Map(Object.entries(data.journal.recipes || {}))
             };
         }
 
         this.events.emit(GameEvents.STATE_CHANGE, { type: 'load' });
     }
 
+    // ==================== PLAYER ====================
+
+    /**
+     * Set the player's name and pronoun set
+     * A blank name falls back to the default.
+     * @param {Object} player - { name, pronouns }
+     */
+    setPlayer({ name, pronouns } = {}) {
+        this.set('player', {
+            name: String(name ?? '').trim() || DEFAULT_PLAYER.name,
+            pronouns: pronouns || DEFAULT_PLAYER.pronouns
+        });
+    }
+
+    /**
+     * Get the player's name and pronoun set
+     * @returns {Object} { name, pronouns }
+     */
+    getPlayer() {
+        return { ...DEFAULT_PLAYER, ...this.get('player', {}) };
+    }
+
     // ==================== FLAGS ====================
 
     /**
@@ -252,19 +328,44 @@ export class StateManager {
     // ==================== INVENTORY ====================
 
     /**
-     * Add an item to inventory
+     * Limit how much of each item can be held
+     * @param {Function|null} fn - (itemId) => most that can be held, or null for no limit
+     */
+    setItemLimit(fn) {
+        this.itemLimit = fn;
+    }
+
+    /**
+     * Add an item to inventory, up to the most that can be held
      * @param {string} itemId - Item ID
      * @param {number} quantity - Quantity to add
+     * @returns {number} Quantity actually added
      */
     addItem(itemId, quantity = 1) {
         const current = this.inventory.get(itemId) || 0;
-        this.inventory.set(itemId, current + quantity);
+        const limit = this.itemLimit ? this.itemLimit(itemId) : Infinity;
+        const added = Math.min(quantity, Math.max(0, limit - current));
+        if (added <= 0) return 0;
+
+        this.inventory.set(itemId, current + added);
         
         this.events.emit(GameEvents.ITEM_ADD, {
             itemId,
-            quantity,
-            total: current + quantity
+            quantity: added,
+            total: current + added
         });
+        return added;
+    }
+
+    /**
+     * Check whether more of an item fits in the inventory
+     * @param {string} itemId - Item ID
+     * @param {number} quantity - Quantity to add
+     * @returns {boolean}
+     */
+    canAddItem(itemId, quantity = 1) {
+        const limit = this.itemLimit ? this.itemLimit(itemId) : Infinity;
+        return this.getItemQuantity(itemId) + quantity <= limit;
     }
 
     /**
@@ -385,6 +486,30 @@ export class StateManager {
         }
     }
 
+    /**
+     * Record a workbench recipe in the journal
+     * @param {string} recipeId - Recipe ID
+     * @returns {boolean} Whether it was discovered for the first time
+     */
+    discoverRecipe(recipeId) {
+        if (this.journal.recipes.has(recipeId)) return false;
+
+        this.journal.recipes.set(recipeId, {
+            discovered: true,
+            chapter: this.get('currentChapter')
+        });
+        return true;
+    }
+
+    /**
+     * Check whether a workbench recipe has been discovered
+     * @param {string} recipeId - Recipe ID
+     * @returns {boolean}
+     */
+    hasDiscoveredRecipe(recipeId) {
+        return this.journal.recipes.has(recipeId);
+    }
+
     /**
      * Get discovered characters
      * @returns {Array}
@@ -396,17 +521,57 @@ export class StateManager {
         }));
     }
 
+    // ==================== NEW GAME+ ====================
+
+    /**
+     * Get what this run has discovered, for a later New Game+
+     * @returns {Object} { characters, items, recipes } journal records by ID
+     */
+    getCarryOver() {
+        return {
+            characters: Object.fromEntries(this.journal.characters),
+            items: Object.fromEntries(this.journal.items),
+            recipes: Object.fromEntries(this.journal.recipes)
+        };
+    }
+
+    /**
+     * Start a fresh run with what an earlier one passed on
+     * Sets the ngplus flag and ending_<id>_seen for every ending reached,
+     * so scripts can greet returning players.
+     * @param {Object} carryOver - { characters, items, recipes, endings }
+     */
+    applyCarryOver({ characters = {}, items = {}, recipes = {}, endings = [] } = {}) {
+        for (const [id, data] of Object.entries(characters)) {
+            this.journal.characters.set(id, data);
+        }
+        for (const [id, data] of Object.entries(items)) {
+            this.journal.items.set(id, data);
+        }
+        for (const [id, data] of Object.entries(recipes)) {
+            this.journal.recipes.set(id, data);
+        }
+        for (const endingId of endings) {
+            this.setFlag(`ending_${endingId}_seen`);
+        }
+        this.setFlag('ngplus');
+    }
+
     // ==================== CONDITIONS ====================
 
     /**
      * Evaluate a condition
      * @param {Object|string} condition - Condition to evaluate
+     * @param {Object} [context] - Extra values visible to expressions
      * @returns {boolean}
      */
-    evaluateCondition(condition) {
+    evaluateCondition(condition, context = {}) {
         if (typeof condition === 'string') {
-            // Simple flag check
-            return this.hasFlag(condition);
+            // A bare name is a simple flag check, anything else an expression
+            if (isFlagName(condition)) {
+                return this.hasFlag(condition);
+            }
+            return Boolean(this.evaluateExpression(condition, context));
         }
 
         if (!condition || typeof condition !== 'object') {
@@ -434,15 +599,21 @@ export class StateManager {
                 return this.compareValues(this.get('currentChapter'), operator, value);
             
             case 'and':
-                return condition.conditions.every(c => this.evaluateCondition(c));
+                return condition.conditions.every(c => this.evaluateCondition(c, context));
             
             case 'or':
-                return condition.conditions.some(c => this.evaluateCondition(c));
+                return condition.conditions.some(c => this.evaluateCondition(c, context));
             
             case 'not':
-                return !this.evaluateCondition(condition.condition);
+                return !this.evaluateCondition(condition.condition, context);
+            
+            case 'expression':
+                return Boolean(this.evaluateExpression(condition.expression, context));
             
             default:
+                if (this.conditions.has(type)) {
+                    return Boolean(this.conditions.get(type)(condition));
+                }
                 console.warn(`Unknown condition type: ${type}`);
                 return true;
         }
@@ -476,6 +647,81 @@ export class StateManager {
         }
     }
 
+    // ==================== EXPRESSIONS ====================
+
+    /**
+     * Evaluate an expression such as "trust_elara >= 3 && has('gear')"
+     * Names resolve to overrides, then variables, then context values, then
+     * the player's details (player.name, player.pronouns), then flags (true
+     * when set); anything unknown reads as 0.
+     * @param {string} source - Expression source
+     * @param {Object} context - Extra values visible to the expression
+     * @param {Object} [overrides] - Values that win over variables (e.g. an event's fields)
+     * @returns {*} Result, or undefined if the expression is invalid
+     */
+    evaluateExpression(source, context = {}, overrides = {}) {
+        try {
+            return evaluate(compileExpression(source), this.getExpressionScope(context, overrides));
+        } catch (error) {
+            console.warn(`Expression failed: ${error.message}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Apply an assignment such as "gold = gold - price" to a variable
+     * @param {string} source - Assignment source
+     * @param {Object} context - Extra values visible to the expression
+     * @returns {boolean} Success
+     */
+    applyAssignment(source, context = {}) {
+        try {
+            const { name, operator, expression } = compileAssignment(source);
+            const scope = this.getExpressionScope(context);
+            let value = evaluate(expression, scope);
+
+            if (operator !== '=') {
+                value = applyOperator(operator[0], scope.resolve(name), value);
+            }
+
+            this.setVariable(name, value);
+            return true;
+        } catch (error) {
+            console.warn(`Assignment failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Build the name and function lookup used by expressions
+     * @param {Object} context - Extra values visible to the expression
+     * @param {Object} [overrides] - Values that win over variables
+     * @returns {Object} Scope
+     */
+    getExpressionScope(context = {}, overrides = {}) {
+        return {
+            resolve: (name) => {
+                if (Object.hasOwn(overrides, name)) return overrides[name];
+                if (this.variables.has(name)) return this.variables.get(name);
+                if (Object.hasOwn(context, name) && context[name] !== undefined) return context[name];
+                if (name.startsWith('player.')) {
+                    const player = this.getPlayer();
+                    const field = name.slice('player.'.length);
+                    if (Object.hasOwn(player, field) && player[field] !== undefined) return player[field];
+                }
+                if (this.hasFlag(name)) return true;
+                return 0;
+            },
+            call: (name, args) => {
+                const fn = this.functions.get(name);
+                if (!fn) {
+                    throw new Error(`Unknown function: ${name}()`);
+                }
+                return fn(...args);
+            }
+        };
+    }
+
     // ==================== SUBSCRIPTIONS ====================
 
     /**
@@ -521,10 +767,11 @@ export class StateManager {
 
     /**
      * Save current state to history
+     * @param {Object} [meta] - Extra data to keep with this point (e.g. script position)
      */
-    saveToHistory() {
+    saveToHistory(meta = null) {
         const snapshot = this.getAll();
-        this.history.push(deepClone(snapshot));
+        this.history.push({ state: deepClone(snapshot), meta });
         
         if (this.history.length > this.maxHistory) {
             this.history.shift();
@@ -533,16 +780,33 @@ export class StateManager {
 
     /**
      * Restore previous state from history
-     * @returns {boolean} - Whether restore was successful
+     * @param {number} [steps=1] - How many points to go back; the last one popped is restored
+     * @returns {Object|null} - The restored { state, meta } entry, or null if history is too short
      */
-    restoreFromHistory() {
-        if (this.history.length === 0) {
-            return false;
+    restoreFromHistory(steps = 1) {
+        if (!this.canRestoreFromHistory(steps)) {
+            return null;
         }
 
-        const previousState = this.history.pop();
-        this.loadAll(previousState);
-        return true;
+        const entry = this.history.splice(this.history.length - steps)[0];
+        this.loadAll(entry.state);
+        return entry;
+    }
+
+    /**
+     * Check if history reaches back far enough
+     * @param {number} [steps=1] - Points to go back
+     * @returns {boolean}
+     */
+    canRestoreFromHistory(steps = 1) {
+        return steps > 0 && this.history.length >= steps;
+    }
+
+    /**
+     * Forget all history (a rollback barrier)
+     */
+    clearHistory() {
+        this.history = [];
     }
 
     /**
@@ -0,0 +1,190 @@
+/**
+ * Workbench - Combining inventory items into new ones
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Recipes are declared in data/recipes.json:
+ *
+ *   { "id": "repair_schematic", "name": "...",
+ *     "ingredients": { "diagnosis_notes": 1, "broken_automaton": 1 },
+ *     "keep": ["broken_automaton"], "result": { "repair_schematic": 1 },
+ *     "condition": "diagnosed_automaton", "success": "...", "failure": "..." }
+ *
+ * Items laid on the bench are combined by the recipe whose ingredients
+ * match them exactly. If its condition does not hold, or its result would
+ * not fit in the inventory, nothing is used up and the failure text is
+ * shown. A recipe is discovered, and kept in the journal, the first time
+ * it succeeds.
+ */
+
+import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { localization } from '../utils/Localization.js';
+
+// Sounds played when a combination works or does not
+const SUCCESS_SFX = 'craft_success';
+const FAILURE_SFX = 'craft_fail';
+
+/**
+ * Count the items laid on the bench
+ * @param {Array<string>} itemIds - One entry per item (repeated for several of the same)
+ * @returns {Map<string, number>} Item ID -> quantity
+ */
+function countItems(itemIds) {
+    const counts = new Map();
+    for (const itemId of itemIds) {
+        counts.set(itemId, (counts.get(itemId) || 0) + 1);
+    }
+    return counts;
+}
+
+export class Workbench {
+    /**
+     * @param {StateManager} stateManager - State holding the inventory and journal
+     */
+    constructor(stateManager) {
+        this.events = globalEvents;
+        this.state = stateManager;
+
+        // Recipe definitions in journal order
+        this.recipes = [];
+    }
+
+    /**
+     * Set the recipe definitions
+     * @param {Array<Object>} recipes - From data/recipes.json
+     */
+    define(recipes = []) {
+        this.recipes = recipes.filter(recipe => {
+            if (!recipe?.id) {
+                console.warn('Recipe without an id ignored');
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Get a recipe definition
+     * @param {string} recipeId - Recipe ID
+     * @returns {Object|null}
+     */
+    get(recipeId) {
+        return this.recipes.find(recipe => recipe.id === recipeId) || null;
+    }
+
+    /**
+     * Find the recipe whose ingredients are exactly the items given
+     * @param {Array<string>} itemIds - Items on the bench
+     * @returns {Object|null}
+     */
+    findRecipe(itemIds) {
+        const counts = countItems(itemIds);
+
+        return this.recipes.find(recipe => {
+            const ingredients = Object.entries(recipe.ingredients || {});
+            return ingredients.length === counts.size &&
+                ingredients.every(([itemId, quantity]) => counts.get(itemId) === quantity);
+        }) || null;
+    }
+
+    /**
+     * Combine items from the inventory
+     * @param {Array<string>} itemIds - Items on the bench
+     * @returns {Object} { success, recipe, message, result }
+     */
+    combine(itemIds) {
+        const counts = countItems(itemIds);
+        const recipe = [...counts].every(([itemId, quantity]) => this.state.hasItem(itemId, quantity))
+            ? this.findRecipe(itemIds)
+            : null;
+
+        if (!recipe || (recipe.condition && !this.state.evaluateCondition(recipe.condition))) {
+            return this.fail(recipe, itemIds, recipe?.failure
+                ? localization.t(`recipes.${recipe.id}.failure`, recipe.failure)
+                : localization.t('ui.workbench.noRecipe', 'Nothing comes of it.'));
+        }
+
+        const result = recipe.result || {};
+        if (!Object.entries(result).every(([itemId, quantity]) => this.state.canAddItem(itemId, quantity))) {
+            return this.fail(recipe, itemIds, localization.t('ui.workbench.full', 'You can\'t hold any more of that.'));
+        }
+
+        const keep = new Set(recipe.keep || []);
+        for (const [itemId, quantity] of Object.entries(recipe.ingredients)) {
+            if (!keep.has(itemId)) {
+                this.state.removeItem(itemId, quantity);
+            }
+        }
+
+        for (const [itemId, quantity] of Object.entries(result)) {
+            this.state.addItem(itemId, quantity);
+        }
+
+        if (this.state.discoverRecipe(recipe.id)) {
+            this.events.emit(GameEvents.RECIPE_DISCOVER, { recipeId: recipe.id, name: this.getName(recipe) });
+        }
+
+        this.events.emit(GameEvents.SFX_PLAY, { sound: recipe.sfx || SUCCESS_SFX });
+        this.events.emit(GameEvents.CRAFT_SUCCESS, { recipeId: recipe.id, result });
+
+        return {
+            success: true,
+            recipe,
+            message: recipe.success ? localization.t(`recipes.${recipe.id}.success`, recipe.success) : '',
+            result
+        };
+    }
+
+    /**
+     * Report a combination that did not work
+     * @param {Object|null} recipe - Recipe matched, if any
+     * @param {Array<string>} itemIds - Items on the bench
+     * @param {string} message - Text to show
+     * @returns {Object} { success, recipe, message, result }
+     */
+    fail(recipe, itemIds, message) {
+        this.events.emit(GameEvents.SFX_PLAY, { sound: FAILURE_SFX });
+        this.events.emit(GameEvents.CRAFT_FAIL, { recipeId: recipe?.id ?? null, itemIds: [...itemIds] });
+        return { success: false, recipe, message, result: {} };
+    }
+
+    /**
+     * Get a recipe's name in the current language
+     * @param {Object} recipe - Recipe definition
+     * @returns {string}
+     */
+    getName(recipe) {
+        return localization.t(`recipes.${recipe.id}.name`, recipe.name || recipe.id);
+    }
+
+    /**
+     * Describe the recipes discovered in this playthrough, for the journal
+     * @returns {Array<Object>} { id, name, ingredients, result }
+     */
+    getDiscovered() {
+        return this.recipes
+            .filter(recipe => this.state.hasDiscoveredRecipe(recipe.id))
+            .map(recipe => ({
+                id: recipe.id,
+                name: this.getName(recipe),
+                ingredients: recipe.ingredients || {},
+                result: recipe.result || {}
+            }));
+    }
+}
+
+/**
+ * Get every recipe name and text, for the English base table
+ * @param {Array<Object>} recipes - From data/recipes.json
+ * @returns {Object} Key to English text
+ */
+export function getRecipeStrings(recipes = []) {
+    const strings = {};
+    for (const recipe of recipes) {
+        for (const field of ['name', 'success', 'failure']) {
+            if (recipe[field]) strings[`recipes.${recipe.id}.${field}`] = recipe[field];
+        }
+    }
+    return strings;
+}
+
+export default Workbench;
@@ -0,0 +1,495 @@
+/**
+ * Workshop - Days of side jobs between story chapters
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * When a chapter ends, the shop stays open for a number of in-game days
+ * before the next one begins. Each day brings a queue of optional jobs made
+ * from templates in data/workshop.json, each one an existing puzzle config
+ * with some of its fields picked from lists:
+ *
+ *   { "jobsPerDay": 3, "days": { "2": 2 },
+ *     "customers": [{ "id": "baker", "name": "Hollis the Baker" }],
+ *     "templates": [{ "id": "music_box", "title": "A music box for {customer}",
+ *                     "puzzle": "ch3_sequence", "payment": 15,
+ *                     "params": { "difficulty": ["easy", "normal"], "maxRounds": [2, 3] },
+ *                     "condition": "reputation >= 1", "rewards": [] }] }
+ *
+ * Open customer orders are offered every day until they are delivered.
+ * The calendar is the state variable day. Each day's side jobs are drawn
+ * from it and a per-run seed when the day starts and kept in state, so the
+ * queue stays put for the day and comes back after a save or a rollback.
+ */
+
+import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { localization } from '../utils/Localization.js';
+
+export const DAY_VARIABLE = 'day';
+
+// Chapter the workshop leads into (0 while the story is playing), and the day it begins
+export const WORKSHOP_CHAPTER_VARIABLE = 'workshop_chapter';
+export const WORKSHOP_OPENS_VARIABLE = 'workshop_opens';
+
+// Seed the job queues are drawn from, picked once per run
+export const WORKSHOP_SEED_VARIABLE = 'workshop_seed';
+
+// Templates of today's side jobs, in queue order
+export const WORKSHOP_QUEUE_VARIABLE = 'workshop_queue';
+
+// Jobs finished today, as workshop_job_<templateId>_done
+export const JOB_FLAG_PREFIX = 'workshop_job_';
+
+// Puzzles started for jobs are job_<templateId>
+export const JOB_PUZZLE_PREFIX = 'job_';
+
+/**
+ * Make a repeatable random number generator
+ * @param {number} seed - Seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function seededRandom(seed) {
+    let value = seed >>> 0;
+    return () => {
+        value = (value + 0x6D2B79F5) >>> 0;
+        let t = value;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class Workshop {
+    /**
+     * @param {StateManager} stateManager - State holding the calendar
+     * @param {Economy} economy - Economy paying for jobs and holding the orders
+     */
+    constructor(stateManager, economy) {
+        this.events = globalEvents;
+        this.state = stateManager;
+        this.economy = economy;
+
+        // Puzzle factory the jobs are played with
+        this.puzzles = null;
+
+        this.jobsPerDay = 3;
+        this.days = {};
+        this.customers = [];
+        this.templates = [];
+
+        // Job being played, if any
+        this.activeJob = null;
+
+        this.unsubscribers = [
+            this.events.on(GameEvents.STATE_CHANGE, ({ type }) => {
+                if (type === 'reset' || type === 'load') this.seedValues();
+            })
+        ];
+    }
+
+    /**
+     * Set the templates, customers and how many days come before each chapter
+     * @param {Object} data - From data/workshop.json
+     */
+    define(data = {}) {
+        this.jobsPerDay = data.jobsPerDay ?? 3;
+        this.days = data.days || {};
+        this.customers = data.customers || [];
+        this.templates = (data.templates || []).filter(template => {
+            if (!template?.id) {
+                console.warn('Job template without an id ignored');
+                return false;
+            }
+            return true;
+        });
+        this.seedValues();
+    }
+
+    /**
+     * Set what plays the jobs' puzzles
+     * @param {PuzzleFactory} puzzles - Puzzle factory
+     */
+    setPuzzleFactory(puzzles) {
+        this.puzzles = puzzles;
+    }
+
+    /**
+     * Give a new game (or a save from before the workshop) its calendar
+     */
+    seedValues() {
+        const initial = {
+            [DAY_VARIABLE]: 1,
+            [WORKSHOP_CHAPTER_VARIABLE]: 0,
+            [WORKSHOP_OPENS_VARIABLE]: 0,
+            [WORKSHOP_SEED_VARIABLE]: Math.floor(Math.random() * 0x7FFFFFFF),
+            [WORKSHOP_QUEUE_VARIABLE]: []
+        };
+        for (const [name, value] of Object.entries(initial)) {
+            if (!this.state.variables.has(name)) {
+                this.state.setVariable(name, value);
+            }
+        }
+    }
+
+    // ==================== CALENDAR ====================
+
+    /**
+     * Get the day on the calendar
+     * @returns {number}
+     */
+    getDay() {
+        return this.state.getVariable(DAY_VARIABLE, 1);
+    }
+
+    /**
+     * Get the chapter the workshop leads into
+     * @returns {number} 0 while the story is playing
+     */
+    getNextChapter() {
+        return this.state.getVariable(WORKSHOP_CHAPTER_VARIABLE, 0);
+    }
+
+    /**
+     * Check whether the shop is open for side jobs
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.getNextChapter() > 0;
+    }
+
+    /**
+     * Get how many workshop days come before a chapter
+     * @param {number} chapterNum - Chapter number
+     * @returns {number}
+     */
+    getDaysBefore(chapterNum) {
+        return this.days[chapterNum] ?? 0;
+    }
+
+    /**
+     * Get how many workshop days are left, today included
+     * @returns {number}
+     */
+    getDaysLeft() {
+        return Math.max(0, this.state.getVariable(WORKSHOP_OPENS_VARIABLE, 0) - this.getDay());
+    }
+
+    /**
+     * Open the shop for the days before a chapter
+     * Opening it again for the same chapter (after loading a save) keeps its calendar.
+     * @param {number} chapterNum - Chapter that follows
+     * @returns {boolean} Whether there are workshop days before it
+     */
+    begin(chapterNum) {
+        const days = this.getDaysBefore(chapterNum);
+        if (days <= 0) return false;
+
+        if (this.getNextChapter() !== chapterNum) {
+            this.state.setVariable(WORKSHOP_CHAPTER_VARIABLE, chapterNum);
+            this.startDay(this.getDay() + 1);
+            this.state.setVariable(WORKSHOP_OPENS_VARIABLE, this.getDay() + days);
+        }
+
+        this.open();
+        return true;
+    }
+
+    /**
+     * Show the workshop
+     */
+    open() {
+        this.events.emit(GameEvents.WORKSHOP_OPEN, {
+            day: this.getDay(),
+            chapter: this.getNextChapter(),
+            daysLeft: this.getDaysLeft()
+        });
+    }
+
+    /**
+     * Turn the calendar to a new day with a fresh queue
+     * @param {number} day - Day
+     */
+    startDay(day) {
+        for (const templateId of this.getQueue()) {
+            this.state.clearFlag(`${JOB_FLAG_PREFIX}${templateId}_done`);
+        }
+        this.state.setVariable(DAY_VARIABLE, day);
+        this.state.setVariable(WORKSHOP_QUEUE_VARIABLE, this.drawQueue(day));
+        this.events.emit(GameEvents.DAY_START, { day });
+    }
+
+    /**
+     * Close up for the day; after the last one the next chapter begins
+     * @returns {number|null} The chapter that begins, if the workshop is over
+     */
+    endDay() {
+        if (!this.isActive() || this.activeJob) return null;
+
+        this.startDay(this.getDay() + 1);
+        if (this.getDaysLeft() > 0) {
+            this.open();
+            return null;
+        }
+
+        const chapter = this.getNextChapter();
+        this.state.setVariable(WORKSHOP_CHAPTER_VARIABLE, 0);
+        this.events.emit(GameEvents.WORKSHOP_CLOSE, { day: this.getDay(), chapter });
+        return chapter;
+    }
+
+    // ==================== JOBS ====================
+
+    /**
+     * Get today's jobs: open orders first, then the day's side jobs
+     * @returns {Array<Object>} { index, kind, id, title, description, customer, type, payment, config, done, missing }
+     */
+    getJobs() {
+        const orders = this.economy.getTakenOrders()
+            .filter(order => !order.complete)
+            .map(order => {
+                const definition = this.economy.getOrder(order.id);
+                return {
+                    kind: 'order',
+                    id: order.id,
+                    title: order.title,
+                    description: order.description,
+                    customer: order.customer,
+                    payment: order.payment,
+                    config: definition.puzzle,
+                    done: false
+                };
+            });
+
+        const jobs = [...orders, ...this.getSideJobs()];
+        return jobs.map((job, index) => {
+            const config = typeof job.config === 'string'
+                ? this.puzzles?.puzzleConfigs.get(job.config)
+                : job.config;
+            return {
+                ...job,
+                index,
+                type: config?.type ?? null,
+                difficulty: config?.difficulty ?? null,
+                missing: config && this.puzzles
+                    ? this.puzzles.getRequiredItems(config).filter(itemId => !this.state.hasItem(itemId))
+                    : []
+            };
+        });
+    }
+
+    /**
+     * Get the templates of today's side jobs, as drawn when the day started
+     * @returns {Array<string>} Template IDs
+     */
+    getQueue() {
+        return this.state.getVariable(WORKSHOP_QUEUE_VARIABLE, []);
+    }
+
+    /**
+     * Get the seed a day's queue and its jobs are drawn from
+     * @param {number} day - Day
+     * @returns {number}
+     */
+    getDaySeed(day) {
+        return this.state.getVariable(WORKSHOP_SEED_VARIABLE, 0) + day * 7919;
+    }
+
+    /**
+     * Draw a day's side jobs from the templates whose conditions hold
+     * @param {number} day - Day
+     * @returns {Array<string>} Template IDs
+     */
+    drawQueue(day) {
+        if (!this.puzzles) {
+            console.warn('Workshop has no puzzle factory, so no side jobs can be drawn');
+            return [];
+        }
+
+        const random = seededRandom(this.getDaySeed(day));
+        const pool = this.templates.filter(template =>
+            day >= (template.minDay ?? 0) &&
+            (!template.condition || this.state.evaluateCondition(template.condition)) &&
+            this.puzzles.puzzleConfigs.has(template.puzzle));
+
+        const queue = [];
+        while (queue.length < this.jobsPerDay && pool.length > 0) {
+            queue.push(pool.splice(Math.floor(random() * pool.length), 1)[0].id);
+        }
+        return queue;
+    }
+
+    /**
+     * Make today's side jobs from the queue
+     * @returns {Array<Object>}
+     */
+    getSideJobs() {
+        if (!this.puzzles) return [];
+
+        return this.getQueue()
+            .map((templateId, slot) => {
+                const template = this.templates.find(entry => entry.id === templateId);
+                if (!template || !this.puzzles.puzzleConfigs.has(template.puzzle)) return null;
+                return this.makeJob(template, seededRandom(this.getDaySeed(this.getDay()) + slot + 1));
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Make a side job from a template
+     * @param {Object} template - Job template
+     * @param {Function} random - Seeded random numbers
+     * @returns {Object}
+     */
+    makeJob(template, random) {
+        const pick = (list) => list[Math.floor(random() * list.length)];
+
+        const customerIds = template.customers || this.customers.map(customer => customer.id);
+        const customer = customerIds.length > 0 ? pick(customerIds) : null;
+        const title = localization.t(`workshop.${template.id}.title`, template.title || template.id, {
+            customer: customer ? this.getCustomerName(customer) : ''
+        });
+        const description = localization.t(`workshop.${template.id}.description`, template.description || '');
+
+        // The base puzzle, with the template's picks and none of the story's rewards
+        const config = {
+            ...localization.localizePuzzle(this.puzzles.puzzleConfigs.get(template.puzzle)),
+            id: JOB_PUZZLE_PREFIX + template.id,
+            title,
+            description,
+            rewards: template.rewards || []
+        };
+        for (const [field, values] of Object.entries(template.params || {})) {
+            if (Array.isArray(values) && values.length > 0) {
+                config[field] = pick(values);
+            }
+        }
+
+        return {
+            kind: 'job',
+            id: template.id,
+            title,
+            description,
+            customer,
+            payment: template.payment || 0,
+            reputation: template.reputation ?? 0,
+            config,
+            done: this.state.hasFlag(`${JOB_FLAG_PREFIX}${template.id}_done`)
+        };
+    }
+
+    /**
+     * Get a side-job customer's name in the current language
+     * @param {string} customerId - Customer ID
+     * @returns {string}
+     */
+    getCustomerName(customerId) {
+        const customer = this.customers.find(entry => entry.id === customerId);
+        return localization.t(`workshop.customers.${customerId}`, customer?.name || customerId);
+    }
+
+    /**
+     * Play one of today's jobs
+     * The puzzle is made by PuzzleFactory.create, from the order's config or the job's.
+     * @param {number} index - Job index from getJobs()
+     * @returns {Promise<Object>} { success, payment, message }
+     */
+    async startJob(index) {
+        if (!this.puzzles) {
+            console.warn('Workshop has no puzzle factory, so jobs cannot be played');
+            return { success: false, payment: 0, message: '' };
+        }
+
+        const job = this.getJobs()[index];
+        if (!job || job.done || this.activeJob) {
+            return { success: false, payment: 0, message: '' };
+        }
+        if (job.missing.length > 0) {
+            return { success: false, payment: 0, message: localization.t('ui.workshop.missing', 'You need parts from the vendor first.') };
+        }
+
+        const instance = await this.puzzles.startPuzzle(job.config);
+        if (!instance) {
+            return { success: false, payment: 0, message: '' };
+        }
+        this.activeJob = job;
+
+        const result = await new Promise(resolve => {
+            const unsubscribers = [
+                this.events.on(GameEvents.PUZZLE_COMPLETE, (data) => {
+                    if (data.puzzleId === instance.id) finish({ ...data, success: true });
+                }),
+                this.events.on(GameEvents.PUZZLE_FAIL, (data) => {
+                    if (data.puzzleId === instance.id) finish({ ...data, success: false });
+                })
+            ];
+            const finish = (data) => {
+                unsubscribers.forEach(unsubscribe => unsubscribe());
+                resolve(data);
+            };
+        });
+        this.activeJob = null;
+
+        if (!result.success) {
+            instance.destroy();
+            return { success: false, payment: 0, message: localization.t('ui.workshop.failed', 'The job will have to wait.') };
+        }
+
+        return this.completeJob(job, result.score);
+    }
+
+    /**
+     * Pay for a finished job and mark it done
+     * Orders are paid by the economy when their puzzle is solved.
+     * @param {Object} job - Job from getJobs()
+     * @param {number} score - Puzzle score
+     * @returns {Object} { success, payment, message }
+     */
+    completeJob(job, score) {
+        const payment = this.economy.getPayment(job, score);
+
+        if (job.kind === 'job') {
+            this.state.setFlag(`${JOB_FLAG_PREFIX}${job.id}_done`, true);
+            this.state.incrementVariable('reputation', job.reputation);
+            this.economy.earn(payment, 'job');
+        }
+
+        this.events.emit(GameEvents.JOB_COMPLETE, {
+            jobId: job.id,
+            kind: job.kind,
+            day: this.getDay(),
+            score,
+            payment
+        });
+
+        return {
+            success: true,
+            payment,
+            message: localization.t('ui.workshop.paid', '{title}: paid {payment} gold', { title: job.title, payment })
+        };
+    }
+
+    /**
+     * Stop listening for events
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+/**
+ * Get every customer name and job text, for the English base table
+ * @param {Object} data - From data/workshop.json
+ * @returns {Object} Key to English text
+ */
+export function getWorkshopStrings(data = {}) {
+    const strings = {};
+    for (const customer of data.customers || []) {
+        if (customer.name) strings[`workshop.customers.${customer.id}`] = customer.name;
+    }
+    for (const template of data.templates || []) {
+        if (template.title) strings[`workshop.${template.id}.title`] = template.title;
+        if (template.description) strings[`workshop.${template.id}.description`] = template.description;
+    }
+    return strings;
+}
+
+export default Workshop;
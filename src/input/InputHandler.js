@@ -68,6 +68,10 @@ export class InputHandler {
         this.bindings.set('menu', ['Escape', 'Tab']);
         this.bindings.set('inventory', ['KeyI', 'Tab']);
         this.bindings.set('journal', ['KeyJ']);
+        this.bindings.set('backlog', ['KeyL', 'PageUp']);
+        this.bindings.set('auto', ['KeyO']);
+        this.bindings.set('skip', ['KeyK']);
+        this.bindings.set('rollback', ['Backspace']);
         this.bindings.set('quickSave', ['F5']);
         this.bindings.set('quickLoad', ['F9']);
     }
@@ -183,6 +187,10 @@ export class InputHandler {
             if (!this.enabled) return;
             
             this.mouse.wheel = e.deltaY;
+            
+            this.events.emit(GameEvents.INPUT_WHEEL, {
+                deltaY: e.deltaY
+            });
         });
 
         document.addEventListener('contextmenu', (e) => {
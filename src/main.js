@@ -8,6 +8,8 @@
 import { gameManager } from './core/GameManager.js';
 import { globalEvents, GameEvents } from './utils/EventEmitter.js';
 import { assetLoader } from './utils/AssetLoader.js';
+import { localization } from './utils/Localization.js';
+import { rich, setHtml } from './utils/SafeHtml.js';
 
 // Managers
 import { AudioManager } from './audio/AudioManager.js';
@@ -18,6 +20,10 @@ import { DialogueRenderer } from './narrative/DialogueRenderer.js';
 import { NarrativeParser } from './narrative/NarrativeParser.js';
 import { ChoiceManager } from './narrative/ChoiceManager.js';
 import { CharacterManager } from './narrative/CharacterManager.js';
+import { ScriptInterpreter } from './narrative/ScriptInterpreter.js';
+import { Backlog } from './narrative/Backlog.js';
+import { ReadRegistry } from './narrative/ReadRegistry.js';
+import { ItemInteractions, ITEM_DRAG_TYPE } from './narrative/ItemInteractions.js';
 import { PuzzleFactory } from './puzzles/PuzzleFactory.js';
 
 /**
@@ -31,11 +37,16 @@ class BefixedGame {
         this.audio = null;
         this.ui = null;
         this.particles = null;
+        this.benchParticles = null;
         this.input = null;
         this.dialogue = null;
         this.narrative = null;
         this.choices = null;
         this.characters = null;
+        this.interpreter = null;
+        this.backlog = null;
+        this.readLines = null;
+        this.items = null;
         this.puzzles = null;
     }
 
@@ -78,6 +89,9 @@ class BefixedGame {
      * Initialize all sub-systems
      */
     async initSubSystems() {
+        // String tables (before anything shows text)
+        await localization.init(gameManager.saves.loadSettings().language);
+
         // Audio system
         this.audio = new AudioManager();
         await this.audio.init();
@@ -91,9 +105,14 @@ class BefixedGame {
         this.particles.init('effects-canvas');
         this.particles.init('menu-particles');
 
+        // The workbench draws its own, above the overlay
+        this.benchParticles = new ParticleSystem();
+        this.benchParticles.init('workbench-particles');
+
         // Narrative systems
         this.dialogue = new DialogueRenderer();
         this.dialogue.init();
+        this.dialogue.onExpression = (expression, line) => this.showSpeaker({ ...line, emotion: expression });
 
         this.narrative = new NarrativeParser(gameManager.state);
         
@@ -103,10 +122,19 @@ class BefixedGame {
         this.characters = new CharacterManager(gameManager.state);
         await this.characters.init();
 
+        this.backlog = new Backlog();
+        this.readLines = new ReadRegistry(gameManager.profile);
+        this.items = new ItemInteractions(gameManager.state, this.narrative);
+
         // Puzzle system
         this.puzzles = new PuzzleFactory(gameManager.state);
+        this.puzzles.setItemInteractions(this.items);
         await this.puzzles.init();
 
+        // Script runtime
+        this.interpreter = new ScriptInterpreter(gameManager.state, this.narrative);
+        this.registerScriptExecutors();
+
         // UI Manager (initialized last, needs game manager)
         this.ui = new UIManager(gameManager);
     }
@@ -123,6 +151,10 @@ class BefixedGame {
             parser: this.narrative,
             choices: this.choices,
             characters: this.characters,
+            interpreter: this.interpreter,
+            backlog: this.backlog,
+            readLines: this.readLines,
+            items: this.items,
             
             // Convenience method for starting dialogue
             startDialogue: async (dialogueData) => {
@@ -133,6 +165,11 @@ class BefixedGame {
                 }
             },
             
+            // Script runtime
+            loadChapter: (chapterData) => this.interpreter.loadChapter(chapterData),
+            run: (sceneId, path) => this.interpreter.run(sceneId, path),
+            stop: () => this.stopScript(),
+            
             // Continue narrative
             continue: (nextScene) => {
                 if (nextScene) {
@@ -140,64 +177,200 @@ class BefixedGame {
                 } else {
                     gameManager.scenes.nextScene();
                 }
-            }
+            },
+            
+            update: (deltaTime) => this.dialogue.update(deltaTime)
         };
         gameManager.puzzles = this.puzzles;
+        gameManager.workshop.setPuzzleFactory(this.puzzles);
+
+        // Parsed on its own, so the running chapter is left alone
+        gameManager.achievements.registerGoal('choiceOptions', ({ chapter }) => {
+            const chapterData = gameManager.chapters.get(chapter);
+            if (!chapterData) return null;
+            const parser = new NarrativeParser(gameManager.state);
+            parser.parseChapter(chapterData);
+            return parser.countChoiceOptions();
+        });
+
+        this.interpreter.setHooks({
+            enterScene: (sceneId) => gameManager.scenes.goToScene(sceneId),
+            enterChapter: (chapterNum, sceneId) => gameManager.enterChapter(chapterNum, sceneId),
+            endChapter: async () => {
+                this.dialogue.hide();
+                this.hideNarration();
+                globalEvents.emit(GameEvents.CHAPTER_END, {
+                    chapter: gameManager.currentChapter
+                });
+            }
+        });
+    }
+
+    /**
+     * Stop the running script and clear whatever it left on screen
+     */
+    stopScript() {
+        this.interpreter.stop();
+        this.items.select(null);
+        this.dialogue.setMode('normal');
+        this.dialogue.hide();
+        this.hideNarration();
+
+        if (this.choices.isActive()) {
+            this.choices.hide();
+        }
+        if (this.puzzles.isActive()) {
+            this.puzzles.getCurrentPuzzle().destroy();
+        }
+    }
+
+    /**
+     * Register executors for commands that drive the presentation layer
+     */
+    registerScriptExecutors() {
+        const run = this.interpreter;
+
+        run.registerExecutor('dialogue', async (item) => {
+            gameManager.recordRollbackPoint();
+            this.hideNarration();
+            this.stopSkipAtUnread(item);
+            await this.showSpeaker(item);
+            const characterId = this.characters.findByName(item.speakerName ?? item.speaker)?.id ?? null;
+            this.backlog.addLine(item, characterId);
+            if (item.voice && !this.dialogue.isSkipping()) {
+                globalEvents.emit(GameEvents.VOICE_PLAY, { line: item.voice });
+            }
+            await this.dialogue.show({ ...item, characterId });
+            this.readLines.markRead(item);
+            await this.waitForAdvance(item);
+        });
+
+        run.registerExecutor('narration', async (item) => {
+            gameManager.recordRollbackPoint();
+            this.dialogue.hide();
+            this.stopSkipAtUnread(item);
+            this.backlog.addLine(item);
+            await this.showNarration(item.text);
+            this.readLines.markRead(item);
+            await this.waitForAdvance(item);
+        });
+
+        run.registerExecutor('choice', async (item) => {
+            gameManager.recordRollbackPoint();
+            const result = await this.choices.show(item);
+            if (result.next) {
+                return { jump: { target: result.next } };
+            }
+        });
+
+        run.registerExecutor('character', (item) => this.handleCharacterAction(item));
+
+        run.registerExecutor('relationship', (item) => this.characters.relationships.apply(item));
+
+        run.registerExecutor('order', (item) => gameManager.economy.apply(item));
+
+        run.registerExecutor('background', (item) => {
+            gameManager.scenes.setBackground(item.image);
+        });
+
+        run.registerExecutor('music', (item) => {
+            if (item.action === 'stop' || item.action === 'fade') {
+                return this.audio.stopMusic(item.action === 'fade', item.fadeTime);
+            }
+            this.audio.playMusic(item.track, {
+                volume: item.volume ?? 1,
+                fadeDuration: item.fadeTime ?? 1000
+            });
+        });
+
+        run.registerExecutor('sfx', (item) => {
+            this.audio.playSFX(item.sound, { volume: item.volume ?? 1 });
+        });
+
+        run.registerExecutor('puzzle', async (item) => {
+            this.dialogue.hide();
+            this.hideNarration();
+            await this.puzzles.playPuzzle(item.puzzleId, item.config);
+        });
+
+        run.registerExecutor('effect', (item) => this.playEffect(item));
+    }
+
+    /**
+     * Highlight the speaking character and apply the line's emotion
+     * @param {Object} item - Dialogue command
+     */
+    async showSpeaker(item) {
+        const character = this.characters.findByName(item.speakerName ?? item.speaker);
+        if (!character || !this.characters.isDisplayed(character.id)) {
+            this.characters.clearSpeaking();
+            return;
+        }
+
+        this.characters.setSpeaking(character.id);
+        if (item.emotion) {
+            await this.characters.setExpression({
+                character: character.id,
+                expression: item.emotion
+            });
+        }
     }
 
     /**
      * Run a dialogue sequence
      * @param {Array} sequence - Array of dialogue items
+     * @returns {Promise<string|null>} Jump target chosen during the sequence
      */
     async runDialogueSequence(sequence) {
-        for (const item of sequence) {
-            // Check conditions
-            if (item.condition && !gameManager.state.evaluateCondition(item.condition)) {
-                continue;
-            }
+        const control = await this.interpreter.runBlock(this.narrative.parseBlock(sequence));
+        return control?.jump?.target || null;
+    }
 
-            switch (item.type) {
-                case 'dialogue':
-                    await this.dialogue.show(item);
-                    await this.waitForAdvance();
-                    break;
-
-                case 'narration':
-                    await this.showNarration(item.text);
-                    await this.waitForAdvance();
-                    break;
-
-                case 'choice':
-                    const result = await this.choices.show(item);
-                    if (result.next) {
-                        return result.next; // Return jump target
-                    }
-                    break;
-
-                case 'character':
-                    await this.handleCharacterAction(item);
-                    break;
-
-                case 'wait':
-                    await new Promise(r => setTimeout(r, item.duration || 1000));
-                    break;
-
-                case 'puzzle':
-                    await this.puzzles.startPuzzle(item.puzzleId);
-                    break;
-            }
+    /**
+     * Play a screen effect
+     * @param {Object} item - Effect command
+     */
+    async playEffect(item) {
+        const params = item.params || {};
+
+        switch (item.effect) {
+            case 'shake':
+                await gameManager.scenes.screenShake(params.intensity, params.duration);
+                break;
+
+            case 'flash':
+                await gameManager.scenes.screenFlash(params.color, params.duration);
+                break;
+
+            case 'particles':
+                this.particles.emit(
+                    params.x ?? window.innerWidth / 2,
+                    params.y ?? window.innerHeight / 2,
+                    params.preset || 'magic'
+                );
+                break;
+
+            default:
+                console.warn(`Unknown effect: ${item.effect}`);
         }
-        
-        return null;
     }
 
     /**
-     * Wait for player to advance dialogue
+     * Wait for player to advance dialogue (or auto/skip mode to do it)
+     * @param {Object} [item] - Line being shown
      */
-    waitForAdvance() {
-        return new Promise(resolve => {
-            const unsubscribe = globalEvents.once(GameEvents.DIALOGUE_SKIP, resolve);
-        });
+    waitForAdvance(item) {
+        return this.dialogue.waitForAdvance(item);
+    }
+
+    /**
+     * Skip mode only fast-forwards through lines read in some playthrough
+     * @param {Object} item - Dialogue or narration command
+     */
+    stopSkipAtUnread(item) {
+        if (this.dialogue.isSkipping() && !this.readLines.hasRead(item)) {
+            this.dialogue.stopSkipping();
+        }
     }
 
     /**
@@ -209,7 +382,7 @@ class BefixedGame {
         const textEl = document.getElementById('narration-text');
         
         if (container && textEl) {
-            textEl.textContent = text;
+            setHtml(textEl, rich(text));
             container.classList.remove('narration-hidden');
         }
     }
@@ -261,15 +434,93 @@ class BefixedGame {
         }
     }
 
+    /**
+     * Use an inventory item on a character on stage
+     * A reaction with content plays it, then the script carries on from the
+     * line it was on.
+     * @param {string} itemId - Item ID
+     * @param {string} characterId - Character ID
+     */
+    async useItemOnCharacter(itemId, characterId) {
+        if (!this.ui.canUseStoryShortcuts()) return;
+
+        const reaction = this.items.use(itemId, { character: characterId });
+        if (!reaction) {
+            this.ui.showNotification(localization.t('ui.items.noEffect', 'Nothing happens'), 'info');
+            return;
+        }
+
+        if (reaction.response) {
+            this.ui.showNotification(reaction.response, 'info');
+        }
+        if (!reaction.content?.length) return;
+
+        this.stopScript();
+        await this.interpreter.interrupt(reaction.content);
+    }
+
     /**
      * Set up global event listeners
      */
     setupGlobalListeners() {
+        // Advance narration on click or confirm key
+        document.getElementById('narration-container')?.addEventListener('click', () => {
+            globalEvents.emit(GameEvents.DIALOGUE_SKIP);
+        });
+        document.addEventListener('keydown', (e) => {
+            const narration = document.getElementById('narration-container');
+            if ((e.code === 'Space' || e.code === 'Enter') &&
+                narration && !narration.classList.contains('narration-hidden')) {
+                e.preventDefault();
+                globalEvents.emit(GameEvents.DIALOGUE_SKIP);
+            }
+        });
+
+        // Use the held item on a character by clicking them, or drag one onto them
+        const characterLayer = document.getElementById('character-layer');
+        characterLayer?.addEventListener('click', (e) => {
+            const sprite = e.target.closest('.character-sprite[data-character-id]');
+            const itemId = this.items.getSelected();
+            if (sprite && itemId) {
+                this.useItemOnCharacter(itemId, sprite.dataset.characterId);
+            }
+        });
+        characterLayer?.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes(ITEM_DRAG_TYPE) && e.target.closest('.character-sprite')) {
+                e.preventDefault();
+            }
+        });
+        characterLayer?.addEventListener('drop', (e) => {
+            const sprite = e.target.closest('.character-sprite[data-character-id]');
+            const itemId = e.dataTransfer.getData(ITEM_DRAG_TYPE);
+            if (sprite && itemId) {
+                e.preventDefault();
+                this.useItemOnCharacter(itemId, sprite.dataset.characterId);
+            }
+        });
+
+        // Auto-advance and skip-read toggles
+        for (const mode of ['auto', 'skip']) {
+            document.getElementById(`btn-${mode}`)?.addEventListener('click', () => this.dialogue.toggleMode(mode));
+            globalEvents.on(`input:action:${mode}`, (data) => {
+                if (data.type === 'down' && gameManager.isRunning && !gameManager.ui?.activeOverlay) {
+                    this.dialogue.toggleMode(mode);
+                }
+            });
+        }
+        globalEvents.on(GameEvents.DIALOGUE_MODE_CHANGE, ({ mode }) => {
+            document.getElementById('btn-auto')?.classList.toggle('active', mode === 'auto');
+            document.getElementById('btn-skip')?.classList.toggle('active', mode === 'skip');
+        });
+
         // Handle dialogue completion
         globalEvents.on(GameEvents.DIALOGUE_SKIP, () => {
             this.hideNarration();
         });
 
+        // Keep the profile's playtime when the page is closed or hidden
+        window.addEventListener('pagehide', () => gameManager.profile.flush());
+
         // Handle puzzle completion
         globalEvents.on(GameEvents.PUZZLE_COMPLETE, (data) => {
             // Celebration effect
@@ -279,13 +530,22 @@ class BefixedGame {
             );
         });
 
+        // A successful combination sparks on the bench
+        globalEvents.on(GameEvents.CRAFT_SUCCESS, () => {
+            const bench = document.getElementById('workbench-slots')?.getBoundingClientRect();
+            this.benchParticles.repairComplete(
+                bench ? bench.left + bench.width / 2 : window.innerWidth / 2,
+                bench ? bench.top + bench.height / 2 : window.innerHeight / 2
+            );
+        });
+
         // Handle chapter start
         globalEvents.on(GameEvents.CHAPTER_START, async (data) => {
             // Show chapter card
             await gameManager.scenes.showChapterCard(
                 data.chapter,
-                data.data.title,
-                data.data.description
+                localization.t(`${data.data.id}.title`, data.data.title),
+                localization.t(`${data.data.id}.description`, data.data.description)
             );
         });
 
@@ -306,6 +566,8 @@ class BefixedGame {
             // Update particles
             this.particles.update(deltaTime);
             this.particles.render();
+            this.benchParticles.update(deltaTime);
+            this.benchParticles.render();
 
             // Update input
             this.input.update();
@@ -370,6 +632,7 @@ document.addEventListener('DOMContentLoaded', () => {
         game,
         gameManager,
         events: globalEvents,
-        assets: assetLoader
+        assets: assetLoader,
+        localization
     };
 });
@@ -0,0 +1,97 @@
+/**
+ * Backlog - Record of the dialogue and narration shown so far
+ * Befixed - Magic & Mechanical Repair Shop
+ */
+
+export class Backlog {
+    /**
+     * @param {number} [maxEntries=300] - Oldest lines are dropped beyond this
+     */
+    constructor(maxEntries = 300) {
+        this.entries = [];
+        this.maxEntries = maxEntries;
+    }
+
+    /**
+     * Record a dialogue or narration line as it was shown
+     * @param {Object} item - Prepared dialogue or narration command
+     * @param {string|null} [characterId] - Speaking character, for name colors
+     */
+    addLine(item, characterId = null) {
+        this.entries.push({
+            type: item.type,
+            speaker: item.speaker || null,
+            characterId,
+            text: item.text,
+            voice: item.voice || null,
+            timestamp: Date.now()
+        });
+
+        if (this.entries.length > this.maxEntries) {
+            this.entries.splice(0, this.entries.length - this.maxEntries);
+        }
+    }
+
+    /**
+     * Get the recorded lines
+     * @returns {Array<Object>}
+     */
+    getEntries() {
+        return [...this.entries];
+    }
+
+    /**
+     * Merge the lines with the choices made, in the order they happened
+     * Choices older than the oldest kept line are left out.
+     * @param {Array<Object>} choiceHistory - From ChoiceManager.getHistory()
+     * @returns {Array<Object>} Lines plus { type: 'choice', prompt, text, timestamp }
+     */
+    getTimeline(choiceHistory = []) {
+        const since = this.entries[0]?.timestamp ?? Infinity;
+
+        const choices = choiceHistory
+            .filter(choice => choice.timestamp >= since)
+            .map(choice => ({
+                type: 'choice',
+                prompt: choice.prompt || null,
+                text: choice.selectedOption?.text || '',
+                timestamp: choice.timestamp
+            }));
+
+        // Stable sort keeps a choice after the line shown in the same millisecond
+        return [...this.entries, ...choices].sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Get save data
+     * @returns {Array<Object>}
+     */
+    serialize() {
+        return this.getEntries();
+    }
+
+    /**
+     * Restore from save data
+     * @param {Array<Object>} [entries]
+     */
+    restore(entries = []) {
+        this.entries = Array.isArray(entries) ? entries.slice(-this.maxEntries) : [];
+    }
+
+    /**
+     * Forget the lines shown at or after a moment (rollback)
+     * @param {number} timestamp - Moment to rewind to
+     */
+    rewind(timestamp) {
+        this.entries = this.entries.filter(entry => entry.timestamp < timestamp);
+    }
+
+    /**
+     * Forget every line
+     */
+    clear() {
+        this.entries = [];
+    }
+}
+
+export default Backlog;
@@ -0,0 +1,406 @@
+/**
+ * BranchGraph - Scene and choice graph of a chapter, exportable as DOT or Mermaid
+ * Befixed - Magic & Mechanical Repair Shop
+ */
+
+export class BranchGraph {
+    /**
+     * @param {NarrativeParser} parser - Parser used to read the chapter
+     */
+    constructor(parser) {
+        this.parser = parser;
+
+        this.chapter = null;
+        this.nodes = new Map();
+        this.edges = [];
+        this.startScene = null;
+    }
+
+    /**
+     * Build the graph for a chapter
+     * @param {Object} chapterData - Raw chapter data
+     * @returns {BranchGraph}
+     */
+    build(chapterData) {
+        this.chapter = this.parser.parseChapter(chapterData);
+        this.nodes = new Map();
+        this.edges = [];
+
+        const sceneIds = Array.from(this.chapter.scenes.keys());
+        this.startScene = sceneIds[0] || null;
+
+        for (const scene of this.chapter.scenes.values()) {
+            this.addNode(scene.id, { kind: 'scene', label: scene.name || scene.id });
+        }
+
+        for (const scene of this.chapter.scenes.values()) {
+            this.addBlockEdges(scene, scene.content, [], []);
+
+            // Running off the end of a scene plays the next one, or ends the chapter
+            if (!this.blockTerminates(scene.content)) {
+                const next = this.parser.getNextSceneId(scene.id, this.chapter.scenes);
+                if (next) {
+                    this.addEdge(scene.id, next, { kind: 'continue' });
+                } else {
+                    this.addNode('end', { kind: 'end', label: 'Chapter end' });
+                    this.addEdge(scene.id, 'end', { kind: 'continue' });
+                }
+            }
+        }
+
+        this.markProblems();
+        return this;
+    }
+
+    /**
+     * Add a node
+     * @param {string} id - Node ID
+     * @param {Object} data - { kind, label }
+     */
+    addNode(id, data) {
+        if (!this.nodes.has(id)) {
+            this.nodes.set(id, { id, deadEnd: false, orphan: false, ...data });
+        }
+    }
+
+    /**
+     * Add an edge
+     * @param {string} from - Source node ID
+     * @param {string} to - Target node ID
+     * @param {Object} data - { kind, label }
+     */
+    addEdge(from, to, data = {}) {
+        this.edges.push({ from, to, label: '', ...data });
+    }
+
+    /**
+     * Add the edges created by a block of scene content
+     * @param {Object} scene - Parsed scene
+     * @param {Array} block - Parsed content
+     * @param {Array} prefix - Position path of the block
+     * @param {Array<string>} conditions - Conditions guarding the block
+     */
+    addBlockEdges(scene, block, prefix, conditions) {
+        block.forEach((node, index) => {
+            const path = [...prefix, index];
+            const guards = node.condition && node.type !== 'if'
+                ? [...conditions, this.describeCondition(node.condition)]
+                : conditions;
+            const label = guards.join(' && ');
+
+            switch (node.type) {
+                case 'jump': {
+                    const target = this.resolveTarget(scene, node);
+                    if (target) {
+                        this.addEdge(scene.id, target, { kind: 'jump', label });
+                    }
+                    break;
+                }
+
+                case 'choice': {
+                    const choiceId = `${scene.id}__choice_${path.join('_')}`;
+                    this.addNode(choiceId, { kind: 'choice', label: node.prompt || 'Choice' });
+                    this.addEdge(scene.id, choiceId, { kind: 'choice', label });
+
+                    for (const option of node.options) {
+                        const next = option.next || option.goto;
+                        const optionLabel = option.condition
+                            ? `${option.text} [${this.describeCondition(option.condition)}]`
+                            : option.text;
+
+                        // Options without a target carry on in the same scene
+                        const target = next ? this.resolveTarget(scene, { target: next }) : scene.id;
+                        if (target) {
+                            this.addEdge(choiceId, target, {
+                                kind: next ? 'option' : 'continue',
+                                label: optionLabel
+                            });
+                        }
+                    }
+                    break;
+                }
+
+                case 'puzzle': {
+                    const puzzleId = `${scene.id}__puzzle_${path.join('_')}`;
+                    this.addNode(puzzleId, { kind: 'puzzle', label: node.puzzleId });
+                    this.addEdge(scene.id, puzzleId, { kind: 'puzzle', label });
+                    break;
+                }
+
+                case 'if': {
+                    const condition = this.describeCondition(node.condition);
+                    this.addBlockEdges(scene, node.then, [...path, 'then'], [...conditions, condition]);
+                    this.addBlockEdges(scene, node.else, [...path, 'else'], [...conditions, `!(${condition})`]);
+                    break;
+                }
+            }
+        });
+    }
+
+    /**
+     * Resolve the node a jump leads to, the same way ScriptInterpreter does
+     * @param {Object} scene - Parsed scene
+     * @param {Object} jump - { target, label, chapter }
+     * @returns {string|null} Node ID, or null for a jump inside the scene
+     */
+    resolveTarget(scene, jump) {
+        const { target, label } = jump;
+
+        if (jump.chapter !== undefined && jump.chapter !== null) {
+            const id = `chapter_${jump.chapter}`;
+            this.addNode(id, {
+                kind: 'external',
+                label: `Chapter ${jump.chapter}${target ? `: ${target}` : ''}`
+            });
+            return id;
+        }
+
+        if (label && (!target || target === scene.id)) return null;
+        if (!label && target && scene.labels.has(target)) return null;
+
+        const sceneId = target || scene.id;
+        if (!this.nodes.has(sceneId)) {
+            this.addNode(sceneId, { kind: 'missing', label: `${sceneId} (missing)` });
+        }
+        return sceneId;
+    }
+
+    /**
+     * Check whether control can never run off the end of a block
+     * @param {Array} block - Parsed content
+     * @returns {boolean}
+     */
+    blockTerminates(block) {
+        const last = block[block.length - 1];
+        if (!last || last.condition) return false;
+
+        switch (last.type) {
+            case 'jump':
+                return true;
+            case 'if':
+                return this.blockTerminates(last.then) && this.blockTerminates(last.else);
+            case 'choice':
+                return last.options.length > 0 && last.options.every(opt => opt.next || opt.goto);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Flag scenes nothing reaches and scenes that lead nowhere
+     */
+    markProblems() {
+        const reached = new Set();
+        const queue = this.startScene ? [this.startScene] : [];
+
+        // Ending scenes are entered by the ending flow, not from other scenes
+        for (const scene of this.chapter.scenes.values()) {
+            if (scene.ending) queue.push(scene.id);
+        }
+
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (reached.has(id)) continue;
+            reached.add(id);
+            this.edges.filter(edge => edge.from === id).forEach(edge => queue.push(edge.to));
+        }
+
+        for (const node of this.nodes.values()) {
+            if (node.kind !== 'scene') continue;
+
+            node.orphan = !reached.has(node.id);
+
+            // A dead end has no way forward except back into itself or to missing scenes
+            node.deadEnd = !this.getSuccessors(node.id)
+                .some(id => id !== node.id && this.nodes.get(id)?.kind !== 'missing');
+        }
+    }
+
+    /**
+     * Get the nodes play can move on to from a node, looking through choices
+     * @param {string} id - Node ID
+     * @returns {Array<string>}
+     */
+    getSuccessors(id) {
+        const successors = [];
+
+        for (const edge of this.edges) {
+            if (edge.from !== id || edge.kind === 'puzzle') continue;
+
+            if (this.nodes.get(edge.to)?.kind === 'choice') {
+                successors.push(...this.getSuccessors(edge.to));
+            } else {
+                successors.push(edge.to);
+            }
+        }
+
+        return successors;
+    }
+
+    /**
+     * Get scenes that cannot be reached from the chapter start
+     * @returns {Array<string>}
+     */
+    getOrphans() {
+        return Array.from(this.nodes.values()).filter(node => node.orphan).map(node => node.id);
+    }
+
+    /**
+     * Get scenes with no way forward
+     * @returns {Array<string>}
+     */
+    getDeadEnds() {
+        return Array.from(this.nodes.values()).filter(node => node.deadEnd).map(node => node.id);
+    }
+
+    /**
+     * Describe a condition as readable text
+     * @param {Object|string} condition - Condition
+     * @returns {string}
+     */
+    describeCondition(condition) {
+        if (typeof condition === 'string') return condition;
+        if (!condition || typeof condition !== 'object') return '';
+
+        const { type, key, operator, value } = condition;
+
+        switch (type) {
+            case 'flag':
+                return key;
+            case 'notFlag':
+                return `!${key}`;
+            case 'variable':
+                return `${key} ${operator || '=='} ${JSON.stringify(value)}`;
+            case 'item':
+                return `has('${key}'${value > 1 ? `, ${value}` : ''})`;
+            case 'chapter':
+                return `chapter() ${operator || '=='} ${value}`;
+            case 'expression':
+                return condition.expression;
+            case 'and':
+            case 'or':
+                return `(${(condition.conditions || [])
+                    .map(c => this.describeCondition(c))
+                    .join(type === 'and' ? ' && ' : ' || ')})`;
+            case 'not':
+                return `!(${this.describeCondition(condition.condition)})`;
+            default:
+                return type || '';
+        }
+    }
+
+    /**
+     * Export as Graphviz DOT
+     * @returns {string}
+     */
+    toDot() {
+        const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        const shapes = {
+            scene: 'box, style="rounded,filled", fillcolor="#f4ecd8"',
+            choice: 'diamond, style=filled, fillcolor="#dbe9f4"',
+            puzzle: 'hexagon, style=filled, fillcolor="#e6dbf4"',
+            end: 'doublecircle, style=filled, fillcolor="#d8f4dc"',
+            external: 'box, style="dashed"',
+            missing: 'box, style="filled", fillcolor="#f4d8d8", color="#c0392b"'
+        };
+        const edgeStyles = {
+            continue: 'style=dotted',
+            puzzle: 'style=dashed',
+            option: 'color="#2c6fa0"'
+        };
+
+        const lines = [`digraph ${quote(this.chapter?.id || 'chapter')} {`];
+        lines.push('    rankdir=TB;');
+        lines.push('    node [fontname="Helvetica"];');
+        lines.push('    edge [fontname="Helvetica", fontsize=10];');
+
+        for (const node of this.nodes.values()) {
+            const attributes = [`shape=${shapes[node.kind]}`];
+            let label = node.label;
+            if (node.deadEnd) {
+                attributes.push('color="#c0392b", penwidth=2');
+                label += '\n(dead end)';
+            }
+            if (node.orphan) {
+                attributes.push('fontcolor="#888888", color="#888888"');
+                label += '\n(orphan)';
+            }
+            lines.push(`    ${quote(node.id)} [label=${quote(label)}, ${attributes.join(', ')}];`);
+        }
+
+        for (const edge of this.edges) {
+            const attributes = [];
+            if (edge.label) attributes.push(`label=${quote(this.truncate(edge.label))}`);
+            if (edgeStyles[edge.kind]) attributes.push(edgeStyles[edge.kind]);
+            const suffix = attributes.length > 0 ? ` [${attributes.join(', ')}]` : '';
+            lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)}${suffix};`);
+        }
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    /**
+     * Export as a Mermaid flowchart
+     * @returns {string}
+     */
+    toMermaid() {
+        const ids = new Map();
+        const idFor = (id) => {
+            if (!ids.has(id)) ids.set(id, `n${ids.size}_${id.replace(/\W/g, '_')}`);
+            return ids.get(id);
+        };
+        const quote = (text) => `"${String(text).replace(/"/g, '#quot;').replace(/\n/g, '<br/>')}"`;
+        const shapes = {
+            scene: ['(', ')'],
+            choice: ['{', '}'],
+            puzzle: ['{{', '}}'],
+            end: ['((', '))'],
+            external: ['[/', '/]'],
+            missing: ['[', ']']
+        };
+        const arrows = { continue: '-.->', puzzle: '-.->' };
+
+        const lines = ['flowchart TD'];
+
+        for (const node of this.nodes.values()) {
+            const [open, close] = shapes[node.kind];
+            lines.push(`    ${idFor(node.id)}${open}${quote(node.label)}${close}`);
+        }
+
+        for (const edge of this.edges) {
+            const arrow = arrows[edge.kind] || '-->';
+            const label = edge.label ? `|${quote(this.truncate(edge.label))}|` : '';
+            lines.push(`    ${idFor(edge.from)} ${arrow}${label} ${idFor(edge.to)}`);
+        }
+
+        lines.push('    classDef deadEnd stroke:#c0392b,stroke-width:3px');
+        lines.push('    classDef orphan stroke-dasharray:5 5,color:#888888');
+        lines.push('    classDef missing fill:#f4d8d8,stroke:#c0392b');
+
+        const classes = { deadEnd: this.getDeadEnds(), orphan: this.getOrphans() };
+        classes.missing = Array.from(this.nodes.values())
+            .filter(node => node.kind === 'missing')
+            .map(node => node.id);
+
+        for (const [name, nodeIds] of Object.entries(classes)) {
+            if (nodeIds.length > 0) {
+                lines.push(`    class ${nodeIds.map(idFor).join(',')} ${name}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Shorten long labels such as choice text
+     * @param {string} text - Label
+     * @param {number} [max=48] - Maximum length
+     * @returns {string}
+     */
+    truncate(text, max = 48) {
+        return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+    }
+}
+
+export default BranchGraph;
@@ -6,6 +6,7 @@
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
 import { assetLoader } from '../utils/AssetLoader.js';
 import { wait } from '../utils/helpers.js';
+import { Relationships } from './Relationships.js';
 
 export class CharacterManager {
     constructor(stateManager) {
@@ -23,6 +24,12 @@ export class CharacterManager {
         
         // DOM slots
         this.slots = new Map();
+
+        // Character who goes by the name chosen at the new-game setup screen
+        this.playerId = 'player';
+
+        // How each character regards the player
+        this.relationships = new Relationships(stateManager);
     }
 
     /**
@@ -39,6 +46,13 @@ export class CharacterManager {
 
         // Load character data
         await this.loadCharacterData();
+        this.applyPlayerName();
+
+        this.events.on(GameEvents.STATE_CHANGE, ({ type, key }) => {
+            if (type !== 'state' || key === 'player') {
+                this.applyPlayerName();
+            }
+        });
         
         console.log('CharacterManager initialized');
     }
@@ -52,6 +66,9 @@ export class CharacterManager {
             if (data?.characters) {
                 for (const char of data.characters) {
                     this.characters.set(char.id, char);
+                    if (char.relationship) {
+                        this.relationships.define(char.id, char.relationship);
+                    }
                 }
             }
         } catch (error) {
@@ -59,6 +76,16 @@ export class CharacterManager {
         }
     }
 
+    /**
+     * Show the player character under the player's chosen name
+     */
+    applyPlayerName() {
+        const character = this.characters.get(this.playerId);
+        if (character && this.state) {
+            character.displayName = this.state.getPlayer().name;
+        }
+    }
+
     /**
      * Register a character
      * @param {Object} characterData - Character data
@@ -75,6 +102,10 @@ export class CharacterManager {
             role: characterData.role || '',
             voiceId: characterData.voiceId || null
         });
+
+        if (characterData.relationship) {
+            this.relationships.define(characterData.id, characterData.relationship);
+        }
     }
 
     /**
@@ -86,6 +117,26 @@ export class CharacterManager {
         return this.characters.get(characterId) || null;
     }
 
+    /**
+     * Find a character by ID, name or display name
+     * @param {string} name - Speaker name as written in a script
+     * @returns {Object|null}
+     */
+    findByName(name) {
+        if (!name) return null;
+        if (this.characters.has(name)) return this.characters.get(name);
+
+        const lower = name.toLowerCase();
+        for (const char of this.characters.values()) {
+            if (char.id.toLowerCase() === lower ||
+                char.name?.toLowerCase() === lower ||
+                char.displayName?.toLowerCase() === lower) {
+                return char;
+            }
+        }
+        return null;
+    }
+
     /**
      * Show a character on screen
      * @param {Object} options - Display options
@@ -5,6 +5,7 @@
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
 import { wait, createElement } from '../utils/helpers.js';
+import { rich, setHtml } from '../utils/SafeHtml.js';
 
 export class ChoiceManager {
     constructor(stateManager) {
@@ -95,7 +96,7 @@ export class ChoiceManager {
 
             // Set prompt
             if (this.promptElement) {
-                this.promptElement.textContent = choiceData.prompt || '';
+                setHtml(this.promptElement, rich(choiceData.prompt));
                 this.promptElement.style.display = choiceData.prompt ? 'block' : 'none';
             }
 
@@ -142,7 +143,7 @@ export class ChoiceManager {
         // Add option text
         const text = document.createElement('span');
         text.className = 'choice-text';
-        text.textContent = option.text;
+        setHtml(text, rich(option.text));
         button.appendChild(text);
 
         // Add requirement text if locked
@@ -253,9 +254,39 @@ export class ChoiceManager {
 
         this.playSelectSound();
 
+        const choice = this.currentChoices;
+        const result = this.applyOption(choice, index);
+
+        // Hide with animation
+        await this.hide();
+
+        // Emit event
+        this.events.emit(GameEvents.CHOICE_MADE, {
+            choice,
+            selectedIndex: index,
+            selectedOption: option
+        });
+
+        // Resolve promise
+        if (this.onChoiceMade) {
+            this.onChoiceMade(result);
+        }
+    }
+
+    /**
+     * Record a selected option and apply its effects to the game state
+     * Does not touch the DOM, so it can also drive headless playthroughs.
+     * @param {Object} choice - Choice data
+     * @param {number} index - Selected option index
+     * @returns {Object} { index, option, next }
+     */
+    applyOption(choice, index) {
+        const option = choice.options[index];
+
         // Add to history
         this.history.push({
-            choiceId: this.currentChoices.id,
+            choiceId: choice.id,
+            prompt: choice.prompt || null,
             selectedIndex: index,
             selectedOption: option,
             timestamp: Date.now()
@@ -276,24 +307,11 @@ export class ChoiceManager {
             this.state.setVariable(option.setVariable.name, option.setVariable.value);
         }
 
-        // Hide with animation
-        await this.hide();
-
-        // Emit event
-        this.events.emit(GameEvents.CHOICE_MADE, {
-            choice: this.currentChoices,
-            selectedIndex: index,
-            selectedOption: option
-        });
-
-        // Resolve promise
-        if (this.onChoiceMade) {
-            this.onChoiceMade({
-                index,
-                option,
-                next: option.next || option.goto
-            });
-        }
+        return {
+            index,
+            option,
+            next: option.next || option.goto
+        };
     }
 
     /**
@@ -395,6 +413,14 @@ export class ChoiceManager {
         return [...this.history];
     }
 
+    /**
+     * Restore choice history from save data
+     * @param {Array} history - Entries from getHistory()
+     */
+    setHistory(history = []) {
+        this.history = Array.isArray(history) ? [...history] : [];
+    }
+
     /**
      * Clear choice history
      */
@@ -0,0 +1,1207 @@
+/**
+ * ContentLinter - Static checks for chapter, character, item, puzzle, item reaction, recipe, economy, ending and achievement data
+ * Befixed - Magic & Mechanical Repair Shop
+ */
+
+import { GameEvents } from '../utils/EventEmitter.js';
+import { compileExpression, isFlagName, walkExpression } from '../utils/Expression.js';
+import { parseMarkup } from '../utils/TextMarkup.js';
+import { ITEM_CATEGORIES } from '../core/ItemRegistry.js';
+import { GOLD_VARIABLE, REPUTATION_VARIABLE, INCOME_VARIABLE, SOLD_PREFIX } from '../core/Economy.js';
+import {
+    DAY_VARIABLE, WORKSHOP_CHAPTER_VARIABLE, WORKSHOP_OPENS_VARIABLE, WORKSHOP_SEED_VARIABLE,
+    WORKSHOP_QUEUE_VARIABLE, JOB_FLAG_PREFIX, JOB_PUZZLE_PREFIX
+} from '../core/Workshop.js';
+
+// Puzzle fields every puzzle type reads, so any job template may pick them
+const COMMON_PUZZLE_FIELDS = ['difficulty', 'timeLimit', 'maxAttempts', 'maxHints'];
+
+// Fields a job sets itself, which a template cannot pick
+const JOB_FIELDS = ['id', 'type', 'title', 'description', 'rewards'];
+
+export class ContentLinter {
+    /**
+     * @param {NarrativeParser} parser - Parser used to read chapter content
+     * @param {Object} data - { characters, narrator, items, puzzles, recipes, economy, workshop, endings, achievements } as found in the data files
+     */
+    constructor(parser, data = {}) {
+        this.parser = parser;
+
+        this.characters = new Map();
+        for (const char of data.characters || []) {
+            this.characters.set(char.id, char);
+        }
+        this.narrator = data.narrator || null;
+
+        // Without an item catalogue, item IDs are not checked
+        this.itemList = data.items || null;
+        this.items = this.itemList ? new Map(this.itemList.map(item => [item?.id, item])) : null;
+        this.puzzles = new Map((data.puzzles || []).map(puzzle => [puzzle.id, puzzle]));
+        this.recipes = data.recipes || [];
+        this.economy = data.economy || {};
+        this.orders = new Map((this.economy.orders || []).map(order => [order?.id, order]));
+        this.workshop = data.workshop || {};
+        this.endings = data.endings || [];
+        this.achievements = data.achievements || [];
+
+        this.reset();
+    }
+
+    /**
+     * Clear collected results
+     */
+    reset() {
+        this.issues = [];
+
+        // Parsed chapters by number: { data, scenes, edges, entries }
+        this.chapters = new Map();
+
+        // Flag and variable usage across every chapter
+        this.flagReads = new Map();
+        this.flagSets = new Set();
+        this.variableSets = new Set();
+    }
+
+    /**
+     * Lint a set of chapters together, so cross-chapter jumps and flags resolve
+     * @param {Array<Object>} chapters - Raw chapter data, each with an optional `file`
+     * @returns {Array<Object>} Issues { severity, file, scene, path, message }
+     */
+    lint(chapters) {
+        this.reset();
+        this.collectCodeSetState();
+
+        for (const chapterData of chapters) {
+            this.chapters.set(chapterData.number, {
+                data: chapterData,
+                scenes: this.parseScenes(chapterData),
+                edges: new Map(),
+                entries: new Set(chapterData.scenes?.[0] ? [chapterData.scenes[0].id] : [])
+            });
+        }
+
+        for (const chapter of this.chapters.values()) {
+            this.lintChapter(chapter);
+        }
+
+        this.lintItems();
+        this.lintPuzzleRewards();
+        this.lintPuzzleStock();
+        this.lintPuzzleItemReactions();
+        this.lintRecipes();
+        this.lintEconomy();
+        this.lintWorkshop();
+        this.lintEndings();
+        this.lintAchievements();
+
+        for (const chapter of this.chapters.values()) {
+            this.checkReachability(chapter);
+        }
+
+        this.checkFlags();
+
+        return this.issues;
+    }
+
+    /**
+     * Record flags and variables the game code sets on its own
+     */
+    collectCodeSetState() {
+        // Chosen at the new-game setup screen
+        this.variableSets.add('player.name');
+        this.variableSets.add('player.pronouns');
+
+        for (const char of this.characters.values()) {
+            if (char.relationship) this.variableSets.add(`relationship_${char.id}`);
+        }
+
+        // Kept by the economy
+        this.variableSets.add(GOLD_VARIABLE);
+        this.variableSets.add(REPUTATION_VARIABLE);
+        this.variableSets.add(INCOME_VARIABLE);
+        for (const listing of this.economy.vendor || []) {
+            this.variableSets.add(SOLD_PREFIX + listing.item);
+        }
+        for (const orderId of this.orders.keys()) {
+            this.flagSets.add(`order_${orderId}_taken`);
+            this.flagSets.add(`order_${orderId}_complete`);
+        }
+
+        // Kept by the workshop
+        for (const name of [DAY_VARIABLE, WORKSHOP_CHAPTER_VARIABLE, WORKSHOP_OPENS_VARIABLE, WORKSHOP_SEED_VARIABLE, WORKSHOP_QUEUE_VARIABLE]) {
+            this.variableSets.add(name);
+        }
+        for (const template of this.workshop.templates || []) {
+            const puzzleId = JOB_PUZZLE_PREFIX + template.id;
+            this.flagSets.add(`${JOB_FLAG_PREFIX}${template.id}_done`);
+            this.flagSets.add(`puzzle_${puzzleId}_complete`);
+            this.variableSets.add(`puzzle_${puzzleId}_score`);
+            this.variableSets.add(`puzzle_${puzzleId}_failures`);
+
+            for (const reward of template.rewards || []) {
+                if (reward.type === 'flag') this.flagSets.add(reward.id);
+                if (reward.type === 'variable') this.variableSets.add(reward.name);
+            }
+        }
+
+        // Set when a New Game+ run starts
+        this.flagSets.add('ngplus');
+        for (const ending of this.endings) {
+            this.flagSets.add(`ending_${ending.id}_seen`);
+        }
+
+        for (const puzzle of this.puzzles.values()) {
+            this.flagSets.add(`puzzle_${puzzle.id}_complete`);
+            this.variableSets.add(`puzzle_${puzzle.id}_score`);
+            this.variableSets.add(`puzzle_${puzzle.id}_failures`);
+
+            for (const reward of puzzle.rewards || []) {
+                if (reward.type === 'flag') this.flagSets.add(reward.id);
+                if (reward.type === 'variable') this.variableSets.add(reward.name);
+            }
+        }
+    }
+
+    /**
+     * Parse every scene of a chapter
+     * @param {Object} chapterData - Raw chapter data
+     * @returns {Map<string, Object>} Parsed scenes by ID
+     */
+    parseScenes(chapterData) {
+        const scenes = new Map();
+
+        for (const scene of chapterData.scenes || []) {
+            if (scenes.has(scene.id)) {
+                this.report('error', chapterData, scene.id, null, `Duplicate scene ID "${scene.id}"`);
+            }
+            scenes.set(scene.id, this.parser.parseScene(scene));
+        }
+
+        return scenes;
+    }
+
+    /**
+     * Check every command of a chapter
+     * @param {Object} chapter - Chapter entry from this.chapters
+     */
+    lintChapter(chapter) {
+        const { data } = chapter;
+
+        for (const name of Object.keys(data.variables || {})) {
+            this.variableSets.add(name);
+        }
+        this.flagSets.add(`chapter${data.number}Complete`);
+
+        for (const entry of data.puzzles || []) {
+            const id = entry?.id ?? entry;
+            if (!this.puzzles.has(id)) {
+                this.report('error', data, null, null, `Unknown puzzle "${id}" in chapter puzzle list`);
+            }
+        }
+
+        for (const rawScene of data.scenes || []) {
+            const scene = chapter.scenes.get(rawScene.id);
+            const edges = new Set();
+            chapter.edges.set(scene.id, edges);
+
+            for (const error of this.parser.checkExpressions(scene.content, scene.id)) {
+                this.report('error', data, null, null, error);
+            }
+
+            this.walk(rawScene.content, [], (raw, node, path) => {
+                this.lintNode(chapter, scene, raw, node, path, edges);
+            });
+
+            if (!this.blockTerminates(scene.content)) {
+                const next = this.parser.getNextSceneId(scene.id, chapter.scenes);
+                if (next) edges.add(next);
+            }
+        }
+
+        this.lintChapterItemReactions(chapter);
+    }
+
+    /**
+     * Check a chapter's reactions to items used on its characters
+     * Their content can play from any scene, so the scenes it jumps to
+     * count as entry points.
+     * @param {Object} chapter - Chapter entry
+     */
+    lintChapterItemReactions(chapter) {
+        const { data } = chapter;
+        if (!data.itemReactions) return;
+        if (!Array.isArray(data.itemReactions)) {
+            this.report('error', data, null, ['itemReactions'], '"itemReactions" must be a list');
+            return;
+        }
+
+        // Stands in for the scene being interrupted
+        const interlude = { id: null, labels: new Map() };
+
+        data.itemReactions.forEach((reaction, index) => {
+            const prefix = ['itemReactions', index];
+            const report = (severity, message) => this.report(severity, data, null, prefix, message);
+
+            this.lintItemReaction(reaction, report);
+
+            const characterId = reaction.target?.character;
+            if (this.characters.has(characterId) && !(data.characters || []).includes(characterId)) {
+                report('warning', `Item reaction for "${characterId}", who is not in this chapter's characters`);
+            }
+
+            const content = this.parser.parseBlock(reaction.content);
+            for (const error of this.parser.checkExpressions(content, `itemReactions[${index}]`)) {
+                this.report('error', data, null, null, error);
+            }
+
+            const edges = new Set();
+            this.walk(reaction.content, [...prefix, 'content'], (raw, node, path) => {
+                this.lintNode(chapter, interlude, raw, node, path, edges);
+            });
+            edges.forEach(sceneId => chapter.entries.add(sceneId));
+        });
+    }
+
+    /**
+     * Check the item catalogue
+     */
+    lintItems() {
+        if (!this.itemList) return;
+
+        const file = { file: 'data/items.json' };
+        const ids = new Set();
+
+        this.itemList.forEach((item, index) => {
+            const report = (severity, message) => this.report(severity, file, null, [index], message);
+
+            if (!item?.id) {
+                report('error', 'Item has no id');
+                return;
+            }
+            if (ids.has(item.id)) {
+                report('error', `Duplicate item ID "${item.id}"`);
+            }
+            ids.add(item.id);
+
+            if (!item.name) {
+                report('warning', `Item "${item.id}" has no name`);
+            }
+            if (!ITEM_CATEGORIES.includes(item.category)) {
+                report('error', `Item "${item.id}" has unknown category "${item.category}"; use one of ${ITEM_CATEGORIES.join(', ')}`);
+            }
+            if (item.maxQuantity !== undefined && (!Number.isInteger(item.maxQuantity) || item.maxQuantity < 1)) {
+                report('error', `Item "${item.id}" has maxQuantity ${item.maxQuantity}; it must be a whole number of at least 1`);
+            }
+            if (item.stackable === false && item.maxQuantity > 1) {
+                report('warning', `Item "${item.id}" is not stackable, so its maxQuantity is ignored`);
+            }
+        });
+    }
+
+    /**
+     * Check that an item ID is in the catalogue and allows the use made of it
+     * @param {string} itemId - Item ID
+     * @param {Function} report - Issue callback
+     * @param {string|null} [use] - 'use' for item reactions, 'combine' for recipe ingredients
+     */
+    lintItemId(itemId, report, use = null) {
+        if (!this.items || !itemId) return;
+
+        const item = this.items.get(itemId);
+        if (!item) {
+            report('error', `Unknown item "${itemId}"`);
+        } else if (use === 'use' && item.usable === false) {
+            report('error', `Item "${itemId}" is not usable, so it can never be used on anything`);
+        } else if (use === 'combine' && item.combinable === false) {
+            report('error', `Item "${itemId}" is not combinable, so it can never be laid on the workbench`);
+        }
+    }
+
+    /**
+     * Check the items puzzle configs give as rewards
+     */
+    lintPuzzleRewards() {
+        const file = { file: 'data/puzzles/puzzle-configs.json' };
+
+        for (const puzzle of this.puzzles.values()) {
+            (puzzle.rewards || []).forEach((reward, index) => {
+                if (reward.type !== 'item') return;
+                this.lintItemId(reward.id, (severity, message) =>
+                    this.report(severity, file, null, [puzzle.id, 'rewards', index], message));
+            });
+        }
+    }
+
+    /**
+     * Check the items that puzzle parts and ingredients are taken from
+     */
+    lintPuzzleStock() {
+        const file = { file: 'data/puzzles/puzzle-configs.json' };
+
+        for (const puzzle of this.puzzles.values()) {
+            for (const field of ['parts', 'ingredients']) {
+                (puzzle[field] || []).forEach((entry, index) => {
+                    this.lintItemId(entry.item, (severity, message) =>
+                        this.report(severity, file, null, [puzzle.id, field, index], message));
+                });
+            }
+        }
+    }
+
+    /**
+     * Check the reactions puzzle configs give to items used on their hotspots and slots
+     */
+    lintPuzzleItemReactions() {
+        const file = { file: 'data/puzzles/puzzle-configs.json' };
+
+        for (const puzzle of this.puzzles.values()) {
+            (puzzle.itemReactions || []).forEach((reaction, index) => {
+                const report = (severity, message) =>
+                    this.report(severity, file, null, [puzzle.id, 'itemReactions', index], message);
+
+                this.lintItemReaction(reaction, report, puzzle);
+
+                if (reaction.target?.character) {
+                    report('error', 'Puzzle item reactions can only target the puzzle\'s hotspots and slots');
+                }
+                if (reaction.content) {
+                    report('warning', 'Item reactions on a puzzle do not play content; use "response"');
+                }
+            });
+        }
+    }
+
+    /**
+     * Check one item reaction's item, target and effects
+     * @param {Object} reaction - Item reaction
+     * @param {Function} report - Issue callback
+     * @param {Object} [puzzle] - Puzzle config the reaction belongs to
+     */
+    lintItemReaction(reaction, report, puzzle = null) {
+        if (!reaction?.item) {
+            report('error', 'Item reaction has no item');
+        }
+        this.lintItemId(reaction?.item, report, 'use');
+
+        const target = reaction?.target || {};
+        const kinds = ['character', 'hotspot', 'slot'].filter(kind => target[kind] !== undefined);
+        if (kinds.length !== 1) {
+            report('error', 'Item reaction target needs exactly one of "character", "hotspot" or "slot"');
+            return;
+        }
+
+        if (target.character && !this.characters.has(target.character)) {
+            report('error', `Item reaction for unknown character "${target.character}"`);
+        }
+
+        const puzzleId = target.puzzle ?? puzzle?.id;
+        if ((target.hotspot || target.slot) && !puzzleId) {
+            report('error', 'Item reaction on a hotspot or slot names no puzzle');
+        }
+        const config = puzzleId ? this.puzzles.get(puzzleId) : null;
+        if (puzzleId && !config) {
+            report('error', `Item reaction for unknown puzzle "${puzzleId}"`);
+        }
+        if (config && target.hotspot && !(config.hotspots || []).some(hotspot => hotspot.id === target.hotspot)) {
+            report('error', `Puzzle "${config.id}" has no hotspot "${target.hotspot}"`);
+        }
+        if (config && target.slot && !(config.slots || []).some(slot => slot.id === target.slot)) {
+            report('error', `Puzzle "${config.id}" has no slot "${target.slot}"`);
+        }
+
+        if (reaction.part) {
+            if (!target.slot) {
+                report('error', 'Only item reactions on a slot can place a "part"');
+            } else if (config && !(config.parts || []).some(part => part.id === reaction.part)) {
+                report('error', `Puzzle "${config.id}" has no part "${reaction.part}"`);
+            }
+        }
+
+        this.readCondition(reaction.condition, report);
+        if (reaction.setFlag) this.flagSets.add(reaction.setFlag);
+    }
+
+    /**
+     * Check the workbench recipes
+     */
+    lintRecipes() {
+        const file = { file: 'data/recipes.json' };
+        const ids = new Set();
+        const combinations = new Map();
+
+        this.recipes.forEach((recipe, index) => {
+            const report = (severity, message) => this.report(severity, file, null, [index], message);
+
+            if (!recipe.id) {
+                report('error', 'Recipe has no id');
+                return;
+            }
+            if (ids.has(recipe.id)) {
+                report('error', `Duplicate recipe ID "${recipe.id}"`);
+            }
+            ids.add(recipe.id);
+
+            if (!recipe.name) {
+                report('warning', `Recipe "${recipe.id}" has no name`);
+            }
+
+            const ingredients = Object.entries(recipe.ingredients || {});
+            if (ingredients.some(([, quantity]) => !Number.isInteger(quantity) || quantity < 1)) {
+                report('error', `Recipe "${recipe.id}" has an ingredient quantity that is not a whole number of at least 1`);
+            }
+            if (ingredients.reduce((total, [, quantity]) => total + quantity, 0) < 2) {
+                report('error', `Recipe "${recipe.id}" needs at least two items to combine`);
+            }
+            if (Object.keys(recipe.result || {}).length === 0) {
+                report('error', `Recipe "${recipe.id}" has no result`);
+            }
+            ingredients.forEach(([itemId]) => this.lintItemId(itemId, report, 'combine'));
+            Object.keys(recipe.result || {}).forEach(itemId => this.lintItemId(itemId, report));
+            for (const itemId of recipe.keep || []) {
+                if (!recipe.ingredients?.[itemId]) {
+                    report('error', `Recipe "${recipe.id}" keeps "${itemId}", which is not an ingredient`);
+                }
+            }
+
+            // The workbench uses the first recipe that matches, so a second one is never made
+            const combination = ingredients.map(([itemId, quantity]) => `${itemId}x${quantity}`).sort().join('+');
+            if (combinations.has(combination)) {
+                report('error', `Recipe "${recipe.id}" uses the same ingredients as "${combinations.get(combination)}"`);
+            } else {
+                combinations.set(combination, recipe.id);
+            }
+
+            this.readCondition(recipe.condition, report);
+        });
+    }
+
+    /**
+     * Check the customer orders and the vendor's stock
+     */
+    lintEconomy() {
+        const file = { file: 'data/economy.json' };
+
+        const startingGold = this.economy.startingGold;
+        if (startingGold !== undefined && (typeof startingGold !== 'number' || startingGold < 0)) {
+            this.report('error', file, null, ['startingGold'], 'startingGold must be a number of at least 0');
+        }
+
+        const ids = new Set();
+        (this.economy.orders || []).forEach((order, index) => {
+            const report = (severity, message) => this.report(severity, file, null, ['orders', index], message);
+
+            if (!order?.id) {
+                report('error', 'Order has no id');
+                return;
+            }
+            if (ids.has(order.id)) {
+                report('error', `Duplicate order ID "${order.id}"`);
+            }
+            ids.add(order.id);
+
+            if (!order.title) {
+                report('warning', `Order "${order.id}" has no title`);
+            }
+            if (!this.puzzles.has(order.puzzle)) {
+                report('error', `Order "${order.id}" is for unknown puzzle "${order.puzzle}"`);
+            }
+            if (order.customer && !this.characters.has(order.customer)) {
+                report('error', `Order "${order.id}" is for unknown customer "${order.customer}"`);
+            }
+            for (const field of ['payment', 'deposit']) {
+                if (order[field] !== undefined && (typeof order[field] !== 'number' || order[field] < 0)) {
+                    report('error', `Order "${order.id}" has ${field} ${order[field]}; it must be a number of at least 0`);
+                }
+            }
+        });
+
+        const sold = new Set();
+        (this.economy.vendor || []).forEach((listing, index) => {
+            const report = (severity, message) => this.report(severity, file, null, ['vendor', index], message);
+
+            if (!listing?.item) {
+                report('error', 'Vendor entry has no item');
+                return;
+            }
+            if (sold.has(listing.item)) {
+                report('error', `The vendor lists "${listing.item}" twice`);
+            }
+            sold.add(listing.item);
+
+            this.lintItemId(listing.item, report);
+            if (typeof listing.price !== 'number' || listing.price < 0) {
+                report('error', `Vendor entry "${listing.item}" has price ${listing.price}; it must be a number of at least 0`);
+            }
+            if (listing.stock !== undefined && (!Number.isInteger(listing.stock) || listing.stock < 0)) {
+                report('error', `Vendor entry "${listing.item}" has stock ${listing.stock}; it must be a whole number of at least 0`);
+            }
+        });
+    }
+
+    /**
+     * Check the workshop days, customers and job templates
+     */
+    lintWorkshop() {
+        const file = { file: 'data/workshop.json' };
+
+        const jobsPerDay = this.workshop.jobsPerDay;
+        if (jobsPerDay !== undefined && (!Number.isInteger(jobsPerDay) || jobsPerDay < 0)) {
+            this.report('error', file, null, ['jobsPerDay'], 'jobsPerDay must be a whole number of at least 0');
+        }
+
+        for (const [chapter, days] of Object.entries(this.workshop.days || {})) {
+            const report = (severity, message) => this.report(severity, file, null, ['days', chapter], message);
+
+            if (!/^\d+$/.test(chapter) || Number(chapter) < 2) {
+                report('error', `Workshop days are set for "${chapter}"; they come before a chapter from 2 on`);
+            }
+            if (!Number.isInteger(days) || days < 0) {
+                report('error', `Chapter ${chapter} has ${days} workshop days; it must be a whole number of at least 0`);
+            }
+        }
+
+        const customers = new Set();
+        (this.workshop.customers || []).forEach((customer, index) => {
+            const report = (severity, message) => this.report(severity, file, null, ['customers', index], message);
+
+            if (!customer?.id) {
+                report('error', 'Customer has no id');
+                return;
+            }
+            if (customers.has(customer.id)) {
+                report('error', `Duplicate customer ID "${customer.id}"`);
+            }
+            customers.add(customer.id);
+
+            if (!customer.name) {
+                report('warning', `Customer "${customer.id}" has no name`);
+            }
+        });
+
+        const ids = new Set();
+        (this.workshop.templates || []).forEach((template, index) => {
+            const report = (severity, message) => this.report(severity, file, null, ['templates', index], message);
+
+            if (!template?.id) {
+                report('error', 'Job template has no id');
+                return;
+            }
+            if (ids.has(template.id)) {
+                report('error', `Duplicate job template ID "${template.id}"`);
+            }
+            ids.add(template.id);
+
+            if (!template.title) {
+                report('warning', `Job template "${template.id}" has no title`);
+            }
+
+            const puzzle = this.puzzles.get(template.puzzle);
+            if (!puzzle) {
+                report('error', `Job template "${template.id}" is for unknown puzzle "${template.puzzle}"`);
+            }
+            for (const [field, values] of Object.entries(template.params || {})) {
+                if (JOB_FIELDS.includes(field)) {
+                    report('error', `Job template "${template.id}" picks "${field}", which every job sets itself`);
+                } else if (puzzle && !(field in puzzle) && !COMMON_PUZZLE_FIELDS.includes(field)) {
+                    report('error', `Job template "${template.id}" picks "${field}", which puzzle "${puzzle.id}" does not use`);
+                }
+                if (!Array.isArray(values) || values.length === 0) {
+                    report('error', `Job template "${template.id}" has no values to pick for "${field}"`);
+                }
+            }
+
+            for (const customerId of template.customers || []) {
+                if (!customers.has(customerId)) {
+                    report('error', `Job template "${template.id}" is for unknown customer "${customerId}"`);
+                }
+            }
+            for (const field of ['payment', 'reputation', 'minDay']) {
+                if (template[field] !== undefined && (typeof template[field] !== 'number' || template[field] < 0)) {
+                    report('error', `Job template "${template.id}" has ${field} ${template[field]}; it must be a number of at least 0`);
+                }
+            }
+            (template.rewards || []).forEach(reward => {
+                if (reward.type === 'item') this.lintItemId(reward.id, report);
+            });
+
+            this.readCondition(template.condition, report);
+        });
+    }
+
+    /**
+     * Check the ending definitions against the chapters being linted
+     * An ending's scene is an entry point of its chapter, since the ending
+     * flow starts it directly.
+     */
+    lintEndings() {
+        const file = { file: 'data/endings.json' };
+        const ids = new Set();
+
+        this.endings.forEach((ending, index) => {
+            const report = (severity, message) => this.report(severity, file, null, [index], message);
+
+            if (!ending.id) {
+                report('error', 'Ending has no id');
+                return;
+            }
+            if (ids.has(ending.id)) {
+                report('error', `Duplicate ending ID "${ending.id}"`);
+            }
+            ids.add(ending.id);
+
+            if (!ending.title) {
+                report('warning', `Ending "${ending.id}" has no title`);
+            }
+
+            this.readCondition(ending.condition, report);
+
+            if (!ending.scene) return;
+            if (ending.chapter === undefined) {
+                report('error', `Ending "${ending.id}" names a scene but no chapter`);
+                return;
+            }
+
+            // Chapters that are not written yet are checked once they exist
+            const chapter = this.chapters.get(ending.chapter);
+            if (!chapter) return;
+
+            const scene = chapter.scenes.get(ending.scene);
+            if (!scene) {
+                report('error', `Ending "${ending.id}": scene "${ending.scene}" not found in chapter ${ending.chapter}`);
+            } else if (!scene.ending) {
+                report('warning', `Ending "${ending.id}": scene "${ending.scene}" is not marked "ending": true, so the chapter runs into it`);
+            }
+            chapter.entries.add(ending.scene);
+        });
+
+        if (this.endings.length > 0 && this.endings.every(ending => ending.condition)) {
+            this.report('warning', file, null, null, 'Every ending has a condition, so the game can finish without one');
+        }
+    }
+
+    /**
+     * Check the achievement definitions
+     */
+    lintAchievements() {
+        const file = { file: 'data/achievements.json' };
+        const events = new Set(Object.values(GameEvents));
+        const ids = new Set();
+
+        this.achievements.forEach((achievement, index) => {
+            const report = (severity, message) => this.report(severity, file, null, [index], message);
+
+            if (!achievement.id) {
+                report('error', 'Achievement has no id');
+                return;
+            }
+            if (ids.has(achievement.id)) {
+                report('error', `Duplicate achievement ID "${achievement.id}"`);
+            }
+            ids.add(achievement.id);
+
+            if (!achievement.title) {
+                report('warning', `Achievement "${achievement.id}" has no title`);
+            }
+
+            if (achievement.on && !events.has(achievement.on)) {
+                report('error', `Achievement "${achievement.id}" listens for unknown event "${achievement.on}"`);
+            }
+            if (!achievement.on && !achievement.condition) {
+                report('error', `Achievement "${achievement.id}" has neither an event nor a condition, so it can never unlock`);
+            }
+            if (!achievement.on && (achievement.when || achievement.progress)) {
+                report('error', `Achievement "${achievement.id}" uses "when" or "progress" without an event`);
+            }
+
+            // Event fields are not flags, so only the syntax is checked
+            for (const source of [achievement.when, achievement.progress?.distinct]) {
+                if (!source) continue;
+                try {
+                    compileExpression(source);
+                } catch (error) {
+                    report('error', `Achievement "${achievement.id}": ${error.message}`);
+                }
+            }
+
+            this.readCondition(achievement.condition, report);
+            this.lintAchievementGoal(achievement, report);
+        });
+    }
+
+    /**
+     * Check that an achievement's goal can be reached
+     * @param {Object} achievement - Achievement definition
+     * @param {Function} report - Issue callback
+     */
+    lintAchievementGoal(achievement, report) {
+        const goal = achievement.progress?.goal;
+        if (goal === undefined) return;
+
+        if (typeof goal === 'number') {
+            if (!Number.isInteger(goal) || goal < 1) {
+                report('error', `Achievement "${achievement.id}" has goal ${goal}; goals are whole numbers of at least 1`);
+            }
+            return;
+        }
+
+        switch (goal?.type) {
+            case 'endings':
+                if (this.endings.length === 0) {
+                    report('error', `Achievement "${achievement.id}" counts endings, but none are defined`);
+                }
+                break;
+            case 'choiceOptions': {
+                // Chapters that are not written yet are checked once they exist
+                const chapter = this.chapters.get(goal.chapter);
+                if (chapter && this.parser.countChoiceOptions(chapter.scenes) === 0) {
+                    report('error', `Achievement "${achievement.id}" counts choices in chapter ${goal.chapter}, which has none`);
+                }
+                break;
+            }
+            default:
+                report('error', `Achievement "${achievement.id}" has unknown goal type "${goal?.type}"`);
+        }
+    }
+
+    /**
+     * Visit raw content items alongside their parsed form
+     * @param {Array} block - Raw content
+     * @param {Array} prefix - Position path of the block
+     * @param {Function} visit - Callback (raw, parsed, path)
+     */
+    walk(block, prefix, visit) {
+        if (!Array.isArray(block)) return;
+
+        block.forEach((raw, index) => {
+            const path = [...prefix, index];
+            const node = this.parser.parseContent(raw);
+            visit(raw, node, path);
+
+            if (node?.type === 'if') {
+                // Keyed commands keep their fields under the command name
+                const body = raw.type === 'if' ? raw : raw.if || raw;
+                this.walk(body.then, [...path, 'then'], visit);
+                this.walk(body.else, [...path, 'else'], visit);
+            }
+        });
+    }
+
+    /**
+     * Check a single command
+     * @param {Object} chapter - Chapter entry
+     * @param {Object} scene - Parsed scene
+     * @param {Object} raw - Raw content item
+     * @param {Object|null} node - Parsed content item
+     * @param {Array} path - Position path
+     * @param {Set<string>} edges - Scenes reachable from this scene
+     */
+    lintNode(chapter, scene, raw, node, path, edges) {
+        const report = (severity, message) => this.report(severity, chapter.data, scene.id, path, message);
+
+        if (!node) {
+            report('error', `Unrecognised content item ${JSON.stringify(raw)}`);
+            return;
+        }
+        if (!this.parser.commandHandlers.has(node.type)) {
+            report('error', `Unknown command type "${node.type}"`);
+            return;
+        }
+
+        this.readCondition(node.condition, report);
+
+        switch (node.type) {
+            case 'dialogue':
+                this.lintSpeaker(node, report);
+                this.lintMarkup(node.text, node.speaker ? this.findCharacter(node.speaker) : null, report);
+                break;
+
+            case 'narration':
+                this.lintMarkup(node.text, null, report);
+                break;
+
+            case 'character':
+                this.lintCharacter(node, report);
+                break;
+
+            case 'puzzle':
+                if (!this.puzzles.has(node.puzzleId)) {
+                    report('error', `Unknown puzzle "${node.puzzleId}"`);
+                }
+                break;
+
+            case 'relationship':
+                this.lintRelationship(node.character, null, report);
+                break;
+
+            case 'item':
+                this.lintItemId(node.add, report);
+                this.lintItemId(node.remove, report);
+                break;
+
+            case 'order':
+                if (!this.orders.has(node.take)) {
+                    report('error', `Unknown order "${node.take}"`);
+                }
+                break;
+
+            case 'flag':
+                if (node.set) this.flagSets.add(node.set);
+                break;
+
+            case 'variable':
+                this.variableSets.add(typeof node.set === 'string'
+                    ? node.set.split(/[-+*/]?=/)[0].trim()
+                    : node.name);
+                break;
+
+            case 'jump':
+                this.lintJump(chapter, scene, node, edges, report);
+                break;
+
+            case 'choice':
+                for (const option of node.options) {
+                    this.readCondition(option.condition, report);
+                    this.collectOptionEffects(option);
+                    for (const itemId of [
+                        ...Object.keys(option.effects?.addItems || {}),
+                        ...Object.keys(option.effects?.removeItems || {})
+                    ]) {
+                        this.lintItemId(itemId, report);
+                    }
+
+                    const next = option.next || option.goto;
+                    if (next) {
+                        this.lintJump(chapter, scene, { target: next }, edges, report);
+                    }
+                }
+                break;
+        }
+    }
+
+    /**
+     * Check that a dialogue speaker exists and has the sprite for its emotion
+     * @param {Object} node - Dialogue command
+     * @param {Function} report - Issue callback
+     */
+    lintSpeaker(node, report) {
+        if (!node.speaker) return;
+
+        const character = this.findCharacter(node.speaker);
+        // Other interpolated speakers are only known at runtime
+        if (!character && node.speaker.includes('{')) return;
+        if (!character) {
+            report('error', `Speaker "${node.speaker}" has no character entry`);
+            return;
+        }
+
+        if (node.emotion && character.sprites && !character.sprites[node.emotion]) {
+            report('warning', `Character "${character.id}" has no "${node.emotion}" sprite`);
+        }
+    }
+
+    /**
+     * Check the inline tags of a line
+     * @param {string} text - Line text
+     * @param {Object|null} character - Speaking character, for [expr] sprites
+     * @param {Function} report - Issue callback
+     */
+    lintMarkup(text, character, report) {
+        const { events, errors } = parseMarkup(text);
+
+        for (const error of errors) {
+            report('warning', `Text markup: ${error}`);
+        }
+        for (const { type, value } of events) {
+            if (type === 'expr' && character?.sprites && !character.sprites[value]) {
+                report('warning', `Character "${character.id}" has no "${value}" sprite for [expr]`);
+            }
+        }
+    }
+
+    /**
+     * Check a character command against characters.json
+     * @param {Object} node - Character command
+     * @param {Function} report - Issue callback
+     */
+    lintCharacter(node, report) {
+        const character = this.characters.get(node.character);
+        if (!character) {
+            report('error', `Unknown character "${node.character}"`);
+            return;
+        }
+
+        if (node.expression && !character.sprites?.[node.expression]) {
+            report('warning', `Character "${character.id}" has no "${node.expression}" sprite`);
+        }
+    }
+
+    /**
+     * Check a jump target and record the scene edge it creates
+     * Resolution mirrors ScriptInterpreter: a target that names a label in the
+     * current scene stays in the scene, otherwise it is a scene ID.
+     * @param {Object} chapter - Chapter entry
+     * @param {Object} scene - Parsed scene
+     * @param {Object} jump - { target, label, chapter }
+     * @param {Set<string>} edges - Scenes reachable from this scene
+     * @param {Function} report - Issue callback
+     */
+    lintJump(chapter, scene, jump, edges, report) {
+        const { target, label } = jump;
+
+        if (jump.chapter !== undefined && jump.chapter !== null) {
+            const other = this.chapters.get(jump.chapter);
+            if (!other) {
+                report('error', `Jump to unknown chapter ${jump.chapter}`);
+                return;
+            }
+
+            const entry = target || other.data.scenes?.[0]?.id;
+            if (!other.scenes.has(entry)) {
+                report('error', `Jump to missing scene "${entry}" in chapter ${jump.chapter}`);
+            } else if (label && !other.scenes.get(entry).labels.has(label)) {
+                report('error', `Jump to missing label "${entry}#${label}" in chapter ${jump.chapter}`);
+            } else {
+                other.entries.add(entry);
+            }
+            return;
+        }
+
+        if (label && (!target || target === scene.id)) {
+            if (!scene.labels.has(label)) {
+                report('error', `Jump to missing label "${label}"`);
+            }
+            return;
+        }
+
+        if (!label && target && scene.labels.has(target)) {
+            return;
+        }
+
+        const sceneId = target || scene.id;
+        const targetScene = chapter.scenes.get(sceneId);
+        if (!targetScene) {
+            report('error', `Jump to missing scene "${sceneId}"`);
+            return;
+        }
+        if (label && !targetScene.labels.has(label)) {
+            report('error', `Jump to missing label "${sceneId}#${label}"`);
+            return;
+        }
+
+        edges.add(sceneId);
+    }
+
+    /**
+     * Record the flags and variables a choice option sets
+     * @param {Object} option - Choice option
+     */
+    collectOptionEffects(option) {
+        if (option.setFlag) this.flagSets.add(option.setFlag);
+        if (option.setVariable) this.variableSets.add(option.setVariable.name);
+
+        const effects = option.effects || {};
+        for (const [flag, value] of Object.entries(effects.flags || {})) {
+            if (value) this.flagSets.add(flag);
+        }
+        for (const name of Object.keys(effects.variables || {})) {
+            this.variableSets.add(name);
+        }
+        for (const char of Object.keys(effects.relationships || {})) {
+            this.variableSets.add(`relationship_${char}`);
+        }
+    }
+
+    /**
+     * Record the flags a condition reads
+     * @param {Object|string} condition - Condition
+     * @param {Function} report - Issue callback (its location is kept for the flag check)
+     */
+    readCondition(condition, report) {
+        if (!condition) return;
+
+        const read = (name) => {
+            if (!this.flagReads.has(name)) {
+                this.flagReads.set(name, report);
+            }
+        };
+        const readItem = (itemId) => this.lintItemId(itemId, report);
+
+        if (typeof condition === 'string') {
+            if (isFlagName(condition)) {
+                read(condition);
+                return;
+            }
+            this.readExpression(condition, read, readItem);
+            return;
+        }
+
+        switch (condition.type) {
+            case 'flag':
+            case 'notFlag':
+                read(condition.key);
+                break;
+            case 'expression':
+                this.readExpression(condition.expression, read, readItem);
+                break;
+            case 'item':
+                readItem(condition.key);
+                break;
+            case 'and':
+            case 'or':
+                (condition.conditions || []).forEach(c => this.readCondition(c, report));
+                break;
+            case 'not':
+                this.readCondition(condition.condition, report);
+                break;
+            case 'relationship':
+                this.lintRelationship(condition.character, condition.threshold, report);
+                break;
+        }
+    }
+
+    /**
+     * Check that a relationship command or condition names a character
+     * with a relationship, and a threshold that character has
+     * @param {string} characterId - Character ID
+     * @param {string|null} thresholdId - Threshold ID, if any
+     * @param {Function} report - Issue callback
+     */
+    lintRelationship(characterId, thresholdId, report) {
+        const definition = this.characters.get(characterId)?.relationship;
+        if (!definition) {
+            report('error', `Character "${characterId}" has no relationship in characters.json`);
+            return;
+        }
+
+        if (thresholdId && !definition.thresholds?.some(threshold => threshold.id === thresholdId)) {
+            report('error', `Character "${characterId}" has no "${thresholdId}" relationship threshold`);
+        }
+    }
+
+    /**
+     * Record names an expression reads as flags
+     * Bare names count too, since they fall back to flags at runtime.
+     * @param {string} source - Expression source
+     * @param {Function} read - Callback (name)
+     * @param {Function} [readItem] - Callback (itemId) for has() and count()
+     */
+    readExpression(source, read, readItem = null) {
+        let ast;
+        try {
+            ast = compileExpression(source);
+        } catch {
+            // Syntax errors are reported by the expression check
+            return;
+        }
+
+        walkExpression(ast, node => {
+            if (node.type === 'identifier') {
+                read(node.name);
+            } else if (node.type === 'call' && node.name === 'flag' && node.args[0]?.type === 'literal') {
+                read(node.args[0].value);
+            } else if (node.type === 'call' && (node.name === 'has' || node.name === 'count') &&
+                node.args[0]?.type === 'literal') {
+                readItem?.(node.args[0].value);
+            }
+        });
+    }
+
+    /**
+     * Report flags that are read somewhere but never set anywhere
+     */
+    checkFlags() {
+        for (const [name, report] of this.flagReads) {
+            if (!this.flagSets.has(name) && !this.variableSets.has(name)) {
+                report('warning', `"${name}" is read but never set`);
+            }
+        }
+    }
+
+    /**
+     * Report scenes that no path from a chapter entry reaches
+     * @param {Object} chapter - Chapter entry
+     */
+    checkReachability(chapter) {
+        const reached = new Set();
+        const queue = Array.from(chapter.entries);
+
+        while (queue.length > 0) {
+            const sceneId = queue.shift();
+            if (reached.has(sceneId)) continue;
+            reached.add(sceneId);
+            queue.push(...(chapter.edges.get(sceneId) || []));
+        }
+
+        for (const sceneId of chapter.scenes.keys()) {
+            if (!reached.has(sceneId)) {
+                this.report('warning', chapter.data, sceneId, null, `Scene "${sceneId}" is unreachable`);
+            }
+        }
+    }
+
+    /**
+     * Check whether control can never run off the end of a block
+     * @param {Array} block - Parsed content
+     * @returns {boolean}
+     */
+    blockTerminates(block) {
+        const last = block[block.length - 1];
+        if (!last || last.condition) return false;
+
+        switch (last.type) {
+            case 'jump':
+                return true;
+            case 'if':
+                return this.blockTerminates(last.then) && this.blockTerminates(last.else);
+            case 'choice':
+                return last.options.length > 0 && last.options.every(opt => opt.next || opt.goto);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Find a character by ID, name or display name
+     * @param {string} name - Speaker name
+     * @returns {Object|null}
+     */
+    findCharacter(name) {
+        // The player character speaks under the name chosen at setup
+        if (name.trim() === '{player.name}') {
+            return this.characters.get('player') || null;
+        }
+
+        const lower = name.toLowerCase();
+        if (this.narrator && [this.narrator.id, this.narrator.name, this.narrator.displayName]
+            .some(value => value?.toLowerCase() === lower)) {
+            return this.narrator;
+        }
+
+        for (const char of this.characters.values()) {
+            if ([char.id, char.name, char.displayName].some(value => value?.toLowerCase() === lower)) {
+                return char;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Record an issue
+     * @param {string} severity - "error" or "warning"
+     * @param {Object} chapterData - Raw chapter data
+     * @param {string|null} scene - Scene ID
+     * @param {Array|null} path - Position path
+     * @param {string} message - Description
+     */
+    report(severity, chapterData, scene, path, message) {
+        this.issues.push({
+            severity,
+            file: chapterData.file || `chapter ${chapterData.number}`,
+            scene,
+            path,
+            message
+        });
+    }
+}
+
+export default ContentLinter;
@@ -4,7 +4,9 @@
  */
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
-import { wait, parseTextFormatting, escapeHtml } from '../utils/helpers.js';
+import { wait } from '../utils/helpers.js';
+import { parseMarkup, renderMarkup } from '../utils/TextMarkup.js';
+import { html, setHtml } from '../utils/SafeHtml.js';
 
 export class DialogueRenderer {
     constructor() {
@@ -35,9 +37,23 @@ export class DialogueRenderer {
         this.currentSpeed = 'normal';
         this.punctuationPause = 150;
         
+        // Advance modes: 'normal' waits for input, 'auto' advances on a timer,
+        // 'skip' fast-forwards through lines read before
+        this.mode = 'normal';
+        this.autoDelayBase = 1200;
+        this.autoDelayPerChar = 35;
+        this.autoVoicePause = 500;
+        this.skipDelay = 60;
+        this.isHeld = false;
+        
+        // Called with (expression, line) when an [expr] tag is reached
+        this.onExpression = null;
+        this.currentLine = null;
+        
         // Audio
         this.typeSound = null;
         this.voiceLine = null;
+        this.lastVoiceEnded = null;
     }
 
     /**
@@ -98,6 +114,128 @@ export class DialogueRenderer {
                 }
             }
         });
+
+        // Track the voice clip so auto mode can wait for it
+        this.events.on('audio:voice:started', ({ line }) => {
+            this.voiceLine = line;
+            this.lastVoiceEnded = null;
+        });
+        this.events.on('audio:voice:ended', ({ line }) => {
+            if (this.voiceLine === line) {
+                this.voiceLine = null;
+            }
+            this.lastVoiceEnded = line;
+        });
+
+        // Skipping never runs past a decision
+        this.events.on(GameEvents.CHOICE_SHOW, () => this.stopSkipping());
+        this.events.on(GameEvents.PUZZLE_START, () => this.stopSkipping());
+
+        // Auto and skip hold while an overlay is open
+        this.events.on(GameEvents.UI_OVERLAY_OPEN, () => {
+            this.isHeld = true;
+        });
+        this.events.on(GameEvents.UI_OVERLAY_CLOSE, () => {
+            this.isHeld = false;
+        });
+    }
+
+    /**
+     * Set the advance mode
+     * @param {string} mode - 'normal', 'auto' or 'skip'
+     */
+    setMode(mode) {
+        if (!['normal', 'auto', 'skip'].includes(mode) || mode === this.mode) return;
+
+        const previous = this.mode;
+        this.mode = mode;
+
+        // Finish the line being typed so skipping starts right away
+        if (mode === 'skip') {
+            this.skip();
+        }
+
+        this.events.emit(GameEvents.DIALOGUE_MODE_CHANGE, { mode, previous });
+    }
+
+    /**
+     * Switch a mode on, or back to normal if it is already on
+     * @param {string} mode - 'auto' or 'skip'
+     */
+    toggleMode(mode) {
+        this.setMode(this.mode === mode ? 'normal' : mode);
+    }
+
+    /**
+     * Check if skip mode is on
+     * @returns {boolean}
+     */
+    isSkipping() {
+        return this.mode === 'skip';
+    }
+
+    /**
+     * Leave skip mode (at choices, puzzles and unread text)
+     */
+    stopSkipping() {
+        if (this.isSkipping()) {
+            this.setMode('normal');
+        }
+    }
+
+    /**
+     * Get how long auto mode lingers on a line
+     * @param {string} [text] - Line text
+     * @returns {number} Delay in ms
+     */
+    getAutoDelay(text = '') {
+        return this.autoDelayBase + text.length * this.autoDelayPerChar;
+    }
+
+    /**
+     * Wait until the player advances, or auto/skip mode does it for them
+     * @param {Object} [line] - The dialogue or narration shown, for its text and voice
+     * @returns {Promise<void>}
+     */
+    waitForAdvance(line = {}) {
+        return new Promise(resolve => {
+            let timer = null;
+
+            const schedule = () => {
+                clearTimeout(timer);
+                timer = null;
+                if (this.isHeld) return;
+
+                let delay = null;
+                if (this.mode === 'skip') {
+                    delay = this.skipDelay;
+                } else if (this.mode === 'auto' && !this.voiceLine) {
+                    delay = line.voice && this.lastVoiceEnded === line.voice
+                        ? this.autoVoicePause
+                        : this.getAutoDelay(line.text);
+                }
+
+                if (delay !== null) {
+                    timer = setTimeout(() => this.events.emit(GameEvents.DIALOGUE_SKIP), delay);
+                }
+            };
+
+            const unsubscribers = [
+                GameEvents.DIALOGUE_MODE_CHANGE,
+                GameEvents.UI_OVERLAY_CLOSE,
+                GameEvents.UI_OVERLAY_OPEN,
+                'audio:voice:started',
+                'audio:voice:ended'
+            ].map(event => this.events.on(event, schedule));
+
+            unsubscribers.push(this.events.on(GameEvents.DIALOGUE_SKIP, () => {
+                clearTimeout(timer);
+                unsubscribers.forEach(unsubscribe => unsubscribe());
+                resolve();
+            }));
+
+            schedule();
+        });
     }
 
     /**
@@ -115,13 +253,13 @@ export class DialogueRenderer {
      * @param {Object} dialogueData - Dialogue data
      */
     async show(dialogueData) {
-        const { speaker, text, portrait, emotion, voice } = dialogueData;
+        const { speaker, speakerName, characterId, text, portrait, emotion, voice } = dialogueData;
         
         // Show container
         this.container?.classList.remove('dialogue-hidden');
         
         // Set speaker
-        this.setSpeaker(speaker);
+        this.setSpeaker(speaker, speakerName, characterId);
         
         // Set portrait if provided
         if (portrait) {
@@ -134,6 +272,7 @@ export class DialogueRenderer {
         this.indicatorElement?.classList.remove('visible');
         
         // Reset state
+        this.currentLine = dialogueData;
         this.currentText = text;
         this.displayedText = '';
         this.charIndex = 0;
@@ -157,54 +296,49 @@ export class DialogueRenderer {
 
     /**
      * Type text with animation
+     * Inline tags set per-character speed and fire pauses, sound effects
+     * and expression changes as the typewriter reaches them.
      * @param {string} text - Text to type
      */
     async typeText(text) {
         this.isTyping = true;
         
-        const speed = this.textSpeeds[this.currentSpeed];
+        const speed = this.isSkipping() ? 0 : this.textSpeeds[this.currentSpeed];
+        const markup = parseMarkup(text);
         
         // If instant, show all text immediately
         if (speed === 0) {
-            this.displayFullText(text);
+            this.displayFullText(markup);
             this.isTyping = false;
             return;
         }
 
-        // Process text for special tags
-        const processedText = this.processText(text);
-        
         // Type character by character
-        for (let i = 0; i < processedText.length; i++) {
+        for (let i = 0; i <= markup.chars.length; i++) {
+            for (const event of markup.events.filter(e => e.index === i)) {
+                await this.fireTextEvent(event);
+            }
+
+            if (i === markup.chars.length) break;
+
             if (this.skipRequested) {
-                this.displayFullText(text);
+                this.displayFullText(markup, i);
                 this.skipRequested = false;
                 break;
             }
 
-            const char = processedText[i];
+            const { char, speed: multiplier } = markup.chars[i];
             
-            // Handle special characters in HTML
-            if (char === '<') {
-                // Find closing tag
-                const closeIndex = processedText.indexOf('>', i);
-                if (closeIndex !== -1) {
-                    const tag = processedText.substring(i, closeIndex + 1);
-                    this.displayedText += tag;
-                    i = closeIndex;
-                    this.updateTextDisplay();
-                    continue;
-                }
-            }
-
-            this.displayedText += char;
+            this.displayedText = renderMarkup(markup, i + 1);
             this.updateTextDisplay();
             
             // Play typing sound
-            this.playTypeSound();
+            if (char.trim()) {
+                this.playTypeSound();
+            }
             
             // Calculate delay
-            let delay = speed;
+            let delay = speed / multiplier;
             
             // Add pause for punctuation
             if (['.', '!', '?'].includes(char)) {
@@ -220,34 +354,48 @@ export class DialogueRenderer {
     }
 
     /**
-     * Display full text immediately
-     * @param {string} text - Text to display
+     * Handle a [pause], [sfx] or [expr] tag reached while typing
+     * @param {Object} event - { type, value } from parseMarkup
      */
-    displayFullText(text) {
-        const processedText = this.processText(text);
-        this.displayedText = processedText;
-        this.updateTextDisplay();
+    async fireTextEvent(event) {
+        switch (event.type) {
+            case 'pause': {
+                // Wait in short steps so a click still finishes the line
+                const until = Date.now() + event.value;
+                while (!this.skipRequested && Date.now() < until) {
+                    await wait(Math.min(50, until - Date.now()));
+                }
+                break;
+            }
+
+            case 'sfx':
+                if (!this.skipRequested) {
+                    this.events.emit(GameEvents.SFX_PLAY, { sound: event.value });
+                }
+                break;
+
+            case 'expr':
+                this.onExpression?.(event.value, this.currentLine);
+                break;
+        }
     }
 
     /**
-     * Process text for formatting
-     * @param {string} text - Raw text
-     * @returns {string} Processed HTML
+     * Display full text immediately
+     * Expression tags not reached yet still apply, so the speaker ends the
+     * line looking as written; pauses and sounds are dropped.
+     * @param {Object|string} text - Text or parsed markup to display
+     * @param {number} [from=0] - Index typing had reached
      */
-    processText(text) {
-        // First escape HTML entities
-        let processed = text;
-        
-        // Parse inline formatting
-        processed = processed
-            .replace(/\*\*([^*]+)\*\*/g, '<strong class="text-emphasis">$1</strong>')
-            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
-            .replace(/\[magic\](.*?)\[\/magic\]/gi, '<span class="text-magic">$1</span>')
-            .replace(/\[whisper\](.*?)\[\/whisper\]/gi, '<span class="text-whisper">$1</span>')
-            .replace(/\[loud\](.*?)\[\/loud\]/gi, '<span class="text-loud">$1</span>')
-            .replace(/\[thought\](.*?)\[\/thought\]/gi, '<span class="text-thought">$1</span>');
-        
-        return processed;
+    displayFullText(text, from = 0) {
+        const markup = typeof text === 'string' ? parseMarkup(text) : text;
+        const expression = markup.events.filter(e => e.type === 'expr' && e.index > from).pop();
+        if (expression) {
+            this.onExpression?.(expression.value, this.currentLine);
+        }
+
+        this.displayedText = renderMarkup(markup);
+        this.updateTextDisplay();
     }
 
     /**
@@ -261,17 +409,20 @@ export class DialogueRenderer {
 
     /**
      * Set the speaker name
-     * @param {string} speaker - Speaker name
+     * @param {string} speaker - Speaker name as displayed
+     * @param {string} [speakerName] - Speaker as written in the script (before translation)
+     * @param {string|null} [characterId] - Character the speaker was matched to
      */
-    setSpeaker(speaker) {
+    setSpeaker(speaker, speakerName = speaker, characterId = null) {
         if (this.speakerElement) {
             this.speakerElement.textContent = speaker || '';
             this.speakerElement.className = 'speaker-name';
             
             // Add class for special speakers
-            if (speaker?.toLowerCase() === 'narrator') {
+            const name = speakerName?.toLowerCase();
+            if (name === 'narrator') {
                 this.speakerElement.classList.add('narrator');
-            } else if (speaker?.toLowerCase() === 'you' || speaker?.toLowerCase() === 'player') {
+            } else if (name === 'you' || name === 'player' || characterId === 'player') {
                 this.speakerElement.classList.add('player');
             }
         }
@@ -283,7 +434,7 @@ export class DialogueRenderer {
      */
     setPortrait(portraitSrc) {
         if (this.portraitElement) {
-            this.portraitElement.innerHTML = `<img src="${portraitSrc}" alt="Character portrait">`;
+            setHtml(this.portraitElement, html`<img src="${portraitSrc}" alt="Character portrait">`);
             this.portraitElement.style.display = 'block';
         }
     }
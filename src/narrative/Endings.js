@@ -0,0 +1,135 @@
+/**
+ * Endings - The ways the story can end, and which ones have been reached
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Endings are declared in data/endings.json, most specific first:
+ *
+ *   { "id": "restored", "title": "...", "description": "...",
+ *     "condition": { "type": "flag", "key": "cog_restored" },
+ *     "chapter": 8, "scene": "ending_restored" }
+ *
+ * When the last chapter ends, the first ending whose condition holds is
+ * picked and its scene (marked "ending": true in the chapter) is played.
+ * Reached endings are kept in the player profile, across every save and
+ * playthrough.
+ */
+
+import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { localization } from '../utils/Localization.js';
+
+export class Endings {
+    /**
+     * @param {StateManager} stateManager - State the conditions are checked against
+     * @param {ProfileManager} profile - Player profile the reached endings are kept in
+     */
+    constructor(stateManager, profile) {
+        this.events = globalEvents;
+        this.state = stateManager;
+        this.profile = profile;
+
+        // Definitions in priority order
+        this.definitions = [];
+    }
+
+    /**
+     * Set the ending definitions
+     * @param {Array<Object>} definitions - From data/endings.json
+     */
+    define(definitions = []) {
+        this.definitions = definitions.filter(ending => {
+            if (!ending?.id) {
+                console.warn('Ending without an id ignored');
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Get an ending definition
+     * @param {string} endingId - Ending ID
+     * @returns {Object|null}
+     */
+    get(endingId) {
+        return this.definitions.find(ending => ending.id === endingId) || null;
+    }
+
+    /**
+     * Pick the ending the current state leads to
+     * @returns {Object|null} The first ending whose condition holds
+     */
+    select() {
+        return this.definitions.find(ending => this.state.evaluateCondition(ending.condition)) || null;
+    }
+
+    /**
+     * Record an ending as reached
+     * @param {string} endingId - Ending ID
+     */
+    record(endingId) {
+        const isNew = this.profile.recordEnding(endingId);
+        this.events.emit(GameEvents.ENDING_REACHED, { endingId, isNew });
+    }
+
+    /**
+     * Check whether an ending has been reached in any playthrough
+     * @param {string} endingId - Ending ID
+     * @returns {boolean}
+     */
+    hasReached(endingId) {
+        return this.profile.hasEnding(endingId);
+    }
+
+    /**
+     * Get an ending's title in the current language
+     * @param {Object} ending - Ending definition
+     * @returns {string}
+     */
+    getTitle(ending) {
+        return localization.t(`endings.${ending.id}.title`, ending.title || ending.id);
+    }
+
+    /**
+     * Describe every ending for the gallery
+     * Unreached endings keep their place but give nothing away.
+     * @returns {Array<Object>} { id, reached, reachedAt, title, description }
+     */
+    getGallery() {
+        return this.definitions.map(ending => {
+            const reachedAt = this.profile.getEndingTime(ending.id);
+            return {
+                id: ending.id,
+                reached: reachedAt !== null,
+                reachedAt,
+                title: reachedAt !== null ? this.getTitle(ending) : null,
+                description: reachedAt !== null
+                    ? localization.t(`endings.${ending.id}.description`, ending.description || '')
+                    : null
+            };
+        });
+    }
+
+    /**
+     * Get the number of endings reached
+     * @returns {number}
+     */
+    getReachedCount() {
+        return this.definitions.filter(ending => this.hasReached(ending.id)).length;
+    }
+}
+
+/**
+ * Get every ending title and description, for the English base table
+ * @param {Array<Object>} definitions - From data/endings.json
+ * @returns {Object} Key to English text
+ */
+export function getEndingStrings(definitions = []) {
+    const strings = {};
+    for (const ending of definitions) {
+        if (ending.title) strings[`endings.${ending.id}.title`] = ending.title;
+        if (ending.description) strings[`endings.${ending.id}.description`] = ending.description;
+    }
+    return strings;
+}
+
+export default Endings;
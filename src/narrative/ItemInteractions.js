@@ -0,0 +1,144 @@
+/**
+ * ItemInteractions - Using inventory items on characters, hotspots and parts slots
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * An item is held (picked in the inventory, or dragged) and then used on a
+ * target. What happens is authored as reactions: a chapter's "itemReactions"
+ * cover its characters, a puzzle config's cover its hotspots and slots:
+ *
+ *   { "item": "diagnosis_notes", "target": { "character": "elara" },
+ *     "condition": "!showed_elara_notes", "consume": true,
+ *     "setFlag": "showed_elara_notes", "response": "...", "content": [...] }
+ *
+ * The first reaction whose item, target and condition match is used;
+ * puzzle reactions are checked before the chapter's.
+ */
+
+import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { localization } from '../utils/Localization.js';
+
+// dataTransfer type of a dragged inventory item
+export const ITEM_DRAG_TYPE = 'application/x-befixed-item';
+
+// Target fields that name what an item is used on
+export const TARGET_KINDS = ['character', 'hotspot', 'slot'];
+
+export class ItemInteractions {
+    /**
+     * @param {StateManager} stateManager - State holding the inventory
+     * @param {NarrativeParser} parser - Parser holding the current chapter
+     */
+    constructor(stateManager, parser) {
+        this.events = globalEvents;
+        this.state = stateManager;
+        this.parser = parser;
+
+        // Item currently held, if any
+        this.selected = null;
+
+        this.unsubscribers = [
+            this.events.on(GameEvents.ITEM_REMOVE, ({ itemId, remaining }) => {
+                if (itemId === this.selected && remaining <= 0) {
+                    this.select(null);
+                }
+            })
+        ];
+    }
+
+    /**
+     * Hold an item, ready to be used on something
+     * @param {string|null} itemId - Item ID, or null to put it away
+     */
+    select(itemId) {
+        if (itemId && !this.state.hasItem(itemId)) return;
+        if (itemId === this.selected) return;
+
+        this.selected = itemId || null;
+        this.events.emit(GameEvents.ITEM_SELECT, { itemId: this.selected });
+    }
+
+    /**
+     * Get the item being held
+     * @returns {string|null}
+     */
+    getSelected() {
+        return this.selected;
+    }
+
+    /**
+     * Get the current chapter's reactions
+     * @returns {Array<Object>}
+     */
+    getReactions() {
+        return this.parser.currentChapter?.itemReactions || [];
+    }
+
+    /**
+     * Find the reaction to using an item on a target
+     * @param {string} itemId - Item ID
+     * @param {Object} target - e.g. { character: 'elara' } or { puzzle, hotspot }
+     * @param {Array<Object>} [localReactions] - Reactions checked before the chapter's (a puzzle's)
+     * @returns {Object|null}
+     */
+    findReaction(itemId, target, localReactions = []) {
+        return [...localReactions, ...this.getReactions()].find(reaction =>
+            reaction.item === itemId &&
+            this.matchesTarget(reaction.target, target) &&
+            (!reaction.condition ||
+                this.state.evaluateCondition(reaction.condition, this.parser.currentChapter?.variables))
+        ) || null;
+    }
+
+    /**
+     * Check whether a reaction's target covers the target used
+     * @param {Object} spec - Reaction target
+     * @param {Object} target - Target used
+     * @returns {boolean}
+     */
+    matchesTarget(spec, target) {
+        if (!spec || !TARGET_KINDS.some(kind => spec[kind] !== undefined)) return false;
+
+        return Object.entries(spec).every(([field, value]) => target[field] === value);
+    }
+
+    /**
+     * Use an item on a target and apply the reaction's effects
+     * @param {string} itemId - Item ID
+     * @param {Object} target - e.g. { character: 'elara' } or { puzzle, slot }
+     * @param {Array<Object>} [localReactions] - Reactions checked before the chapter's
+     * @returns {Object|null} The reaction, its response translated, or null when nothing happens
+     */
+    use(itemId, target, localReactions = []) {
+        if (!this.state.hasItem(itemId)) return null;
+
+        const reaction = this.findReaction(itemId, target, localReactions);
+        this.events.emit(GameEvents.ITEM_USE, { itemId, target, handled: reaction !== null });
+        if (!reaction) return null;
+
+        if (reaction.setFlag) {
+            this.state.setFlag(reaction.setFlag, true);
+        }
+        if (reaction.consume) {
+            this.state.removeItem(itemId, reaction.consume === true ? 1 : reaction.consume);
+        }
+
+        this.select(null);
+
+        return {
+            ...reaction,
+            response: reaction.response && reaction.key
+                ? localization.t(`${reaction.key}.response`, reaction.response)
+                : reaction.response || null
+        };
+    }
+
+    /**
+     * Stop listening for events
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+export default ItemInteractions;
@@ -4,6 +4,12 @@
  */
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { compileExpression, compileAssignment, isFlagName, getCalledFunctions } from '../utils/Expression.js';
+import { localization } from '../utils/Localization.js';
+import { getPronounForms } from './Pronouns.js';
+
+// Interpolation with plural or select forms: {count plural one[# gear] other[# gears]}
+const FORMAT_PATTERN = /^(.+?)\s+(plural|select|gender)\s+((?:=?[\w-]+\[[^\]]*\]\s*)+)$/;
 
 export class NarrativeParser {
     constructor(stateManager) {
@@ -24,30 +30,27 @@ export class NarrativeParser {
      */
     registerDefaultHandlers() {
         // Dialogue command
-        this.registerCommand('dialogue', (data, context) => ({
+        this.registerCommand('dialogue', (data) => ({
             type: 'dialogue',
-            speaker: this.parseVariable(data.speaker, context),
-            text: this.parseVariable(data.text, context),
+            speaker: data.speaker,
+            text: data.text,
             portrait: data.portrait,
             emotion: data.emotion,
             voice: data.voice
         }));
 
         // Narration command
-        this.registerCommand('narration', (data, context) => ({
+        this.registerCommand('narration', (data) => ({
             type: 'narration',
-            text: this.parseVariable(data.text, context)
+            text: data.text
         }));
 
-        // Choice command
-        this.registerCommand('choice', (data, context) => ({
+        // Choice command (availability is evaluated when the choice is shown)
+        this.registerCommand('choice', (data) => ({
             type: 'choice',
-            prompt: this.parseVariable(data.prompt, context),
-            options: data.options.map(opt => ({
-                ...opt,
-                text: this.parseVariable(opt.text, context),
-                available: opt.condition ? this.state.evaluateCondition(opt.condition) : true
-            }))
+            id: data.id,
+            prompt: data.prompt,
+            options: (data.options || []).map(opt => ({ ...opt }))
         }));
 
         // Character command
@@ -57,7 +60,9 @@ export class NarrativeParser {
             character: data.character,
             position: data.position,
             expression: data.expression,
-            animation: data.animation
+            animation: data.animation,
+            from: data.from,
+            to: data.to
         }));
 
         // Background command
@@ -70,7 +75,7 @@ export class NarrativeParser {
         // Music command
         this.registerCommand('music', (data) => ({
             type: 'music',
-            action: data.action, // play, stop, fade
+            action: data.action || 'play', // play, stop, fade
             track: data.track,
             volume: data.volume,
             fadeTime: data.fadeTime
@@ -91,54 +96,71 @@ export class NarrativeParser {
         }));
 
         // Flag command
-        this.registerCommand('flag', (data) => {
-            if (data.set) {
-                this.state.setFlag(data.set, true);
-            }
-            if (data.clear) {
-                this.state.clearFlag(data.clear);
-            }
-            return { type: 'flag', ...data };
-        });
+        this.registerCommand('flag', (data) => ({
+            type: 'flag',
+            set: data.set,
+            clear: data.clear
+        }));
 
-        // Variable command
-        this.registerCommand('variable', (data) => {
-            if (data.set) {
-                this.state.setVariable(data.name, data.value);
-            }
-            if (data.increment) {
-                this.state.incrementVariable(data.name, data.amount || 1);
-            }
-            return { type: 'variable', ...data };
-        });
+        // Variable command ("set" may also be an assignment such as "gold = gold - price")
+        this.registerCommand('variable', (data) => ({
+            type: 'variable',
+            name: data.name,
+            value: data.value,
+            set: data.set,
+            increment: data.increment,
+            amount: data.amount
+        }));
+
+        // Relationship command (change raises or lowers, set replaces)
+        this.registerCommand('relationship', (data) => ({
+            type: 'relationship',
+            character: data.character,
+            change: data.change,
+            set: data.set
+        }));
 
         // Item command
-        this.registerCommand('item', (data) => {
-            if (data.add) {
-                this.state.addItem(data.add, data.quantity || 1);
-            }
-            if (data.remove) {
-                this.state.removeItem(data.remove, data.quantity || 1);
-            }
-            return { type: 'item', ...data };
-        });
+        this.registerCommand('item', (data) => ({
+            type: 'item',
+            add: data.add,
+            remove: data.remove,
+            quantity: data.quantity || 1
+        }));
+
+        // Order command (take on a customer's repair order)
+        this.registerCommand('order', (data) => ({
+            type: 'order',
+            take: data.take
+        }));
 
         // Jump command (go to different scene/label)
+        // A jump's "label" is the label it goes to, never one it defines
         this.registerCommand('jump', (data) => ({
             type: 'jump',
             target: data.target,
+            label: data.label,
             chapter: data.chapter
         }));
 
-        // Conditional command
-        this.registerCommand('if', (data, context) => {
-            const conditionMet = this.state.evaluateCondition(data.condition);
-            return {
-                type: 'conditional',
-                result: conditionMet,
-                then: conditionMet ? data.then : data.else
-            };
-        });
+        // Conditional command (branch is chosen when executed)
+        this.registerCommand('if', (data) => ({
+            type: 'if',
+            condition: data.condition,
+            then: this.parseBlock(data.then),
+            else: this.parseBlock(data.else)
+        }));
+
+        // Label marker (target for jumps)
+        this.registerCommand('label', (data) => ({
+            type: 'label',
+            name: data.name || data.label
+        }));
+
+        // Rollback barrier (the player cannot rewind past it)
+        this.registerCommand('barrier', () => ({
+            type: 'barrier'
+        }));
 
         // Wait command
         this.registerCommand('wait', (data) => ({
@@ -149,8 +171,8 @@ export class NarrativeParser {
         // Screen effect command
         this.registerCommand('effect', (data) => ({
             type: 'effect',
-            effect: data.effect, // shake, flash, fade
-            params: data.params
+            effect: data.effect, // shake, flash, particles
+            params: data.params || {}
         }));
     }
 
@@ -178,7 +200,9 @@ export class NarrativeParser {
             characters: chapterData.characters || [],
             backgrounds: chapterData.backgrounds || {},
             music: chapterData.music || {},
-            variables: chapterData.variables || {}
+            variables: chapterData.variables || {},
+            itemReactions: [],
+            errors: []
         };
 
         // Parse scenes
@@ -189,9 +213,203 @@ export class NarrativeParser {
             }
         }
 
+        this.currentChapter.itemReactions = this.parseItemReactions(chapterData.itemReactions);
+
+        // Report broken expressions now rather than when they are reached
+        for (const scene of this.currentChapter.scenes.values()) {
+            this.currentChapter.errors.push(...this.checkExpressions(scene.content, scene.id));
+        }
+        this.currentChapter.itemReactions.forEach((reaction, index) => {
+            this.currentChapter.errors.push(...this.checkExpressions(reaction.content, `itemReactions[${index}]`));
+        });
+        for (const error of this.currentChapter.errors) {
+            console.error(`Chapter ${chapterData.id}: ${error}`);
+        }
+
         return this.currentChapter;
     }
 
+    /**
+     * Parse the chapter's reactions to items used on its characters
+     * @param {Array} [reactions] - Raw reactions
+     * @returns {Array} Reactions with parsed, keyed content
+     */
+    parseItemReactions(reactions) {
+        if (!Array.isArray(reactions)) return [];
+
+        return reactions.map((reaction, index) => {
+            const key = reaction.key || `${this.currentChapter?.id ?? 'chapter'}.itemReactions.${index}`;
+            const content = this.parseBlock(reaction.content);
+            this.assignKeys(content, key);
+
+            return { ...reaction, key, content };
+        });
+    }
+
+    /**
+     * Compile every expression in a block and collect the errors
+     * @param {Array} block - Parsed content
+     * @param {string} sceneId - Scene ID (for messages)
+     * @param {Array} [prefix] - Path of the block
+     * @returns {Array<string>} Error messages
+     */
+    checkExpressions(block, sceneId, prefix = []) {
+        const errors = [];
+
+        block.forEach((node, index) => {
+            const path = [...prefix, index];
+            this.checkNode(node, (message) => {
+                errors.push(`Scene "${sceneId}" ${JSON.stringify(path)}: ${message}`);
+            });
+
+            for (const branch of ['then', 'else']) {
+                if (Array.isArray(node[branch])) {
+                    errors.push(...this.checkExpressions(node[branch], sceneId, [...path, branch]));
+                }
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Compile the expressions of one node (not its then/else branches)
+     * @param {Object} node - Content node
+     * @param {Function} report - Error callback
+     */
+    checkNode(node, report) {
+        const conditions = [node.condition];
+        const texts = [];
+
+        switch (node.type) {
+            case 'dialogue':
+                texts.push(node.speaker, node.text);
+                break;
+            case 'narration':
+                texts.push(node.text);
+                break;
+            case 'choice':
+                texts.push(node.prompt);
+                for (const option of node.options || []) {
+                    texts.push(option.text);
+                    conditions.push(option.condition);
+                }
+                break;
+            case 'variable':
+                if (typeof node.set === 'string') {
+                    this.checkSource(node.set, report, compileAssignment);
+                }
+                break;
+        }
+
+        for (const condition of conditions) {
+            for (const source of this.getConditionExpressions(condition)) {
+                this.checkSource(source, report);
+            }
+        }
+
+        for (const text of texts) {
+            for (const source of this.getInterpolations(text)) {
+                this.checkSource(source, report);
+            }
+        }
+    }
+
+    /**
+     * Compile one expression and report syntax errors or unknown functions
+     * @param {string} source - Expression source
+     * @param {Function} report - Error callback
+     * @param {Function} [compile] - Compiler to use
+     */
+    checkSource(source, report, compile = compileExpression) {
+        try {
+            const compiled = compile(source);
+            const ast = compiled.expression || compiled;
+
+            for (const name of getCalledFunctions(ast)) {
+                if (this.state?.functions && !this.state.functions.has(name)) {
+                    report(`Unknown function ${name}() in "${source}"`);
+                }
+            }
+        } catch (error) {
+            report(error.message);
+        }
+    }
+
+    /**
+     * Collect the expression strings inside a condition
+     * @param {Object|string} condition - Condition
+     * @returns {Array<string>}
+     */
+    getConditionExpressions(condition) {
+        if (typeof condition === 'string') {
+            return isFlagName(condition) ? [] : [condition];
+        }
+        if (!condition || typeof condition !== 'object') {
+            return [];
+        }
+
+        switch (condition.type) {
+            case 'expression':
+                return [condition.expression];
+            case 'and':
+            case 'or':
+                return (condition.conditions || []).flatMap(c => this.getConditionExpressions(c));
+            case 'not':
+                return this.getConditionExpressions(condition.condition);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Get the {...} expressions in a piece of text
+     * @param {string} text - Text
+     * @returns {Array<string>}
+     */
+    getInterpolations(text) {
+        if (typeof text !== 'string') return [];
+        return Array.from(text.matchAll(/\{([^{}]+)\}/g), match => this.parseFormat(match[1])?.expression ?? match[1]);
+    }
+
+    /**
+     * Split an interpolation with plural or select forms
+     * @param {string} source - Contents of {...}
+     * @returns {{expression: string, kind: string, forms: Map<string, string>}|null}
+     */
+    parseFormat(source) {
+        const match = FORMAT_PATTERN.exec(source.trim());
+        if (!match) return null;
+
+        const forms = new Map();
+        for (const [, name, text] of match[3].matchAll(/(=?[\w-]+)\[([^\]]*)\]/g)) {
+            forms.set(name, text);
+        }
+        return { expression: match[1], kind: match[2], forms };
+    }
+
+    /**
+     * Pick the form of a plural or select interpolation for a value
+     * "#" in the chosen form is replaced by the value.
+     * @param {Object} format - Result of parseFormat
+     * @param {*} value - Evaluated expression
+     * @returns {string|undefined}
+     */
+    selectForm(format, value) {
+        const { kind, forms } = format;
+        let form = forms.get(`=${value}`);
+
+        if (form === undefined && kind === 'plural' && typeof value === 'number') {
+            form = forms.get(localization.getPluralCategory(value));
+        }
+        if (form === undefined && kind !== 'plural') {
+            form = forms.get(String(value));
+        }
+        form ??= forms.get('other');
+
+        return form?.replace(/#/g, String(value));
+    }
+
     /**
      * Parse a scene
      * @param {Object} sceneData - Raw scene data
@@ -205,24 +423,19 @@ export class NarrativeParser {
             music: sceneData.music,
             ambience: sceneData.ambience,
             characters: sceneData.characters || [],
+            ending: sceneData.ending === true,
             content: [],
             labels: new Map()
         };
 
         // Parse content
-        if (sceneData.content) {
-            for (const item of sceneData.content) {
-                // Check for labels
-                if (item.label) {
-                    scene.labels.set(item.label, scene.content.length);
-                }
-                
-                const parsed = this.parseContent(item);
-                if (parsed) {
-                    scene.content.push(parsed);
-                }
-            }
-        }
+        scene.content = this.parseBlock(sceneData.content);
+
+        // Index labels at any nesting depth
+        this.indexLabels(scene.content, [], scene.labels);
+
+        // Give every line a string key for translation
+        this.assignKeys(scene.content, `${this.currentChapter?.id ?? 'chapter'}.${scene.id}`);
 
         return scene;
     }
@@ -233,67 +446,279 @@ export class NarrativeParser {
      * @returns {Object|null} Parsed content
      */
     parseContent(content) {
-        // Get the command type
-        const commandType = Object.keys(content).find(key => 
-            this.commandHandlers.has(key) || 
-            ['label', 'condition'].includes(key) === false
-        );
+        if (!content || typeof content !== 'object') {
+            return null;
+        }
+
+        // Get the command type, either from an explicit "type" field
+        // or from a keyed form such as { "dialogue": { ... } }
+        const keyed = !this.commandHandlers.has(content.type);
+        const commandType = keyed
+            ? Object.keys(content).find(key => this.commandHandlers.has(key))
+            : content.type;
 
         if (!commandType) {
             // Simple dialogue shorthand
             if (content.speaker && content.text) {
                 return this.commandHandlers.get('dialogue')(content, {});
             }
+            // Return unknown typed commands as-is so the runtime can report them
+            if (content.type) {
+                return { ...content };
+            }
             return null;
         }
 
         const handler = this.commandHandlers.get(commandType);
-        if (handler) {
-            const data = typeof content[commandType] === 'object' 
-                ? content[commandType] 
-                : content;
-            
-            const parsed = handler(data, { chapter: this.currentChapter });
-            
-            // Add condition if present
-            if (content.condition) {
-                parsed.condition = content.condition;
+        const data = keyed && typeof content[commandType] === 'object'
+            ? content[commandType]
+            : content;
+
+        const parsed = handler(data, { chapter: this.currentChapter });
+
+        // Add condition if present
+        if (content.condition) {
+            parsed.condition = content.condition;
+        }
+
+        // Keep a label attached to any other command
+        if (content.label && parsed.type !== 'label' && parsed.type !== 'jump') {
+            parsed.label = content.label;
+        }
+
+        // Keep an explicit string key
+        if (content.key) {
+            parsed.key = content.key;
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Record the position path of every label in a block
+     * @param {Array} block - Parsed content
+     * @param {Array} prefix - Path of the block
+     * @param {Map} labels - Label name -> position path
+     */
+    indexLabels(block, prefix, labels) {
+        block.forEach((node, index) => {
+            const name = node.type === 'label' ? node.name : node.type !== 'jump' && node.label;
+            if (name) {
+                labels.set(name, [...prefix, index]);
+            }
+
+            for (const branch of ['then', 'else']) {
+                if (Array.isArray(node[branch])) {
+                    this.indexLabels(node[branch], [...prefix, index, branch], labels);
+                }
+            }
+        });
+    }
+
+    /**
+     * Give each node without an explicit key one derived from its position
+     * (e.g. "chapter1.intro.3", "chapter1.intro.5.then.0")
+     * @param {Array} block - Parsed content
+     * @param {string} prefix - Key of the block
+     */
+    assignKeys(block, prefix) {
+        block.forEach((node, index) => {
+            node.key ??= `${prefix}.${index}`;
+
+            for (const branch of ['then', 'else']) {
+                if (Array.isArray(node[branch])) {
+                    this.assignKeys(node[branch], `${prefix}.${index}.${branch}`);
+                }
+            }
+        });
+    }
+
+    /**
+     * Collect the translatable strings of the current chapter
+     * @returns {Object} Key -> English text
+     */
+    getStrings() {
+        const chapter = this.currentChapter;
+        if (!chapter) return {};
+
+        const strings = {};
+        const add = (key, text) => {
+            if (typeof text === 'string' && text) strings[key] = text;
+        };
+
+        add(`${chapter.id}.title`, chapter.title);
+        add(`${chapter.id}.description`, chapter.description);
+
+        const visit = (block) => {
+            for (const node of block) {
+                for (const [key, text] of Object.entries(this.getNodeStrings(node))) {
+                    add(key, text);
+                }
+                for (const branch of ['then', 'else']) {
+                    if (Array.isArray(node[branch])) visit(node[branch]);
+                }
+            }
+        };
+
+        for (const scene of chapter.scenes.values()) {
+            visit(scene.content);
+        }
+        for (const reaction of chapter.itemReactions || []) {
+            add(`${reaction.key}.response`, reaction.response);
+            visit(reaction.content);
+        }
+
+        return strings;
+    }
+
+    /**
+     * Get the translatable strings of one node, keyed as the runtime looks them up
+     * @param {Object} node - Parsed content item
+     * @returns {Object} Key -> English text
+     */
+    getNodeStrings(node) {
+        switch (node.type) {
+            case 'dialogue':
+                return { [`speaker.${node.speaker}`]: node.speaker, [node.key]: node.text };
+            case 'narration':
+                return { [node.key]: node.text };
+            case 'choice': {
+                const strings = { [`${node.key}.prompt`]: node.prompt };
+                node.options.forEach((option, index) => {
+                    strings[this.getOptionKey(node, index)] = option.text;
+                });
+                return strings;
             }
-            
-            return parsed;
+            case 'puzzle':
+                return {
+                    [`${node.key}.title`]: node.config?.title,
+                    [`${node.key}.description`]: node.config?.description
+                };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Get the string key of a choice option
+     * @param {Object} node - Choice node
+     * @param {number} index - Option index
+     * @returns {string}
+     */
+    getOptionKey(node, index) {
+        return node.options[index].key || `${node.key}.options.${index}`;
+    }
+
+    /**
+     * Translate the text of a node into the active locale
+     * Untranslated text is kept as written.
+     * @param {Object} node - Parsed content item
+     * @returns {Object} Node with translated text
+     */
+    localize(node) {
+        if (!node.key) return node;
+
+        switch (node.type) {
+            case 'dialogue':
+                return {
+                    ...node,
+                    speaker: localization.t(`speaker.${node.speaker}`, node.speaker),
+                    text: localization.t(node.key, node.text)
+                };
+            case 'narration':
+                return { ...node, text: localization.t(node.key, node.text) };
+            case 'choice':
+                return {
+                    ...node,
+                    prompt: localization.t(`${node.key}.prompt`, node.prompt),
+                    options: node.options.map((option, index) => ({
+                        ...option,
+                        text: localization.t(this.getOptionKey(node, index), option.text)
+                    }))
+                };
+            case 'puzzle':
+                if (!node.config) return node;
+                return {
+                    ...node,
+                    config: {
+                        ...node.config,
+                        ...(node.config.title && { title: localization.t(`${node.key}.title`, node.config.title) }),
+                        ...(node.config.description && {
+                            description: localization.t(`${node.key}.description`, node.config.description)
+                        })
+                    }
+                };
+            default:
+                return node;
         }
+    }
+
+    /**
+     * Parse a nested block of content items
+     * @param {Array} [items] - Raw content items
+     * @returns {Array} Parsed content
+     */
+    parseBlock(items) {
+        if (!Array.isArray(items)) return [];
 
-        // Return as-is if no handler found
-        return { type: commandType, ...content };
+        return items
+            .map(item => this.parseContent(item))
+            .filter(Boolean);
     }
 
     /**
      * Parse variable references in text
+     * Supports {name}, {expression} and plural/select forms such as
+     * {count plural =0[no gears] one[# gear] other[# gears]} or
+     * {elara_gender select female[she] male[he] other[they]}. The player's
+     * {player.name} and pronouns ({they}, {them}, {their}, {theirs},
+     * {themself}, capitalized as {They}...) are always available.
      * @param {string} text - Text with variable references
      * @param {Object} context - Parsing context
+     * @param {Function} [formatValue] - Applied to each substituted value (e.g. escapeMarkup)
      * @returns {string} Parsed text
      */
-    parseVariable(text, context = {}) {
+    parseVariable(text, context = {}, formatValue = value => value) {
         if (typeof text !== 'string') return text;
 
-        return text.replace(/\{(\w+)\}/g, (match, varName) => {
-            // Check state variables
-            if (this.state.variables.has(varName)) {
-                return this.state.getVariable(varName);
-            }
-            // Check context
-            if (context[varName] !== undefined) {
-                return context[varName];
-            }
-            // Check chapter variables
-            if (this.currentChapter?.variables?.[varName] !== undefined) {
-                return this.currentChapter.variables[varName];
+        const scope = {
+            ...getPronounForms(this.state.getPlayer().pronouns),
+            ...this.currentChapter?.variables,
+            ...context
+        };
+
+        return text.replace(/\{([^{}]+)\}/g, (match, varName) => {
+
+            // Plural and select forms: {count plural one[# gear] other[# gears]}
+            const format = this.parseFormat(varName);
+            if (format) {
+                const value = this.state.evaluateExpression(format.expression.trim(), scope);
+                return value === undefined ? match : this.selectForm(format, value) ?? match;
             }
-            // Return original if not found
-            return match;
+
+            const value = this.resolveReference(varName, scope);
+            return value === undefined ? match : formatValue(value);
         });
     }
 
+    /**
+     * Look up a {name} or {expression} reference
+     * @param {string} varName - Text between the braces
+     * @param {Object} scope - Pronouns, chapter variables and context, later ones winning
+     * @returns {*} The value, or undefined when it cannot be resolved
+     */
+    resolveReference(varName, scope) {
+        // Anything beyond a plain name is an expression
+        if (!/^\w+$/.test(varName)) {
+            return this.state.evaluateExpression(varName.trim(), scope);
+        }
+        // Check state variables
+        if (this.state.variables.has(varName)) {
+            return this.state.getVariable(varName);
+        }
+        return Object.hasOwn(scope, varName) ? scope[varName] : undefined;
+    }
+
     /**
      * Get scene by ID
      * @param {string} sceneId - Scene ID
@@ -303,6 +728,35 @@ export class NarrativeParser {
         return this.currentChapter?.scenes.get(sceneId) || null;
     }
 
+    /**
+     * Get the scene that plays when another runs out of content
+     * Ending scenes are only played by the ending flow, so they are skipped,
+     * and nothing follows one.
+     * @param {string} sceneId - Scene ID
+     * @param {Map<string, Object>} [scenes] - Parsed scenes (defaults to the current chapter's)
+     * @returns {string|null}
+     */
+    getNextSceneId(sceneId, scenes = this.currentChapter?.scenes) {
+        const list = Array.from(scenes?.values() || []);
+        const position = list.findIndex(scene => scene.id === sceneId);
+        if (position < 0 || list[position].ending) return null;
+        return list.slice(position + 1).find(scene => !scene.ending)?.id || null;
+    }
+
+    /**
+     * Count the options of every choice, including those in conditional branches
+     * @param {Map<string, Object>} [scenes] - Parsed scenes (defaults to the current chapter's)
+     * @returns {number}
+     */
+    countChoiceOptions(scenes = this.currentChapter?.scenes) {
+        const count = (block) => block.reduce((total, node) => total
+            + (node.type === 'choice' ? node.options.length : 0)
+            + count(node.then || [])
+            + count(node.else || []), 0);
+
+        return Array.from(scenes?.values() || []).reduce((total, scene) => total + count(scene.content), 0);
+    }
+
     /**
      * Get content at index
      * @param {string} sceneId - Scene ID
@@ -321,11 +775,21 @@ export class NarrativeParser {
      * Get label index in scene
      * @param {string} sceneId - Scene ID
      * @param {string} label - Label name
-     * @returns {number} Index or -1 if not found
+     * @returns {number} Index of the top-level content item holding the label, or -1 if not found
      */
     getLabelIndex(sceneId, label) {
+        return this.getLabelPath(sceneId, label)?.[0] ?? -1;
+    }
+
+    /**
+     * Get the position path of a label in a scene
+     * @param {string} sceneId - Scene ID
+     * @param {string} label - Label name
+     * @returns {Array|null} Path such as [4, 'then', 2], or null if not found
+     */
+    getLabelPath(sceneId, label) {
         const scene = this.getScene(sceneId);
-        return scene?.labels.get(label) ?? -1;
+        return scene?.labels.get(label) || null;
     }
 
     /**
@@ -388,6 +852,8 @@ export class NarrativeParser {
 
             if (!scene.content || scene.content.length === 0) {
                 warnings.push(`Scene "${scene.id}" has no content`);
+            } else {
+                errors.push(...this.checkExpressions(this.parseBlock(scene.content), scene.id));
             }
         }
 
@@ -0,0 +1,322 @@
+/**
+ * PlaythroughRunner - Plays chapters without a DOM for regression checks
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Drives the real script runtime (StateManager, NarrativeParser,
+ * ScriptInterpreter, ChoiceManager, Relationships, Economy and PuzzleFactory
+ * state logic) with scripted choices and puzzle outcomes instead of player input.
+ */
+
+import { StateManager } from '../core/StateManager.js';
+import { NarrativeParser } from './NarrativeParser.js';
+import { ScriptInterpreter } from './ScriptInterpreter.js';
+import { ChoiceManager } from './ChoiceManager.js';
+import { Relationships } from './Relationships.js';
+import { PuzzleFactory } from '../puzzles/PuzzleFactory.js';
+import { Economy } from '../core/Economy.js';
+
+/**
+ * Run outcomes
+ */
+export const PlaythroughStatus = {
+    COMPLETE: 'complete',             // Reached the end of the last chapter played
+    AWAITING_CHOICE: 'awaiting-choice', // Scripted choices ran out
+    DEPTH_LIMIT: 'depth-limit',       // Exploration stopped at the depth limit
+    INVALID_CHOICE: 'invalid-choice', // Scripted index is out of range or locked
+    SOFTLOCK: 'softlock',             // A choice had no available options
+    STUCK_PUZZLE: 'stuck-puzzle',     // A puzzle was scripted to never be solved
+    STEP_LIMIT: 'step-limit',         // Too many commands, most likely a loop
+    ERROR: 'error'                    // The runtime threw
+};
+
+// Statuses that mean the content itself is broken
+const FAILURES = [
+    PlaythroughStatus.SOFTLOCK,
+    PlaythroughStatus.STUCK_PUZZLE,
+    PlaythroughStatus.STEP_LIMIT,
+    PlaythroughStatus.ERROR
+];
+
+// Presentation commands that have nothing to do without a screen
+const PRESENTATION_COMMANDS = ['character', 'background', 'music', 'sfx', 'effect', 'wait'];
+
+export class PlaythroughRunner {
+    /**
+     * @param {Object} data - { chapters: Array|Map of raw chapter data, puzzles: puzzle configs, characters, economy }
+     */
+    constructor(data = {}) {
+        this.chapters = new Map();
+        const chapters = data.chapters instanceof Map ? data.chapters.values() : data.chapters || [];
+        for (const chapter of chapters) {
+            this.chapters.set(chapter.number, chapter);
+        }
+
+        this.puzzleConfigs = data.puzzles || [];
+        this.characters = data.characters || [];
+        this.economy = data.economy || {};
+        this.defaultScore = 100;
+        this.maxSteps = 10000;
+    }
+
+    /**
+     * Play a chapter with scripted input
+     * @param {Object} options
+     * @param {number} [options.chapter=1] - Chapter to start
+     * @param {string} [options.scene] - Scene to start (defaults to the first)
+     * @param {Array<number>} [options.choices] - Option index for each choice, in order
+     * @param {Array} [options.puzzles] - Outcome for each puzzle: a score, { score, failures }, or false for never solved
+     * @param {boolean} [options.continueChapters=false] - Start the next chapter when one ends
+     * @param {Function} [options.setup] - Called with the StateManager before play, to seed state
+     * @returns {Promise<Object>} Playthrough result
+     */
+    async play(options = {}) {
+        const {
+            chapter = 1,
+            scene = null,
+            choices = [],
+            puzzles = [],
+            continueChapters = false,
+            setup = null
+        } = options;
+
+        const result = {
+            status: PlaythroughStatus.COMPLETE,
+            message: null,
+            choices: [],
+            scenes: [],
+            transcript: [],
+            chapterEnds: [],
+            warnings: [],
+            pendingChoice: null,
+            state: null
+        };
+
+        const state = new StateManager();
+        state.reset();
+        setup?.(state);
+
+        const parser = new NarrativeParser(state);
+        const interpreter = new ScriptInterpreter(state, parser);
+        const choiceLogic = new ChoiceManager(state);
+        const relationships = new Relationships(state);
+        for (const character of this.characters) {
+            if (character.relationship) {
+                relationships.define(character.id, character.relationship);
+            }
+        }
+        const economy = new Economy(state);
+        economy.define(this.economy);
+        const puzzleLogic = new PuzzleFactory(state);
+        for (const config of this.puzzleConfigs) {
+            puzzleLogic.puzzleConfigs.set(config.id, config);
+        }
+
+        let currentChapter = null;
+        let steps = 0;
+        const choiceQueue = [...choices];
+        const puzzleQueue = [...puzzles];
+
+        const finish = (status, message = null) => {
+            result.status = status;
+            result.message = message;
+            interpreter.stop();
+        };
+
+        const enter = (chapterNum, sceneId) => {
+            const chapterData = this.chapters.get(chapterNum);
+            if (!chapterData) {
+                finish(PlaythroughStatus.ERROR, `Chapter ${chapterNum} not found`);
+                return null;
+            }
+
+            currentChapter = chapterNum;
+            state.set('currentChapter', chapterNum);
+            interpreter.loadChapter(chapterData);
+            result.warnings.push(...parser.currentChapter.errors);
+
+            const startScene = sceneId || chapterData.scenes?.[0]?.id || null;
+            state.set('currentScene', startScene);
+            result.scenes.push(`${chapterNum}:${startScene}`);
+            return startScene;
+        };
+
+        for (const type of PRESENTATION_COMMANDS) {
+            interpreter.registerExecutor(type, () => {});
+        }
+
+        interpreter.registerExecutor('relationship', (item) => relationships.apply(item));
+        interpreter.registerExecutor('order', (item) => economy.apply(item));
+
+        interpreter.registerExecutor('dialogue', (item) => {
+            result.transcript.push({ speaker: item.speaker, text: item.text });
+        });
+
+        interpreter.registerExecutor('narration', (item) => {
+            result.transcript.push({ speaker: null, text: item.text });
+        });
+
+        interpreter.registerExecutor('choice', (item) => {
+            const name = item.id || item.prompt || 'choice';
+            const available = item.options
+                .map((option, index) => (option.available === false ? null : index))
+                .filter(index => index !== null);
+
+            if (available.length === 0) {
+                finish(PlaythroughStatus.SOFTLOCK, `Choice "${name}" has no available options`);
+                return;
+            }
+
+            if (choiceQueue.length === 0) {
+                result.pendingChoice = { id: item.id, prompt: item.prompt, available };
+                finish(PlaythroughStatus.AWAITING_CHOICE);
+                return;
+            }
+
+            const index = choiceQueue.shift();
+            if (!available.includes(index)) {
+                finish(PlaythroughStatus.INVALID_CHOICE,
+                    `Option ${index} of choice "${name}" is not available`);
+                return;
+            }
+
+            result.choices.push(index);
+            const selected = choiceLogic.applyOption(item, index);
+            if (selected.next) {
+                return { jump: { target: selected.next } };
+            }
+        });
+
+        interpreter.registerExecutor('puzzle', (item) => {
+            const config = puzzleLogic.puzzleConfigs.get(item.puzzleId);
+            if (!config) {
+                // The game skips puzzles it cannot start
+                result.warnings.push(`Puzzle not found: ${item.puzzleId}`);
+                return;
+            }
+
+            const outcome = puzzleQueue.length > 0 ? puzzleQueue.shift() : this.defaultScore;
+            if (outcome === false || outcome?.solved === false) {
+                finish(PlaythroughStatus.STUCK_PUZZLE, `Puzzle "${item.puzzleId}" was never solved`);
+                return;
+            }
+
+            const score = typeof outcome === 'number' ? outcome : outcome.score ?? this.defaultScore;
+            for (let i = 0; i < (outcome.failures || 0); i++) {
+                puzzleLogic.recordFailure(item.puzzleId);
+            }
+            puzzleLogic.recordCompletion(item.puzzleId, {
+                score,
+                rewards: { ...config, ...item.config }.rewards || []
+            });
+            economy.recordPuzzle(item.puzzleId, score);
+        });
+
+        // Count every command so a loop ends the run instead of hanging it
+        for (const [type, executor] of interpreter.executors) {
+            interpreter.registerExecutor(type, (node, runtime) => {
+                steps++;
+                if (steps > this.maxSteps) {
+                    finish(PlaythroughStatus.STEP_LIMIT, `Stopped after ${this.maxSteps} commands`);
+                    return undefined;
+                }
+                return executor(node, runtime);
+            });
+        }
+
+        interpreter.setHooks({
+            enterScene: (sceneId) => {
+                state.set('currentScene', sceneId);
+                result.scenes.push(`${currentChapter}:${sceneId}`);
+            },
+            enterChapter: (chapterNum, sceneId) => {
+                result.chapterEnds.push(this.snapshot(state, currentChapter, 'jump'));
+                return enter(chapterNum, sceneId);
+            },
+            endChapter: () => {
+                state.setFlag(`chapter${currentChapter}Complete`, true);
+                result.chapterEnds.push(this.snapshot(state, currentChapter, 'end'));
+            }
+        });
+
+        // Runtime warnings (missing scenes, labels, executors) belong in the report
+        const warn = console.warn;
+        console.warn = (...args) => result.warnings.push(args.join(' '));
+
+        try {
+            let startScene = enter(chapter, scene);
+
+            while (startScene) {
+                await interpreter.run(startScene);
+
+                const ended = result.status === PlaythroughStatus.COMPLETE;
+                const next = currentChapter + 1;
+                startScene = ended && continueChapters && this.chapters.has(next)
+                    ? enter(next, null)
+                    : null;
+            }
+        } catch (error) {
+            result.status = PlaythroughStatus.ERROR;
+            result.message = error.message;
+        } finally {
+            console.warn = warn;
+            relationships.destroy();
+            economy.destroy();
+        }
+
+        result.state = this.snapshot(state, currentChapter, result.status);
+        return result;
+    }
+
+    /**
+     * Try every combination of choices up to a depth
+     * @param {Object} options - Same as play(), plus depth (maximum number of choices)
+     * @returns {Promise<Array<Object>>} One result per path
+     */
+    async explore(options = {}) {
+        const { depth = 10, choices = [], ...rest } = options;
+
+        const result = await this.play({ ...rest, choices });
+        if (result.status !== PlaythroughStatus.AWAITING_CHOICE) {
+            return [result];
+        }
+        if (choices.length >= depth) {
+            result.status = PlaythroughStatus.DEPTH_LIMIT;
+            return [result];
+        }
+
+        const results = [];
+        for (const index of result.pendingChoice.available) {
+            results.push(...await this.explore({ ...rest, depth, choices: [...choices, index] }));
+        }
+        return results;
+    }
+
+    /**
+     * Check whether a result means the content is broken
+     * @param {Object} result - Playthrough result
+     * @returns {boolean}
+     */
+    isFailure(result) {
+        return FAILURES.includes(result.status);
+    }
+
+    /**
+     * Capture flags, variables and inventory
+     * @param {StateManager} state - Game state
+     * @param {number} chapter - Chapter number
+     * @param {string} reason - Why the snapshot was taken
+     * @returns {Object}
+     */
+    snapshot(state, chapter, reason) {
+        return {
+            chapter,
+            reason,
+            scene: state.get('currentScene'),
+            flags: Array.from(state.flags.entries()).filter(([, value]) => value).map(([flag]) => flag),
+            variables: Object.fromEntries(state.variables),
+            inventory: Object.fromEntries(state.inventory)
+        };
+    }
+}
+
+export default PlaythroughRunner;
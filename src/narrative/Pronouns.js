@@ -0,0 +1,79 @@
+/**
+ * Pronouns - Pronoun sets the player can choose, and their text forms
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Each set is written as the they/them forms it replaces, so scripts use
+ * {they}, {them}, {their}, {theirs} and {themself} (or {They}, {Their}...
+ * at the start of a sentence) whatever the player picked.
+ */
+
+import { localization } from '../utils/Localization.js';
+
+export const PRONOUN_FORMS = ['they', 'them', 'their', 'theirs', 'themself'];
+
+export const PRONOUN_SETS = {
+    she: { label: 'she/her', they: 'she', them: 'her', their: 'her', theirs: 'hers', themself: 'herself' },
+    he: { label: 'he/him', they: 'he', them: 'him', their: 'his', theirs: 'his', themself: 'himself' },
+    they: { label: 'they/them', they: 'they', them: 'them', their: 'their', theirs: 'theirs', themself: 'themself' }
+};
+
+export const DEFAULT_PRONOUNS = 'they';
+
+/**
+ * Get the ids of every pronoun set, in display order
+ * @returns {Array<string>}
+ */
+export function getPronounSetIds() {
+    return Object.keys(PRONOUN_SETS);
+}
+
+/**
+ * Get the label shown for a pronoun set (e.g. "she/her")
+ * @param {string} setId - Pronoun set id
+ * @returns {string}
+ */
+export function getPronounLabel(setId) {
+    const set = PRONOUN_SETS[setId] || PRONOUN_SETS[DEFAULT_PRONOUNS];
+    return localization.t(`pronouns.${setId}.label`, set.label);
+}
+
+/**
+ * Get the interpolation values for a pronoun set, in the current language
+ * @param {string} setId - Pronoun set id
+ * @returns {Object} { they, them, ..., They, Them, ... }
+ */
+export function getPronounForms(setId) {
+    const id = PRONOUN_SETS[setId] ? setId : DEFAULT_PRONOUNS;
+    const forms = {};
+
+    for (const form of PRONOUN_FORMS) {
+        const value = localization.t(`pronouns.${id}.${form}`, PRONOUN_SETS[id][form]);
+        forms[form] = value;
+        forms[form[0].toUpperCase() + form.slice(1)] = value.charAt(0).toUpperCase() + value.slice(1);
+    }
+    return forms;
+}
+
+/**
+ * Get every pronoun string, for the English base table
+ * @returns {Object} Key to English text
+ */
+export function getPronounStrings() {
+    const strings = {};
+    for (const [id, set] of Object.entries(PRONOUN_SETS)) {
+        for (const [form, text] of Object.entries(set)) {
+            strings[`pronouns.${id}.${form}`] = text;
+        }
+    }
+    return strings;
+}
+
+export default {
+    PRONOUN_FORMS,
+    PRONOUN_SETS,
+    DEFAULT_PRONOUNS,
+    getPronounSetIds,
+    getPronounLabel,
+    getPronounForms,
+    getPronounStrings
+};
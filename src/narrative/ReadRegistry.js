@@ -0,0 +1,50 @@
+/**
+ * ReadRegistry - Remembers which lines have been shown in any playthrough
+ * Befixed - Magic & Mechanical Repair Shop
+ */
+
+export class ReadRegistry {
+    /**
+     * @param {ProfileManager} profile - Player profile the read lines are kept in
+     */
+    constructor(profile) {
+        this.profile = profile;
+    }
+
+    /**
+     * Check whether a line has been shown before
+     * Lines without a content key (built outside a chapter) never count as read.
+     * @param {Object} node - Dialogue or narration command
+     * @returns {boolean}
+     */
+    hasRead(node) {
+        return Boolean(node?.key) && this.profile.hasReadLine(node.key);
+    }
+
+    /**
+     * Mark a line as shown in the profile
+     * @param {Object} node - Dialogue or narration command
+     */
+    markRead(node) {
+        if (!node?.key) return;
+
+        this.profile.markLineRead(node.key);
+    }
+
+    /**
+     * Get the number of lines read
+     * @returns {number}
+     */
+    getCount() {
+        return this.profile.getReadLineCount();
+    }
+
+    /**
+     * Forget every read line
+     */
+    clear() {
+        this.profile.clearReadLines();
+    }
+}
+
+export default ReadRegistry;
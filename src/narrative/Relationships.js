@@ -0,0 +1,241 @@
+/**
+ * Relationships - How each character regards the player
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Values live in state variables named relationship_<characterId>, so they
+ * are saved, rolled back and readable in expressions like any variable.
+ * Characters declare their range and named thresholds in characters.json:
+ *
+ *   "relationship": {
+ *       "initial": 0, "min": -10, "max": 10,
+ *       "thresholds": [{ "id": "friendly", "name": "Friendly", "at": 3 }]
+ *   }
+ *
+ * A character's standing is the highest threshold its value has reached.
+ */
+
+import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { clamp } from '../utils/helpers.js';
+
+const VARIABLE_PREFIX = 'relationship_';
+
+export class Relationships {
+    /**
+     * @param {StateManager} stateManager - State holding the values
+     */
+    constructor(stateManager) {
+        this.events = globalEvents;
+        this.state = stateManager;
+
+        // Definitions by character ID: { initial, min, max, thresholds }
+        this.definitions = new Map();
+
+        // Set while a value is being clamped, so the correction is not handled twice
+        this.isClamping = false;
+
+        this.unsubscribers = [
+            this.events.on(GameEvents.VARIABLE_SET, (data) => this.onVariableSet(data)),
+            this.events.on(GameEvents.STATE_CHANGE, ({ type }) => {
+                if (type === 'reset' || type === 'load') this.seedValues();
+            })
+        ];
+
+        this.state.registerFunction('relationship', (characterId) => this.get(characterId));
+        this.state.registerFunction('standing', (characterId) => this.getStanding(characterId)?.id ?? null);
+        this.state.registerCondition('relationship', (condition) => this.checkCondition(condition));
+    }
+
+    /**
+     * Declare a character's relationship range and thresholds
+     * @param {string} characterId - Character ID
+     * @param {Object} [definition] - { initial, min, max, thresholds }
+     */
+    define(characterId, definition = {}) {
+        this.definitions.set(characterId, {
+            initial: definition.initial ?? 0,
+            min: definition.min ?? -Infinity,
+            max: definition.max ?? Infinity,
+            thresholds: [...(definition.thresholds || [])].sort((a, b) => a.at - b.at)
+        });
+        this.seedValues();
+    }
+
+    /**
+     * Check whether a character has a relationship
+     * @param {string} characterId - Character ID
+     * @returns {boolean}
+     */
+    has(characterId) {
+        return this.definitions.has(characterId);
+    }
+
+    /**
+     * Give every defined character its initial value if it has none yet
+     * (a new game, or a save from before the character had one)
+     */
+    seedValues() {
+        for (const [characterId, definition] of this.definitions) {
+            const name = VARIABLE_PREFIX + characterId;
+            if (!this.state.variables.has(name)) {
+                this.state.setVariable(name, definition.initial);
+            }
+        }
+    }
+
+    /**
+     * Get a character's relationship value
+     * @param {string} characterId - Character ID
+     * @returns {number}
+     */
+    get(characterId) {
+        const initial = this.definitions.get(characterId)?.initial ?? 0;
+        return Number(this.state.getVariable(VARIABLE_PREFIX + characterId, initial)) || 0;
+    }
+
+    /**
+     * Set a character's relationship value (clamped to its range)
+     * @param {string} characterId - Character ID
+     * @param {number} value - New value
+     */
+    set(characterId, value) {
+        this.state.setVariable(VARIABLE_PREFIX + characterId, value);
+    }
+
+    /**
+     * Raise or lower a character's relationship value
+     * @param {string} characterId - Character ID
+     * @param {number} amount - Change (negative lowers)
+     */
+    change(characterId, amount) {
+        this.set(characterId, this.get(characterId) + amount);
+    }
+
+    /**
+     * Run a relationship command
+     * @param {Object} node - { character, change } or { character, set }
+     */
+    apply(node) {
+        if (!node.character) {
+            console.warn('Relationship command without a character');
+            return;
+        }
+        if (node.set !== undefined) {
+            this.set(node.character, Number(node.set));
+        }
+        if (node.change !== undefined) {
+            this.change(node.character, Number(node.change));
+        }
+    }
+
+    /**
+     * Get the threshold a value has reached
+     * @param {string} characterId - Character ID
+     * @param {number} [value] - Value to check (defaults to the current one)
+     * @returns {Object|null} { id, name, at }, or null below every threshold
+     */
+    getStanding(characterId, value = this.get(characterId)) {
+        const thresholds = this.definitions.get(characterId)?.thresholds || [];
+        return thresholds.filter(threshold => value >= threshold.at).pop() || null;
+    }
+
+    /**
+     * Check whether a character's value has reached a named threshold
+     * @param {string} characterId - Character ID
+     * @param {string} thresholdId - Threshold ID
+     * @returns {boolean}
+     */
+    hasReached(characterId, thresholdId) {
+        const threshold = this.definitions.get(characterId)?.thresholds.find(t => t.id === thresholdId);
+        if (!threshold) {
+            console.warn(`Unknown relationship threshold "${thresholdId}" for ${characterId}`);
+            return false;
+        }
+        return this.get(characterId) >= threshold.at;
+    }
+
+    /**
+     * Evaluate a relationship condition
+     * { character, threshold } passes once the threshold is reached;
+     * { character, operator, value } compares the value.
+     * @param {Object} condition - Condition object
+     * @returns {boolean}
+     */
+    checkCondition(condition) {
+        if (condition.threshold) {
+            return this.hasReached(condition.character, condition.threshold);
+        }
+        return this.state.compareValues(this.get(condition.character), condition.operator || '>=', condition.value);
+    }
+
+    /**
+     * Describe a character's relationship, for display
+     * @param {string} characterId - Character ID
+     * @returns {Object|null} { characterId, value, min, max, standing, thresholds }
+     */
+    describe(characterId) {
+        const definition = this.definitions.get(characterId);
+        if (!definition) return null;
+
+        return {
+            characterId,
+            value: this.get(characterId),
+            min: definition.min,
+            max: definition.max,
+            standing: this.getStanding(characterId),
+            thresholds: definition.thresholds
+        };
+    }
+
+    /**
+     * Describe every defined relationship
+     * @returns {Array<Object>}
+     */
+    getAll() {
+        return Array.from(this.definitions.keys(), characterId => this.describe(characterId));
+    }
+
+    /**
+     * Clamp changed values and announce thresholds being crossed
+     * @param {Object} data - VARIABLE_SET event data
+     */
+    onVariableSet({ name, value, oldValue }) {
+        if (this.isClamping || !name.startsWith(VARIABLE_PREFIX)) return;
+
+        const characterId = name.slice(VARIABLE_PREFIX.length);
+        const definition = this.definitions.get(characterId);
+        if (!definition) return;
+
+        const clamped = clamp(Number(value) || 0, definition.min, definition.max);
+        if (clamped !== value) {
+            this.isClamping = true;
+            this.state.setVariable(name, clamped);
+            this.isClamping = false;
+        }
+
+        // Seeding an initial value is not a change
+        if (oldValue === undefined || clamped === oldValue) return;
+
+        this.events.emit(GameEvents.RELATIONSHIP_CHANGE, { characterId, value: clamped, oldValue });
+
+        const standing = this.getStanding(characterId, clamped);
+        const previous = this.getStanding(characterId, oldValue);
+        if (standing?.id !== previous?.id) {
+            this.events.emit(GameEvents.RELATIONSHIP_THRESHOLD, {
+                characterId,
+                standing,
+                previous,
+                rising: clamped > oldValue
+            });
+        }
+    }
+
+    /**
+     * Stop listening for changes
+     */
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+export default Relationships;
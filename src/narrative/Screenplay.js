@@ -0,0 +1,917 @@
+/**
+ * Screenplay - Plain-text authoring format for chapters
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Compiles screenplay text into the chapter JSON read by
+ * NarrativeParser.parseChapter, and decompiles chapter JSON back to text.
+ *
+ *   title: The Broken Automaton          chapter field (before the first scene)
+ *   === intro | Opening ===              scene header, with an optional name
+ *   :: background: workshop              scene field
+ *   The sun rises over the workshop.     narration
+ *   | Note: starts with a bar            narration that would otherwise parse as something else
+ *   Cog (happy): Good morning!           dialogue, with an optional emotion
+ *   ? How do you respond?                choice prompt
+ *   > I do my best. -> humble_response   choice option and its target scene
+ *   @enter cog right animation=fade      command: positional arguments, then key=value
+ *   #flag met_elara / #clear met_elara   set or clear a flag
+ *   $ gold = gold - price                variable assignment
+ *   -> scene / -> scene#label / -> #label jump
+ *   @if trust >= 3 ... @else ... @end    conditional block
+ *   [if has('gear')] Cog: Nice gear.     condition on any line
+ *   [label ask_again] Elara: Well?       label attached to any line
+ *   @json {"type": "custom"}             any command as raw JSON
+ *   // comment
+ *
+ * A trailing JSON object on a dialogue, narration, choice or option line
+ * holds any extra fields, e.g. Cog: Hello! {"voice": "cog_hello"}.
+ */
+
+import { NarrativeParser } from './NarrativeParser.js';
+
+/**
+ * Error raised for invalid screenplay text, listing every problem found
+ */
+export class ScreenplayError extends Error {
+    /**
+     * @param {Array<{line: number, message: string}>} errors - Problems by line
+     * @param {string} [file] - Source name for messages
+     */
+    constructor(errors, file = 'screenplay') {
+        super(errors.map(error => `${file}:${error.line}: ${error.message}`).join('\n'));
+        this.name = 'ScreenplayError';
+        this.errors = errors;
+        this.file = file;
+    }
+}
+
+// Commands written as @name, with their fixed fields, positional arguments
+// and the fields they cannot do without
+const DIRECTIVES = {
+    enter: { fields: { type: 'character', action: 'enter' }, args: ['character', 'position'], required: ['character'] },
+    exit: { fields: { type: 'character', action: 'exit' }, args: ['character'], required: ['character'] },
+    expression: { fields: { type: 'character', action: 'expression' }, args: ['character', 'expression'], required: ['character', 'expression'] },
+    move: { fields: { type: 'character', action: 'move' }, args: ['character', 'from', 'to'], required: ['character'] },
+    background: { fields: { type: 'background' }, args: ['image'], required: ['image'] },
+    music: { fields: { type: 'music' }, args: ['track'] },
+    sfx: { fields: { type: 'sfx' }, args: ['sound'], required: ['sound'] },
+    puzzle: { fields: { type: 'puzzle' }, args: ['puzzleId'], required: ['puzzleId'] },
+    give: { fields: { type: 'item' }, args: ['add', 'quantity'], required: ['add'] },
+    take: { fields: { type: 'item' }, args: ['remove', 'quantity'], required: ['remove'] },
+    item: { fields: { type: 'item' }, args: [] },
+    variable: { fields: { type: 'variable' }, args: ['name'] },
+    flag: { fields: { type: 'flag' }, args: [] },
+    relationship: { fields: { type: 'relationship' }, args: ['character', 'change'], required: ['character'] },
+    order: { fields: { type: 'order' }, args: ['take'] },
+    label: { fields: { type: 'label' }, args: ['name'], required: ['name'] },
+    jump: { fields: { type: 'jump' }, args: ['target'] },
+    wait: { fields: { type: 'wait' }, args: ['duration'] },
+    barrier: { fields: { type: 'barrier' }, args: [] },
+    effect: { fields: { type: 'effect' }, args: ['effect'], required: ['effect'] }
+};
+
+const SCENE_HEADER = /^===\s*([^\s|=]+)\s*(?:\|\s*(.*?)\s*)?===$/;
+const DIALOGUE = /^([^\s:@#$>?=|/[(][^:()[\]]*?)(?:\s*\(([^()]*)\))?:\s+(.*)$/;
+const FIELD = /^([A-Za-z_]\w*):\s*(.*)$/;
+
+// ==================== COMPILER ====================
+
+/**
+ * Compile screenplay text into chapter JSON
+ *
+ * Expressions are checked with options.parser (a NarrativeParser; pass one
+ * with a StateManager to also catch unknown functions), and jumps must lead
+ * to scenes and labels of this chapter. options.checks = false skips both.
+ * @param {string} text - Screenplay source
+ * @param {Object} [options] - { file, parser, checks }
+ * @returns {Object} Chapter data
+ * @throws {ScreenplayError}
+ */
+export function compileScreenplay(text, options = {}) {
+    const parser = options.parser ?? new NarrativeParser();
+    const chapter = {};
+    const scenes = [];
+    const errors = [];
+    const jumps = [];
+    const labels = new Map();
+
+    let scene = null;
+    let blocks = [];
+    let choice = null;
+
+    const fail = (line, message) => errors.push({ line, message });
+
+    const closeChoice = () => {
+        if (choice && choice.options.length === 0) {
+            fail(choice.line, 'Choice has no "> option" lines');
+        }
+        choice = null;
+    };
+
+    const closeScene = (line) => {
+        closeChoice();
+        for (const frame of blocks.slice(1)) {
+            fail(frame.line, `@if without @end before line ${line}`);
+        }
+    };
+
+    // Check a compiled node's expressions and note its labels and jumps
+    const track = (node, line) => {
+        if (options.checks === false) return;
+        parser.checkNode(node, message => fail(line, message));
+
+        if (node.type === 'label' || (node.label !== undefined && node.type !== 'jump')) {
+            labels.get(scene.id).add(node.type === 'label' ? node.name : node.label);
+        }
+        if (node.type === 'jump' && node.chapter === undefined) {
+            jumps.push({ line, scene: scene.id, target: node.target, label: node.label });
+        }
+        for (const option of node.options || []) {
+            const next = option.next ?? option.goto;
+            if (next !== undefined) {
+                jumps.push({ line, scene: scene.id, target: next });
+            }
+        }
+        // Branches written with @json arrive filled in
+        for (const branch of ['then', 'else']) {
+            if (Array.isArray(node[branch])) {
+                node[branch].forEach(child => track(child, line));
+            }
+        }
+    };
+
+    text.split(/\r?\n/).forEach((source, index) => {
+        const line = index + 1;
+        const trimmed = source.trim();
+
+        if (!trimmed || trimmed.startsWith('//')) return;
+
+        try {
+            // Scene header
+            const header = SCENE_HEADER.exec(trimmed);
+            if (header) {
+                if (scene) closeScene(line);
+                scene = { id: header[1] };
+                labels.set(scene.id, new Set());
+                if (header[2]) scene.name = header[2];
+                scene.content = [];
+                scenes.push(scene);
+                blocks = [{ items: scene.content, line }];
+                return;
+            }
+            if (trimmed.startsWith('===')) {
+                throw new Error('Expected "=== scene_id ===" or "=== scene_id | Name ==="');
+            }
+
+            // Chapter fields come before the first scene
+            if (!scene) {
+                const field = FIELD.exec(trimmed);
+                if (!field) {
+                    throw new Error('Expected "key: value" or a scene header before the first scene');
+                }
+                chapter[field[1]] = parseValue(field[2]);
+                return;
+            }
+
+            // Scene fields
+            if (trimmed.startsWith('::')) {
+                const field = FIELD.exec(trimmed.slice(2).trim());
+                if (!field) {
+                    throw new Error('Expected ":: key: value"');
+                }
+                // Keep content as the last key, as in hand-written chapters
+                const { content } = scene;
+                delete scene.content;
+                scene[field[1]] = parseValue(field[2]);
+                scene.content = content;
+                return;
+            }
+
+            const block = blocks[blocks.length - 1];
+
+            // Choice options extend the choice above them
+            if (trimmed.startsWith('>')) {
+                if (!choice) {
+                    throw new Error('Choice option without a "?" line above it');
+                }
+                const option = parseOption(trimmed.slice(1).trim());
+                choice.node.options.push(option);
+                track({ type: 'choice', options: [option] }, line);
+                return;
+            }
+            closeChoice();
+
+            // Block structure
+            if (trimmed === '@else') {
+                const frame = blocks[blocks.length - 1];
+                if (blocks.length === 1 || frame.inElse) {
+                    throw new Error('@else without a matching @if');
+                }
+                frame.node.else = [];
+                frame.items = frame.node.else;
+                frame.inElse = true;
+                return;
+            }
+            if (trimmed === '@end') {
+                if (blocks.length === 1) {
+                    throw new Error('@end without a matching @if');
+                }
+                blocks.pop();
+                return;
+            }
+
+            const { node, opensBlock } = parseLine(trimmed);
+            block.items.push(node);
+            track(node, line);
+
+            if (node.type === 'choice') {
+                choice = { node, line, options: node.options };
+            }
+            if (opensBlock) {
+                blocks.push({ items: node.then, node, line, inElse: false });
+            }
+        } catch (error) {
+            fail(line, error.message);
+        }
+    });
+
+    if (scene) {
+        closeScene(text.split(/\r?\n/).length + 1);
+    }
+    if (scenes.length === 0) {
+        fail(1, 'No scenes found (expected "=== scene_id ===")');
+    }
+
+    for (const jump of jumps) {
+        const target = jump.target ?? jump.scene;
+        if (!labels.has(target)) {
+            fail(jump.line, `Unknown scene "${target}"`);
+        } else if (jump.label !== undefined && !labels.get(target).has(jump.label)) {
+            fail(jump.line, `Scene "${target}" has no label "${jump.label}"`);
+        }
+    }
+
+    if (errors.length > 0) {
+        errors.sort((a, b) => a.line - b.line);
+        throw new ScreenplayError(errors, options.file);
+    }
+
+    chapter.scenes = scenes;
+    return chapter;
+}
+
+/**
+ * Parse one content line (not an option, scene header or block keyword)
+ * @param {string} text - Trimmed line
+ * @returns {{node: Object, opensBlock: boolean}}
+ */
+function parseLine(text) {
+    const { prefixes, rest } = parsePrefixes(text);
+    let node;
+    let opensBlock = false;
+
+    if (rest.startsWith('@if ')) {
+        const condition = rest.slice(4).trim();
+        node = { type: 'if', condition: condition.startsWith('{') ? parseJson(condition) : condition, then: [] };
+        opensBlock = true;
+    } else if (rest.startsWith('@json ')) {
+        node = parseJson(rest.slice(6).trim());
+    } else if (rest.startsWith('@')) {
+        node = parseDirective(rest.slice(1));
+    } else if (rest.startsWith('#')) {
+        const [keyword, name, ...extra] = rest.slice(1).trim().split(/\s+/);
+        if (!['flag', 'clear'].includes(keyword) || !name || extra.length > 0) {
+            throw new Error('Expected "#flag name" or "#clear name"');
+        }
+        node = keyword === 'flag' ? { type: 'flag', set: name } : { type: 'flag', clear: name };
+    } else if (rest.startsWith('$')) {
+        node = { type: 'variable', set: rest.slice(1).trim() };
+    } else if (rest.startsWith('->')) {
+        node = parseJump(rest.slice(2).trim());
+    } else if (rest.startsWith('?')) {
+        if (!/^\?(\s|$)/.test(rest)) {
+            throw new Error(`Unrecognised line "${rest}" (choice prompts are written "? prompt")`);
+        }
+        const { body, extras } = splitExtras(rest.slice(1).trim());
+        node = { type: 'choice' };
+        if (body) node.prompt = body;
+        node.options = [];
+        Object.assign(node, extras);
+    } else if (rest.startsWith('|')) {
+        node = withExtras({ type: 'narration' }, rest.slice(1).trim(), 'text');
+    } else {
+        const dialogue = DIALOGUE.exec(rest);
+        if (dialogue) {
+            node = { type: 'dialogue', speaker: dialogue[1].trim() };
+            const { body, extras } = splitExtras(dialogue[3]);
+            node.text = body;
+            if (dialogue[2]) node.emotion = dialogue[2].trim();
+            Object.assign(node, extras);
+        } else {
+            node = withExtras({ type: 'narration' }, rest, 'text');
+        }
+    }
+
+    if (prefixes.label !== undefined && node.type === 'jump') {
+        throw new Error('Jumps name their target label as "-> scene#label"');
+    }
+    if (prefixes.condition !== undefined) node.condition = prefixes.condition;
+    if (prefixes.label !== undefined) node.label = prefixes.label;
+
+    return { node, opensBlock };
+}
+
+/**
+ * Read the [if ...] and [label ...] prefixes of a line
+ * @param {string} text - Line
+ * @returns {{prefixes: Object, rest: string}}
+ */
+function parsePrefixes(text) {
+    const prefixes = {};
+    let rest = text;
+
+    while (rest.startsWith('[if ') || rest.startsWith('[label ')) {
+        const end = findClosing(rest, 0);
+        if (end < 0) {
+            throw new Error('Unclosed "[" prefix');
+        }
+
+        const inner = rest.slice(1, end).trim();
+        if (inner.startsWith('if ')) {
+            const condition = inner.slice(3).trim();
+            prefixes.condition = condition.startsWith('{') ? parseJson(condition) : condition;
+        } else {
+            prefixes.label = inner.slice(6).trim();
+        }
+        rest = rest.slice(end + 1).trim();
+    }
+
+    return { prefixes, rest };
+}
+
+/**
+ * Parse a choice option: text -> target {extras}
+ * @param {string} text - Option line without the ">"
+ * @returns {Object}
+ */
+function parseOption(text) {
+    const { prefixes, rest } = parsePrefixes(text);
+    const { body, extras } = splitExtras(rest);
+    const arrow = body.lastIndexOf(' -> ');
+
+    const option = { text: arrow >= 0 ? body.slice(0, arrow).trim() : body };
+    if (!option.text) {
+        throw new Error('Choice option has no text');
+    }
+    if (arrow >= 0) {
+        option.next = body.slice(arrow + 4).trim();
+    }
+    if (prefixes.condition !== undefined) option.condition = prefixes.condition;
+
+    return Object.assign(option, extras);
+}
+
+/**
+ * Parse a jump: target, target#label or #label
+ * @param {string} text - Jump target
+ * @returns {Object}
+ */
+function parseJump(text) {
+    if (!text || /\s/.test(text)) {
+        throw new Error('Expected "-> scene", "-> scene#label" or "-> #label"');
+    }
+
+    const [target, label] = text.split('#');
+    const node = { type: 'jump' };
+    if (target) node.target = target;
+    if (label) node.label = label;
+    return node;
+}
+
+/**
+ * Parse an @directive
+ * @param {string} text - Directive without the "@"
+ * @returns {Object}
+ */
+function parseDirective(text) {
+    const [name, ...tokens] = tokenize(text);
+    const directive = DIRECTIVES[name];
+    if (!directive) {
+        throw new Error(`Unknown command "@${name}"`);
+    }
+
+    const node = { ...directive.fields };
+    let position = 0;
+
+    for (const token of tokens) {
+        const assignment = /^([A-Za-z_]\w*)=(.*)$/s.exec(token);
+        if (assignment) {
+            const value = parseValue(assignment[2]);
+            // Effects keep their settings under "params"
+            if (node.type === 'effect' && assignment[1] !== 'params') {
+                node.params = { ...node.params, [assignment[1]]: value };
+            } else {
+                node[assignment[1]] = value;
+            }
+            continue;
+        }
+
+        const field = directive.args[position++];
+        if (!field) {
+            throw new Error(`Too many arguments for "@${name}"`);
+        }
+        node[field] = parseValue(token);
+    }
+
+    for (const field of directive.required || []) {
+        if (node[field] === undefined) {
+            throw new Error(`"@${name}" needs a ${field}`);
+        }
+    }
+
+    return node;
+}
+
+/**
+ * Split a line into whitespace-separated tokens, keeping JSON values whole
+ * @param {string} text - Text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    let current = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (/\s/.test(char)) {
+            if (current) tokens.push(current);
+            current = '';
+            i++;
+        } else if (char === '"' || char === '{' || char === '[') {
+            const end = findClosing(text, i);
+            if (end < 0) {
+                throw new Error(`Unclosed ${char}`);
+            }
+            current += text.slice(i, end + 1);
+            i = end + 1;
+        } else {
+            current += char;
+            i++;
+        }
+    }
+
+    if (current) tokens.push(current);
+    return tokens;
+}
+
+/**
+ * Find the closing character for a quote or bracket, skipping nested ones
+ * @param {string} text - Text
+ * @param {number} start - Index of the opening character
+ * @returns {number} Index of the closing character, or -1
+ */
+function findClosing(text, start) {
+    const pairs = { '{': '}', '[': ']' };
+    const stack = [];
+    let inString = text[start] === '"';
+    if (!inString) stack.push(pairs[text[start]]);
+
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+                if (stack.length === 0) return i;
+            }
+        } else if (char === '"') {
+            inString = true;
+        } else if (pairs[char]) {
+            stack.push(pairs[char]);
+        } else if (char === stack[stack.length - 1]) {
+            stack.pop();
+            if (stack.length === 0) return i;
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Split off a trailing JSON object holding extra fields
+ * @param {string} text - Line body
+ * @returns {{body: string, extras: Object}}
+ */
+function splitExtras(text) {
+    const padded = ` ${text}`;
+    for (let i = padded.indexOf(' {'); i >= 0; i = padded.indexOf(' {', i + 1)) {
+        try {
+            const extras = JSON.parse(padded.slice(i + 1));
+            if (extras && typeof extras === 'object' && !Array.isArray(extras)) {
+                return { body: padded.slice(0, i).trim(), extras };
+            }
+        } catch {
+            // Not JSON, keep looking
+        }
+    }
+    return { body: text, extras: {} };
+}
+
+/**
+ * Fill a text field and any trailing extras into a node
+ * @param {Object} node - Node
+ * @param {string} text - Line body
+ * @param {string} field - Field that receives the text
+ * @returns {Object}
+ */
+function withExtras(node, text, field) {
+    const { body, extras } = splitExtras(text);
+    node[field] = body;
+    return Object.assign(node, extras);
+}
+
+/**
+ * Read a value: JSON when it parses, otherwise a plain string
+ * @param {string} text - Value text
+ * @returns {*}
+ */
+function parseValue(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Parse JSON, reporting failures in screenplay terms
+ * @param {string} text - JSON text
+ * @returns {*}
+ */
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+}
+
+// ==================== DECOMPILER ====================
+
+/**
+ * Write chapter JSON as screenplay text
+ * Commands that have no exact text form are written as @json lines, so
+ * compiling the result gives back the same chapter data.
+ * @param {Object} chapterData - Chapter data
+ * @returns {string} Screenplay source
+ */
+export function decompileChapter(chapterData) {
+    const lines = [];
+
+    for (const [key, value] of Object.entries(chapterData)) {
+        if (key !== 'scenes') {
+            lines.push(`${key}: ${formatValue(value)}`);
+        }
+    }
+
+    for (const scene of chapterData.scenes || []) {
+        lines.push('');
+        lines.push(scene.name !== undefined && isInline(scene.name) && !scene.name.includes('=')
+            ? `=== ${scene.id} | ${scene.name} ===`
+            : `=== ${scene.id} ===`);
+
+        for (const [key, value] of Object.entries(scene)) {
+            if (key === 'id' || key === 'content') continue;
+            if (key === 'name' && lines[lines.length - 1].includes(' | ')) continue;
+            lines.push(`:: ${key}: ${formatValue(value)}`);
+        }
+
+        lines.push(...decompileBlock(scene.content || [], ''));
+    }
+
+    return `${lines.join('\n').trim()}\n`;
+}
+
+/**
+ * Write a block of commands
+ * @param {Array} block - Commands
+ * @param {string} indent - Indentation
+ * @returns {Array<string>}
+ */
+function decompileBlock(block, indent) {
+    const lines = [];
+    let previous = null;
+
+    for (const node of block) {
+        let written = writeNode(node, indent, previous);
+
+        // Fall back to raw JSON when the text form would not read back the same
+        if (!written || !roundTrips(written, node)) {
+            written = [`${indent}@json ${JSON.stringify(node)}`];
+        }
+
+        lines.push(...written);
+        previous = node;
+    }
+
+    return lines;
+}
+
+/**
+ * Write one command in its text form
+ * @param {Object} node - Command
+ * @param {string} indent - Indentation
+ * @param {Object|null} previous - Command written before this one
+ * @returns {Array<string>|null} Lines, or null when there is no text form
+ */
+function writeNode(node, indent, previous) {
+    if (!node || typeof node !== 'object') return null;
+
+    const prefix = writePrefixes(node);
+    if (prefix === null) return null;
+
+    const line = (text) => [`${indent}${prefix}${text}`];
+    const rest = omit(node, ['type', 'condition', 'label']);
+
+    switch (node.type) {
+        case 'dialogue': {
+            if (!isInline(node.speaker) || !isInline(node.text)) return null;
+            const emotion = node.emotion !== undefined ? ` (${node.emotion})` : '';
+            const extras = omit(rest, ['speaker', 'text', 'emotion']);
+            return line(`${node.speaker}${emotion}: ${node.text}${writeExtras(extras, node.text)}`);
+        }
+
+        case 'narration': {
+            if (!isInline(node.text)) return null;
+            const extras = omit(rest, ['text']);
+            const plain = `${node.text}${writeExtras(extras, node.text)}`;
+            const bare = parseLineSafely(plain);
+            const needsBar = !bare || bare.type !== 'narration' || bare.text !== node.text || plain !== plain.trim();
+            return line(needsBar ? `| ${plain}` : plain);
+        }
+
+        case 'choice': {
+            if (!Array.isArray(node.options) || node.options.length === 0) return null;
+            const extras = omit(rest, ['prompt', 'options']);
+            const prompt = node.prompt !== undefined ? node.prompt : '';
+            if (!isInline(prompt)) return null;
+
+            const lines = line(`? ${prompt}${writeExtras(extras, prompt)}`.replace(/^\?\s+/, '? ').trimEnd());
+            for (const option of node.options) {
+                const written = writeOption(option);
+                if (!written) return null;
+                lines.push(`${indent}> ${written}`);
+            }
+            return lines;
+        }
+
+        case 'if': {
+            if (!Array.isArray(node.then)) return null;
+            const extras = omit(rest, ['then', 'else']);
+            if (Object.keys(extras).length > 0 || node.condition === undefined) return null;
+
+            const condition = typeof node.condition === 'string' ? node.condition : JSON.stringify(node.condition);
+            const label = node.label !== undefined ? `[label ${node.label}] ` : '';
+            const lines = [`${indent}${label}@if ${condition}`];
+            lines.push(...decompileBlock(node.then, `${indent}    `));
+            if (node.else !== undefined) {
+                if (!Array.isArray(node.else)) return null;
+                lines.push(`${indent}@else`);
+                lines.push(...decompileBlock(node.else, `${indent}    `));
+            }
+            lines.push(`${indent}@end`);
+            return lines;
+        }
+
+        case 'flag':
+            if (Object.keys(rest).length === 1 && isWord(node.set)) return line(`#flag ${node.set}`);
+            if (Object.keys(rest).length === 1 && isWord(node.clear)) return line(`#clear ${node.clear}`);
+            return line(writeDirective('flag', rest));
+
+        case 'variable':
+            if (Object.keys(rest).length === 1 && typeof node.set === 'string' && isInline(node.set)) {
+                return line(`$ ${node.set}`);
+            }
+            return line(writeDirective('variable', rest));
+
+        case 'jump': {
+            const target = `${node.target ?? ''}${node.label !== undefined ? `#${node.label}` : ''}`;
+            const simple = Object.keys(omit(rest, ['target'])).length === 0;
+            if (simple && (node.target === undefined || isWord(node.target)) && (node.label === undefined || isWord(node.label)) && target) {
+                return line(`-> ${target}`);
+            }
+            return line(writeDirective('jump', omit(node, ['type', 'condition'])));
+        }
+
+        case 'item':
+            if (node.add !== undefined && node.remove === undefined) {
+                return line(writeDirective('give', omit(rest, ['type'])));
+            }
+            if (node.remove !== undefined && node.add === undefined) {
+                return line(writeDirective('take', omit(rest, ['type'])));
+            }
+            return line(writeDirective('item', rest));
+
+        case 'character': {
+            const directive = ['enter', 'exit', 'expression', 'move'].includes(node.action) ? node.action : null;
+            return directive ? line(writeDirective(directive, omit(rest, ['action']))) : null;
+        }
+
+        case 'label':
+            if (node.label !== undefined) return null;
+            return line(writeDirective('label', rest));
+
+        case 'effect':
+            if (node.params && typeof node.params === 'object' && !('params' in node.params)) {
+                return line(writeDirective('effect', { ...omit(rest, ['params']), ...node.params }));
+            }
+            return line(writeDirective('effect', rest));
+
+        default:
+            return DIRECTIVES[node.type] ? line(writeDirective(node.type, rest)) : null;
+    }
+}
+
+/**
+ * Write the [if ...] and [label ...] prefixes of a command
+ * @param {Object} node - Command
+ * @returns {string|null}
+ */
+function writePrefixes(node) {
+    let prefix = '';
+
+    if (node.condition !== undefined && node.type !== 'if') {
+        const condition = typeof node.condition === 'string' ? node.condition : JSON.stringify(node.condition);
+        if (!isInline(condition)) return null;
+        prefix += `[if ${condition}] `;
+    }
+    if (node.label !== undefined && node.type !== 'if' && node.type !== 'jump') {
+        if (!isWord(node.label)) return null;
+        prefix += `[label ${node.label}] `;
+    }
+
+    return prefix;
+}
+
+/**
+ * Write a choice option
+ * @param {Object} option - Option
+ * @returns {string|null}
+ */
+function writeOption(option) {
+    if (!isInline(option.text) || option.text.includes(' -> ')) return null;
+
+    let text = '';
+    if (option.condition !== undefined) {
+        const condition = typeof option.condition === 'string' ? option.condition : JSON.stringify(option.condition);
+        text += `[if ${condition}] `;
+    }
+    text += option.text;
+
+    const hasNext = typeof option.next === 'string' && isWord(option.next);
+    if (hasNext) text += ` -> ${option.next}`;
+
+    const extras = omit(option, hasNext ? ['text', 'next', 'condition'] : ['text', 'condition']);
+    return `${text}${writeExtras(extras, text)}`;
+}
+
+/**
+ * Write an @directive with positional arguments where possible
+ * @param {string} name - Directive name
+ * @param {Object} fields - Fields besides the directive's fixed ones
+ * @returns {string}
+ */
+function writeDirective(name, fields) {
+    const directive = DIRECTIVES[name];
+    const remaining = omit(fields, Object.keys(directive.fields));
+    const parts = [`@${name}`];
+
+    // Positional arguments only while every earlier one is present
+    for (const field of directive.args) {
+        if (remaining[field] === undefined) break;
+        parts.push(formatToken(remaining[field]));
+        delete remaining[field];
+    }
+
+    for (const [key, value] of Object.entries(remaining)) {
+        parts.push(`${key}=${formatToken(value)}`);
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * Write extra fields as a trailing JSON object
+ * An empty object is still written when the text itself ends in JSON,
+ * so the compiler does not mistake the text for extras.
+ * @param {Object} extras - Extra fields
+ * @param {string} text - Text the extras follow
+ * @returns {string}
+ */
+function writeExtras(extras, text) {
+    if (Object.keys(extras).length > 0) {
+        return ` ${JSON.stringify(extras)}`;
+    }
+    return splitExtras(text).body !== text ? ' {}' : '';
+}
+
+/**
+ * Format a chapter or scene field value
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatValue(value) {
+    return typeof value === 'string' && parseValue(value) === value && isInline(value) && value === value.trim()
+        ? value
+        : JSON.stringify(value);
+}
+
+/**
+ * Format a directive argument as a single token
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function formatToken(value) {
+    if (typeof value === 'string' && /^[^\s"{[=]+$/.test(value) && parseValue(value) === value) {
+        return value;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Check that a compiled line gives back the original command
+ * @param {Array<string>} lines - Written lines
+ * @param {Object} node - Original command
+ * @returns {boolean}
+ */
+function roundTrips(lines, node) {
+    try {
+        const chapter = compileScreenplay(`=== check ===\n${lines.join('\n')}`, { checks: false });
+        const content = chapter.scenes[0].content;
+        return content.length === 1 && JSON.stringify(sortKeys(content[0])) === JSON.stringify(sortKeys(node));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parse a line without throwing
+ * @param {string} text - Line
+ * @returns {Object|null}
+ */
+function parseLineSafely(text) {
+    try {
+        return parseLine(text).node;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Copy an object with keys sorted, for comparisons
+ * @param {*} value - Value
+ * @returns {*}
+ */
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+}
+
+/**
+ * Copy an object without some keys
+ * @param {Object} object - Source
+ * @param {Array<string>} keys - Keys to drop
+ * @returns {Object}
+ */
+function omit(object, keys) {
+    return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+/**
+ * Check that a value is a string that fits on one line
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isInline(value) {
+    return typeof value === 'string' && !/[\r\n]/.test(value);
+}
+
+/**
+ * Check that a value is a single identifier-like word
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isWord(value) {
+    return typeof value === 'string' && /^[\w.-]+$/.test(value);
+}
+
+export default {
+    ScreenplayError,
+    compileScreenplay,
+    decompileChapter
+};
@@ -0,0 +1,535 @@
+/**
+ * ScriptInterpreter - Executes parsed scene content command by command
+ * Befixed - Magic & Mechanical Repair Shop
+ */
+
+import { globalEvents } from '../utils/EventEmitter.js';
+import { wait } from '../utils/helpers.js';
+import { escapeMarkup } from '../utils/TextMarkup.js';
+
+export class ScriptInterpreter {
+    constructor(stateManager, parser) {
+        this.events = globalEvents;
+        this.state = stateManager;
+        this.parser = parser;
+
+        // Command executors (type -> async function)
+        this.executors = new Map();
+
+        // Program counter: the scene being run and a stack of block frames.
+        // Each frame is { block, index, branch }, where index is the next
+        // node to run and branch names the key ("then"/"else") of the node
+        // in the parent frame that owns the block.
+        this.sceneId = null;
+        this.rootBlock = [];
+        this.stack = [];
+
+        // Path of the node currently executing (what a save resumes at)
+        this.currentPath = null;
+
+        // Run state
+        this.isRunning = false;
+        this.runId = 0;
+
+        // Host callbacks for scene and chapter changes
+        this.hooks = {
+            enterScene: async () => {},
+            enterChapter: async () => null,
+            endChapter: async () => {}
+        };
+
+        this.registerDefaultExecutors();
+    }
+
+    /**
+     * Register executors for commands that only touch game state
+     */
+    registerDefaultExecutors() {
+        this.registerExecutor('flag', (node) => {
+            if (node.set) {
+                this.state.setFlag(node.set, true);
+            }
+            if (node.clear) {
+                this.state.clearFlag(node.clear);
+            }
+        });
+
+        this.registerExecutor('variable', (node) => {
+            if (typeof node.set === 'string') {
+                this.state.applyAssignment(node.set, this.parser.currentChapter?.variables);
+            } else if (node.set) {
+                this.state.setVariable(node.name, node.value);
+            }
+            if (node.increment) {
+                this.state.incrementVariable(node.name, node.amount || 1);
+            }
+        });
+
+        this.registerExecutor('item', (node) => {
+            if (node.add) {
+                this.state.addItem(node.add, node.quantity);
+            }
+            if (node.remove) {
+                this.state.removeItem(node.remove, node.quantity);
+            }
+        });
+
+        this.registerExecutor('jump', (node) => ({
+            jump: { target: node.target, label: node.label, chapter: node.chapter }
+        }));
+
+        this.registerExecutor('if', (node) => ({
+            branch: this.evaluateCondition(node.condition) ? 'then' : 'else'
+        }));
+
+        this.registerExecutor('label', () => {});
+
+        this.registerExecutor('barrier', () => this.state.clearHistory());
+
+        this.registerExecutor('wait', (node) => wait(node.duration));
+    }
+
+    /**
+     * Register a command executor
+     * @param {string} type - Command type
+     * @param {Function} executor - Executor function (node, interpreter)
+     */
+    registerExecutor(type, executor) {
+        this.executors.set(type, executor);
+    }
+
+    /**
+     * Set host callbacks
+     * @param {Object} hooks - enterScene, enterChapter, endChapter
+     */
+    setHooks(hooks) {
+        this.hooks = { ...this.hooks, ...hooks };
+    }
+
+    /**
+     * Parse chapter data for execution
+     * @param {Object} chapterData - Raw chapter data
+     */
+    loadChapter(chapterData) {
+        this.parser.parseChapter(chapterData);
+    }
+
+    /**
+     * Run the script from a scene until the chapter ends or the run is stopped
+     * @param {string} sceneId - Starting scene ID
+     * @param {number|Array} [path=0] - Starting content index, or a position path
+     */
+    async run(sceneId, path = 0) {
+        const runId = ++this.runId;
+        this.isRunning = true;
+
+        await this.runFrom({ scene: sceneId, path: Array.isArray(path) ? path : [path] }, runId);
+    }
+
+    /**
+     * Run scene after scene from a target until the chapter ends or the run is stopped
+     * @param {Object|null} target - { scene, path }
+     * @param {number} runId - Run token
+     */
+    async runFrom(target, runId) {
+        while (target && this.isCurrentRun(runId)) {
+            const control = await this.runScene(target.scene, target.path, runId);
+            if (!this.isCurrentRun(runId)) return;
+
+            target = await this.resolveNextTarget(control, runId);
+        }
+
+        if (this.isCurrentRun(runId)) {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Execute the content of a single scene
+     * @param {string} sceneId - Scene ID
+     * @param {Array} path - Position path to start from
+     * @param {number} runId - Run token
+     * @returns {Promise<Object|null>} Control result (jump out of the scene) or null when content ends
+     */
+    async runScene(sceneId, path, runId) {
+        const scene = this.parser.getScene(sceneId);
+        if (!scene) {
+            console.warn(`Script scene not found: ${sceneId}`);
+            return null;
+        }
+
+        this.sceneId = sceneId;
+        this.rootBlock = scene.content;
+        this.stack = this.buildStack(scene.content, path);
+        this.currentPath = null;
+
+        return this.runStack(runId);
+    }
+
+    /**
+     * Run a standalone block of content outside of any scene
+     * @param {Array} block - Parsed content
+     * @returns {Promise<Object|null>} Control result from the block
+     */
+    async runBlock(block) {
+        const runId = ++this.runId;
+        this.isRunning = true;
+
+        this.sceneId = null;
+        this.rootBlock = block;
+        this.stack = this.buildStack(block, [0]);
+        this.currentPath = null;
+
+        const control = await this.runStack(runId);
+
+        if (this.isCurrentRun(runId)) {
+            this.isRunning = false;
+        }
+        return control;
+    }
+
+    /**
+     * Break into the running script with a block of content, then carry on
+     * from the command that was in progress (or follow a jump in the block)
+     * @param {Array} block - Parsed content
+     */
+    async interrupt(block) {
+        const resume = this.getPosition();
+        if (!resume.sceneId) {
+            await this.runBlock(block);
+            return;
+        }
+
+        const runId = ++this.runId;
+        this.isRunning = true;
+
+        this.sceneId = null;
+        this.rootBlock = block;
+        this.stack = this.buildStack(block, [0]);
+        this.currentPath = null;
+
+        const control = await this.runStack(runId);
+        if (!this.isCurrentRun(runId)) return;
+
+        // Jumps resolve as if made from the interrupted scene
+        this.sceneId = resume.sceneId;
+        const target = control?.jump
+            ? await this.resolveNextTarget(control, runId)
+            : { scene: resume.sceneId, path: resume.path };
+
+        await this.runFrom(target, runId);
+    }
+
+    /**
+     * Step through the frame stack until it empties or control leaves the scene
+     * @param {number} runId - Run token
+     * @returns {Promise<Object|null>}
+     */
+    async runStack(runId) {
+        while (this.stack.length > 0 && this.isCurrentRun(runId)) {
+            const frame = this.stack[this.stack.length - 1];
+
+            // Block finished: resume after the node that opened it
+            if (frame.index >= frame.block.length) {
+                this.stack.pop();
+                continue;
+            }
+
+            const node = frame.block[frame.index];
+            this.currentPath = this.getPath();
+            frame.index++;
+
+            const control = await this.execute(node);
+            if (!this.isCurrentRun(runId)) return null;
+
+            if (control?.branch) {
+                this.stack.push({
+                    block: node[control.branch] || [],
+                    index: 0,
+                    branch: control.branch
+                });
+                continue;
+            }
+
+            if (control?.jump) {
+                const labelPath = this.findLocalLabel(control.jump);
+                if (labelPath) {
+                    this.stack = this.buildStack(this.rootBlock, labelPath);
+                    continue;
+                }
+                return control;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Look up a jump target as a label in the scene being run
+     * @param {Object} jump - Jump data { target, label, chapter }
+     * @returns {Array|null} Position path of the label
+     */
+    findLocalLabel(jump) {
+        if (jump.chapter !== undefined && jump.chapter !== null) return null;
+        if (!this.sceneId) return null;
+
+        if (jump.label && (!jump.target || jump.target === this.sceneId)) {
+            return this.parser.getLabelPath(this.sceneId, jump.label);
+        }
+        if (!jump.label && jump.target) {
+            return this.parser.getLabelPath(this.sceneId, jump.target);
+        }
+        return null;
+    }
+
+    /**
+     * Build a frame stack from a position path
+     * A path alternates indices and branch keys, e.g. [4, 'then', 2] is the
+     * third node of the "then" block of the fifth node.
+     * @param {Array} root - Root block
+     * @param {Array} path - Position path
+     * @returns {Array} Frame stack
+     */
+    buildStack(root, path) {
+        const stack = [{ block: root, index: path[0] || 0, branch: null }];
+
+        for (let i = 1; i < path.length; i += 2) {
+            const parent = stack[stack.length - 1];
+            const owner = parent.block[parent.index];
+            const branch = path[i];
+
+            parent.index++;
+            stack.push({
+                block: owner?.[branch] || [],
+                index: path[i + 1] || 0,
+                branch
+            });
+        }
+
+        return stack;
+    }
+
+    /**
+     * Get the position path of the next node to run
+     * @returns {Array}
+     */
+    getPath() {
+        const path = [];
+        const last = this.stack.length - 1;
+
+        this.stack.forEach((frame, depth) => {
+            if (depth > 0) {
+                path.push(frame.branch);
+            }
+            // Outer frames have already stepped past the node that owns the inner block
+            path.push(depth < last ? frame.index - 1 : frame.index);
+        });
+
+        return path.length > 0 ? path : [0];
+    }
+
+    /**
+     * Execute a single command
+     * @param {Object} node - Parsed content item
+     * @returns {Promise<Object|undefined>} Control result
+     */
+    async execute(node) {
+        // An "if" uses its condition to pick a branch rather than as a guard
+        if (node.type !== 'if' && node.condition && !this.evaluateCondition(node.condition)) {
+            return undefined;
+        }
+
+        const executor = this.executors.get(node.type);
+        if (!executor) {
+            console.warn(`No executor for script command: ${node.type}`);
+            return undefined;
+        }
+
+        return await executor(this.prepare(node), this);
+    }
+
+    /**
+     * Resolve translation, text interpolation and choice availability at execution time
+     * @param {Object} node - Parsed content item
+     * @returns {Object} Node ready for display
+     */
+    prepare(node) {
+        const source = node;
+        node = this.parser.localize(node);
+
+        switch (node.type) {
+            case 'dialogue':
+                return {
+                    ...node,
+                    speaker: this.interpolate(node.speaker),
+                    // Untranslated speaker, for matching characters
+                    speakerName: this.interpolate(source.speaker),
+                    text: this.interpolateText(node.text)
+                };
+
+            case 'narration':
+                return { ...node, text: this.interpolateText(node.text) };
+
+            case 'choice':
+                return {
+                    ...node,
+                    prompt: this.interpolateText(node.prompt),
+                    options: node.options.map(opt => ({
+                        ...opt,
+                        text: this.interpolateText(opt.text),
+                        available: opt.condition ? this.evaluateCondition(opt.condition) : true
+                    }))
+                };
+
+            default:
+                return node;
+        }
+    }
+
+    /**
+     * Evaluate a condition with the chapter's variables in scope
+     * @param {Object|string} condition - Condition
+     * @returns {boolean}
+     */
+    evaluateCondition(condition) {
+        return this.state.evaluateCondition(condition, this.parser.currentChapter?.variables);
+    }
+
+    /**
+     * Interpolate variables into text
+     * @param {string} text - Text with {variable} references
+     * @returns {string}
+     */
+    interpolate(text) {
+        return this.parser.parseVariable(text);
+    }
+
+    /**
+     * Interpolate variables into text that is shown with inline markup
+     * Values (such as a typed player name) are escaped so they show as written.
+     * @param {string} text - Text with {variable} references
+     * @returns {string}
+     */
+    interpolateText(text) {
+        return this.parser.parseVariable(text, {}, value => escapeMarkup(String(value)));
+    }
+
+    /**
+     * Work out where execution continues after a scene
+     * @param {Object|null} control - Control result from the scene
+     * @param {number} runId - Run token
+     * @returns {Promise<Object|null>} Next target or null when the chapter ends
+     */
+    async resolveNextTarget(control, runId) {
+        let sceneId = null;
+        let label = null;
+
+        if (control?.jump) {
+            const { target, chapter } = control.jump;
+            label = control.jump.label || null;
+
+            if (chapter !== undefined && chapter !== null) {
+                const startScene = await this.hooks.enterChapter(chapter, target);
+                if (!startScene || !this.isCurrentRun(runId)) return null;
+
+                return { scene: startScene, path: this.getEntryPath(startScene, label) };
+            }
+
+            sceneId = target || this.sceneId;
+        } else {
+            sceneId = this.getNextSceneId(this.sceneId);
+        }
+
+        if (!sceneId || !this.parser.getScene(sceneId)) {
+            if (sceneId) {
+                console.warn(`Jump target not found: ${sceneId}`);
+            }
+            this.isRunning = false;
+            await this.hooks.endChapter();
+            return null;
+        }
+
+        const path = this.getEntryPath(sceneId, label);
+
+        // Point the position at the new scene while it loads
+        this.sceneId = sceneId;
+        this.rootBlock = this.parser.getScene(sceneId).content;
+        this.stack = this.buildStack(this.rootBlock, path);
+        this.currentPath = null;
+
+        await this.hooks.enterScene(sceneId);
+        return { scene: sceneId, path };
+    }
+
+    /**
+     * Get the path to start a scene at, optionally from a label
+     * @param {string} sceneId - Scene ID
+     * @param {string|null} label - Label name
+     * @returns {Array}
+     */
+    getEntryPath(sceneId, label) {
+        if (!label) return [0];
+
+        const path = this.parser.getLabelPath(sceneId, label);
+        if (!path) {
+            console.warn(`Label not found: ${sceneId}#${label}`);
+        }
+        return path || [0];
+    }
+
+    /**
+     * Get the scene that follows another in chapter order
+     * @param {string} sceneId - Scene ID
+     * @returns {string|null}
+     */
+    getNextSceneId(sceneId) {
+        return this.parser.getNextSceneId(sceneId);
+    }
+
+    /**
+     * Check whether a run is still the active one
+     * @param {number} runId - Run token
+     * @returns {boolean}
+     */
+    isCurrentRun(runId) {
+        return this.isRunning && this.runId === runId;
+    }
+
+    /**
+     * Stop the current run
+     */
+    stop() {
+        this.isRunning = false;
+        this.runId++;
+    }
+
+    /**
+     * Get the current script position
+     * The path points at the command in progress, so resuming from it
+     * shows the same line, choice or puzzle again.
+     * @returns {{sceneId: string|null, path: Array}}
+     */
+    getPosition() {
+        return {
+            sceneId: this.sceneId,
+            path: this.currentPath || this.getPath()
+        };
+    }
+
+    /**
+     * Get the parsed node at a position path
+     * @param {string} sceneId - Scene ID
+     * @param {Array} path - Position path
+     * @returns {Object|null}
+     */
+    getNodeAt(sceneId, path) {
+        const scene = this.parser.getScene(sceneId);
+        if (!scene) return null;
+
+        const stack = this.buildStack(scene.content, path);
+        const frame = stack[stack.length - 1];
+        return frame.block[frame.index] || null;
+    }
+}
+
+export default ScriptInterpreter;
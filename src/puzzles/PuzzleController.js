@@ -4,6 +4,9 @@
  */
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { localization } from '../utils/Localization.js';
+import { ITEM_DRAG_TYPE } from '../narrative/ItemInteractions.js';
+import { html, rich, setHtml } from '../utils/SafeHtml.js';
 
 export class PuzzleController {
     constructor(config) {
@@ -12,7 +15,7 @@ export class PuzzleController {
         // Puzzle configuration
         this.id = config.id || `puzzle_${Date.now()}`;
         this.type = config.type || 'generic';
-        this.title = config.title || 'Puzzle';
+        this.title = config.title || localization.t('ui.puzzle.defaultTitle', 'Puzzle');
         this.description = config.description || '';
         this.difficulty = config.difficulty || 'normal';
         
@@ -33,6 +36,11 @@ export class PuzzleController {
         
         // Rewards
         this.rewards = config.rewards || [];
+
+        // Reactions to inventory items used on the puzzle, and the
+        // ItemInteractions that applies them (set by the factory)
+        this.itemReactions = config.itemReactions || [];
+        this.items = config.items || null;
         
         // DOM elements
         this.container = null;
@@ -190,7 +198,7 @@ export class PuzzleController {
      */
     timeUp() {
         this.stopTimer();
-        this.fail('Time\'s up!');
+        this.fail(localization.t('ui.puzzle.timeUp', 'Time\'s up!'));
     }
 
     /**
@@ -208,9 +216,9 @@ export class PuzzleController {
             return true;
         } else {
             if (this.attempts >= this.maxAttempts) {
-                await this.fail('Maximum attempts reached');
+                await this.fail(localization.t('ui.puzzle.noAttemptsLeft', 'Maximum attempts reached'));
             } else {
-                this.showFeedback(false, 'Incorrect solution. Try again!');
+                this.showFeedback(false, localization.t('ui.puzzle.incorrect', 'Incorrect solution. Try again!'));
             }
             return false;
         }
@@ -233,6 +241,14 @@ export class PuzzleController {
         return false;
     }
 
+    /**
+     * Get the inventory items the solution uses up (override in subclasses)
+     * @returns {Array<string>} Item IDs, one entry per item
+     */
+    getUsedItems() {
+        return [];
+    }
+
     /**
      * Complete the puzzle successfully
      */
@@ -245,7 +261,7 @@ export class PuzzleController {
         this.calculateScore();
 
         // Show success feedback
-        this.showFeedback(true, 'Puzzle Complete!');
+        this.showFeedback(true, localization.t('ui.puzzle.complete', 'Puzzle Complete!'));
 
         // Wait for feedback animation
         await new Promise(resolve => setTimeout(resolve, 1500));
@@ -259,15 +275,18 @@ export class PuzzleController {
             score: this.score,
             attempts: this.attempts,
             hintsUsed: this.hintsUsed,
+            timeLimit: this.timeLimit,
             timeRemaining: this.timeRemaining,
-            rewards: this.rewards
+            rewards: this.rewards,
+            usedItems: this.getUsedItems()
         });
 
         // Call callback
         if (this.onComplete) {
             this.onComplete({
                 score: this.score,
-                rewards: this.rewards
+                rewards: this.rewards,
+                usedItems: this.getUsedItems()
             });
         }
     }
@@ -276,7 +295,7 @@ export class PuzzleController {
      * Fail the puzzle
      * @param {string} reason - Failure reason
      */
-    async fail(reason = 'Puzzle failed') {
+    async fail(reason = localization.t('ui.puzzle.failed', 'Puzzle failed')) {
         this.isActive = false;
         this.isFailed = true;
         this.stopTimer();
@@ -304,6 +323,7 @@ export class PuzzleController {
      * Reset the puzzle
      */
     reset() {
+        this.isActive = true;
         this.attempts = 0;
         this.timeRemaining = this.timeLimit;
         this.isComplete = false;
@@ -328,7 +348,7 @@ export class PuzzleController {
      */
     useHint() {
         if (this.hintsUsed >= this.maxHints || this.hintsUsed >= this.hints.length) {
-            this.showNotification('No more hints available');
+            this.showNotification(localization.t('ui.puzzle.noHints', 'No more hints available'));
             return null;
         }
 
@@ -357,10 +377,10 @@ export class PuzzleController {
     showHintPanel(hint) {
         const hintPanel = document.createElement('div');
         hintPanel.className = 'hint-panel visible';
-        hintPanel.innerHTML = `
-            <p class="hint-text">${hint}</p>
-            <p class="hint-cost">Hints remaining: ${this.maxHints - this.hintsUsed}</p>
-        `;
+        setHtml(hintPanel, html`
+            <p class="hint-text">${rich(hint)}</p>
+            <p class="hint-cost">${localization.t('ui.puzzle.hintsRemaining', 'Hints remaining: {count}', { count: this.maxHints - this.hintsUsed })}</p>
+        `);
 
         this.contentElement?.appendChild(hintPanel);
 
@@ -388,6 +408,51 @@ export class PuzzleController {
         setTimeout(() => feedback.remove(), 1500);
     }
 
+    /**
+     * Get the inventory item being held, if any
+     * @returns {string|null} Item ID
+     */
+    getHeldItem() {
+        return this.items?.getSelected() || null;
+    }
+
+    /**
+     * Use an inventory item on part of the puzzle
+     * @param {string} itemId - Item ID
+     * @param {Object} target - e.g. { hotspot: 'gear_housing' } or { slot: 'slot_1' }
+     * @returns {Object|null} The reaction, or null when the item does nothing here
+     */
+    useItem(itemId, target) {
+        if (!this.isActive || !this.items) return null;
+
+        const reaction = this.items.use(itemId, { puzzle: this.id, ...target }, this.itemReactions);
+        if (!reaction) {
+            this.showNotification(localization.t('ui.puzzle.itemNoEffect', 'That doesn\'t help here'));
+        }
+        return reaction;
+    }
+
+    /**
+     * Let inventory items be dragged onto an element
+     * @param {HTMLElement} element - Drop target
+     * @param {Function} onDrop - Called with the item ID and the drop event
+     */
+    acceptItemDrops(element, onDrop) {
+        element.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) {
+                e.preventDefault();
+            }
+        });
+        element.addEventListener('drop', (e) => {
+            const itemId = e.dataTransfer.getData(ITEM_DRAG_TYPE);
+            if (!itemId) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            onDrop(itemId, e);
+        });
+    }
+
     /**
      * Show notification
      * @param {string} message - Notification message
@@ -4,6 +4,7 @@
  */
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
+import { localization } from '../utils/Localization.js';
 import { PuzzleController } from './PuzzleController.js';
 import { MechanicalPuzzle } from './types/MechanicalPuzzle.js';
 import { SpellCraftingPuzzle } from './types/SpellCraftingPuzzle.js';
@@ -24,6 +25,9 @@ export class PuzzleFactory {
         
         // Puzzle configurations
         this.puzzleConfigs = new Map();
+
+        // Item interactions handed to each puzzle
+        this.items = null;
         
         // Register default puzzle types
         this.registerDefaultTypes();
@@ -60,6 +64,14 @@ export class PuzzleFactory {
         this.puzzleTypes.set(type, PuzzleClass);
     }
 
+    /**
+     * Set what applies inventory items used on puzzles
+     * @param {ItemInteractions} items - Item interactions
+     */
+    setItemInteractions(items) {
+        this.items = items;
+    }
+
     /**
      * Load puzzle configurations
      */
@@ -87,6 +99,7 @@ export class PuzzleFactory {
      */
     create(type, config) {
         const PuzzleClass = this.puzzleTypes.get(type);
+        config = this.markStock(config);
         
         if (!PuzzleClass) {
             console.warn(`Unknown puzzle type: ${type}, using generic`);
@@ -96,6 +109,42 @@ export class PuzzleFactory {
         return new PuzzleClass(config);
     }
 
+    /**
+     * Mark which item-backed parts and ingredients the player has on hand
+     * An entry naming an "item" can only be used while that item is held.
+     * @param {Object} config - Puzzle configuration
+     * @returns {Object} Copy of the configuration with "inStock" set
+     */
+    markStock(config) {
+        const marked = { ...config };
+        for (const field of ['parts', 'ingredients']) {
+            if (!Array.isArray(config[field])) continue;
+
+            marked[field] = config[field].map(entry => entry.item
+                ? { ...entry, inStock: this.state.hasItem(entry.item) }
+                : entry);
+        }
+        return marked;
+    }
+
+    /**
+     * Get the items a puzzle uses up when solved
+     * These are the item-backed parts its solution places and the
+     * item-backed ingredients its recipe calls for.
+     * @param {Object} config - Puzzle configuration
+     * @returns {Array<string>} Item IDs
+     */
+    getRequiredItems(config) {
+        const needed = new Set([
+            ...Object.values(config.solution || {}),
+            ...(Array.isArray(config.recipe) ? config.recipe : [])
+        ]);
+
+        return [...(config.parts || []), ...(config.ingredients || [])]
+            .filter(entry => entry.item && needed.has(entry.id))
+            .map(entry => entry.item);
+    }
+
     /**
      * Create a puzzle from ID
      * @param {string} puzzleId - Puzzle ID
@@ -109,7 +158,7 @@ export class PuzzleFactory {
             return null;
         }
 
-        return this.create(config.type, config);
+        return this.create(config.type, localization.localizePuzzle(config));
     }
 
     /**
@@ -146,6 +195,8 @@ export class PuzzleFactory {
             this.handlePuzzleFail(result);
         };
 
+        this.currentPuzzle.items = this.items;
+
         // Initialize and start
         await this.currentPuzzle.init();
         await this.currentPuzzle.start();
@@ -153,15 +204,68 @@ export class PuzzleFactory {
         return this.currentPuzzle;
     }
 
+    /**
+     * Start a puzzle and wait until it has been solved or failed
+     * A failed puzzle is closed, so the story can go on (its failures are
+     * counted in puzzle_<id>_failures).
+     * @param {string|Object} puzzle - Puzzle ID or configuration
+     * @param {Object} [overrides] - Config values to override for this run
+     * @returns {Promise<Object|null>} Completion or failure data with "success", or null if the puzzle could not start
+     */
+    async playPuzzle(puzzle, overrides = null) {
+        if (typeof puzzle === 'string' && overrides) {
+            const config = this.puzzleConfigs.get(puzzle);
+            if (config) {
+                puzzle = { ...localization.localizePuzzle(config), ...overrides, id: puzzle };
+            }
+        }
+
+        const instance = await this.startPuzzle(puzzle);
+        if (!instance) {
+            return null;
+        }
+
+        return new Promise(resolve => {
+            const unsubscribers = [
+                this.events.on(GameEvents.PUZZLE_COMPLETE, (data) => {
+                    if (data.puzzleId === instance.id) finish({ ...data, success: true });
+                }),
+                this.events.on(GameEvents.PUZZLE_FAIL, (data) => {
+                    if (data.puzzleId !== instance.id) return;
+                    instance.destroy();
+                    finish({ ...data, success: false });
+                })
+            ];
+            const finish = (data) => {
+                unsubscribers.forEach(unsubscribe => unsubscribe());
+                resolve(data);
+            };
+        });
+    }
+
     /**
      * Handle puzzle completion
      * @param {Object} result - Completion result
      */
     handlePuzzleComplete(result) {
+        this.recordCompletion(this.currentPuzzle?.id, result);
+    }
+
+    /**
+     * Record a solved puzzle and award its rewards
+     * @param {string|null} puzzleId - Puzzle ID
+     * @param {Object} result - Completion result { score, rewards, usedItems }
+     */
+    recordCompletion(puzzleId, result) {
         // Mark puzzle as complete in state
-        if (this.currentPuzzle) {
-            this.state.setFlag(`puzzle_${this.currentPuzzle.id}_complete`, true);
-            this.state.setVariable(`puzzle_${this.currentPuzzle.id}_score`, result.score);
+        if (puzzleId) {
+            this.state.setFlag(`puzzle_${puzzleId}_complete`, true);
+            this.state.setVariable(`puzzle_${puzzleId}_score`, result.score);
+        }
+
+        // Use up the parts and ingredients that came from the inventory
+        for (const itemId of result.usedItems || []) {
+            this.state.removeItem(itemId);
         }
 
         // Award rewards
@@ -183,10 +287,18 @@ export class PuzzleFactory {
      * @param {Object} result - Failure result
      */
     handlePuzzleFail(result) {
+        this.recordFailure(this.currentPuzzle?.id);
+    }
+
+    /**
+     * Record a failed puzzle attempt
+     * @param {string|null} puzzleId - Puzzle ID
+     */
+    recordFailure(puzzleId) {
         // Track failure in state
-        if (this.currentPuzzle) {
-            const failures = this.state.getVariable(`puzzle_${this.currentPuzzle.id}_failures`, 0);
-            this.state.setVariable(`puzzle_${this.currentPuzzle.id}_failures`, failures + 1);
+        if (puzzleId) {
+            const failures = this.state.getVariable(`puzzle_${puzzleId}_failures`, 0);
+            this.state.setVariable(`puzzle_${puzzleId}_failures`, failures + 1);
         }
     }
 
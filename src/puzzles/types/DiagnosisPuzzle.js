@@ -4,6 +4,8 @@
  */
 
 import { PuzzleController } from '../PuzzleController.js';
+import { localization } from '../../utils/Localization.js';
+import { html, rich, setHtml } from '../../utils/SafeHtml.js';
 
 export class DiagnosisPuzzle extends PuzzleController {
     constructor(config) {
@@ -13,13 +15,13 @@ export class DiagnosisPuzzle extends PuzzleController {
         
         // Item to diagnose
         this.itemImage = config.itemImage || '';
-        this.itemName = config.itemName || 'Unknown Item';
+        this.itemName = config.itemName || localization.t('ui.puzzle.unknownItem', 'Unknown Item');
         
         // Examination tools
         this.tools = config.tools || [
-            { id: 'visual', name: 'Visual Inspection', icon: '👁️' },
-            { id: 'magical', name: 'Magic Detection', icon: '✨' },
-            { id: 'mechanical', name: 'Gear Check', icon: '⚙️' }
+            { id: 'visual', name: localization.t('ui.puzzle.tool.visual', 'Visual Inspection'), icon: '👁️' },
+            { id: 'magical', name: localization.t('ui.puzzle.tool.magical', 'Magic Detection'), icon: '✨' },
+            { id: 'mechanical', name: localization.t('ui.puzzle.tool.mechanical', 'Gear Check'), icon: '⚙️' }
         ];
         
         // Hotspots on the item
@@ -34,6 +36,9 @@ export class DiagnosisPuzzle extends PuzzleController {
         this.examinedHotspots = new Set();
         this.findings = [];
         this.selectedDiagnosis = null;
+
+        // Findings from items used on hotspots, kept through a reset
+        this.itemFindings = [];
     }
 
     /**
@@ -42,7 +47,7 @@ export class DiagnosisPuzzle extends PuzzleController {
     async render() {
         if (!this.contentElement) return;
 
-        this.contentElement.innerHTML = `
+        setHtml(this.contentElement, html`
             <div class="diagnosis-puzzle">
                 <div class="examination-area" id="examination-area">
                     <div class="item-display">
@@ -54,18 +59,18 @@ export class DiagnosisPuzzle extends PuzzleController {
                     <div class="diagnostic-tools" id="diagnostic-tools"></div>
                     
                     <div class="findings-panel">
-                        <h4 class="findings-title">Findings</h4>
+                        <h4 class="findings-title">${localization.t('ui.puzzle.findings', 'Findings')}</h4>
                         <div class="findings-list" id="findings-list">
-                            <p class="no-findings">Examine the item to find clues...</p>
+                            <p class="no-findings">${localization.t('ui.puzzle.noFindings', 'Examine the item to find clues...')}</p>
                         </div>
                     </div>
                     
                     <div class="diagnosis-options" id="diagnosis-options">
-                        <h4>Select Diagnosis:</h4>
+                        <h4>${localization.t('ui.puzzle.selectDiagnosis', 'Select Diagnosis:')}</h4>
                     </div>
                 </div>
             </div>
-        `;
+        `);
 
         this.renderTools();
         this.renderHotspots();
@@ -90,10 +95,10 @@ export class DiagnosisPuzzle extends PuzzleController {
                 toolEl.classList.add('active');
             }
 
-            toolEl.innerHTML = `
+            setHtml(toolEl, html`
                 <span class="tool-icon">${tool.icon}</span>
                 <span class="tool-name">${tool.name}</span>
-            `;
+            `);
 
             toolEl.addEventListener('click', () => this.selectTool(tool.id));
             container.appendChild(toolEl);
@@ -120,7 +125,15 @@ export class DiagnosisPuzzle extends PuzzleController {
             hotspotEl.style.left = `${hotspot.x}%`;
             hotspotEl.style.top = `${hotspot.y}%`;
 
-            hotspotEl.addEventListener('click', () => this.examineHotspot(hotspot));
+            hotspotEl.addEventListener('click', () => {
+                const itemId = this.getHeldItem();
+                if (itemId) {
+                    this.useItemOnHotspot(itemId, hotspot);
+                } else {
+                    this.examineHotspot(hotspot);
+                }
+            });
+            this.acceptItemDrops(hotspotEl, (itemId) => this.useItemOnHotspot(itemId, hotspot));
             area.appendChild(hotspotEl);
         }
     }
@@ -133,7 +146,7 @@ export class DiagnosisPuzzle extends PuzzleController {
         if (!container) return;
 
         // Keep the title
-        container.innerHTML = '<h4>Select Diagnosis:</h4>';
+        setHtml(container, html`<h4>${localization.t('ui.puzzle.selectDiagnosis', 'Select Diagnosis:')}</h4>`);
 
         for (const diagnosis of this.diagnoses) {
             const optionEl = document.createElement('button');
@@ -171,7 +184,7 @@ export class DiagnosisPuzzle extends PuzzleController {
      */
     examineHotspot(hotspot) {
         if (!this.activeTool) {
-            this.showNotification('Select a tool first');
+            this.showNotification(localization.t('ui.puzzle.selectTool', 'Select a tool first'));
             return;
         }
 
@@ -179,7 +192,7 @@ export class DiagnosisPuzzle extends PuzzleController {
         const toolFindings = hotspot.findings?.[this.activeTool];
         
         if (!toolFindings) {
-            this.showNotification('Nothing unusual found with this tool');
+            this.showNotification(localization.t('ui.puzzle.nothingFound', 'Nothing unusual found with this tool'));
             return;
         }
 
@@ -196,14 +209,42 @@ export class DiagnosisPuzzle extends PuzzleController {
         // Update UI
         this.updateHotspotVisual(hotspot.id);
         this.updateFindings();
+        this.reportExamination();
+
+        this.playSound('examine');
+    }
+
+    /**
+     * Use an inventory item on a hotspot
+     * The reaction's response is noted as a finding.
+     */
+    useItemOnHotspot(itemId, hotspot) {
+        const reaction = this.useItem(itemId, { hotspot: hotspot.id });
+        if (!reaction) return;
+
+        this.examinedHotspots.add(hotspot.id);
+
+        if (reaction.response) {
+            const finding = { hotspotId: hotspot.id, itemId, finding: reaction.response };
+            this.itemFindings.push(finding);
+            this.findings.push(finding);
+        }
+
+        this.updateHotspotVisual(hotspot.id);
+        this.updateFindings();
+        this.reportExamination();
+
+        this.playSound('examine');
+    }
 
-        // Calculate progress
+    /**
+     * Report how much of the item has been examined
+     */
+    reportExamination() {
         const totalExaminable = this.hotspots.filter(h => 
             Object.values(h.findings || {}).some(f => f)
         ).length;
-        this.reportProgress(this.examinedHotspots.size / Math.max(totalExaminable, 1));
-
-        this.playSound('examine');
+        this.reportProgress(Math.min(this.examinedHotspots.size / Math.max(totalExaminable, 1), 1));
     }
 
     /**
@@ -224,7 +265,7 @@ export class DiagnosisPuzzle extends PuzzleController {
         if (!container) return;
 
         if (this.findings.length === 0) {
-            container.innerHTML = '<p class="no-findings">Examine the item to find clues...</p>';
+            setHtml(container, html`<p class="no-findings">${localization.t('ui.puzzle.noFindings', 'Examine the item to find clues...')}</p>`);
             return;
         }
 
@@ -234,10 +275,10 @@ export class DiagnosisPuzzle extends PuzzleController {
             const tool = this.tools.find(t => t.id === finding.toolId);
             const findingEl = document.createElement('div');
             findingEl.className = 'finding-item';
-            findingEl.innerHTML = `
+            setHtml(findingEl, html`
                 <span class="finding-tool">${tool?.icon || '🔍'}</span>
-                <span class="finding-text">${finding.finding}</span>
-            `;
+                <span class="finding-text">${rich(finding.finding)}</span>
+            `);
             container.appendChild(findingEl);
         }
     }
@@ -280,8 +321,8 @@ export class DiagnosisPuzzle extends PuzzleController {
      */
     reset() {
         this.activeTool = null;
-        this.examinedHotspots.clear();
-        this.findings = [];
+        this.examinedHotspots = new Set(this.itemFindings.map(finding => finding.hotspotId));
+        this.findings = [...this.itemFindings];
         this.selectedDiagnosis = null;
         
         // Re-render
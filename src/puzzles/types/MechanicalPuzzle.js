@@ -4,6 +4,9 @@
  */
 
 import { PuzzleController } from '../PuzzleController.js';
+import { localization } from '../../utils/Localization.js';
+import { html, rich, setHtml } from '../../utils/SafeHtml.js';
+import { ITEM_DRAG_TYPE } from '../../narrative/ItemInteractions.js';
 
 export class MechanicalPuzzle extends PuzzleController {
     constructor(config) {
@@ -21,6 +24,9 @@ export class MechanicalPuzzle extends PuzzleController {
         this.partElements = new Map();
         this.slotElements = new Map();
         
+        // Parts put in place by inventory items (slotId -> partId), kept through a reset
+        this.itemPlacements = new Map();
+
         // Drag state
         this.draggedPart = null;
         this.dragOffset = { x: 0, y: 0 };
@@ -36,10 +42,10 @@ export class MechanicalPuzzle extends PuzzleController {
     async render() {
         if (!this.contentElement) return;
 
-        this.contentElement.innerHTML = `
+        setHtml(this.contentElement, html`
             <div class="mechanical-puzzle">
                 <div class="parts-tray">
-                    <h4 class="parts-tray-title">Parts</h4>
+                    <h4 class="parts-tray-title">${localization.t('ui.puzzle.parts', 'Parts')}</h4>
                     <div class="parts-grid" id="parts-grid"></div>
                 </div>
                 
@@ -48,11 +54,11 @@ export class MechanicalPuzzle extends PuzzleController {
                 </div>
                 
                 <div class="instructions-panel">
-                    <h4 class="instructions-title">Instructions</h4>
+                    <h4 class="instructions-title">${localization.t('ui.puzzle.instructions', 'Instructions')}</h4>
                     <div class="instructions-list" id="instructions-list"></div>
                 </div>
             </div>
-        `;
+        `);
 
         // Render parts
         this.renderParts();
@@ -80,15 +86,18 @@ export class MechanicalPuzzle extends PuzzleController {
             const partEl = document.createElement('div');
             partEl.className = 'part-item';
             partEl.dataset.partId = part.id;
-            partEl.draggable = true;
+            partEl.draggable = this.isInStock(part.id);
+            partEl.classList.toggle('out-of-stock', !this.isInStock(part.id));
             
             if (part.image) {
-                partEl.innerHTML = `<img src="${part.image}" alt="${part.name}" draggable="false">`;
+                setHtml(partEl, html`<img src="${part.image}" alt="${part.name}" draggable="false">`);
             } else {
-                partEl.innerHTML = `<span class="part-icon">${part.icon || '⚙️'}</span>`;
+                setHtml(partEl, html`<span class="part-icon">${part.icon || '⚙️'}</span>`);
             }
             
-            partEl.title = part.name;
+            partEl.title = this.isInStock(part.id)
+                ? part.name
+                : localization.t('ui.puzzle.noneInStock', '{name} (none in stock)', { name: part.name });
             
             this.partElements.set(part.id, partEl);
             grid.appendChild(partEl);
@@ -142,10 +151,10 @@ export class MechanicalPuzzle extends PuzzleController {
                 stepEl.classList.add('completed');
             }
             
-            stepEl.innerHTML = `
+            setHtml(stepEl, html`
                 <span class="step-number">${index + 1}</span>
-                <span class="step-text">${instruction}</span>
-            `;
+                <span class="step-text">${rich(instruction)}</span>
+            `);
             
             list.appendChild(stepEl);
         });
@@ -174,6 +183,14 @@ export class MechanicalPuzzle extends PuzzleController {
         for (const [slotId, slotEl] of this.slotElements) {
             slotEl.addEventListener('dragenter', (e) => this.handleSlotEnter(e, slotId));
             slotEl.addEventListener('dragleave', (e) => this.handleSlotLeave(e, slotId));
+
+            // Use the held inventory item on the slot
+            slotEl.addEventListener('click', () => {
+                const itemId = this.getHeldItem();
+                if (itemId) {
+                    this.useItemOnSlot(itemId, slotId);
+                }
+            });
         }
     }
 
@@ -181,8 +198,8 @@ export class MechanicalPuzzle extends PuzzleController {
      * Handle drag start
      */
     handleDragStart(e, partId) {
-        // Check if part is already placed
-        if (this.isPartPlaced(partId)) {
+        // Check if part is already placed, or not in the inventory
+        if (this.isPartPlaced(partId) || !this.isInStock(partId)) {
             e.preventDefault();
             return;
         }
@@ -212,6 +229,8 @@ export class MechanicalPuzzle extends PuzzleController {
      * Handle drag over assembly area
      */
     handleDragOver(e) {
+        if (!this.draggedPart && !e.dataTransfer.types.includes(ITEM_DRAG_TYPE)) return;
+
         e.preventDefault();
         e.dataTransfer.dropEffect = 'move';
         e.currentTarget.classList.add('drag-over');
@@ -250,6 +269,16 @@ export class MechanicalPuzzle extends PuzzleController {
     handleDrop(e) {
         e.preventDefault();
         e.currentTarget.classList.remove('drag-over');
+
+        // An inventory item dragged onto the assembly
+        const itemId = e.dataTransfer.getData(ITEM_DRAG_TYPE);
+        if (itemId) {
+            const slotId = this.findClosestSlot(e);
+            if (slotId) {
+                this.useItemOnSlot(itemId, slotId);
+            }
+            return;
+        }
         
         if (!this.draggedPart) return;
         
@@ -315,9 +344,9 @@ export class MechanicalPuzzle extends PuzzleController {
             const part = this.parts.find(p => p.id === partId);
             if (part) {
                 if (part.image) {
-                    slotEl.innerHTML = `<img src="${part.image}" alt="${part.name}" style="width: 100%; height: 100%; object-fit: contain;">`;
+                    setHtml(slotEl, html`<img src="${part.image}" alt="${part.name}" style="width: 100%; height: 100%; object-fit: contain;">`);
                 } else {
-                    slotEl.innerHTML = `<span style="font-size: 2em;">${part.icon || '⚙️'}</span>`;
+                    setHtml(slotEl, html`<span style="font-size: 2em;">${part.icon || '⚙️'}</span>`);
                 }
             }
         }
@@ -338,6 +367,24 @@ export class MechanicalPuzzle extends PuzzleController {
         }
     }
 
+    /**
+     * Use an inventory item on a slot
+     * A reaction with a "part" puts that part in the slot.
+     */
+    useItemOnSlot(itemId, slotId) {
+        const reaction = this.useItem(itemId, { slot: slotId });
+        if (!reaction) return;
+
+        if (reaction.response) {
+            this.showNotification(reaction.response);
+        }
+
+        if (reaction.part && !this.placedParts.has(slotId) && !this.isPartPlaced(reaction.part)) {
+            this.itemPlacements.set(slotId, reaction.part);
+            this.placePart(reaction.part, slotId);
+        }
+    }
+
     /**
      * Check if a part is already placed
      */
@@ -348,6 +395,13 @@ export class MechanicalPuzzle extends PuzzleController {
         return false;
     }
 
+    /**
+     * Check whether a part can be used: parts backed by an item need it in the inventory
+     */
+    isInStock(partId) {
+        return this.parts.find(p => p.id === partId)?.inStock !== false;
+    }
+
     /**
      * Advance to next instruction step
      */
@@ -365,6 +419,20 @@ export class MechanicalPuzzle extends PuzzleController {
         return Object.fromEntries(this.placedParts);
     }
 
+    /**
+     * Get the inventory items used up by the parts placed from the tray
+     */
+    getUsedItems() {
+        const used = [];
+        for (const [slotId, partId] of this.placedParts) {
+            const item = this.parts.find(p => p.id === partId)?.item;
+            if (item && !this.itemPlacements.has(slotId)) {
+                used.push(item);
+            }
+        }
+        return used;
+    }
+
     /**
      * Validate the solution
      */
@@ -386,9 +454,9 @@ export class MechanicalPuzzle extends PuzzleController {
         this.currentStep = 0;
         
         // Reset part visuals
-        for (const partEl of this.partElements.values()) {
+        for (const [partId, partEl] of this.partElements) {
             partEl.classList.remove('placed');
-            partEl.draggable = true;
+            partEl.draggable = this.isInStock(partId);
         }
         
         // Reset slot visuals
@@ -398,6 +466,11 @@ export class MechanicalPuzzle extends PuzzleController {
         }
         
         this.renderInstructions();
+
+        // Items are used up, so what they put in place stays
+        for (const [slotId, partId] of this.itemPlacements) {
+            this.placePart(partId, slotId);
+        }
         
         super.reset();
     }
@@ -4,6 +4,8 @@
  */
 
 import { PuzzleController } from '../PuzzleController.js';
+import { localization } from '../../utils/Localization.js';
+import { html, setHtml } from '../../utils/SafeHtml.js';
 
 export class RepairSequencePuzzle extends PuzzleController {
     constructor(config) {
@@ -18,10 +20,10 @@ export class RepairSequencePuzzle extends PuzzleController {
         
         // Actions/buttons
         this.actions = config.actions || [
-            { id: 'gear', icon: '⚙️', label: 'Gear' },
-            { id: 'wrench', icon: '🔧', label: 'Wrench' },
-            { id: 'spark', icon: '⚡', label: 'Power' },
-            { id: 'oil', icon: '💧', label: 'Oil' }
+            { id: 'gear', icon: '⚙️', label: localization.t('ui.puzzle.action.gear', 'Gear') },
+            { id: 'wrench', icon: '🔧', label: localization.t('ui.puzzle.action.wrench', 'Wrench') },
+            { id: 'spark', icon: '⚡', label: localization.t('ui.puzzle.action.spark', 'Power') },
+            { id: 'oil', icon: '💧', label: localization.t('ui.puzzle.action.oil', 'Oil') }
         ];
         
         // Current state
@@ -41,7 +43,7 @@ export class RepairSequencePuzzle extends PuzzleController {
     async render() {
         if (!this.contentElement) return;
 
-        this.contentElement.innerHTML = `
+        setHtml(this.contentElement, html`
             <div class="repair-puzzle">
                 <div class="timer-bar">
                     <div class="timer-fill" id="timer-fill"></div>
@@ -50,16 +52,16 @@ export class RepairSequencePuzzle extends PuzzleController {
                 <div class="sequence-display" id="sequence-display"></div>
                 
                 <div class="round-indicator">
-                    Round <span id="round-number">${this.round}</span> of ${this.maxRounds}
+                    ${localization.t('ui.puzzle.round', 'Round {round} of {total}', { round: this.round, total: this.maxRounds })}
                 </div>
                 
                 <div class="action-buttons" id="action-buttons"></div>
                 
                 <div class="instruction-text" id="instruction-text">
-                    Watch the sequence carefully!
+                    ${localization.t('ui.puzzle.watchSequence', 'Watch the sequence carefully!')}
                 </div>
             </div>
-        `;
+        `);
 
         this.renderSequenceDisplay();
         this.renderActionButtons();
@@ -97,10 +99,10 @@ export class RepairSequencePuzzle extends PuzzleController {
             btn.dataset.actionId = action.id;
             btn.disabled = true; // Disabled until input phase
             
-            btn.innerHTML = `
+            setHtml(btn, html`
                 <span class="action-icon">${action.icon}</span>
                 <span class="action-label">${action.label}</span>
-            `;
+            `);
 
             btn.addEventListener('click', () => this.handleInput(action.icon));
             container.appendChild(btn);
@@ -122,7 +124,7 @@ export class RepairSequencePuzzle extends PuzzleController {
      */
     async showSequence() {
         this.phase = 'showing';
-        this.updateInstruction('Watch carefully...');
+        this.updateInstruction(localization.t('ui.puzzle.watch', 'Watch carefully...'));
         this.disableButtons(true);
 
         const steps = document.querySelectorAll('.sequence-step');
@@ -158,7 +160,7 @@ export class RepairSequencePuzzle extends PuzzleController {
         this.currentStep = 0;
         this.timeRemaining = this.inputTime;
         
-        this.updateInstruction('Enter the sequence!');
+        this.updateInstruction(localization.t('ui.puzzle.enterSequence', 'Enter the sequence!'));
         this.disableButtons(false);
         
         // Start timer
@@ -236,7 +238,7 @@ export class RepairSequencePuzzle extends PuzzleController {
     async handleWrongInput() {
         this.phase = 'checking';
         this.disableButtons(true);
-        this.updateInstruction('Wrong! Watch again...');
+        this.updateInstruction(localization.t('ui.puzzle.wrongSequence', 'Wrong! Watch again...'));
         
         await this.wait(1500);
         
@@ -253,7 +255,7 @@ export class RepairSequencePuzzle extends PuzzleController {
         
         this.phase = 'checking';
         this.disableButtons(true);
-        this.updateInstruction('Time\'s up! Watch again...');
+        this.updateInstruction(localization.t('ui.puzzle.sequenceTimeUp', 'Time\'s up! Watch again...'));
         
         await this.wait(1500);
         
@@ -271,7 +273,7 @@ export class RepairSequencePuzzle extends PuzzleController {
         if (this.round < this.maxRounds) {
             // Next round
             this.round++;
-            this.updateInstruction(`Round ${this.round}!`);
+            this.updateInstruction(localization.t('ui.puzzle.nextRound', 'Round {round}!', { round: this.round }));
             
             // Make sequence harder
             this.extendSequence();
@@ -4,6 +4,8 @@
  */
 
 import { PuzzleController } from '../PuzzleController.js';
+import { localization } from '../../utils/Localization.js';
+import { html, setHtml } from '../../utils/SafeHtml.js';
 
 export class ResonancePuzzle extends PuzzleController {
     constructor(config) {
@@ -17,9 +19,9 @@ export class ResonancePuzzle extends PuzzleController {
         
         // Dial configuration
         this.dials = config.dials || [
-            { id: 'frequency', label: 'Frequency', min: 200, max: 1000, step: 10 },
-            { id: 'amplitude', label: 'Amplitude', min: 0, max: 100, step: 5 },
-            { id: 'phase', label: 'Phase', min: 0, max: 360, step: 15 }
+            { id: 'frequency', label: localization.t('ui.puzzle.dial.frequency', 'Frequency'), min: 200, max: 1000, step: 10 },
+            { id: 'amplitude', label: localization.t('ui.puzzle.dial.amplitude', 'Amplitude'), min: 0, max: 100, step: 5 },
+            { id: 'phase', label: localization.t('ui.puzzle.dial.phase', 'Phase'), min: 0, max: 360, step: 15 }
         ];
         
         // Current values
@@ -45,7 +47,7 @@ export class ResonancePuzzle extends PuzzleController {
     async render() {
         if (!this.contentElement) return;
 
-        this.contentElement.innerHTML = `
+        setHtml(this.contentElement, html`
             <div class="resonance-puzzle">
                 <div class="resonance-visualizer" id="resonance-visualizer">
                     <div class="resonance-ring"></div>
@@ -60,21 +62,21 @@ export class ResonancePuzzle extends PuzzleController {
                 
                 <div class="resonance-actions">
                     <button class="puzzle-btn" id="btn-play-tone">
-                        🔊 Play Current Tone
+                        🔊 ${localization.t('ui.puzzle.playTone', 'Play Current Tone')}
                     </button>
                     <button class="puzzle-btn" id="btn-play-target">
-                        🎵 Play Target Note
+                        🎵 ${localization.t('ui.puzzle.playTarget', 'Play Target Note')}
                     </button>
                     <button class="puzzle-btn primary" id="btn-lock-note">
-                        🔒 Lock Note
+                        🔒 ${localization.t('ui.puzzle.lockNote', 'Lock Note')}
                     </button>
                 </div>
                 
                 <div class="frequency-display">
-                    Current: <span id="current-frequency">440</span> Hz
+                    ${localization.t('ui.puzzle.currentFrequency', 'Current:')} <span id="current-frequency">440</span> Hz
                 </div>
             </div>
-        `;
+        `);
 
         this.renderTargetPattern();
         this.renderDials();
@@ -123,13 +125,13 @@ export class ResonancePuzzle extends PuzzleController {
                 dial.max
             );
 
-            dialEl.innerHTML = `
+            setHtml(dialEl, html`
                 <span class="dial-label">${dial.label}</span>
                 <div class="dial-control" data-dial-id="${dial.id}">
                     <div class="dial-indicator" style="transform: translateX(-50%) rotate(${rotation}deg)"></div>
                 </div>
                 <span class="dial-value">${this.dialValues[dial.id]}</span>
-            `;
+            `);
 
             container.appendChild(dialEl);
         }
@@ -372,7 +374,7 @@ export class ResonancePuzzle extends PuzzleController {
             }
         } else {
             // Wrong frequency
-            this.showFeedback(false, `Off by ${diff.toFixed(0)} Hz`);
+            this.showFeedback(false, localization.t('ui.puzzle.offBy', 'Off by {diff} Hz', { diff: diff.toFixed(0) }));
             this.playSound('note_wrong');
         }
     }
@@ -4,6 +4,8 @@
  */
 
 import { PuzzleController } from '../PuzzleController.js';
+import { localization } from '../../utils/Localization.js';
+import { html, rich, setHtml } from '../../utils/SafeHtml.js';
 
 export class SpellCraftingPuzzle extends PuzzleController {
     constructor(config) {
@@ -17,8 +19,8 @@ export class SpellCraftingPuzzle extends PuzzleController {
         
         // Recipe/solution
         this.recipe = config.recipe || []; // Array of ingredient IDs in order
-        this.recipeName = config.recipeName || 'Unknown Spell';
-        this.recipeHint = config.recipeHint || 'Mix the correct ingredients...';
+        this.recipeName = config.recipeName || localization.t('ui.puzzle.unknownSpell', 'Unknown Spell');
+        this.recipeHint = config.recipeHint || localization.t('ui.puzzle.recipeHint', 'Mix the correct ingredients...');
         
         // Current state
         this.selectedIngredients = [];
@@ -35,7 +37,7 @@ export class SpellCraftingPuzzle extends PuzzleController {
     async render() {
         if (!this.contentElement) return;
 
-        this.contentElement.innerHTML = `
+        setHtml(this.contentElement, html`
             <div class="spell-puzzle">
                 <div class="ingredient-shelf" id="ingredient-shelf"></div>
                 
@@ -46,17 +48,17 @@ export class SpellCraftingPuzzle extends PuzzleController {
                     </div>
                     
                     <div class="selected-ingredients" id="selected-ingredients">
-                        <p class="selected-label">Added ingredients:</p>
+                        <p class="selected-label">${localization.t('ui.puzzle.addedIngredients', 'Added ingredients:')}</p>
                         <div class="selected-list" id="selected-list"></div>
                     </div>
                 </div>
                 
                 <div class="recipe-book">
                     <h4 class="recipe-title">${this.recipeName}</h4>
-                    <p class="recipe-hint">${this.recipeHint}</p>
+                    <p class="recipe-hint">${rich(this.recipeHint)}</p>
                 </div>
             </div>
-        `;
+        `);
 
         this.renderIngredients();
         this.updateSelectedDisplay();
@@ -81,15 +83,23 @@ export class SpellCraftingPuzzle extends PuzzleController {
                 ingEl.classList.add('selected');
             }
 
-            ingEl.innerHTML = `
+            // Ingredients backed by an item need it in the inventory
+            if (ingredient.inStock === false) {
+                ingEl.classList.add('out-of-stock');
+                ingEl.title = localization.t('ui.puzzle.noneInStock', '{name} (none in stock)', { name: ingredient.name });
+            }
+
+            setHtml(ingEl, html`
                 ${ingredient.image 
-                    ? `<img src="${ingredient.image}" alt="${ingredient.name}">`
-                    : `<span class="ingredient-icon">${ingredient.icon || '🧪'}</span>`
+                    ? html`<img src="${ingredient.image}" alt="${ingredient.name}">`
+                    : html`<span class="ingredient-icon">${ingredient.icon || '🧪'}</span>`
                 }
                 <span class="ingredient-name">${ingredient.name}</span>
-            `;
+            `);
 
-            ingEl.addEventListener('click', () => this.toggleIngredient(ingredient.id));
+            if (ingredient.inStock !== false) {
+                ingEl.addEventListener('click', () => this.toggleIngredient(ingredient.id));
+            }
             
             shelf.appendChild(ingEl);
         }
@@ -108,7 +118,8 @@ export class SpellCraftingPuzzle extends PuzzleController {
         } else {
             // Add ingredient (if under limit)
             if (this.selectedIngredients.length >= this.maxIngredients) {
-                this.showNotification(`Maximum ${this.maxIngredients} ingredients allowed`);
+                this.showNotification(localization.t('ui.puzzle.maxIngredients',
+                    'Maximum {count} ingredients allowed', { count: this.maxIngredients }));
                 return;
             }
             this.selectedIngredients.push(ingredientId);
@@ -154,14 +165,14 @@ export class SpellCraftingPuzzle extends PuzzleController {
 
             const item = document.createElement('span');
             item.className = 'selected-item';
-            item.innerHTML = ingredient.icon || '🧪';
+            setHtml(item, ingredient.icon || '🧪');
             item.title = ingredient.name;
             
             list.appendChild(item);
         }
 
         if (this.selectedIngredients.length === 0) {
-            list.innerHTML = '<span class="empty-message">None selected</span>';
+            setHtml(list, html`<span class="empty-message">${localization.t('ui.puzzle.noneSelected', 'None selected')}</span>`);
         }
     }
 
@@ -246,6 +257,15 @@ export class SpellCraftingPuzzle extends PuzzleController {
         return [...this.selectedIngredients];
     }
 
+    /**
+     * Get the inventory items used up by the ingredients in the cauldron
+     */
+    getUsedItems() {
+        return this.selectedIngredients
+            .map(id => this.ingredients.find(i => i.id === id)?.item)
+            .filter(item => item);
+    }
+
     /**
      * Validate the solution
      */
@@ -121,6 +121,8 @@ export const GameEvents = {
     GAME_PAUSE: 'game:pause',
     GAME_RESUME: 'game:resume',
     GAME_OVER: 'game:over',
+    ENDING_REACHED: 'game:ending',
+    ROLLBACK: 'game:rollback',
 
     // Scene Events
     SCENE_CHANGE: 'scene:change',
@@ -138,6 +140,7 @@ export const GameEvents = {
     DIALOGUE_LINE: 'dialogue:line',
     DIALOGUE_COMPLETE: 'dialogue:complete',
     DIALOGUE_SKIP: 'dialogue:skip',
+    DIALOGUE_MODE_CHANGE: 'dialogue:mode',
     CHOICE_SHOW: 'choice:show',
     CHOICE_MADE: 'choice:made',
     NARRATION_SHOW: 'narration:show',
@@ -148,6 +151,8 @@ export const GameEvents = {
     CHARACTER_EXIT: 'character:exit',
     CHARACTER_SPEAK: 'character:speak',
     CHARACTER_EXPRESSION: 'character:expression',
+    RELATIONSHIP_CHANGE: 'character:relationship',
+    RELATIONSHIP_THRESHOLD: 'character:relationship:threshold',
 
     // Puzzle Events
     PUZZLE_START: 'puzzle:start',
@@ -161,9 +166,27 @@ export const GameEvents = {
     ITEM_ADD: 'item:add',
     ITEM_REMOVE: 'item:remove',
     ITEM_USE: 'item:use',
+    ITEM_SELECT: 'item:select',
     INVENTORY_OPEN: 'inventory:open',
     INVENTORY_CLOSE: 'inventory:close',
 
+    // Crafting Events
+    CRAFT_SUCCESS: 'craft:success',
+    CRAFT_FAIL: 'craft:fail',
+    RECIPE_DISCOVER: 'recipe:discover',
+
+    // Economy Events
+    GOLD_CHANGE: 'gold:change',
+    ORDER_TAKE: 'order:take',
+    ORDER_COMPLETE: 'order:complete',
+    SHOP_PURCHASE: 'shop:purchase',
+
+    // Workshop Events
+    WORKSHOP_OPEN: 'workshop:open',
+    WORKSHOP_CLOSE: 'workshop:close',
+    DAY_START: 'workshop:day',
+    JOB_COMPLETE: 'workshop:job',
+
     // Audio Events
     MUSIC_PLAY: 'music:play',
     MUSIC_STOP: 'music:stop',
@@ -186,16 +209,23 @@ export const GameEvents = {
     LOAD_START: 'load:start',
     LOAD_COMPLETE: 'load:complete',
     LOAD_ERROR: 'load:error',
+    PROFILE_CHANGE: 'profile:change',
+
+    // Achievement Events
+    ACHIEVEMENT_PROGRESS: 'achievement:progress',
+    ACHIEVEMENT_UNLOCK: 'achievement:unlock',
 
     // Input Events
     INPUT_CLICK: 'input:click',
     INPUT_KEY: 'input:key',
+    INPUT_WHEEL: 'input:wheel',
     INPUT_DRAG_START: 'input:drag:start',
     INPUT_DRAG_END: 'input:drag:end',
 
     // Settings Events
     SETTINGS_CHANGE: 'settings:change',
     SETTINGS_SAVE: 'settings:save',
+    LOCALE_CHANGE: 'settings:locale',
 
     // State Events
     STATE_CHANGE: 'state:change',
@@ -0,0 +1,438 @@
+/**
+ * Expression - Safe expression language for script conditions and text
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Supports literals (numbers, 'strings', true, false, null), identifiers
+ * (which may contain dots, e.g. player.name), function calls, ! and unary -,
+ * * / %, + -, < <= > >=, == != === !==, &&, || and the ternary ?:.
+ * Nothing is ever passed to eval; identifiers and calls are resolved
+ * through a scope object supplied by the caller.
+ */
+
+/**
+ * Error raised for malformed expressions
+ */
+export class ExpressionError extends Error {
+    /**
+     * @param {string} message - Error description
+     * @param {string} source - Expression source
+     * @param {number} [position] - Character offset of the problem
+     */
+    constructor(message, source, position = null) {
+        const where = position !== null ? ` at column ${position + 1}` : '';
+        super(`${message}${where} in "${source}"`);
+        this.name = 'ExpressionError';
+        this.source = source;
+        this.position = position;
+    }
+}
+
+const OPERATORS = [
+    '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '+=', '-=', '*=', '/=',
+    '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', ',', '?', ':', '='
+];
+
+const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/='];
+
+const BINARY_PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!=', '===', '!=='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+];
+
+const KEYWORDS = {
+    true: true,
+    false: false,
+    null: null
+};
+
+// Compiled expressions by source
+const cache = new Map();
+
+/**
+ * Split an expression into tokens
+ * @param {string} source - Expression source
+ * @returns {Array<Object>} Tokens { type, value, position }
+ */
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        // Numbers
+        const number = /^\d+(\.\d+)?/.exec(source.slice(i));
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]), position: i });
+            i += number[0].length;
+            continue;
+        }
+
+        // Identifiers and keywords
+        const identifier = /^[A-Za-z_][\w.]*/.exec(source.slice(i));
+        if (identifier) {
+            tokens.push({ type: 'identifier', value: identifier[0], position: i });
+            i += identifier[0].length;
+            continue;
+        }
+
+        // Strings
+        if (char === '"' || char === "'") {
+            let value = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\' && j + 1 < source.length) {
+                    j++;
+                }
+                value += source[j];
+                j++;
+            }
+            if (j >= source.length) {
+                throw new ExpressionError('Unterminated string', source, i);
+            }
+            tokens.push({ type: 'string', value, position: i });
+            i = j + 1;
+            continue;
+        }
+
+        // Operators and punctuation
+        const operator = OPERATORS.find(op => source.startsWith(op, i));
+        if (operator) {
+            tokens.push({ type: 'operator', value: operator, position: i });
+            i += operator.length;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected character "${char}"`, source, i);
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+/**
+ * Recursive descent parser over a token list
+ */
+class Parser {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOperator(value) {
+        const token = this.peek();
+        return token.type === 'operator' && token.value === value;
+    }
+
+    expect(value) {
+        if (!this.isOperator(value)) {
+            this.fail(`Expected "${value}"`);
+        }
+        return this.next();
+    }
+
+    fail(message, token = this.peek()) {
+        const found = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+        throw new ExpressionError(`${message}, found ${found}`, this.source, token.position);
+    }
+
+    expectEnd() {
+        if (this.peek().type !== 'end') {
+            this.fail('Unexpected token');
+        }
+    }
+
+    parseExpression() {
+        const test = this.parseBinary(0);
+
+        if (this.isOperator('?')) {
+            this.next();
+            const consequent = this.parseExpression();
+            this.expect(':');
+            const alternate = this.parseExpression();
+            return { type: 'conditional', test, consequent, alternate };
+        }
+
+        return test;
+    }
+
+    parseBinary(level) {
+        if (level >= BINARY_PRECEDENCE.length) {
+            return this.parseUnary();
+        }
+
+        let left = this.parseBinary(level + 1);
+        const operators = BINARY_PRECEDENCE[level];
+
+        while (this.peek().type === 'operator' && operators.includes(this.peek().value)) {
+            const operator = this.next().value;
+            const right = this.parseBinary(level + 1);
+            left = { type: 'binary', operator, left, right };
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOperator('!') || this.isOperator('-')) {
+            const operator = this.next().value;
+            return { type: 'unary', operator, argument: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'number':
+            case 'string':
+                return { type: 'literal', value: token.value };
+
+            case 'identifier':
+                if (Object.hasOwn(KEYWORDS, token.value)) {
+                    return { type: 'literal', value: KEYWORDS[token.value] };
+                }
+                if (this.isOperator('(')) {
+                    return { type: 'call', name: token.value, args: this.parseArguments() };
+                }
+                return { type: 'identifier', name: token.value };
+
+            case 'operator':
+                if (token.value === '(') {
+                    const inner = this.parseExpression();
+                    this.expect(')');
+                    return inner;
+                }
+                break;
+        }
+
+        this.fail('Unexpected token', token);
+    }
+
+    parseArguments() {
+        const args = [];
+        this.expect('(');
+
+        if (!this.isOperator(')')) {
+            args.push(this.parseExpression());
+            while (this.isOperator(',')) {
+                this.next();
+                args.push(this.parseExpression());
+            }
+        }
+
+        this.expect(')');
+        return args;
+    }
+}
+
+/**
+ * Compile an expression into a syntax tree
+ * @param {string} source - Expression source
+ * @returns {Object} Syntax tree
+ * @throws {ExpressionError}
+ */
+export function compileExpression(source) {
+    if (cache.has(source)) {
+        return cache.get(source);
+    }
+
+    const parser = new Parser(source);
+    const ast = parser.parseExpression();
+    parser.expectEnd();
+
+    cache.set(source, ast);
+    return ast;
+}
+
+/**
+ * Check whether a condition string is a bare flag name
+ * Literals such as "true" and "false" are expressions, not flag names.
+ * @param {string} source - Condition source
+ * @returns {boolean}
+ */
+export function isFlagName(source) {
+    return /^\w+$/.test(source) && !Object.hasOwn(KEYWORDS, source);
+}
+
+/**
+ * Compile an assignment such as "gold = gold - price" or "trust += 1"
+ * @param {string} source - Assignment source
+ * @returns {{name: string, operator: string, expression: Object}}
+ * @throws {ExpressionError}
+ */
+export function compileAssignment(source) {
+    const parser = new Parser(source);
+
+    const target = parser.next();
+    if (target.type !== 'identifier' || Object.hasOwn(KEYWORDS, target.value)) {
+        parser.fail('Expected a variable name', target);
+    }
+
+    const operator = parser.peek();
+    if (operator.type !== 'operator' || !ASSIGNMENT_OPERATORS.includes(operator.value)) {
+        parser.fail('Expected an assignment operator');
+    }
+    parser.next();
+
+    const expression = parser.parseExpression();
+    parser.expectEnd();
+
+    return { name: target.value, operator: operator.value, expression };
+}
+
+/**
+ * Visit every node of a syntax tree, parents before children
+ * @param {Object} ast - Syntax tree
+ * @param {Function} visit - Callback (node)
+ */
+export function walkExpression(ast, visit) {
+    if (!ast) return;
+
+    visit(ast);
+
+    switch (ast.type) {
+        case 'call':
+            ast.args.forEach(arg => walkExpression(arg, visit));
+            break;
+        case 'unary':
+            walkExpression(ast.argument, visit);
+            break;
+        case 'binary':
+            walkExpression(ast.left, visit);
+            walkExpression(ast.right, visit);
+            break;
+        case 'conditional':
+            walkExpression(ast.test, visit);
+            walkExpression(ast.consequent, visit);
+            walkExpression(ast.alternate, visit);
+            break;
+    }
+}
+
+/**
+ * List the function names called by a syntax tree
+ * @param {Object} ast - Syntax tree
+ * @returns {Set<string>}
+ */
+export function getCalledFunctions(ast) {
+    const names = new Set();
+    walkExpression(ast, node => {
+        if (node.type === 'call') names.add(node.name);
+    });
+    return names;
+}
+
+/**
+ * List the identifiers read by a syntax tree
+ * @param {Object} ast - Syntax tree
+ * @returns {Set<string>}
+ */
+export function getIdentifiers(ast) {
+    const names = new Set();
+    walkExpression(ast, node => {
+        if (node.type === 'identifier') names.add(node.name);
+    });
+    return names;
+}
+
+/**
+ * Evaluate a syntax tree
+ * @param {Object} ast - Syntax tree from compileExpression()
+ * @param {Object} scope - { resolve(name), call(name, args) }
+ * @returns {*} Result
+ */
+export function evaluate(ast, scope) {
+    switch (ast.type) {
+        case 'literal':
+            return ast.value;
+
+        case 'identifier':
+            return scope.resolve(ast.name);
+
+        case 'call':
+            return scope.call(ast.name, ast.args.map(arg => evaluate(arg, scope)));
+
+        case 'unary': {
+            const value = evaluate(ast.argument, scope);
+            return ast.operator === '!' ? !value : -value;
+        }
+
+        case 'conditional':
+            return evaluate(ast.test, scope)
+                ? evaluate(ast.consequent, scope)
+                : evaluate(ast.alternate, scope);
+
+        case 'binary':
+            // Logical operators short-circuit
+            if (ast.operator === '&&') {
+                return evaluate(ast.left, scope) && evaluate(ast.right, scope);
+            }
+            if (ast.operator === '||') {
+                return evaluate(ast.left, scope) || evaluate(ast.right, scope);
+            }
+            return applyOperator(ast.operator, evaluate(ast.left, scope), evaluate(ast.right, scope));
+
+        default:
+            throw new Error(`Unknown expression node: ${ast.type}`);
+    }
+}
+
+/**
+ * Apply a binary operator
+ * @param {string} operator - Operator
+ * @param {*} a - Left operand
+ * @param {*} b - Right operand
+ * @returns {*}
+ */
+export function applyOperator(operator, a, b) {
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/': return a / b;
+        case '%': return a % b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '==':
+        case '===':
+            return a === b;
+        case '!=':
+        case '!==':
+            return a !== b;
+        default:
+            throw new Error(`Unknown operator: ${operator}`);
+    }
+}
+
+export default {
+    ExpressionError,
+    compileExpression,
+    compileAssignment,
+    isFlagName,
+    evaluate,
+    walkExpression,
+    getCalledFunctions,
+    getIdentifiers
+};
@@ -0,0 +1,247 @@
+/**
+ * Localization - String tables, locale switching and translated lookups
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Every player-facing string has a stable key. Tables live in
+ * data/locales/<locale>.json as { locale, name, strings: { key: text } }
+ * and are listed in data/locales/locales.json. Missing keys fall back to
+ * the English table, then to the text written in the content itself.
+ */
+
+import { globalEvents, GameEvents } from './EventEmitter.js';
+
+// Puzzle config fields that hold player-facing text (any strings below them are translated)
+export const PUZZLE_TEXT_FIELDS = [
+    'title', 'description', 'itemName', 'name', 'label',
+    'hints', 'instructions', 'findings', 'recipeName', 'recipeHint', 'response'
+];
+
+export class Localization {
+    constructor() {
+        this.events = globalEvents;
+
+        this.basePath = 'data/locales';
+        this.fallbackLocale = 'en';
+        this.locale = 'en';
+
+        // Locales offered in settings: [{ id, name }]
+        this.locales = [{ id: 'en', name: 'English' }];
+
+        // Loaded tables (locale -> { key: text })
+        this.tables = new Map();
+
+        // Plural rule cache (locale -> Intl.PluralRules)
+        this.pluralRules = new Map();
+    }
+
+    /**
+     * Load the locale list and the fallback and starting tables
+     * @param {string} [locale] - Locale to start in
+     */
+    async init(locale = this.fallbackLocale) {
+        try {
+            const response = await fetch(`${this.basePath}/locales.json`);
+            if (response.ok) {
+                const manifest = await response.json();
+                this.locales = manifest.locales || this.locales;
+                this.fallbackLocale = manifest.default || this.fallbackLocale;
+            }
+        } catch (error) {
+            console.warn('Could not load locale list:', error);
+        }
+
+        await this.loadTable(this.fallbackLocale);
+        await this.setLocale(locale);
+
+        console.log(`Localization initialized (${this.locale})`);
+    }
+
+    /**
+     * Load a locale's string table
+     * @param {string} locale - Locale ID
+     * @returns {Promise<boolean>} Whether the table is available
+     */
+    async loadTable(locale) {
+        if (this.tables.has(locale)) return true;
+
+        try {
+            const response = await fetch(`${this.basePath}/${locale}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const data = await response.json();
+            this.tables.set(locale, data.strings || {});
+            return true;
+        } catch (error) {
+            console.warn(`Could not load strings for locale "${locale}":`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Register a string table directly (tools, tests, mods)
+     * @param {string} locale - Locale ID
+     * @param {Object} strings - Key -> text
+     */
+    addTable(locale, strings) {
+        this.tables.set(locale, { ...this.tables.get(locale), ...strings });
+    }
+
+    /**
+     * Switch the active locale
+     * @param {string} locale - Locale ID
+     * @returns {Promise<boolean>} Whether the switch happened
+     */
+    async setLocale(locale) {
+        if (!locale || !(await this.loadTable(locale))) {
+            return false;
+        }
+
+        const previous = this.locale;
+        this.locale = locale;
+
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = locale;
+            this.applyToDocument();
+        }
+
+        if (previous !== locale) {
+            this.events.emit(GameEvents.LOCALE_CHANGE, { locale, previous });
+        }
+        return true;
+    }
+
+    /**
+     * Get the locales offered to the player
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getAvailableLocales() {
+        return this.locales;
+    }
+
+    /**
+     * Check whether a key has a translation in the active or fallback locale
+     * @param {string} key - String key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    /**
+     * Look up a key in the active table, then the fallback table
+     * @param {string} key - String key
+     * @returns {string|undefined}
+     */
+    lookup(key) {
+        return this.tables.get(this.locale)?.[key] ?? this.tables.get(this.fallbackLocale)?.[key];
+    }
+
+    /**
+     * Translate a key
+     * @param {string} key - String key
+     * @param {string} [fallback] - Text to use when no table has the key (defaults to the key)
+     * @param {Object} [params] - Values for {name} placeholders
+     * @returns {string}
+     */
+    t(key, fallback = key, params = null) {
+        const text = (key && this.lookup(key)) ?? fallback;
+        if (!params || typeof text !== 'string') return text;
+
+        return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * Get the CLDR plural category of a number in the active locale
+     * @param {number} count - Number
+     * @returns {string} 'zero', 'one', 'two', 'few', 'many' or 'other'
+     */
+    getPluralCategory(count) {
+        if (!this.pluralRules.has(this.locale)) {
+            try {
+                this.pluralRules.set(this.locale, new Intl.PluralRules(this.locale));
+            } catch {
+                this.pluralRules.set(this.locale, new Intl.PluralRules(this.fallbackLocale));
+            }
+        }
+        return this.pluralRules.get(this.locale).select(count);
+    }
+
+    /**
+     * Translate elements marked with data-i18n (text) and data-i18n-title (tooltip)
+     * The markup's own English text is the fallback.
+     * @param {Element|Document} [root] - Subtree to translate
+     */
+    applyToDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.dataset.i18nDefault ??= element.textContent;
+            element.textContent = this.t(element.dataset.i18n, element.dataset.i18nDefault);
+        });
+
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.dataset.i18nTitleDefault ??= element.title;
+            element.title = this.t(element.dataset.i18nTitle, element.dataset.i18nTitleDefault);
+        });
+    }
+
+    /**
+     * Translate the text fields of a puzzle config
+     * @param {Object} config - Puzzle config
+     * @returns {Object} Translated copy
+     */
+    localizePuzzle(config) {
+        if (!config?.id) return config;
+
+        const copy = structuredClone(config);
+        for (const [key, { target, field, text }] of getPuzzleStringEntries(copy)) {
+            target[field] = this.t(key, text);
+        }
+        return copy;
+    }
+}
+
+/**
+ * Find the translatable strings of a puzzle config
+ * @param {Object} config - Puzzle config
+ * @returns {Map<string, {target: Object, field: string|number, text: string}>} Key -> location
+ */
+function getPuzzleStringEntries(config) {
+    const entries = new Map();
+
+    const visit = (value, path, target, field, isText) => {
+        if (typeof value === 'string') {
+            if (isText) {
+                entries.set(`puzzle.${config.id}.${path.join('.')}`, { target, field, text: value });
+            }
+        } else if (value && typeof value === 'object') {
+            for (const [key, child] of Object.entries(value)) {
+                const childIsText = isText || (!Array.isArray(value) && PUZZLE_TEXT_FIELDS.includes(key));
+                visit(child, [...path, key], value, Array.isArray(value) ? Number(key) : key, childIsText);
+            }
+        }
+    };
+
+    for (const [key, value] of Object.entries(config)) {
+        visit(value, [key], config, key, PUZZLE_TEXT_FIELDS.includes(key));
+    }
+
+    return entries;
+}
+
+/**
+ * Get the base strings of a puzzle config
+ * @param {Object} config - Puzzle config
+ * @returns {Object} Key -> English text
+ */
+export function getPuzzleStrings(config) {
+    const strings = {};
+    for (const [key, { text }] of getPuzzleStringEntries(config)) {
+        strings[key] = text;
+    }
+    return strings;
+}
+
+// Create singleton instance
+export const localization = new Localization();
+
+export default Localization;
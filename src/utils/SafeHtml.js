@@ -0,0 +1,80 @@
+/**
+ * SafeHtml - The one way text reaches innerHTML
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Every interpolated value is escaped unless it is already SafeHtml. Author
+ * text that may carry inline tags goes through rich(), which escapes it
+ * first and then applies the whitelisted TextMarkup tags.
+ */
+
+import { escapeHtml } from './helpers.js';
+import { renderMarkup } from './TextMarkup.js';
+
+/**
+ * HTML that has already been escaped or built from escaped parts
+ */
+export class SafeHtml {
+    /**
+     * @param {string} value - Trusted HTML
+     */
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Turn any value into HTML, escaping everything that is not SafeHtml
+ * @param {*} value - Value to render
+ * @returns {string}
+ */
+function toHtml(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(toHtml).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(String(value));
+}
+
+/**
+ * Template tag that escapes every interpolated value
+ * Arrays are joined, and null, undefined and false render as nothing.
+ * @example html`<div class="name">${char.name}</div>`
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, i) => {
+        result += toHtml(value) + strings[i + 1];
+    });
+    return new SafeHtml(result);
+}
+
+/**
+ * Render author text with its inline markup, escaped first
+ * @param {string} text - Text that may contain TextMarkup tags
+ * @returns {SafeHtml}
+ */
+export function rich(text) {
+    return new SafeHtml(renderMarkup(text ?? ''));
+}
+
+/**
+ * Set an element's content; plain strings are escaped
+ * @param {Element} element - Target element
+ * @param {SafeHtml|string} content - Content to show
+ */
+export function setHtml(element, content) {
+    if (element) {
+        element.innerHTML = toHtml(content);
+    }
+}
+
+export default {
+    SafeHtml,
+    html,
+    rich,
+    setHtml
+};
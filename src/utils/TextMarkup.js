@@ -0,0 +1,217 @@
+/**
+ * TextMarkup - Inline tags for dialogue and narration text
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Style tags wrap text: [magic], [whisper], [loud], [thought], [shake],
+ * [wave], [color=#hex], [speed=0.5] (typing speed multiplier), plus
+ * **bold** and *italic*. Event tags fire as the typewriter reaches them:
+ * [pause=500], [sfx=gear_click], [expr=worried]. Anything else in square
+ * brackets is shown as written, and \[ \] \* \\ are always literal.
+ */
+
+import { escapeHtml } from './helpers.js';
+
+// Style tags: the element and class they render as
+const STYLE_TAGS = new Map([
+    ['b', { element: 'strong', className: 'text-emphasis' }],
+    ['i', { element: 'em' }],
+    ['magic', { className: 'text-magic' }],
+    ['whisper', { className: 'text-whisper' }],
+    ['loud', { className: 'text-loud' }],
+    ['thought', { className: 'text-thought' }],
+    ['shake', { className: 'text-shake', perChar: true }],
+    ['wave', { className: 'text-wave', perChar: true }],
+    ['color', { value: 'color' }],
+    ['speed', { value: 'number', element: null }]
+]);
+
+// Event tags: no closing tag, no text of their own
+const EVENT_TAGS = new Map([
+    ['pause', { value: 'number' }],
+    ['sfx', { value: 'name' }],
+    ['expr', { value: 'name' }]
+]);
+
+const TAG_PATTERN = /\[(\/?)([a-z]+)(?:=([^\]\s]*))?\]/gi;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+)$/i;
+const NAME_PATTERN = /^[\w.-]+$/;
+
+// Escaped characters are swapped for private-use placeholders while parsing
+const ESCAPES = { '[': '\uE000', ']': '\uE001', '*': '\uE002', '\\': '\uE003' };
+const UNESCAPES = Object.fromEntries(Object.entries(ESCAPES).map(([char, code]) => [code, char]));
+
+/**
+ * Check a tag value against the kind of value it takes
+ * @param {string} kind - 'number', 'color' or 'name'
+ * @param {string} value - Raw value
+ * @returns {*} The parsed value, or undefined when invalid
+ */
+function parseValue(kind, value) {
+    if (value === undefined) return undefined;
+
+    switch (kind) {
+        case 'number': {
+            const number = Number(value);
+            return Number.isFinite(number) && number >= 0 ? number : undefined;
+        }
+        case 'color':
+            return COLOR_PATTERN.test(value) ? value : undefined;
+        case 'name':
+            return NAME_PATTERN.test(value) ? value : undefined;
+    }
+    return undefined;
+}
+
+/**
+ * Parse marked-up text into characters and events
+ * @param {string} text - Text with inline tags
+ * @returns {Object} { chars: [{ char, styles, speed }], events: [{ index, type, value }], errors: [] }
+ */
+export function parseMarkup(text) {
+    const source = String(text ?? '')
+        .replace(/\\([[\]*\\])/g, (match, char) => ESCAPES[char])
+        .replace(/\*\*([^*]+)\*\*/g, '[b]$1[/b]')
+        .replace(/\*([^*]+)\*/g, '[i]$1[/i]');
+
+    const chars = [];
+    const events = [];
+    const errors = [];
+    let stack = [];
+
+    const addText = (value) => {
+        const speed = stack.reduce((product, style) => product * (style.speed ?? 1), 1);
+        for (const char of value) {
+            chars.push({ char: UNESCAPES[char] ?? char, styles: stack, speed });
+        }
+    };
+
+    let last = 0;
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [raw, slash, rawName, rawValue] = match;
+        const name = rawName.toLowerCase();
+        addText(source.slice(last, match.index));
+        last = match.index + raw.length;
+
+        if (EVENT_TAGS.has(name) && !slash) {
+            const value = parseValue(EVENT_TAGS.get(name).value, rawValue);
+            if (value === undefined) {
+                errors.push(`[${name}] needs a valid value`);
+            } else {
+                events.push({ index: chars.length, type: name, value });
+            }
+            continue;
+        }
+
+        const tag = STYLE_TAGS.get(name);
+        if (!tag) {
+            addText(raw);
+            continue;
+        }
+
+        if (slash) {
+            const open = stack.findLastIndex(style => style.tag === name);
+            if (open === -1) {
+                errors.push(`[/${name}] has no opening tag`);
+            } else {
+                stack = stack.slice(0, open).concat(stack.slice(open + 1));
+            }
+            continue;
+        }
+
+        const style = { tag: name, element: tag.element === undefined ? 'span' : tag.element };
+        if (tag.className) style.className = tag.className;
+        if (tag.perChar) style.perChar = true;
+
+        if (tag.value) {
+            const value = parseValue(tag.value, rawValue);
+            if (value === undefined || (name === 'speed' && value === 0)) {
+                errors.push(`[${name}] needs a valid value`);
+                addText(raw);
+                continue;
+            }
+            if (name === 'color') style.color = value;
+            if (name === 'speed') style.speed = value;
+        }
+
+        stack = [...stack, style];
+    }
+    addText(source.slice(last));
+
+    for (const style of stack) {
+        errors.push(`[${style.tag}] is never closed`);
+    }
+
+    return { chars, events, errors };
+}
+
+/**
+ * Build the opening HTML tag for a style
+ * @param {Object} style - Style from parseMarkup
+ * @returns {string}
+ */
+function openTag(style) {
+    const attrs = [];
+    if (style.className) attrs.push(`class="${style.className}"`);
+    if (style.color) attrs.push(`style="color: ${escapeHtml(style.color)}"`);
+    return `<${[style.element, ...attrs].join(' ')}>`;
+}
+
+/**
+ * Render parsed text as HTML, optionally only its first characters
+ * Every tag opened is closed again, so a partial render is always valid HTML.
+ * @param {Object|string} markup - Result of parseMarkup, or raw text
+ * @param {number} [count=Infinity] - Number of characters to show
+ * @returns {string}
+ */
+export function renderMarkup(markup, count = Infinity) {
+    const { chars } = typeof markup === 'string' ? parseMarkup(markup) : markup;
+    const end = Math.min(count, chars.length);
+
+    let html = '';
+    let open = [];
+
+    for (let i = 0; i < end; i++) {
+        const { char, styles } = chars[i];
+        const elements = styles.filter(style => style.element);
+
+        // Close what this character is not inside, then open what it is
+        let shared = 0;
+        while (shared < open.length && open[shared] === elements[shared]) shared++;
+        for (let j = open.length - 1; j >= shared; j--) html += `</${open[j].element}>`;
+        for (let j = shared; j < elements.length; j++) html += openTag(elements[j]);
+        open = elements;
+
+        const escaped = escapeHtml(char);
+        html += elements.some(style => style.perChar) && char.trim()
+            ? `<span class="text-char" style="--char-index: ${i}">${escaped}</span>`
+            : escaped;
+    }
+
+    for (let j = open.length - 1; j >= 0; j--) html += `</${open[j].element}>`;
+    return html;
+}
+
+/**
+ * Escape text so it shows exactly as written (e.g. a player-chosen name)
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+export function escapeMarkup(text) {
+    return String(text).replace(/[[\]*\\]/g, '\\$&');
+}
+
+/**
+ * Get the plain text with every tag removed
+ * @param {string} text - Text with inline tags
+ * @returns {string}
+ */
+export function stripMarkup(text) {
+    return parseMarkup(text).chars.map(({ char }) => char).join('');
+}
+
+export default {
+    parseMarkup,
+    renderMarkup,
+    stripMarkup,
+    escapeMarkup
+};
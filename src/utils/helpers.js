@@ -228,11 +228,12 @@ export function formatDate(date) {
 /**
  * Parse text with inline formatting
  * Supports: *bold*, _italic_, ~strikethrough~, `code`
+ * The text is escaped before any formatting is applied.
  * @param {string} text - Text to parse
  * @returns {string} HTML string
  */
 export function parseTextFormatting(text) {
-    return text
+    return escapeHtml(text)
         .replace(/\*([^*]+)\*/g, '<strong>$1</strong>')
         .replace(/_([^_]+)_/g, '<em>$1</em>')
         .replace(/~([^~]+)~/g, '<del>$1</del>')
@@ -240,14 +241,17 @@ export function parseTextFormatting(text) {
 }
 
 /**
- * Escape HTML special characters
+ * Escape HTML special characters (safe in text and quoted attributes)
  * @param {string} text - Text to escape
  * @returns {string}
  */
 export function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 /**
@@ -4,7 +4,15 @@
  */
 
 import { globalEvents, GameEvents } from '../utils/EventEmitter.js';
-import { $, $$, createElement, formatTime } from '../utils/helpers.js';
+import { $, $$, createElement, formatTime, formatDate } from '../utils/helpers.js';
+import { localization } from '../utils/Localization.js';
+import { html, rich, setHtml } from '../utils/SafeHtml.js';
+import { getPronounSetIds, getPronounLabel } from '../narrative/Pronouns.js';
+import { ITEM_DRAG_TYPE } from '../narrative/ItemInteractions.js';
+import { GOLD_VARIABLE } from '../core/Economy.js';
+
+// Most items the workbench holds at once
+const MAX_BENCH_ITEMS = 4;
 
 export class UIManager {
     constructor(gameManager) {
@@ -20,6 +28,13 @@ export class UIManager {
         // Notification queue
         this.notifications = [];
         this.isShowingNotification = false;
+
+        // Items laid on the workbench, one entry per unit
+        this.benchItems = [];
+
+        // Inventory category shown (null for all) and sort order
+        this.inventoryFilter = null;
+        this.inventorySort = 'category';
     }
 
     /**
@@ -29,6 +44,9 @@ export class UIManager {
         // Load settings
         this.settings = this.game?.saves?.loadSettings() || {};
         
+        // Offer every available language
+        this.populateLanguageOptions();
+        
         // Apply settings to UI
         this.applySettings(this.settings);
         
@@ -52,13 +70,103 @@ export class UIManager {
             this.showNotification(data.message, data.type);
         });
 
+        // Our own open/close emit these too, so only act on a real change
         this.events.on(GameEvents.UI_OVERLAY_OPEN, (data) => {
-            this.openOverlay(data.overlayId);
+            if (data.overlayId !== this.activeOverlay) {
+                this.openOverlay(data.overlayId);
+            }
         });
 
         this.events.on(GameEvents.UI_OVERLAY_CLOSE, () => {
             this.closeActiveOverlay();
         });
+
+        // A finished playthrough unlocks New Game+
+        this.events.on(GameEvents.GAME_OVER, () => {
+            this.updateContinueButton();
+            this.updateNewGamePlusButton();
+        });
+
+        this.events.on(GameEvents.ACHIEVEMENT_UNLOCK, ({ title, icon }) => {
+            this.showNotification(localization.t('ui.notify.achievement',
+                'Achievement unlocked: {title}', { title: icon ? `${icon} ${title}` : title }), 'achievement');
+        });
+
+        this.events.on(GameEvents.RECIPE_DISCOVER, ({ name }) => {
+            this.showNotification(localization.t('ui.notify.recipe', 'New recipe: {name}', { name }), 'success');
+        });
+
+        // The shop's gold, and the orders it takes and is paid for
+        this.events.on(GameEvents.VARIABLE_SET, ({ name }) => {
+            if (name === GOLD_VARIABLE) this.updateGold();
+        });
+        this.events.on(GameEvents.STATE_CHANGE, ({ type }) => {
+            if (type === 'reset' || type === 'load') {
+                this.updateGold();
+                this.updateWorkshopButton();
+            }
+        });
+        this.events.on(GameEvents.ORDER_TAKE, ({ title }) => {
+            this.showNotification(localization.t('ui.notify.orderTaken', 'New order: {title}', { title }), 'info');
+        });
+        this.events.on(GameEvents.ORDER_COMPLETE, ({ title, payment }) => {
+            this.showNotification(localization.t('ui.notify.orderPaid',
+                '{title}: paid {payment} gold', { title, payment }), 'success');
+        });
+
+        // The workshop days between chapters
+        this.events.on(GameEvents.WORKSHOP_OPEN, () => {
+            this.updateWorkshopButton();
+            this.openOverlay('workshop-overlay');
+            this.populateWorkshop();
+        });
+        this.events.on(GameEvents.WORKSHOP_CLOSE, () => {
+            this.updateWorkshopButton();
+            if (this.activeOverlay === 'workshop-overlay') {
+                this.closeActiveOverlay();
+            }
+        });
+
+        // The held item, and the items offered during a puzzle
+        this.events.on(GameEvents.ITEM_SELECT, () => {
+            this.updateHeldItem();
+            this.populatePuzzleItems();
+        });
+        for (const eventName of [GameEvents.PUZZLE_START, GameEvents.ITEM_ADD, GameEvents.ITEM_REMOVE]) {
+            this.events.on(eventName, () => this.populatePuzzleItems());
+        }
+
+        this.events.on(GameEvents.RELATIONSHIP_THRESHOLD, (data) => {
+            this.showRelationshipNotice(data);
+        });
+
+        // Backlog key toggles the overlay
+        this.events.on('input:action:backlog', (data) => {
+            if (data.type !== 'down') return;
+            if (this.activeOverlay === 'backlog-overlay') {
+                this.closeActiveOverlay();
+            } else if (this.canUseStoryShortcuts()) {
+                this.openBacklog();
+            }
+        });
+
+        // Rollback key rewinds a line; scrolling up does too, and opens
+        // the backlog once there is nothing left to roll back to
+        this.events.on('input:action:rollback', (data) => {
+            if (data.type === 'down' && this.canUseStoryShortcuts()) {
+                this.game.rollback();
+            }
+        });
+
+        this.events.on(GameEvents.INPUT_WHEEL, (data) => {
+            if (data.deltaY >= 0 || !this.canUseStoryShortcuts()) return;
+
+            if (this.game.canRollback()) {
+                this.game.rollback();
+            } else if (!this.game.isRollingBack) {
+                this.openBacklog();
+            }
+        });
     }
 
     /**
@@ -71,6 +179,12 @@ export class UIManager {
             await this.game.newGame();
         });
 
+        // New Game+ button (shown once a playthrough has been finished)
+        $('#btn-new-game-plus')?.addEventListener('click', async () => {
+            this.playButtonSound();
+            await this.game.newGamePlus();
+        });
+
         // Continue button
         $('#btn-continue')?.addEventListener('click', async () => {
             this.playButtonSound();
@@ -83,6 +197,31 @@ export class UIManager {
             this.openSaveLoadOverlay('load');
         });
 
+        // Chapter select button
+        $('#btn-chapter-select')?.addEventListener('click', async () => {
+            this.playButtonSound();
+            await this.showChapterSelect();
+        });
+
+        $('#btn-chapter-select-back')?.addEventListener('click', async () => {
+            this.playButtonSound();
+            await this.game.scenes.transitionToScreen('main-menu-screen');
+        });
+
+        // Endings button
+        $('#btn-endings')?.addEventListener('click', () => {
+            this.playButtonSound();
+            this.openOverlay('endings-overlay');
+            this.populateEndings();
+        });
+
+        // Achievements button
+        $('#btn-achievements')?.addEventListener('click', () => {
+            this.playButtonSound();
+            this.openOverlay('achievements-overlay');
+            this.populateAchievements();
+        });
+
         // Settings button
         $('#btn-settings')?.addEventListener('click', () => {
             this.playButtonSound();
@@ -97,6 +236,7 @@ export class UIManager {
 
         // Update continue button state
         this.updateContinueButton();
+        this.updateNewGamePlusButton();
     }
 
     /**
@@ -110,6 +250,56 @@ export class UIManager {
             this.populateInventory();
         });
 
+        // Inventory category filters and sort order
+        $$('.inventory-filter').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.inventoryFilter = btn.dataset.category || null;
+                $$('.inventory-filter').forEach(b => b.classList.toggle('active', b === btn));
+                this.populateInventory();
+            });
+        });
+        $('#inventory-sort')?.addEventListener('change', (e) => {
+            this.inventorySort = e.target.value;
+            this.populateInventory();
+        });
+
+        // Held item: drag it onto a character, or put it away
+        $('#held-item')?.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData(ITEM_DRAG_TYPE, this.game.narrative.items.getSelected() || '');
+        });
+        $('#btn-held-item-cancel')?.addEventListener('click', () => {
+            this.game.narrative.items.select(null);
+        });
+
+        // Workbench button
+        $('#btn-workbench')?.addEventListener('click', () => {
+            this.playButtonSound();
+            this.benchItems = [];
+            this.openOverlay('workbench-overlay');
+            this.populateWorkbench();
+        });
+        $('#btn-combine')?.addEventListener('click', () => {
+            this.combineBenchItems();
+        });
+
+        // Vendor button
+        $('#btn-vendor')?.addEventListener('click', () => {
+            this.playButtonSound();
+            this.openOverlay('vendor-overlay');
+            this.populateVendor();
+        });
+
+        // Workshop button, shown between chapters
+        $('#btn-workshop')?.addEventListener('click', () => {
+            this.playButtonSound();
+            this.openOverlay('workshop-overlay');
+            this.populateWorkshop();
+        });
+        $('#btn-end-day')?.addEventListener('click', () => {
+            this.playButtonSound();
+            this.game?.workshop?.endDay();
+        });
+
         // Journal button
         $('#btn-journal')?.addEventListener('click', () => {
             this.playButtonSound();
@@ -117,6 +307,12 @@ export class UIManager {
             this.populateJournal();
         });
 
+        // Backlog button
+        $('#btn-backlog')?.addEventListener('click', () => {
+            this.playButtonSound();
+            this.openBacklog();
+        });
+
         // Menu button (pause)
         $('#btn-menu')?.addEventListener('click', () => {
             this.playButtonSound();
@@ -201,7 +397,7 @@ export class UIManager {
         $('#btn-save-settings')?.addEventListener('click', () => {
             this.saveSettings();
             this.closeActiveOverlay();
-            this.showNotification('Settings saved', 'success');
+            this.showNotification(localization.t('ui.notify.settingsSaved', 'Settings saved'), 'success');
         });
 
         // Reset settings
@@ -223,6 +419,113 @@ export class UIManager {
         }
     }
 
+    /**
+     * Show New Game+ only once there is a finished playthrough to carry over
+     */
+    updateNewGamePlusButton() {
+        $('#btn-new-game-plus')?.classList.toggle('hidden', !this.game?.hasNewGamePlus());
+    }
+
+    /**
+     * Open the chapter select screen
+     */
+    async showChapterSelect() {
+        this.populateChapterList();
+        await this.game.scenes.transitionToScreen('chapter-select-screen');
+    }
+
+    /**
+     * Fill the chapter select list; chapters not yet completed are locked
+     */
+    populateChapterList() {
+        const container = $('#chapter-list');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        for (const [number, chapter] of this.game?.chapters || []) {
+            const unlocked = this.game.isChapterUnlocked(number);
+            const button = createElement('button', { className: 'chapter-option', type: 'button' });
+            button.disabled = !unlocked;
+
+            setHtml(button, html`
+                <span class="chapter-option-number">${localization.t('ui.hud.chapter', 'Chapter {number}', { number })}</span>
+                <span>
+                    <span class="chapter-option-title">${unlocked
+                        ? localization.t(`${chapter.id}.title`, chapter.title)
+                        : localization.t('ui.chapterSelect.locked', 'Locked')}</span>
+                    ${unlocked ? html`<span class="chapter-option-description">${localization.t(`${chapter.id}.description`, chapter.description)}</span>` : ''}
+                </span>
+            `);
+
+            if (unlocked) {
+                button.addEventListener('click', async () => {
+                    this.playButtonSound();
+                    await this.game.startFromChapter(number);
+                });
+            }
+
+            container.appendChild(button);
+        }
+    }
+
+    /**
+     * Ask for the player's name and pronouns before a new game
+     * The form starts from the current player, so a second playthrough
+     * keeps the last choices.
+     * @returns {Promise<Object|null>} { name, pronouns }, or null if the player went back
+     */
+    async showPlayerSetup() {
+        const form = $('#player-setup-form');
+        if (!form) return {};
+
+        const current = this.game.state.getPlayer();
+        form.elements.name.value = current.name;
+        this.populatePronounOptions(current.pronouns);
+
+        await this.game.scenes.transitionToScreen('player-setup-screen');
+        form.elements.name.focus();
+
+        return new Promise(resolve => {
+            const backButton = $('#btn-setup-back');
+
+            const finish = (result) => {
+                form.removeEventListener('submit', onSubmit);
+                backButton?.removeEventListener('click', onBack);
+                resolve(result);
+            };
+            const onSubmit = (e) => {
+                e.preventDefault();
+                this.playButtonSound();
+                finish({
+                    name: form.elements.name.value,
+                    pronouns: form.elements.pronouns.value
+                });
+            };
+            const onBack = async () => {
+                this.playButtonSound();
+                await this.game.scenes.transitionToScreen('main-menu-screen');
+                finish(null);
+            };
+
+            form.addEventListener('submit', onSubmit);
+            backButton?.addEventListener('click', onBack);
+        });
+    }
+
+    /**
+     * Fill the pronoun choices on the setup screen
+     * @param {string} selected - Pronoun set to select
+     */
+    populatePronounOptions(selected) {
+        setHtml($('#pronoun-options'), getPronounSetIds().map(id => html`
+            <label class="pronoun-option">
+                <input type="radio" name="pronouns" value="${id}" ${id === selected ? 'checked' : ''}>
+                <span>${getPronounLabel(id)}</span>
+            </label>
+        `));
+    }
+
     /**
      * Open an overlay
      * @param {string} overlayId - Overlay element ID
@@ -247,11 +550,11 @@ export class UIManager {
      */
     closeActiveOverlay() {
         if (this.activeOverlay) {
-            const overlay = $(`#${this.activeOverlay}`);
-            overlay?.classList.add('hidden');
-            
-            this.events.emit(GameEvents.UI_OVERLAY_CLOSE, { overlayId: this.activeOverlay });
+            const overlayId = this.activeOverlay;
+            $(`#${overlayId}`)?.classList.add('hidden');
             this.activeOverlay = null;
+            
+            this.events.emit(GameEvents.UI_OVERLAY_CLOSE, { overlayId });
         }
     }
 
@@ -262,7 +565,9 @@ export class UIManager {
     openSaveLoadOverlay(mode) {
         const title = $(`#save-load-title`);
         if (title) {
-            title.textContent = mode === 'save' ? 'Save Game' : 'Load Game';
+            title.textContent = mode === 'save'
+                ? localization.t('ui.saveLoad.saveTitle', 'Save Game')
+                : localization.t('ui.saveLoad.loadTitle', 'Load Game');
         }
 
         this.populateSaveSlots(mode);
@@ -288,24 +593,24 @@ export class UIManager {
             });
 
             if (isEmpty) {
-                slotEl.innerHTML = `
+                setHtml(slotEl, html`
                     <div class="slot-number">${slot}</div>
                     <div class="slot-info">
-                        <div class="slot-chapter">Empty Slot</div>
+                        <div class="slot-chapter">${localization.t('ui.saveLoad.empty', 'Empty Slot')}</div>
                     </div>
-                `;
+                `);
             } else {
-                slotEl.innerHTML = `
+                setHtml(slotEl, html`
                     <div class="slot-number">${slot}</div>
                     <div class="slot-info">
                         <div class="slot-chapter">${data.preview?.chapterText || 'Chapter ?'} - ${data.preview?.chapterTitle || ''}</div>
                         <div class="slot-date">${data.preview?.dateText || ''}</div>
-                        <div class="slot-playtime">Playtime: ${data.preview?.playtimeText || '00:00'}</div>
+                        <div class="slot-playtime">${localization.t('ui.saveLoad.playtime', 'Playtime: {time}', { time: data.preview?.playtimeText || '00:00' })}</div>
                     </div>
                     <div class="slot-actions">
-                        ${mode === 'load' ? '' : `<button class="slot-btn delete" data-action="delete">Delete</button>`}
+                        ${mode === 'load' ? '' : html`<button class="slot-btn delete" data-action="delete">${localization.t('ui.saveLoad.delete', 'Delete')}</button>`}
                     </div>
-                `;
+                `);
             }
 
             // Click handler
@@ -333,10 +638,10 @@ export class UIManager {
      * @param {number} slot - Save slot
      */
     deleteSave(slot) {
-        if (confirm('Are you sure you want to delete this save?')) {
+        if (confirm(localization.t('ui.saveLoad.confirmDelete', 'Are you sure you want to delete this save?'))) {
             this.game?.saves?.delete(slot);
             this.populateSaveSlots('save');
-            this.showNotification('Save deleted', 'info');
+            this.showNotification(localization.t('ui.notify.saveDeleted', 'Save deleted'), 'info');
         }
     }
 
@@ -354,21 +659,27 @@ export class UIManager {
         const inventory = this.game?.state?.getInventory() || [];
 
         if (inventory.length === 0) {
-            grid.innerHTML = '<p class="empty-message">Your inventory is empty</p>';
+            setHtml(grid, html`<p class="empty-message">${localization.t('ui.inventory.empty', 'Your inventory is empty')}</p>`);
+            return;
+        }
+
+        const shown = this.arrangeItems(inventory, { category: this.inventoryFilter, sort: this.inventorySort });
+        if (shown.length === 0) {
+            setHtml(grid, html`<p class="empty-message">${localization.t('ui.inventory.noneOfKind', 'Nothing of this kind')}</p>`);
             return;
         }
 
-        inventory.forEach(({ id, quantity }) => {
+        shown.forEach(({ id, quantity }) => {
             const slot = createElement('div', {
                 className: 'inventory-slot',
-                dataset: { itemId: id }
+                dataset: { itemId: id },
+                title: this.getItemName(id)
             });
 
-            // Get item data (would come from item definitions)
-            slot.innerHTML = `
-                <span class="item-icon">📦</span>
-                ${quantity > 1 ? `<span class="item-quantity">${quantity}</span>` : ''}
-            `;
+            setHtml(slot, html`
+                <span class="item-icon">${this.getItemIcon(id)}</span>
+                ${quantity > 1 ? html`<span class="item-quantity">${quantity}</span>` : ''}
+            `);
 
             slot.addEventListener('click', () => {
                 this.showItemDetails(id);
@@ -388,14 +699,339 @@ export class UIManager {
         const details = $('#item-details');
         if (!details) return;
 
-        // Get item data (would come from item definitions)
-        details.innerHTML = `
+        const registry = this.game?.itemRegistry;
+
+        setHtml(details, html`
             <div class="item-details-content">
-                <h3>${itemId}</h3>
-                <p class="item-type">Item</p>
-                <p class="item-description">Item description would go here.</p>
+                <span class="item-icon item-details-icon">${this.getItemIcon(itemId)}</span>
+                <h3>${this.getItemName(itemId)}</h3>
+                <p class="item-type">${registry?.getCategoryName(registry.getCategory(itemId)) ?? ''}</p>
+                <p class="item-description">${rich(registry?.getDescription(itemId) ?? '')}</p>
+                ${this.game?.isRunning && registry?.isUsable(itemId) !== false ? html`
+                    <button class="btn primary item-use-btn" id="btn-use-item">${localization.t('ui.inventory.use', 'Use')}</button>
+                ` : ''}
             </div>
-        `;
+        `);
+
+        // Hold the item, ready to be used on a character or part of a puzzle
+        $('#btn-use-item')?.addEventListener('click', () => {
+            this.game.narrative.items.select(itemId);
+            this.closeActiveOverlay();
+        });
+    }
+
+    /**
+     * Show or hide the held item in the HUD
+     */
+    updateHeldItem() {
+        const held = $('#held-item');
+        if (!held) return;
+
+        const itemId = this.game?.narrative?.items?.getSelected() || null;
+        held.classList.toggle('hidden', !itemId);
+        $('#game-screen')?.classList.toggle('holding-item', Boolean(itemId));
+
+        const name = $('#held-item-name');
+        if (name) {
+            name.textContent = itemId ? this.getItemName(itemId) : '';
+        }
+        const icon = $('#held-item-icon');
+        if (icon && itemId) {
+            icon.textContent = this.getItemIcon(itemId);
+        }
+    }
+
+    /**
+     * Get an item's name for display
+     * @param {string} itemId - Item ID
+     * @returns {string}
+     */
+    getItemName(itemId) {
+        return this.game?.itemRegistry?.getName(itemId) ?? itemId;
+    }
+
+    /**
+     * Get an item's icon for display
+     * @param {string} itemId - Item ID
+     * @returns {string}
+     */
+    getItemIcon(itemId) {
+        return this.game?.itemRegistry?.getIcon(itemId) ?? '📦';
+    }
+
+    /**
+     * Filter and sort inventory entries with the item catalogue
+     * @param {Array<{id: string, quantity: number}>} inventory - Inventory entries
+     * @param {Object} [options] - { category, sort, only } where only(itemId) keeps an item
+     * @returns {Array<{id: string, quantity: number}>}
+     */
+    arrangeItems(inventory, { category = null, sort = 'category', only = null } = {}) {
+        const registry = this.game?.itemRegistry;
+        const kept = only ? inventory.filter(({ id }) => only(id)) : inventory;
+        return registry ? registry.arrange(kept, { category, sort }) : kept;
+    }
+
+    /**
+     * Offer the inventory during a puzzle: click an item to hold it, or drag it
+     */
+    populatePuzzleItems() {
+        const tray = $('#puzzle-items');
+        if (!tray) return;
+
+        tray.innerHTML = '';
+
+        const items = this.game?.narrative?.items;
+        if (!items || !this.game.puzzles?.isActive()) return;
+
+        const selected = items.getSelected();
+        const usable = this.arrangeItems(this.game.state?.getInventory() || [], {
+            only: id => this.game.itemRegistry?.isUsable(id) !== false
+        });
+
+        usable.forEach(({ id, quantity }) => {
+            const chip = createElement('button', {
+                className: `puzzle-item${id === selected ? ' selected' : ''}`,
+                dataset: { itemId: id },
+                title: this.getItemName(id),
+                draggable: 'true'
+            });
+
+            setHtml(chip, html`
+                <span class="item-icon">${this.getItemIcon(id)}</span>
+                ${quantity > 1 ? html`<span class="item-quantity">${quantity}</span>` : ''}
+            `);
+
+            chip.addEventListener('click', () => items.select(id === items.getSelected() ? null : id));
+            chip.addEventListener('dragstart', (e) => e.dataTransfer.setData(ITEM_DRAG_TYPE, id));
+
+            tray.appendChild(chip);
+        });
+    }
+
+    /**
+     * Fill the workbench: the inventory, and the items laid on the bench
+     * @param {Object} [outcome] - Result of the last combination, from Workbench.combine()
+     */
+    populateWorkbench(outcome = null) {
+        const list = $('#workbench-items');
+        const slots = $('#workbench-slots');
+        if (!list || !slots) return;
+
+        const inventory = this.arrangeItems(this.game?.state?.getInventory() || [], {
+            only: id => this.game.itemRegistry?.isCombinable(id) !== false
+        });
+
+        if (inventory.length === 0) {
+            setHtml(list, html`<p class="empty-message">${localization.t('ui.workbench.empty', 'Nothing you hold can be combined')}</p>`);
+        } else {
+            list.innerHTML = '';
+            inventory.forEach(({ id, quantity }) => {
+                const left = quantity - this.benchItems.filter(itemId => itemId === id).length;
+                const slot = createElement('button', {
+                    className: 'inventory-slot',
+                    dataset: { itemId: id },
+                    title: this.getItemName(id)
+                });
+                slot.disabled = left <= 0 || this.benchItems.length >= MAX_BENCH_ITEMS;
+
+                setHtml(slot, html`
+                    <span class="item-icon">${this.getItemIcon(id)}</span>
+                    ${left > 1 ? html`<span class="item-quantity">${left}</span>` : ''}
+                `);
+
+                slot.addEventListener('click', () => {
+                    this.benchItems.push(id);
+                    this.populateWorkbench();
+                });
+
+                list.appendChild(slot);
+            });
+        }
+
+        slots.innerHTML = '';
+        for (let i = 0; i < MAX_BENCH_ITEMS; i++) {
+            const itemId = this.benchItems[i];
+            const slot = createElement('button', {
+                className: `workbench-slot${itemId ? ' filled' : ''}`,
+                title: itemId ? this.getItemName(itemId) : ''
+            });
+            slot.disabled = !itemId;
+
+            if (itemId) {
+                setHtml(slot, html`
+                    <span class="item-icon">${this.getItemIcon(itemId)}</span>
+                    <span class="item-name">${this.getItemName(itemId)}</span>
+                `);
+                slot.addEventListener('click', () => {
+                    this.benchItems.splice(i, 1);
+                    this.populateWorkbench();
+                });
+            }
+
+            slots.appendChild(slot);
+        }
+
+        const combine = $('#btn-combine');
+        if (combine) {
+            combine.disabled = this.benchItems.length < 2;
+        }
+
+        const message = $('#workbench-message');
+        if (message) {
+            message.textContent = outcome?.message || '';
+            message.classList.toggle('success', outcome?.success === true);
+            message.classList.toggle('failure', outcome?.success === false);
+        }
+    }
+
+    /**
+     * Combine the items on the workbench
+     */
+    combineBenchItems() {
+        if (this.benchItems.length < 2) return;
+
+        const outcome = this.game.workbench.combine(this.benchItems);
+        if (outcome.success) {
+            this.benchItems = [];
+        }
+
+        this.populateWorkbench(outcome);
+    }
+
+    /**
+     * Show the shop's gold in the HUD
+     */
+    updateGold() {
+        const amount = $('#hud-gold-amount');
+        if (amount) {
+            amount.textContent = this.game?.economy?.getGold() ?? 0;
+        }
+    }
+
+    /**
+     * Fill the vendor: what it sells, at what price, and how many are left
+     * @param {Object} [outcome] - Result of the last purchase, from Economy.buy()
+     */
+    populateVendor(outcome = null) {
+        const list = $('#vendor-list');
+        const economy = this.game?.economy;
+        if (!list || !economy) return;
+
+        const gold = $('#vendor-gold');
+        if (gold) {
+            gold.textContent = economy.getGold();
+        }
+
+        const stock = economy.getVendorStock();
+        if (stock.length === 0) {
+            setHtml(list, html`<p class="empty-message">${localization.t('ui.vendor.empty', 'The vendor has nothing for sale.')}</p>`);
+        } else {
+            list.innerHTML = '';
+            stock.forEach(({ item, price, left, affordable }) => {
+                const row = createElement('div', { className: `vendor-entry${left <= 0 ? ' sold-out' : ''}` });
+                setHtml(row, html`
+                    <span class="item-icon">${this.getItemIcon(item)}</span>
+                    <span class="vendor-item-name">${this.getItemName(item)}</span>
+                    <span class="vendor-stock">${Number.isFinite(left)
+                        ? localization.t('ui.vendor.left', '{count} left', { count: left })
+                        : ''}</span>
+                    <span class="vendor-price">${localization.t('ui.vendor.price', '{price} gold', { price })}</span>
+                `);
+
+                const buy = createElement('button', { className: 'btn vendor-buy' }, left > 0
+                    ? localization.t('ui.vendor.buy', 'Buy')
+                    : localization.t('ui.vendor.soldOut', 'Sold out'));
+                buy.disabled = left <= 0 || !affordable;
+                buy.addEventListener('click', () => {
+                    this.populateVendor(economy.buy(item));
+                });
+                row.appendChild(buy);
+
+                list.appendChild(row);
+            });
+        }
+
+        const message = $('#vendor-message');
+        if (message) {
+            message.textContent = outcome?.message || '';
+            message.classList.toggle('failure', outcome?.success === false);
+        }
+    }
+
+    /**
+     * Show the workshop button only while the shop is open between chapters
+     */
+    updateWorkshopButton() {
+        $('#btn-workshop')?.classList.toggle('hidden', !this.game?.workshop?.isActive());
+    }
+
+    /**
+     * Fill the workshop: the day, and the jobs in today's queue
+     * @param {Object} [outcome] - Result of the last job, from Workshop.startJob()
+     */
+    populateWorkshop(outcome = null) {
+        const list = $('#workshop-jobs');
+        const workshop = this.game?.workshop;
+        if (!list || !workshop) return;
+
+        const calendar = $('#workshop-calendar');
+        if (calendar) {
+            const values = { day: workshop.getDay(), chapter: workshop.getNextChapter(), count: workshop.getDaysLeft() };
+            calendar.textContent = values.count > 1
+                ? localization.t('ui.workshop.calendar', 'Day {day} · Chapter {chapter} begins in {count} days', values)
+                : localization.t('ui.workshop.lastDay', 'Day {day} · Chapter {chapter} begins tomorrow', values);
+        }
+
+        const jobs = workshop.getJobs();
+        if (jobs.length === 0) {
+            setHtml(list, html`<p class="empty-message">${localization.t('ui.workshop.empty', 'No one needs anything repaired today.')}</p>`);
+        } else {
+            const characters = this.game?.narrative?.characters;
+
+            list.innerHTML = '';
+            jobs.forEach(job => {
+                const customer = job.kind === 'order'
+                    ? characters?.getDisplayName(job.customer) || job.customer
+                    : job.customer && workshop.getCustomerName(job.customer);
+
+                const row = createElement('div', { className: `workshop-job${job.done ? ' done' : ''}` });
+                setHtml(row, html`
+                    <div class="workshop-job-header">
+                        <span class="workshop-job-title">${job.title}</span>
+                        <span class="workshop-job-payment">${localization.t('ui.workshop.payment',
+                            'Pays up to {payment} gold', { payment: job.payment })}</span>
+                    </div>
+                    ${customer ? html`<div class="workshop-job-customer">${customer}</div>` : ''}
+                    <div class="workshop-job-description">${rich(job.description)}</div>
+                    ${job.missing.length > 0 ? html`<div class="workshop-job-missing">${localization.t('ui.workshop.needs',
+                        'Needs: {items}', { items: job.missing.map(itemId => this.getItemName(itemId)).join(', ') })}</div>` : ''}
+                `);
+
+                const take = createElement('button', { className: 'btn workshop-take' }, job.done
+                    ? localization.t('ui.workshop.done', 'Done')
+                    : localization.t('ui.workshop.take', 'Take job'));
+                take.disabled = job.done || job.missing.length > 0;
+                take.addEventListener('click', async () => {
+                    this.playButtonSound();
+                    this.closeActiveOverlay();
+
+                    const result = await workshop.startJob(job.index);
+                    if (workshop.isActive()) {
+                        this.openOverlay('workshop-overlay');
+                        this.populateWorkshop(result);
+                    }
+                });
+                row.appendChild(take);
+
+                list.appendChild(row);
+            });
+        }
+
+        const message = $('#workshop-message');
+        if (message) {
+            message.textContent = outcome?.message || '';
+            message.classList.toggle('failure', outcome?.success === false);
+        }
     }
 
     /**
@@ -405,6 +1041,159 @@ export class UIManager {
         this.switchJournalTab('story');
     }
 
+    /**
+     * Fill the endings gallery: reached endings in full, the rest as silhouettes
+     */
+    populateEndings() {
+        const container = $('#endings-gallery');
+        if (!container) return;
+
+        const endings = this.game?.endings;
+        const gallery = endings?.getGallery() || [];
+
+        const progress = $('#endings-progress');
+        if (progress) {
+            progress.textContent = localization.t('ui.endings.progress', '{reached} of {total} endings reached', {
+                reached: endings?.getReachedCount() || 0,
+                total: gallery.length
+            });
+        }
+
+        setHtml(container, gallery.map(ending => ending.reached ? html`
+            <div class="ending-card">
+                <div class="ending-title">${ending.title}</div>
+                <div class="ending-description">${rich(ending.description)}</div>
+                <div class="ending-date">${formatDate(ending.reachedAt)}</div>
+            </div>
+        ` : html`
+            <div class="ending-card locked" title="${localization.t('ui.endings.locked', 'Not reached yet')}">
+                <div class="ending-silhouette">❖</div>
+                <div class="ending-title">???</div>
+            </div>
+        `));
+    }
+
+    /**
+     * Fill the achievements list, with a progress bar for those counted in steps
+     */
+    populateAchievements() {
+        const container = $('#achievements-list');
+        if (!container) return;
+
+        const achievements = this.game?.achievements;
+        const list = achievements?.getList() || [];
+
+        const progress = $('#achievements-progress');
+        if (progress) {
+            progress.textContent = localization.t('ui.achievements.progress', '{unlocked} of {total} achievements unlocked', {
+                unlocked: achievements?.getUnlockedCount() || 0,
+                total: list.length
+            });
+        }
+
+        setHtml(container, list.map(achievement => html`
+            <div class="achievement-item${achievement.unlocked ? ' unlocked' : ''}">
+                <div class="achievement-icon">${achievement.hidden ? '?' : achievement.icon || '★'}</div>
+                <div class="achievement-info">
+                    <div class="achievement-title">${achievement.hidden ? '???' : achievement.title}</div>
+                    <div class="achievement-description">${achievement.hidden
+                        ? localization.t('ui.achievements.hidden', 'A secret, for now')
+                        : rich(achievement.description)}</div>
+                    ${achievement.progress && !achievement.hidden ? html`
+                        <div class="progress-bar achievement-progress-bar">
+                            <div class="progress-fill" style="width: ${Math.round(achievement.progress.count / achievement.progress.goal * 100)}%"></div>
+                        </div>
+                        <div class="achievement-count">${achievement.progress.count} / ${achievement.progress.goal}</div>
+                    ` : ''}
+                    ${achievement.unlocked ? html`<div class="achievement-date">${formatDate(achievement.unlockedAt)}</div>` : ''}
+                </div>
+            </div>
+        `));
+    }
+
+    /**
+     * Check whether the backlog and rollback shortcuts apply right now
+     * Only during play, with nothing else open and no text field focused.
+     * @returns {boolean}
+     */
+    canUseStoryShortcuts() {
+        if (!this.game?.isRunning || this.activeOverlay) return false;
+        if (!$('#game-screen')?.classList.contains('active')) return false;
+        if (this.game.puzzles?.isActive()) return false;
+
+        const focused = document.activeElement?.tagName;
+        return focused !== 'INPUT' && focused !== 'TEXTAREA' && focused !== 'SELECT';
+    }
+
+    /**
+     * Open the backlog, scrolled to the latest line
+     */
+    openBacklog() {
+        this.openOverlay('backlog-overlay');
+        this.populateBacklog();
+    }
+
+    /**
+     * Populate the backlog with the lines shown and the choices made
+     */
+    populateBacklog() {
+        const list = $('#backlog-list');
+        if (!list) return;
+
+        const narrative = this.game?.narrative;
+        const entries = narrative?.backlog?.getTimeline(narrative.choices?.getHistory()) || [];
+
+        if (entries.length === 0) {
+            setHtml(list, html`<p class="empty-message">${localization.t('ui.backlog.empty', 'Nothing has been said yet.')}</p>`);
+            return;
+        }
+
+        const replayLabel = localization.t('ui.backlog.replayVoice', 'Replay voice');
+
+        setHtml(list, entries.map((entry, index) => {
+            if (entry.type === 'choice') {
+                return html`
+                    <div class="backlog-entry choice">
+                        <div class="backlog-body">
+                            ${entry.prompt ? html`<div class="backlog-prompt">${rich(entry.prompt)}</div>` : ''}
+                            <div class="backlog-text">${rich(entry.text)}</div>
+                        </div>
+                    </div>
+                `;
+            }
+
+            const color = entry.characterId
+                ? narrative.characters?.getNameColor(entry.characterId)
+                : 'var(--color-primary)';
+            const speaker = entry.type === 'dialogue' && entry.speaker
+                ? html`<div class="backlog-speaker" style="color: ${color};">${entry.speaker}</div>`
+                : '';
+            const voice = entry.voice
+                ? html`<button class="backlog-voice-btn" data-index="${index}" title="${replayLabel}">🔊</button>`
+                : '';
+
+            return html`
+                <div class="backlog-entry ${entry.type}">
+                    <div class="backlog-body">
+                        ${speaker}
+                        <div class="backlog-text">${rich(entry.text)}</div>
+                    </div>
+                    ${voice}
+                </div>
+            `;
+        }));
+
+        list.querySelectorAll('.backlog-voice-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.events.emit(GameEvents.VOICE_PLAY, {
+                    line: entries[btn.dataset.index].voice
+                });
+            });
+        });
+
+        list.scrollTop = list.scrollHeight;
+    }
+
     /**
      * Switch journal tab
      * @param {string} tab - Tab name
@@ -428,6 +1217,9 @@ export class UIManager {
             case 'items':
                 this.renderItemEntries(content);
                 break;
+            case 'orders':
+                this.renderOrderEntries(content);
+                break;
         }
     }
 
@@ -439,17 +1231,17 @@ export class UIManager {
         const entries = this.game?.state?.getJournalEntries() || [];
         
         if (entries.length === 0) {
-            container.innerHTML = '<p class="empty-message">No story entries yet.</p>';
+            setHtml(container, html`<p class="empty-message">${localization.t('ui.journal.noStory', 'No story entries yet.')}</p>`);
             return;
         }
 
-        container.innerHTML = entries.map(entry => `
+        setHtml(container, entries.map(entry => html`
             <div class="story-entry">
-                <div class="entry-chapter">${entry.chapter || 'Prologue'}</div>
-                <div class="entry-title">${entry.title || 'Entry'}</div>
-                <div class="entry-summary">${entry.summary || ''}</div>
+                <div class="entry-chapter">${entry.chapter || localization.t('ui.journal.prologue', 'Prologue')}</div>
+                <div class="entry-title">${entry.title || localization.t('ui.journal.entry', 'Entry')}</div>
+                <div class="entry-summary">${rich(entry.summary)}</div>
             </div>
-        `).join('');
+        `));
     }
 
     /**
@@ -460,20 +1252,66 @@ export class UIManager {
         const characters = this.game?.state?.getDiscoveredCharacters() || [];
         
         if (characters.length === 0) {
-            container.innerHTML = '<p class="empty-message">No characters discovered yet.</p>';
+            setHtml(container, html`<p class="empty-message">${localization.t('ui.journal.noCharacters', 'No characters discovered yet.')}</p>`);
             return;
         }
 
-        container.innerHTML = characters.map(char => `
+        const relationships = this.game?.narrative?.characters?.relationships;
+
+        setHtml(container, characters.map(char => html`
             <div class="character-entry">
                 <div class="character-portrait" style="background: #333;"></div>
                 <div class="character-info">
                     <div class="character-name">${char.name || char.id}</div>
                     <div class="character-role">${char.role || ''}</div>
-                    <div class="character-description">${char.description || ''}</div>
+                    <div class="character-description">${rich(char.description)}</div>
+                    ${this.renderRelationship(relationships?.describe(char.id))}
                 </div>
             </div>
-        `).join('');
+        `));
+    }
+
+    /**
+     * Render a character's relationship meter and standing
+     * @param {Object|null} relationship - From Relationships.describe()
+     * @returns {SafeHtml|string} Nothing for characters without a relationship
+     */
+    renderRelationship(relationship) {
+        if (!relationship) return '';
+
+        const { value, min, max, standing } = relationship;
+
+        // Unbounded ranges are drawn as -10..10
+        const low = Number.isFinite(min) ? min : -10;
+        const high = Number.isFinite(max) ? max : 10;
+        const percent = high > low ? Math.round(((value - low) / (high - low)) * 100) : 0;
+
+        return html`
+            <div class="character-relationship">
+                <span class="relationship-standing">
+                    ${standing?.name || localization.t('ui.journal.noStanding', 'Acquaintance')}
+                </span>
+                <div class="relationship-meter" title="${value}">
+                    <div class="relationship-fill" style="width: ${Math.max(0, Math.min(100, percent))}%"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Announce a character's standing changing
+     * @param {Object} data - RELATIONSHIP_THRESHOLD event data
+     */
+    showRelationshipNotice({ characterId, standing, previous, rising }) {
+        const name = this.game?.narrative?.characters?.getDisplayName(characterId) || characterId;
+
+        if (rising && standing) {
+            this.showNotification(localization.t('ui.notify.relationshipUp',
+                '{name} now sees you as {standing}', { name, standing: standing.name }), 'success');
+        } else if (!rising && previous) {
+            this.showNotification(localization.t('ui.notify.relationshipDown',
+                '{name} no longer sees you as {standing}', { name, standing: previous.name }), 'warning');
+        }
     }
 
     /**
@@ -482,19 +1320,65 @@ export class UIManager {
      */
     renderItemEntries(container) {
         const inventory = this.game?.state?.getInventory() || [];
-        
-        if (inventory.length === 0) {
-            container.innerHTML = '<p class="empty-message">No items collected yet.</p>';
+        const recipes = this.game?.workbench?.getDiscovered() || [];
+
+        const listItems = (items) => Object.entries(items)
+            .map(([itemId, quantity]) => {
+                const name = this.getItemName(itemId);
+                return quantity > 1 ? `${name} x${quantity}` : name;
+            })
+            .join(' + ');
+
+        setHtml(container, html`
+            ${inventory.length === 0
+                ? html`<p class="empty-message">${localization.t('ui.journal.noItems', 'No items collected yet.')}</p>`
+                : this.arrangeItems(inventory).map(item => html`
+                    <div class="item-entry">
+                        <span class="item-icon">${this.getItemIcon(item.id)}</span>
+                        <span class="item-name">${this.getItemName(item.id)}</span>
+                        <span class="item-count">x${item.quantity}</span>
+                    </div>
+                `)}
+            ${recipes.length > 0 ? html`
+                <h3 class="journal-section-title">${localization.t('ui.journal.recipes', 'Recipes')}</h3>
+                ${recipes.map(recipe => html`
+                    <div class="recipe-entry">
+                        <div class="recipe-name">${recipe.name}</div>
+                        <div class="recipe-formula">${listItems(recipe.ingredients)} → ${listItems(recipe.result)}</div>
+                    </div>
+                `)}
+            ` : ''}
+        `);
+    }
+
+    /**
+     * Render the customer orders taken
+     * @param {Element} container
+     */
+    renderOrderEntries(container) {
+        const orders = this.game?.economy?.getTakenOrders() || [];
+
+        if (orders.length === 0) {
+            setHtml(container, html`<p class="empty-message">${localization.t('ui.journal.noOrders', 'No orders taken yet.')}</p>`);
             return;
         }
 
-        container.innerHTML = inventory.map(item => `
-            <div class="item-entry">
-                <span class="item-icon">📦</span>
-                <span class="item-name">${item.id}</span>
-                <span class="item-count">x${item.quantity}</span>
+        const characters = this.game?.narrative?.characters;
+
+        setHtml(container, orders.map(order => html`
+            <div class="order-entry${order.complete ? ' complete' : ''}">
+                <div class="order-header">
+                    <span class="order-title">${order.title}</span>
+                    <span class="order-status">${order.complete
+                        ? localization.t('ui.journal.orderPaid', 'Paid')
+                        : localization.t('ui.journal.orderOpen', 'In progress')}</span>
+                </div>
+                ${order.customer ? html`<div class="order-customer">${characters?.getDisplayName(order.customer) || order.customer}</div>` : ''}
+                <div class="order-description">${rich(order.description)}</div>
+                <div class="order-payment">${localization.t('ui.journal.orderPayment',
+                    'Pays up to {payment} gold', { payment: order.payment })}</div>
             </div>
-        `).join('');
+        `));
     }
 
     /**
@@ -515,10 +1399,29 @@ export class UIManager {
         document.body.classList.toggle('high-contrast', settings.highContrast);
         document.body.classList.toggle('reduce-motion', settings.reduceMotion);
 
+        // Apply language
+        if (settings.language && settings.language !== localization.locale) {
+            localization.setLocale(settings.language);
+        }
+
         // Apply audio settings
         this.events.emit(GameEvents.SETTINGS_CHANGE, settings);
     }
 
+    /**
+     * Fill the language selector from the available locales
+     */
+    populateLanguageOptions() {
+        const select = $('#language');
+        if (!select) return;
+
+        select.innerHTML = '';
+        for (const { id, name } of localization.getAvailableLocales()) {
+            select.appendChild(createElement('option', { value: id }, name));
+        }
+        select.value = this.settings.language || localization.locale;
+    }
+
     /**
      * Populate settings form with values
      * @param {Object} settings
@@ -549,6 +1452,7 @@ export class UIManager {
         setInput('dyslexia-font', settings.dyslexiaFont ?? false);
         setInput('high-contrast', settings.highContrast ?? false);
         setInput('reduce-motion', settings.reduceMotion ?? false);
+        setInput('language', settings.language ?? 'en');
     }
 
     /**
@@ -573,7 +1477,8 @@ export class UIManager {
             screenEffects: getValue('screen-shake'),
             dyslexiaFont: getValue('dyslexia-font'),
             highContrast: getValue('high-contrast'),
-            reduceMotion: getValue('reduce-motion')
+            reduceMotion: getValue('reduce-motion'),
+            language: getValue('language')
         };
 
         this.settings = settings;
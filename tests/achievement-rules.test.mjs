@@ -0,0 +1,94 @@
+/**
+ * Achievement rule tests - events, conditions and progress goals
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { ProfileManager } from '../src/core/ProfileManager.js';
+import { Achievements } from '../src/core/Achievements.js';
+import { globalEvents, GameEvents } from '../src/utils/EventEmitter.js';
+
+/**
+ * Run a test against achievements on a fresh state and an unsaved profile
+ * @param {Array<Object>} definitions - Achievement definitions
+ * @param {Function} fn - ({ state, profile, achievements }) => void
+ */
+function withAchievements(definitions, fn) {
+    const state = new StateManager();
+    const profile = new ProfileManager();
+    profile.persist = () => {};
+
+    const achievements = new Achievements(state, profile);
+    achievements.define(definitions);
+    try {
+        fn({ state, profile, achievements });
+    } finally {
+        achievements.destroy();
+    }
+}
+
+test('an event achievement unlocks once, when its expression holds', () => {
+    withAchievements([{ id: 'steady_hands', on: GameEvents.PUZZLE_COMPLETE, when: 'hintsUsed == 0' }], ({ achievements }) => {
+        const unlocked = [];
+        const unsubscribe = globalEvents.on(GameEvents.ACHIEVEMENT_UNLOCK, (data) => unlocked.push(data.achievementId));
+
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'gears', hintsUsed: 2 });
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'gears', hintsUsed: 0 });
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'gears', hintsUsed: 0 });
+        unsubscribe();
+
+        assert.deepEqual(unlocked, ['steady_hands']);
+        assert.equal(achievements.getUnlockedCount(), 1);
+    });
+});
+
+test('a condition-only achievement unlocks when the state changes', () => {
+    withAchievements([{ id: 'collector', condition: "has('brass_gear')" }], ({ state, achievements }) => {
+        state.setFlag('unrelated');
+        assert.equal(achievements.isUnlocked('collector'), false);
+
+        state.addItem('brass_gear');
+        assert.equal(achievements.isUnlocked('collector'), true);
+    });
+});
+
+test('progress counts events, or distinct values, up to the goal', () => {
+    const definitions = [
+        { id: 'tinker', on: GameEvents.PUZZLE_COMPLETE, progress: { goal: 2 } },
+        { id: 'variety', on: GameEvents.PUZZLE_COMPLETE, progress: { distinct: 'puzzleId', goal: { type: 'puzzles' } } }
+    ];
+    withAchievements(definitions, ({ achievements }) => {
+        achievements.registerGoal('puzzles', () => 2);
+
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'gears' });
+        assert.equal(achievements.isUnlocked('tinker'), false);
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'gears' });
+
+        assert.equal(achievements.isUnlocked('tinker'), true);
+        assert.equal(achievements.isUnlocked('variety'), false);
+        assert.deepEqual(achievements.getList()[1].progress, { count: 1, goal: 2 });
+
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'lock' });
+        assert.equal(achievements.isUnlocked('variety'), true);
+    });
+});
+
+test('hidden achievements give nothing away until unlocked', () => {
+    const definitions = [{ id: 'secret', title: 'Secret', description: 'Shh', icon: '?', hidden: true, condition: 'found_it' }];
+    withAchievements(definitions, ({ state, achievements }) => {
+        assert.deepEqual(
+            { ...achievements.getList()[0], unlockedAt: null },
+            { id: 'secret', icon: null, unlocked: false, unlockedAt: null, hidden: true, title: null, description: null, progress: null }
+        );
+
+        state.setFlag('found_it');
+        const [entry] = achievements.getList();
+        assert.equal(entry.hidden, false);
+        assert.equal(entry.title, 'Secret');
+    });
+});
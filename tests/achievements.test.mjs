@@ -0,0 +1,82 @@
+/**
+ * Achievement tests - "when" expressions read the event that fired
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { ProfileManager } from '../src/core/ProfileManager.js';
+import { Achievements } from '../src/core/Achievements.js';
+import { globalEvents, GameEvents } from '../src/utils/EventEmitter.js';
+
+/**
+ * Set up achievements against a fresh state and an unsaved profile
+ * @param {Array<Object>} definitions - Achievement definitions
+ * @returns {{ state: StateManager, achievements: Achievements }}
+ */
+function setup(definitions) {
+    const state = new StateManager();
+    const profile = new ProfileManager();
+    profile.persist = () => {};
+
+    const achievements = new Achievements(state, profile);
+    achievements.define(definitions);
+    return { state, achievements };
+}
+
+test('event fields win over story variables of the same name', () => {
+    const { state, achievements } = setup([{
+        id: 'perfect',
+        on: GameEvents.PUZZLE_COMPLETE,
+        when: 'score >= 100 && hintsUsed == 0'
+    }]);
+    state.setVariable('score', 0);
+    state.setVariable('hintsUsed', 5);
+
+    try {
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'ch1_diagnosis', score: 50, hintsUsed: 0 });
+        assert.equal(achievements.isUnlocked('perfect'), false);
+
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'ch1_diagnosis', score: 100, hintsUsed: 0 });
+        assert.equal(achievements.isUnlocked('perfect'), true);
+    } finally {
+        achievements.destroy();
+    }
+});
+
+test('names the event does not carry still read story variables', () => {
+    const { state, achievements } = setup([{
+        id: 'trusted',
+        on: GameEvents.PUZZLE_COMPLETE,
+        when: 'trust_elara >= 3'
+    }]);
+    state.setVariable('trust_elara', 3);
+
+    try {
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'ch1_diagnosis', score: 0 });
+        assert.equal(achievements.isUnlocked('trusted'), true);
+    } finally {
+        achievements.destroy();
+    }
+});
+
+test('distinct progress values read the event too', () => {
+    const { state, achievements } = setup([{
+        id: 'explorer',
+        on: GameEvents.PUZZLE_COMPLETE,
+        progress: { distinct: 'puzzleId', goal: 2 }
+    }]);
+    state.setVariable('puzzleId', 'story');
+
+    try {
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'ch1_diagnosis' });
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'ch1_first_repair' });
+        assert.equal(achievements.isUnlocked('explorer'), true);
+    } finally {
+        achievements.destroy();
+    }
+});
@@ -0,0 +1,89 @@
+/**
+ * Advance mode tests - auto and skip move the dialogue on by themselves
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DialogueRenderer } from '../src/narrative/DialogueRenderer.js';
+import { globalEvents, GameEvents } from '../src/utils/EventEmitter.js';
+
+/**
+ * Check whether a promise settles within a time
+ * @param {Promise} promise - Promise to watch
+ * @param {number} ms - Time to wait
+ * @returns {Promise<boolean>}
+ */
+function settlesWithin(promise, ms) {
+    return Promise.race([
+        promise.then(() => true),
+        new Promise(resolve => setTimeout(() => resolve(false), ms))
+    ]);
+}
+
+/**
+ * Create a renderer with short delays
+ * @returns {DialogueRenderer}
+ */
+function createRenderer() {
+    const renderer = new DialogueRenderer();
+    renderer.autoDelayBase = 5;
+    renderer.autoDelayPerChar = 0;
+    renderer.skipDelay = 5;
+    return renderer;
+}
+
+test('normal mode waits for the player', async () => {
+    const renderer = createRenderer();
+    const advance = renderer.waitForAdvance({ text: 'Hello.' });
+
+    assert.equal(await settlesWithin(advance, 30), false);
+    globalEvents.emit(GameEvents.DIALOGUE_SKIP);
+    assert.equal(await settlesWithin(advance, 30), true);
+});
+
+test('auto and skip modes advance on their own', async () => {
+    for (const mode of ['auto', 'skip']) {
+        const renderer = createRenderer();
+        renderer.setMode(mode);
+        assert.equal(await settlesWithin(renderer.waitForAdvance({ text: 'Hello.' }), 100), true, mode);
+        renderer.setMode('normal');
+    }
+});
+
+test('auto mode lingers longer on longer lines', () => {
+    const renderer = new DialogueRenderer();
+
+    assert.ok(renderer.getAutoDelay('A much longer line of dialogue.') > renderer.getAutoDelay('Hi.'));
+});
+
+test('toggling a mode switches it off again and announces each change', () => {
+    const renderer = createRenderer();
+    const changes = [];
+    const unsubscribe = globalEvents.on(GameEvents.DIALOGUE_MODE_CHANGE, (data) => changes.push(data.mode));
+
+    renderer.toggleMode('skip');
+    assert.equal(renderer.isSkipping(), true);
+    renderer.stopSkipping();
+    renderer.toggleMode('auto');
+    renderer.toggleMode('auto');
+    unsubscribe();
+
+    assert.deepEqual(changes, ['skip', 'normal', 'auto', 'normal']);
+});
+
+test('nothing advances while a menu holds the dialogue', async () => {
+    const renderer = createRenderer();
+    renderer.setMode('auto');
+    renderer.isHeld = true;
+
+    const advance = renderer.waitForAdvance({ text: 'Hello.' });
+    assert.equal(await settlesWithin(advance, 30), false);
+
+    renderer.isHeld = false;
+    globalEvents.emit(GameEvents.UI_OVERLAY_CLOSE);
+    assert.equal(await settlesWithin(advance, 100), true);
+});
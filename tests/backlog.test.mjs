@@ -0,0 +1,57 @@
+/**
+ * Backlog tests - the record of lines shown and choices made
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Backlog } from '../src/narrative/Backlog.js';
+
+test('lines are recorded with their speaker and voice, keeping only the newest', () => {
+    const backlog = new Backlog(2);
+
+    backlog.addLine({ type: 'narration', text: 'The sun rises.' });
+    backlog.addLine({ type: 'dialogue', speaker: 'Cog', text: 'Good morning!', voice: 'cog_morning' }, 'cog');
+    backlog.addLine({ type: 'dialogue', speaker: 'Elara', text: 'Is it fixed?' }, 'elara');
+
+    const entries = backlog.getEntries();
+    assert.deepEqual(entries.map(entry => entry.text), ['Good morning!', 'Is it fixed?']);
+    assert.equal(entries[0].speaker, 'Cog');
+    assert.equal(entries[0].characterId, 'cog');
+    assert.equal(entries[0].voice, 'cog_morning');
+    assert.equal(entries[1].voice, null);
+});
+
+test('the timeline puts choices between the lines they followed', () => {
+    const backlog = new Backlog();
+    backlog.restore([
+        { type: 'narration', text: 'A customer waits.', timestamp: 100 },
+        { type: 'dialogue', speaker: 'Cog', text: 'Good call.', timestamp: 300 }
+    ]);
+
+    const timeline = backlog.getTimeline([
+        { prompt: 'Older than any line', selectedOption: { text: 'Dropped' }, timestamp: 50 },
+        { prompt: 'Take the job?', selectedOption: { text: 'Yes' }, timestamp: 200 }
+    ]);
+
+    assert.deepEqual(timeline.map(entry => entry.text), ['A customer waits.', 'Yes', 'Good call.']);
+    assert.equal(timeline[1].type, 'choice');
+    assert.equal(timeline[1].prompt, 'Take the job?');
+});
+
+test('saved lines restore up to the limit', () => {
+    const backlog = new Backlog(3);
+    for (let i = 0; i < 3; i++) {
+        backlog.addLine({ type: 'narration', text: `Line ${i}` });
+    }
+
+    const restored = new Backlog(2);
+    restored.restore(JSON.parse(JSON.stringify(backlog.serialize())));
+    assert.deepEqual(restored.getEntries().map(entry => entry.text), ['Line 1', 'Line 2']);
+
+    restored.restore('not a list');
+    assert.deepEqual(restored.getEntries(), []);
+});
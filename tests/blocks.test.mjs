@@ -0,0 +1,91 @@
+/**
+ * Block tests - nested if/else content and labels inside it
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ScriptInterpreter } from '../src/narrative/ScriptInterpreter.js';
+
+/**
+ * Run a chapter from its first scene and return the lines narrated
+ * @param {Array<Object>} scenes - Scene data
+ * @param {Array<string>} [flags] - Flags set before the run
+ * @returns {Promise<Array<string>>}
+ */
+async function run(scenes, flags = []) {
+    const state = new StateManager();
+    const interpreter = new ScriptInterpreter(state, new NarrativeParser(state));
+    const transcript = [];
+
+    flags.forEach(flag => state.setFlag(flag));
+    interpreter.registerExecutor('narration', (item) => transcript.push(item.text));
+    interpreter.loadChapter({ number: 1, id: 'chapter1', scenes });
+    await interpreter.run(scenes[0].id);
+
+    return transcript;
+}
+
+const TRUST = [{
+    id: 'tea',
+    content: [
+        {
+            type: 'if',
+            condition: 'trusted',
+            then: [
+                { type: 'narration', text: 'Elara tells you everything.' },
+                {
+                    type: 'if',
+                    condition: 'brought_cake',
+                    then: [{ type: 'narration', text: 'She eats the cake.' }],
+                    else: [{ type: 'narration', text: 'She wishes there were cake.' }]
+                }
+            ],
+            else: [{ type: 'narration', text: 'Not yet.' }]
+        },
+        { type: 'narration', text: 'The tea goes cold.' }
+    ]
+}];
+
+test('nested if blocks pick their branch and the scene resumes after them', async () => {
+    assert.deepEqual(await run(TRUST), ['Not yet.', 'The tea goes cold.']);
+    assert.deepEqual(await run(TRUST, ['trusted']), [
+        'Elara tells you everything.',
+        'She wishes there were cake.',
+        'The tea goes cold.'
+    ]);
+    assert.deepEqual(await run(TRUST, ['trusted', 'brought_cake']), [
+        'Elara tells you everything.',
+        'She eats the cake.',
+        'The tea goes cold.'
+    ]);
+});
+
+test('a jump enters another scene at a label nested in an if block', async () => {
+    const transcript = await run([
+        { id: 'street', content: [{ type: 'jump', target: 'workshop', label: 'after_tea' }] },
+        {
+            id: 'workshop',
+            content: [
+                { type: 'narration', text: 'Skipped' },
+                {
+                    type: 'if',
+                    condition: 'never_set',
+                    then: [
+                        { type: 'narration', text: 'Skipped too' },
+                        { type: 'narration', text: 'Back to work.', label: 'after_tea' },
+                        { type: 'narration', text: 'The gears turn.' }
+                    ]
+                },
+                { type: 'narration', text: 'Closing time.' }
+            ]
+        }
+    ]);
+
+    assert.deepEqual(transcript, ['Back to work.', 'The gears turn.', 'Closing time.']);
+});
@@ -0,0 +1,45 @@
+/**
+ * Condition tests - string conditions, flags and literals
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+
+test('"true" and "false" are literals, not flag names', () => {
+    const state = new StateManager();
+
+    assert.equal(state.evaluateCondition('true'), true);
+    assert.equal(state.evaluateCondition('false'), false);
+
+    state.setFlag('false', true);
+    assert.equal(state.evaluateCondition('false'), false);
+});
+
+test('a bare name is still a flag check', () => {
+    const state = new StateManager();
+
+    assert.equal(state.evaluateCondition('met_hollis'), false);
+    state.setFlag('met_hollis', true);
+    assert.equal(state.evaluateCondition('met_hollis'), true);
+});
+
+test('literals combine with flags in expressions', () => {
+    const state = new StateManager();
+    state.setFlag('met_hollis', true);
+
+    assert.equal(state.evaluateCondition('met_hollis && true'), true);
+    assert.equal(state.evaluateCondition('met_hollis && false'), false);
+});
+
+test('names never resolve to built-in object properties', () => {
+    const state = new StateManager();
+
+    assert.equal(state.evaluateExpression('constructor', {}), 0);
+    assert.equal(state.evaluateExpression('player.toString'), 0);
+    assert.equal(state.evaluateCondition('constructor'), false);
+});
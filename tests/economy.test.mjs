@@ -0,0 +1,95 @@
+/**
+ * Economy tests - gold, repair orders and the parts vendor
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { Economy } from '../src/core/Economy.js';
+import { globalEvents, GameEvents } from '../src/utils/EventEmitter.js';
+
+const ECONOMY = {
+    startingGold: 30,
+    orders: [{ id: 'elara_automaton', customer: 'elara', puzzle: 'ch1_first_repair', deposit: 10, payment: 40, reputation: 1 }],
+    vendor: [{ item: 'moonwater', price: 4, stock: 2 }, { item: 'brass_gear', price: 50 }]
+};
+
+/**
+ * Run a test against an economy on a fresh state
+ * @param {Function} fn - ({ state, economy }) => void
+ */
+function withEconomy(fn) {
+    const state = new StateManager();
+    const economy = new Economy(state);
+    economy.define(ECONOMY);
+    try {
+        fn({ state, economy });
+    } finally {
+        economy.destroy();
+    }
+}
+
+test('a new game starts with the starting gold, readable in conditions', () => {
+    withEconomy(({ state, economy }) => {
+        assert.equal(economy.getGold(), 30);
+        assert.equal(economy.getReputation(), 0);
+        assert.equal(state.evaluateCondition('canAfford(30)'), true);
+        assert.equal(state.evaluateCondition('canAfford(31)'), false);
+    });
+});
+
+test('an order pays its deposit when taken and the rest, scaled by score, when solved', () => {
+    withEconomy(({ state, economy }) => {
+        assert.equal(economy.takeOrder('elara_automaton'), true);
+        assert.equal(economy.takeOrder('elara_automaton'), false);
+        assert.equal(economy.getGold(), 40);
+        assert.equal(economy.isOpen('elara_automaton'), true);
+
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'ch1_first_repair', score: 75 });
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'ch1_first_repair', score: 100 });
+
+        assert.equal(economy.getGold(), 70);
+        assert.equal(economy.getReputation(), 1);
+        assert.equal(state.getVariable('income'), 40);
+        assert.deepEqual(economy.getTakenOrders().map(order => order.complete), [true]);
+    });
+});
+
+test('a solved puzzle pays nothing for an order never taken', () => {
+    withEconomy(({ economy }) => {
+        globalEvents.emit(GameEvents.PUZZLE_COMPLETE, { puzzleId: 'ch1_first_repair', score: 100 });
+
+        assert.equal(economy.getGold(), 30);
+    });
+});
+
+test('the vendor sells while there is stock and gold', () => {
+    withEconomy(({ state, economy }) => {
+        assert.equal(economy.buy('moonwater').success, true);
+        assert.equal(economy.buy('moonwater').success, true);
+        assert.equal(economy.buy('moonwater').success, false);
+        assert.equal(economy.buy('brass_gear').success, false);
+
+        assert.equal(state.getItemQuantity('moonwater'), 2);
+        assert.equal(state.hasItem('brass_gear'), false);
+        assert.equal(economy.getGold(), 22);
+        assert.deepEqual(economy.getVendorStock()[0], { item: 'moonwater', price: 4, left: 0, affordable: true });
+    });
+});
+
+test('gold survives a reload and is seeded after a reset', () => {
+    withEconomy(({ state, economy }) => {
+        economy.buy('moonwater');
+        const saved = JSON.parse(JSON.stringify(state.getAll()));
+
+        state.reset();
+        assert.equal(economy.getGold(), 30);
+
+        state.loadAll(saved);
+        assert.equal(economy.getGold(), 26);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Ending tests - picking an ending and keeping ending scenes apart
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ScriptInterpreter } from '../src/narrative/ScriptInterpreter.js';
+import { Endings, getEndingStrings } from '../src/narrative/Endings.js';
+
+const ENDINGS = [
+    { id: 'restored', title: 'Restored', description: 'Cog is whole again.', condition: 'cog_restored && trust >= 3', scene: 'ending_restored' },
+    { id: 'scrapped', title: 'Scrapped', condition: { type: 'flag', key: 'cog_scrapped' }, scene: 'ending_scrapped' },
+    { id: 'quiet', title: 'A Quiet Shop', scene: 'ending_quiet' }
+];
+
+test('the first ending whose condition holds is picked', () => {
+    const state = new StateManager();
+    const endings = new Endings(state);
+    endings.define(ENDINGS);
+
+    assert.equal(endings.select().id, 'quiet');
+
+    state.setFlag('cog_scrapped');
+    assert.equal(endings.select().id, 'scrapped');
+
+    state.setFlag('cog_restored');
+    state.setVariable('trust', 3);
+    assert.equal(endings.select().id, 'restored');
+});
+
+test('ending titles and descriptions are translatable', () => {
+    const strings = getEndingStrings(ENDINGS);
+
+    assert.equal(strings['endings.restored.title'], 'Restored');
+    assert.equal(strings['endings.restored.description'], 'Cog is whole again.');
+    assert.equal(strings['endings.quiet.title'], 'A Quiet Shop');
+});
+
+test('playing off the end of a scene skips ending scenes, and nothing follows one', async () => {
+    const state = new StateManager();
+    const interpreter = new ScriptInterpreter(state, new NarrativeParser(state));
+    const shown = [];
+    interpreter.registerExecutor('narration', (item) => shown.push(item.text));
+    interpreter.loadChapter({
+        number: 8,
+        id: 'chapter8',
+        scenes: [
+            { id: 'finale', content: [{ type: 'narration', text: 'The last repair.' }] },
+            { id: 'ending_quiet', ending: true, content: [{ type: 'narration', text: 'The shop is quiet.' }] },
+            { id: 'epilogue', content: [{ type: 'narration', text: 'Years later.' }] }
+        ]
+    });
+
+    await interpreter.run('finale');
+    assert.deepEqual(shown, ['The last repair.', 'Years later.']);
+
+    shown.length = 0;
+    await interpreter.run('ending_quiet');
+    assert.deepEqual(shown, ['The shop is quiet.']);
+});
@@ -0,0 +1,97 @@
+/**
+ * Expression tests - the condition, assignment and text expression language
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { compileExpression, compileAssignment } from '../src/utils/Expression.js';
+
+test('operators follow the usual precedence', () => {
+    const state = new StateManager();
+
+    assert.equal(state.evaluateExpression('1 + 2 * 3'), 7);
+    assert.equal(state.evaluateExpression('(1 + 2) * 3'), 9);
+    assert.equal(state.evaluateExpression('10 % 4 == 2 && !(1 > 2)'), true);
+    assert.equal(state.evaluateExpression("3 > 2 ? 'yes' : 'no'"), 'yes');
+});
+
+test('names read variables, then flags, and default to 0', () => {
+    const state = new StateManager();
+    state.setVariable('gold', 12);
+    state.setFlag('met_vex');
+
+    assert.equal(state.evaluateExpression('gold - 2'), 10);
+    assert.equal(state.evaluateExpression('met_vex'), true);
+    assert.equal(state.evaluateExpression('unknown_name + 1'), 1);
+    assert.equal(state.evaluateCondition('gold >= 10 && met_vex'), true);
+});
+
+test('built-in and registered functions can be called', () => {
+    const state = new StateManager();
+    state.addItem('brass_gear', 3);
+    state.registerFunction('double', value => value * 2);
+
+    assert.equal(state.evaluateCondition("has('brass_gear', 2) && !has('spring')"), true);
+    assert.equal(state.evaluateExpression("count('brass_gear') + max(1, 4)"), 7);
+    assert.equal(state.evaluateExpression('double(21)'), 42);
+});
+
+test('assignments update variables', () => {
+    const state = new StateManager();
+    state.setVariable('gold', 20);
+
+    state.applyAssignment('gold -= 5');
+    state.applyAssignment('trust = gold / 3');
+
+    assert.equal(state.getVariable('gold'), 15);
+    assert.equal(state.getVariable('trust'), 5);
+});
+
+test('expressions cannot reach JavaScript globals', () => {
+    const state = new StateManager();
+
+    assert.equal(state.evaluateExpression('globalThis.process'), 0);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(state.evaluateExpression('process.exit()'), undefined);
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.throws(() => compileExpression('gold = 1'));
+    assert.throws(() => compileAssignment('1 = gold'));
+});
+
+test('syntax errors and unknown functions are found when the chapter loads', () => {
+    const parser = new NarrativeParser(new StateManager());
+    const errors = [];
+    const original = console.error;
+    console.error = (message) => errors.push(message);
+    try {
+        parser.parseChapter({
+            number: 1,
+            id: 'chapter1',
+            scenes: [{
+                id: 'shop',
+                content: [
+                    { type: 'narration', text: 'You have {gold +} gold.' },
+                    { type: 'narration', text: 'Ok.', condition: 'launch(1)' }
+                ]
+            }]
+        });
+    } finally {
+        console.error = original;
+    }
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /Scene "shop" \[0\]/);
+    assert.match(errors[1], /Unknown function launch\(\)/);
+});
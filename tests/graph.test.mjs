@@ -0,0 +1,69 @@
+/**
+ * Branch graph tests - scenes, choices and jumps as DOT and Mermaid
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { BranchGraph } from '../src/narrative/BranchGraph.js';
+
+const CHAPTER = {
+    number: 1,
+    id: 'chapter1',
+    scenes: [
+        {
+            id: 'start',
+            name: 'The Fork',
+            content: [{
+                type: 'choice',
+                prompt: 'Which way?',
+                options: [
+                    { text: 'Go left', next: 'left' },
+                    { text: 'Go right', next: 'right', condition: 'brave' }
+                ]
+            }]
+        },
+        { id: 'left', content: [{ type: 'narration', text: 'Round again.' }, { type: 'jump', target: 'left' }] },
+        { id: 'orphan', content: [{ type: 'narration', text: 'Nobody comes here.' }] },
+        { id: 'right', content: [{ type: 'narration', text: 'The road home.' }] }
+    ]
+};
+
+/**
+ * Build the graph of the test chapter
+ * @returns {BranchGraph}
+ */
+function buildGraph() {
+    return new BranchGraph(new NarrativeParser(new StateManager())).build(CHAPTER);
+}
+
+test('orphaned scenes and dead ends are found', () => {
+    const graph = buildGraph();
+
+    assert.deepEqual(graph.getOrphans(), ['orphan']);
+    assert.deepEqual(graph.getDeadEnds(), ['left']);
+});
+
+test('DOT output labels scenes, options and their conditions', () => {
+    const dot = buildGraph().toDot();
+
+    assert.match(dot, /^digraph /);
+    assert.match(dot, /The Fork/);
+    assert.match(dot, /Go left/);
+    assert.match(dot, /Go right/);
+    assert.match(dot, /brave/);
+});
+
+test('Mermaid output has the same scenes and options', () => {
+    const mermaid = buildGraph().toMermaid();
+
+    assert.match(mermaid, /^(flowchart|graph) /);
+    for (const text of ['The Fork', 'Go left', 'Go right', 'orphan', 'right']) {
+        assert.ok(mermaid.includes(text), text);
+    }
+});
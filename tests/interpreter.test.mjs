@@ -0,0 +1,105 @@
+/**
+ * Script interpreter tests - scenes run command by command
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ScriptInterpreter } from '../src/narrative/ScriptInterpreter.js';
+
+/**
+ * Build an interpreter for a chapter that records the lines it narrates
+ * @param {Array<Object>} scenes - Scene data
+ * @returns {{interpreter: ScriptInterpreter, state: StateManager, transcript: Array<string>, entered: Array<string>}}
+ */
+function createInterpreter(scenes) {
+    const state = new StateManager();
+    const interpreter = new ScriptInterpreter(state, new NarrativeParser(state));
+    const transcript = [];
+    const entered = [];
+
+    interpreter.registerExecutor('narration', (item) => transcript.push(item.text));
+    interpreter.setHooks({ enterScene: async (sceneId) => entered.push(sceneId) });
+    interpreter.loadChapter({ number: 1, id: 'chapter1', scenes });
+
+    return { interpreter, state, transcript, entered };
+}
+
+test('commands run in order and change game state', async () => {
+    const { interpreter, state, transcript } = createInterpreter([{
+        id: 'workshop',
+        content: [
+            { type: 'narration', text: 'The shop opens.' },
+            { type: 'flag', set: 'shop_open' },
+            { type: 'item', add: 'brass_gear', quantity: 2 },
+            { type: 'narration', text: 'Gears are in stock.', condition: 'shop_open' },
+            { type: 'narration', text: 'Never shown.', condition: 'shop_closed' }
+        ]
+    }]);
+
+    await interpreter.run('workshop');
+
+    assert.deepEqual(transcript, ['The shop opens.', 'Gears are in stock.']);
+    assert.equal(state.hasFlag('shop_open'), true);
+    assert.equal(state.getItemQuantity('brass_gear'), 2);
+    assert.equal(interpreter.isRunning, false);
+});
+
+test('a jump leaves the scene and the next scene follows in chapter order', async () => {
+    const { interpreter, transcript, entered } = createInterpreter([
+        { id: 'a', content: [{ type: 'jump', target: 'c' }, { type: 'narration', text: 'Skipped' }] },
+        { id: 'b', content: [{ type: 'narration', text: 'Scene b' }] },
+        { id: 'c', content: [{ type: 'narration', text: 'Scene c' }] },
+        { id: 'd', content: [{ type: 'narration', text: 'Scene d' }] }
+    ]);
+
+    await interpreter.run('a');
+
+    assert.deepEqual(transcript, ['Scene c', 'Scene d']);
+    assert.deepEqual(entered, ['c', 'd']);
+});
+
+test('the chapter ends when a jump has no scene to go to', async () => {
+    const { interpreter, transcript } = createInterpreter([
+        { id: 'a', content: [{ type: 'jump', target: 'nowhere' }] }
+    ]);
+    let ended = false;
+    interpreter.setHooks({ endChapter: async () => { ended = true; } });
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        await interpreter.run('a');
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.equal(ended, true);
+    assert.deepEqual(transcript, []);
+});
+
+test('stopping a run leaves the rest of the scene unexecuted', async () => {
+    const { interpreter, transcript } = createInterpreter([{
+        id: 'a',
+        content: [
+            { type: 'pause' },
+            { type: 'narration', text: 'After the pause' }
+        ]
+    }]);
+    let resume;
+    interpreter.registerExecutor('pause', () => new Promise(resolve => { resume = resolve; }));
+
+    const run = interpreter.run('a');
+    interpreter.stop();
+    resume();
+    await run;
+
+    assert.deepEqual(transcript, []);
+    assert.equal(interpreter.getPosition().sceneId, 'a');
+    assert.equal(interpreter.isRunning, false);
+});
@@ -0,0 +1,106 @@
+/**
+ * Item use tests - reactions to inventory items used on targets
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ScriptInterpreter } from '../src/narrative/ScriptInterpreter.js';
+import { ItemInteractions } from '../src/narrative/ItemInteractions.js';
+
+/**
+ * Load a chapter with item reactions and hand out some items
+ * @param {Array<Object>} itemReactions - The chapter's reactions
+ * @returns {{ state: StateManager, parser: NarrativeParser, items: ItemInteractions }}
+ */
+function setup(itemReactions) {
+    const state = new StateManager();
+    const parser = new NarrativeParser(state);
+    parser.parseChapter({
+        id: 'chapter1',
+        number: 1,
+        scenes: [{ id: 'workshop', content: [{ type: 'narration', text: 'The shop opens.' }] }],
+        itemReactions
+    });
+    state.addItem('diagnosis_notes');
+    state.addItem('brass_gear', 2);
+
+    return { state, parser, items: new ItemInteractions(state, parser) };
+}
+
+test('the first matching reaction applies its flag and consumes the item', () => {
+    const { state, items } = setup([
+        {
+            item: 'diagnosis_notes',
+            target: { character: 'elara' },
+            condition: '!showed_elara_notes',
+            consume: true,
+            setFlag: 'showed_elara_notes',
+            response: 'Elara reads your notes.'
+        },
+        { item: 'diagnosis_notes', target: { character: 'elara' }, response: 'Not again.' }
+    ]);
+
+    items.select('diagnosis_notes');
+    const reaction = items.use('diagnosis_notes', { character: 'elara' });
+
+    assert.equal(reaction.response, 'Elara reads your notes.');
+    assert.equal(state.hasFlag('showed_elara_notes'), true);
+    assert.equal(state.hasItem('diagnosis_notes'), false);
+    assert.equal(items.getSelected(), null);
+});
+
+test('nothing happens without a matching reaction or without the item', () => {
+    const { state, items } = setup([
+        { item: 'brass_gear', target: { character: 'elara' }, response: 'A gear?' }
+    ]);
+
+    assert.equal(items.use('brass_gear', { character: 'orin' }), null);
+    assert.equal(items.use('lens', { character: 'elara' }), null);
+    assert.equal(state.getItemQuantity('brass_gear'), 2);
+});
+
+test('puzzle reactions are checked before the chapter\'s', () => {
+    const { items } = setup([
+        { item: 'brass_gear', target: { slot: 'drive' }, response: 'Chapter reaction' }
+    ]);
+    const local = [{ item: 'brass_gear', target: { puzzle: 'clock', slot: 'drive' }, response: 'Puzzle reaction' }];
+
+    assert.equal(items.use('brass_gear', { puzzle: 'clock', slot: 'drive' }, local).response, 'Puzzle reaction');
+    assert.equal(items.use('brass_gear', { puzzle: 'lock', slot: 'drive' }, local).response, 'Chapter reaction');
+});
+
+test('a reaction\'s content interrupts the script, which then resumes the command in progress', async () => {
+    const state = new StateManager();
+    const parser = new NarrativeParser(state);
+    const interpreter = new ScriptInterpreter(state, parser);
+    const transcript = [];
+    const pauses = [];
+
+    interpreter.registerExecutor('narration', (item) => transcript.push(item.text));
+    interpreter.registerExecutor('pause', () => new Promise(resolve => pauses.push(resolve)));
+    interpreter.loadChapter({
+        id: 'chapter1',
+        number: 1,
+        scenes: [{ id: 'workshop', content: [{ type: 'pause' }, { type: 'narration', text: 'Back to work.' }] }]
+    });
+
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    const run = interpreter.run('workshop');
+    await settle();
+    const interrupt = interpreter.interrupt(parser.parseBlock([{ type: 'narration', text: 'Elara reads your notes.' }]));
+    await settle();
+
+    assert.deepEqual(transcript, ['Elara reads your notes.']);
+    assert.equal(pauses.length, 2);
+    pauses.forEach(resolve => resolve());
+    await Promise.all([run, interrupt]);
+
+    assert.deepEqual(transcript, ['Elara reads your notes.', 'Back to work.']);
+});
@@ -0,0 +1,99 @@
+/**
+ * Item catalogue tests - categories, stack limits and sorting
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { ItemRegistry } from '../src/core/ItemRegistry.js';
+import { Workbench } from '../src/core/Workbench.js';
+
+const ITEMS = [
+    { id: 'brass_gear', name: 'Brass Gear', category: 'part' },
+    { id: 'harmonic_crystal', name: 'Harmonic Crystal', category: 'reagent', maxQuantity: 3 },
+    { id: 'shop_key', name: 'Shop Key', category: 'key', stackable: false, usable: false, combinable: false },
+    { id: 'diagnosis_notes', name: 'Diagnosis Notes', category: 'note' }
+];
+
+/**
+ * Set up a state whose inventory follows the test catalogue
+ * @returns {{ state: StateManager, registry: ItemRegistry }}
+ */
+function setup() {
+    const registry = new ItemRegistry();
+    registry.define(ITEMS);
+    const state = new StateManager();
+    state.setItemLimit(itemId => registry.getMaxQuantity(itemId));
+    return { state, registry };
+}
+
+test('stack limits cap what the inventory holds', () => {
+    const { state } = setup();
+
+    assert.equal(state.addItem('harmonic_crystal', 2), 2);
+    assert.equal(state.addItem('harmonic_crystal', 2), 1);
+    assert.equal(state.getItemQuantity('harmonic_crystal'), 3);
+    assert.equal(state.canAddItem('harmonic_crystal'), false);
+
+    state.addItem('shop_key');
+    assert.equal(state.addItem('shop_key'), 0);
+    assert.equal(state.addItem('brass_gear', 50), 50);
+});
+
+test('items say whether they can be used and combined', () => {
+    const { registry } = setup();
+
+    assert.equal(registry.isUsable('brass_gear'), true);
+    assert.equal(registry.isUsable('shop_key'), false);
+    assert.equal(registry.isCombinable('shop_key'), false);
+    assert.equal(registry.getCategory('diagnosis_notes'), 'note');
+});
+
+test('unknown items fall back to their IDs and warn once', () => {
+    const { registry } = setup();
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = (message) => warnings.push(message);
+    try {
+        assert.equal(registry.getName('mystery_box'), 'mystery_box');
+        assert.equal(registry.getIcon('mystery_box'), '📦');
+        assert.equal(registry.getMaxQuantity('mystery_box'), Infinity);
+    } finally {
+        console.warn = warn;
+    }
+
+    assert.equal(warnings.length, 1);
+});
+
+test('the inventory is filtered and sorted for display', () => {
+    const { registry } = setup();
+    const inventory = [
+        { id: 'diagnosis_notes', quantity: 1 },
+        { id: 'harmonic_crystal', quantity: 3 },
+        { id: 'brass_gear', quantity: 5 },
+        { id: 'shop_key', quantity: 1 }
+    ];
+    const ids = (entries) => entries.map(entry => entry.id);
+
+    assert.deepEqual(ids(registry.arrange([...inventory])), ['brass_gear', 'harmonic_crystal', 'shop_key', 'diagnosis_notes']);
+    assert.deepEqual(ids(registry.arrange([...inventory], { sort: 'name' })), ['brass_gear', 'diagnosis_notes', 'harmonic_crystal', 'shop_key']);
+    assert.deepEqual(ids(registry.arrange([...inventory], { sort: 'quantity' })), ['brass_gear', 'harmonic_crystal', 'diagnosis_notes', 'shop_key']);
+    assert.deepEqual(ids(registry.arrange([...inventory], { category: 'part' })), ['brass_gear']);
+});
+
+test('a recipe whose result would not fit uses nothing up', () => {
+    const { state } = setup();
+    const workbench = new Workbench(state);
+    workbench.define([{ id: 'tune', ingredients: { brass_gear: 1 }, result: { harmonic_crystal: 1 } }]);
+    state.addItem('brass_gear');
+    state.addItem('harmonic_crystal', 3);
+
+    const outcome = workbench.combine(['brass_gear']);
+
+    assert.equal(outcome.success, false);
+    assert.equal(state.getItemQuantity('brass_gear'), 1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Label jump tests - jumps to labels within and across scenes
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { PlaythroughRunner, PlaythroughStatus } from '../src/narrative/PlaythroughRunner.js';
+
+/**
+ * Play a one-chapter script and return what was shown
+ * @param {Array<Object>} scenes - Scene data
+ * @param {Function} [setup] - Seeds state before play
+ * @returns {Promise<Object>} Playthrough result
+ */
+function play(scenes, setup = null) {
+    const runner = new PlaythroughRunner({ chapters: [{ number: 1, id: 'chapter1', scenes }] });
+    runner.maxSteps = 200;
+    return runner.play({ setup });
+}
+
+test('a jump does not define the label it goes to', () => {
+    const parser = new NarrativeParser(new StateManager());
+    parser.parseChapter({
+        number: 1,
+        id: 'chapter1',
+        scenes: [{
+            id: 'a',
+            content: [
+                { type: 'label', name: 'top' },
+                { type: 'narration', text: 'Hello' },
+                { type: 'jump', label: 'top' },
+                { type: 'jump', target: 'b', label: 'elsewhere' }
+            ]
+        }]
+    });
+
+    assert.deepEqual(parser.getLabelPath('a', 'top'), [0]);
+    assert.equal(parser.getLabelPath('a', 'elsewhere'), null);
+});
+
+test('a local jump back to a label runs the loop and moves on', async () => {
+    const result = await play([{
+        id: 'a',
+        content: [
+            { type: 'label', name: 'top' },
+            { type: 'variable', set: 'laps = laps + 1' },
+            { type: 'narration', text: 'Lap {laps}' },
+            { type: 'jump', label: 'top', condition: 'laps < 3' },
+            { type: 'narration', text: 'Done' }
+        ]
+    }], state => state.setVariable('laps', 0));
+
+    assert.equal(result.status, PlaythroughStatus.COMPLETE);
+    assert.deepEqual(result.transcript.map(line => line.text), ['Lap 1', 'Lap 2', 'Lap 3', 'Done']);
+});
+
+test('a local jump forward skips to its label', async () => {
+    const result = await play([{
+        id: 'a',
+        content: [
+            { type: 'jump', label: 'out' },
+            { type: 'narration', text: 'Skipped' },
+            { type: 'label', name: 'out' },
+            { type: 'narration', text: 'Landed' }
+        ]
+    }]);
+
+    assert.equal(result.status, PlaythroughStatus.COMPLETE);
+    assert.deepEqual(result.transcript.map(line => line.text), ['Landed']);
+});
+
+test('a jump to a label in another scene does not shadow a local label of that name', async () => {
+    const result = await play([
+        {
+            id: 'a',
+            content: [
+                { type: 'jump', label: 'out' },
+                { type: 'narration', text: 'Skipped' },
+                { type: 'label', name: 'out' },
+                { type: 'narration', text: 'Scene a' },
+                { type: 'jump', target: 'b', label: 'out' }
+            ]
+        },
+        {
+            id: 'b',
+            content: [
+                { type: 'narration', text: 'Skipped in b' },
+                { type: 'label', name: 'out' },
+                { type: 'narration', text: 'Scene b' }
+            ]
+        }
+    ]);
+
+    assert.equal(result.status, PlaythroughStatus.COMPLETE);
+    assert.deepEqual(result.transcript.map(line => line.text), ['Scene a', 'Scene b']);
+});
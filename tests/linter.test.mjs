@@ -0,0 +1,91 @@
+/**
+ * Content linter tests - problems in chapter data are found before play
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ContentLinter } from '../src/narrative/ContentLinter.js';
+
+const CHARACTERS = [
+    { id: 'cog', name: 'Cog', sprites: { neutral: 'cog_neutral.png', happy: 'cog_happy.png' } }
+];
+const PUZZLES = [{ id: 'gear_alignment', type: 'gear' }];
+
+/**
+ * Lint one chapter
+ * @param {Array<Object>} scenes - Scene data
+ * @returns {Array<Object>} Issues
+ */
+function lint(scenes) {
+    const linter = new ContentLinter(new NarrativeParser(new StateManager()), {
+        characters: CHARACTERS,
+        puzzles: PUZZLES
+    });
+    return linter.lint([{ number: 1, id: 'chapter1', file: 'chapter1.json', scenes }]);
+}
+
+/**
+ * Find the issue whose message matches
+ * @param {Array<Object>} issues - Issues
+ * @param {RegExp} pattern - Message pattern
+ * @returns {Object|undefined}
+ */
+function find(issues, pattern) {
+    return issues.find(issue => pattern.test(issue.message));
+}
+
+test('a clean chapter has no issues', () => {
+    const issues = lint([{
+        id: 'intro',
+        content: [
+            { type: 'character', action: 'enter', character: 'cog' },
+            { type: 'dialogue', speaker: 'Cog', text: 'Hello!', emotion: 'happy' },
+            { type: 'puzzle', puzzleId: 'gear_alignment' }
+        ]
+    }]);
+
+    assert.deepEqual(issues, []);
+});
+
+test('broken references are reported with their scene and position', () => {
+    const issues = lint([
+        {
+            id: 'intro',
+            content: [
+                { type: 'dialogue', speaker: 'Cog', text: 'Hmm.', emotion: 'furious' },
+                { type: 'puzzle', puzzleId: 'missing_puzzle' },
+                { type: 'jump', target: 'nowhere' }
+            ]
+        },
+        { id: 'orphan', content: [{ type: 'narration', text: 'Nobody comes here.' }] }
+    ]);
+
+    const sprite = find(issues, /furious/);
+    assert.ok(sprite, JSON.stringify(issues));
+    assert.equal(sprite.scene, 'intro');
+    assert.deepEqual(sprite.path, [0]);
+
+    assert.equal(find(issues, /missing_puzzle/)?.severity, 'error');
+    assert.equal(find(issues, /nowhere/)?.severity, 'error');
+    assert.equal(find(issues, /nowhere/).file, 'chapter1.json');
+    assert.ok(issues.some(issue => issue.scene === 'orphan'), JSON.stringify(issues));
+});
+
+test('unset flags and invalid conditions are reported', () => {
+    const issues = lint([{
+        id: 'intro',
+        content: [
+            { type: 'narration', text: 'A secret.', condition: 'knows_secret' },
+            { type: 'narration', text: 'Invalid.', condition: 'gold >' }
+        ]
+    }]);
+
+    assert.equal(find(issues, /"knows_secret" is read but never set/)?.severity, 'warning');
+    assert.equal(find(issues, /"gold >"/)?.severity, 'error');
+});
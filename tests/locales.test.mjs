@@ -0,0 +1,70 @@
+/**
+ * Locale tests - string tables, fallbacks and translated chapter lines
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ScriptInterpreter } from '../src/narrative/ScriptInterpreter.js';
+import { Localization, localization } from '../src/utils/Localization.js';
+
+afterEach(() => localization.setLocale('en'));
+
+test('keys fall back to English, then to the text in the content', async () => {
+    const strings = new Localization();
+    strings.addTable('en', { 'menu.start': 'New Game', 'menu.load': 'Load Game', 'shop.gold': 'You have {gold} gold' });
+    strings.addTable('fr', { 'menu.start': 'Nouvelle partie', 'shop.gold': 'Vous avez {gold} pièces' });
+
+    assert.equal(await strings.setLocale('fr'), true);
+    assert.equal(strings.t('menu.start', 'New Game'), 'Nouvelle partie');
+    assert.equal(strings.t('menu.load', 'Load'), 'Load Game');
+    assert.equal(strings.t('menu.quit', 'Quit'), 'Quit');
+    assert.equal(strings.t('shop.gold', null, { gold: 12 }), 'Vous avez 12 pièces');
+});
+
+test('chapter lines are shown in the active language by their keys', async () => {
+    localization.addTable('en', {});
+    localization.addTable('fr', {
+        'chapter1.intro.0': 'Bonjour, {player_name} !',
+        'speaker.Cog': 'Rouage'
+    });
+    await localization.setLocale('fr');
+
+    const state = new StateManager();
+    state.setVariable('player_name', 'Ada');
+    const interpreter = new ScriptInterpreter(state, new NarrativeParser(state));
+    const shown = [];
+    interpreter.registerExecutor('dialogue', (item) => shown.push(`${item.speaker}: ${item.text}`));
+    interpreter.loadChapter({
+        number: 1,
+        id: 'chapter1',
+        scenes: [{
+            id: 'intro',
+            content: [
+                { type: 'dialogue', speaker: 'Cog', text: 'Hello, {player_name}!' },
+                { type: 'dialogue', speaker: 'Cog', text: 'Not translated yet.' }
+            ]
+        }]
+    });
+    await interpreter.run('intro');
+
+    assert.deepEqual(shown, ['Rouage: Bonjour, Ada !', 'Rouage: Not translated yet.']);
+});
+
+test('plural forms follow the number', () => {
+    const state = new StateManager();
+    const parser = new NarrativeParser(state);
+    const text = 'You have {gears plural =0[no gears] one[# gear] other[# gears]}.';
+
+    state.setVariable('gears', 0);
+    assert.equal(parser.parseVariable(text), 'You have no gears.');
+    state.setVariable('gears', 1);
+    assert.equal(parser.parseVariable(text), 'You have 1 gear.');
+    state.setVariable('gears', 4);
+    assert.equal(parser.parseVariable(text), 'You have 4 gears.');
+});
@@ -0,0 +1,52 @@
+/**
+ * Localization tests - the string extraction tool
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { readFileSync, statSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const tool = fileURLToPath(new URL('../tools/extract-strings.mjs', import.meta.url));
+const basePath = fileURLToPath(new URL('../data/locales/en.json', import.meta.url));
+
+/**
+ * Run the extraction tool and report whether en.json was touched
+ * @param {Array<string>} args - Arguments
+ * @returns {{status: number, stdout: string, stderr: string, written: boolean}}
+ */
+function extract(args) {
+    const before = { text: readFileSync(basePath, 'utf8'), time: statSync(basePath).mtimeMs };
+    const result = spawnSync(process.execPath, [tool, ...args], { encoding: 'utf8' });
+    const written = statSync(basePath).mtimeMs !== before.time || readFileSync(basePath, 'utf8') !== before.text;
+
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr, written };
+}
+
+test('--help prints the usage without writing en.json', () => {
+    const result = extract(['--help']);
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^Usage: /);
+    assert.equal(result.written, false);
+});
+
+test('an unknown argument is rejected before en.json is written', () => {
+    const result = extract(['--chek']);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Unknown argument "--chek"/);
+    assert.match(result.stderr, /Usage: /);
+    assert.equal(result.written, false);
+});
+
+test('--check leaves en.json alone', () => {
+    const result = extract(['--check']);
+
+    assert.equal(result.status, 0);
+    assert.equal(result.written, false);
+});
@@ -0,0 +1,112 @@
+/**
+ * Markup tests - hostile text comes out escaped or rejected
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { html, rich, setHtml } from '../src/utils/SafeHtml.js';
+import { parseMarkup, renderMarkup } from '../src/utils/TextMarkup.js';
+import { localization } from '../src/utils/Localization.js';
+import { DialogueRenderer } from '../src/narrative/DialogueRenderer.js';
+
+const SCRIPT = '<script>alert(1)</script>';
+const IMAGE = '<img src=x onerror="alert(1)">';
+const QUOTES = '" onmouseover="alert(1)" data-x=\'';
+
+/**
+ * Assert that a piece of rendered HTML carries no live markup from the input
+ * @param {string} output - Rendered HTML
+ */
+function assertInert(output) {
+    assert.doesNotMatch(output, /<script/i);
+    assert.doesNotMatch(output, /<img/i);
+    assert.doesNotMatch(output, /\son\w+="/i);
+    assert.doesNotMatch(output, /="[^"]*javascript:/i);
+}
+
+test('dialogue text is escaped, inside and outside style tags', () => {
+    for (const text of [SCRIPT, IMAGE, QUOTES, `[magic]${SCRIPT}[/magic]`, `**${IMAGE}**`]) {
+        const output = rich(text).toString();
+        assertInert(output);
+        assert.match(output, /&lt;|&quot;/);
+    }
+
+    assert.equal(renderMarkup(SCRIPT), '&lt;script&gt;alert(1)&lt;/script&gt;');
+});
+
+test('interpolated values cannot break out of an attribute', () => {
+    const output = html`<div class="backlog-speaker" title="${QUOTES}">${IMAGE}</div>`.toString();
+
+    assertInert(output);
+    assert.equal(output.match(/"/g).length, 4);
+});
+
+test('speaker names are escaped in lists and set as plain text in the dialogue box', () => {
+    const list = html`<div class="backlog-speaker">${SCRIPT}</div>`.toString();
+    assertInert(list);
+
+    const renderer = new DialogueRenderer();
+    renderer.speakerElement = { textContent: '', className: '', classList: { add() {} } };
+    renderer.setSpeaker(IMAGE);
+
+    assert.equal(renderer.speakerElement.textContent, IMAGE);
+    assert.equal(renderer.speakerElement.innerHTML, undefined);
+});
+
+test('localized strings are escaped like any other text', () => {
+    localization.addTable('en', {
+        'test.hostile': `Hello ${IMAGE}`,
+        'test.hostileParam': 'Hello {name}'
+    });
+
+    const element = { innerHTML: '' };
+    setHtml(element, localization.t('test.hostile'));
+    assertInert(element.innerHTML);
+
+    setHtml(element, html`<p title="${localization.t('test.hostileParam', '', { name: QUOTES })}">${localization.t('test.hostile')}</p>`);
+    assertInert(element.innerHTML);
+});
+
+test('unknown tags are shown as written, never as HTML', () => {
+    const output = rich('[script]alert(1)[/script] [img=x] [onerror=alert(1)]').toString();
+
+    assertInert(output);
+    assert.equal(output, '[script]alert(1)[/script] [img=x] [onerror=alert(1)]');
+});
+
+test('unclosed and stray tags are reported and the output stays balanced', () => {
+    const { errors } = parseMarkup('[magic]open [/loud]');
+    assert.deepEqual(errors, ['[/loud] has no opening tag', '[magic] is never closed']);
+
+    assert.equal(renderMarkup('[magic]open'), '<span class="text-magic">open</span>');
+    assert.equal(renderMarkup(`[magic]${SCRIPT}`, 3), '<span class="text-magic">&lt;sc</span>');
+});
+
+test('a javascript: value is rejected in every tag argument', () => {
+    for (const tag of ['color', 'speed', 'pause', 'sfx', 'expr']) {
+        const text = `[${tag}=javascript:alert(1)]Hi[/${tag}]`;
+        const markup = parseMarkup(text);
+
+        assert.deepEqual(markup.errors.slice(0, 1), [`[${tag}] needs a valid value`], tag);
+        assert.deepEqual(markup.events, [], tag);
+
+        const output = renderMarkup(markup);
+        assertInert(output);
+        assert.doesNotMatch(output, /style=/, tag);
+    }
+});
+
+test('a color value cannot carry extra CSS or attributes', () => {
+    for (const value of ['red;background:url(javascript:alert(1))', 'red"onclick="alert(1)', 'url(x)']) {
+        const output = rich(`[color=${value}]Hi[/color]`).toString();
+
+        assertInert(output);
+        assert.doesNotMatch(output, /style=/, value);
+    }
+
+    assert.equal(rich('[color=#c9a]Hi[/color]').toString(), '<span style="color: #c9a">Hi</span>');
+});
@@ -0,0 +1,40 @@
+/**
+ * New Game+ tests - what a finished run passes on to the next
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+
+test('a finished run passes on its discovered characters and items', () => {
+    const finished = new StateManager();
+    finished.discoverCharacter('elara', { name: 'Elara' });
+    finished.discoverItem('brass_gear', { name: 'Brass Gear' });
+    finished.setVariable('gold', 99);
+
+    const carryOver = JSON.parse(JSON.stringify(finished.getCarryOver()));
+
+    const next = new StateManager();
+    next.applyCarryOver(carryOver);
+
+    assert.deepEqual(Object.keys(next.getCarryOver().characters), ['elara']);
+    assert.deepEqual(Object.keys(next.getCarryOver().items), ['brass_gear']);
+    assert.equal(next.getVariable('gold'), null);
+});
+
+test('a New Game+ run is flagged, with every ending seen so far', () => {
+    const state = new StateManager();
+    state.applyCarryOver({ endings: ['restored', 'quiet'] });
+
+    assert.equal(state.hasFlag('ngplus'), true);
+    assert.equal(state.evaluateCondition('ending_restored_seen && ending_quiet_seen'), true);
+    assert.equal(state.hasFlag('ending_scrapped_seen'), false);
+});
+
+test('a fresh run is not New Game+', () => {
+    assert.equal(new StateManager().evaluateCondition('ngplus'), false);
+});
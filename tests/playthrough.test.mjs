@@ -0,0 +1,96 @@
+/**
+ * Playthrough runner tests - headless runs with scripted choices and puzzles
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PlaythroughRunner, PlaythroughStatus } from '../src/narrative/PlaythroughRunner.js';
+
+const CHAPTER = {
+    number: 1,
+    id: 'chapter1',
+    scenes: [
+        {
+            id: 'counter',
+            content: [
+                { type: 'narration', text: 'A customer waits.' },
+                {
+                    type: 'choice',
+                    prompt: 'Take the job?',
+                    options: [
+                        { text: 'Yes', next: 'repair' },
+                        { text: 'No', next: 'closed' }
+                    ]
+                }
+            ]
+        },
+        {
+            id: 'repair',
+            content: [
+                { type: 'puzzle', puzzleId: 'gears' },
+                { type: 'narration', text: 'Fixed.' },
+                { type: 'jump', target: 'end' }
+            ]
+        },
+        { id: 'closed', content: [{ type: 'narration', text: 'The shop closes.' }] },
+        { id: 'end', content: [] }
+    ]
+};
+
+/**
+ * Create a runner for the test chapter, or for other scenes
+ * @param {Array<Object>} [scenes] - Scene data
+ * @returns {PlaythroughRunner}
+ */
+function createRunner(scenes = CHAPTER.scenes) {
+    const runner = new PlaythroughRunner({
+        chapters: [{ ...CHAPTER, scenes }],
+        puzzles: [{ id: 'gears', type: 'gear' }]
+    });
+    runner.maxSteps = 100;
+    return runner;
+}
+
+test('scripted choices and puzzle scores play a branch to the end', async () => {
+    const result = await createRunner().play({ choices: [0], puzzles: [80] });
+
+    assert.equal(result.status, PlaythroughStatus.COMPLETE);
+    assert.deepEqual(result.transcript.map(line => line.text), ['A customer waits.', 'Fixed.']);
+    assert.equal(result.state.variables.puzzle_gears_score, 80);
+});
+
+test('running out of scripted choices stops at the pending choice', async () => {
+    const result = await createRunner().play();
+
+    assert.equal(result.status, PlaythroughStatus.AWAITING_CHOICE);
+    assert.deepEqual(result.pendingChoice.available, [0, 1]);
+});
+
+test('explore plays every branch', async () => {
+    const results = await createRunner().explore({ puzzles: [100] });
+    const endings = results.map(result => result.transcript.at(-1).text);
+
+    assert.deepEqual(endings, ['Fixed.', 'The shop closes.']);
+    assert.ok(results.every(result => result.status === PlaythroughStatus.COMPLETE));
+});
+
+test('broken content is reported as a failure', async () => {
+    const runner = createRunner();
+    const stuck = await runner.play({ choices: [0], puzzles: [false] });
+    assert.equal(stuck.status, PlaythroughStatus.STUCK_PUZZLE);
+    assert.equal(runner.isFailure(stuck), true);
+
+    const softlock = await createRunner([{
+        id: 'locked',
+        content: [{ type: 'choice', options: [{ text: 'Open', condition: 'has_key', next: 'locked' }] }]
+    }]).play();
+    assert.equal(softlock.status, PlaythroughStatus.SOFTLOCK);
+
+    const loop = await createRunner([{ id: 'loop', content: [{ type: 'jump', target: 'loop' }] }]).play();
+    assert.equal(loop.status, PlaythroughStatus.STEP_LIMIT);
+    assert.equal(runner.isFailure(loop), true);
+});
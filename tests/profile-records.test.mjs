@@ -0,0 +1,103 @@
+/**
+ * Profile record tests - progress kept across every playthrough
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ProfileManager } from '../src/core/ProfileManager.js';
+
+// The profile lives in localStorage, which Node does not have
+const stored = new Map();
+globalThis.localStorage = {
+    getItem: key => stored.get(key) ?? null,
+    setItem: (key, value) => stored.set(key, String(value)),
+    removeItem: key => stored.delete(key),
+    clear: () => stored.clear()
+};
+
+beforeEach(() => stored.clear());
+
+/**
+ * Load the stored profile into a new manager
+ * @returns {ProfileManager}
+ */
+function reload() {
+    const profile = new ProfileManager();
+    profile.load();
+    return profile;
+}
+
+test('chapters, endings, achievements and gallery unlocks outlive the manager', () => {
+    const profile = reload();
+    profile.completeChapter(2);
+    profile.completeChapter(1);
+    assert.equal(profile.recordEnding('restored'), true);
+    assert.equal(profile.recordEnding('restored'), false);
+    profile.unlockAchievement('first_repair');
+    profile.unlockGallery('workshop');
+    profile.setCarryOver({ characters: {}, items: {} });
+
+    const loaded = reload();
+    assert.deepEqual([...loaded.getCompletedChapters()], [1, 2]);
+    assert.equal(loaded.hasEnding('restored'), true);
+    assert.equal(loaded.hasAchievement('first_repair'), true);
+    assert.equal(loaded.isGalleryUnlocked('workshop'), true);
+    assert.deepEqual(loaded.getCarryOver(), { characters: {}, items: {} });
+});
+
+test('only a better puzzle score replaces the best one', () => {
+    const profile = reload();
+
+    assert.equal(profile.recordPuzzleScore('gears', 70), true);
+    assert.equal(profile.recordPuzzleScore('gears', 50), false);
+    assert.equal(profile.recordPuzzleScore('gears', 90), true);
+    assert.equal(reload().getPuzzleBest('gears'), 90);
+    assert.equal(reload().getPuzzleBest('lock'), null);
+});
+
+test('an exported profile imports into another, and bad data is refused', () => {
+    const profile = reload();
+    profile.recordEnding('restored');
+    profile.markLineRead('chapter1:workshop:0');
+    const exported = profile.exportProfile();
+    profile.reset();
+
+    const error = console.error;
+    console.error = () => {};
+    try {
+        assert.equal(profile.importProfile('{"version": 0}'), false);
+        assert.equal(profile.importProfile('not json'), false);
+    } finally {
+        console.error = error;
+    }
+    assert.equal(profile.importProfile(exported), true);
+
+    const loaded = reload();
+    assert.equal(loaded.hasEnding('restored'), true);
+    assert.equal(loaded.hasReadLine('chapter1:workshop:0'), true);
+});
+
+test('playtime is written out in batches and when flushed', () => {
+    const profile = reload();
+
+    profile.addPlaytime(5);
+    assert.equal(reload().getPlaytime(), 0);
+    profile.flush();
+    assert.equal(reload().getPlaytime(), 5);
+    profile.addPlaytime(60);
+    assert.equal(reload().getPlaytime(), 65);
+});
+
+test('resetting forgets everything', () => {
+    const profile = reload();
+    profile.recordEnding('restored');
+
+    profile.reset();
+
+    assert.equal(profile.hasEnding('restored'), false);
+    assert.equal(reload().hasEnding('restored'), false);
+});
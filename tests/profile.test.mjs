@@ -0,0 +1,160 @@
+/**
+ * Profile tests - importing, loading, upgrading, read lines and gallery unlocks
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ProfileManager, PROFILE_VERSION } from '../src/core/ProfileManager.js';
+import { SceneManager } from '../src/core/SceneManager.js';
+
+// The profile lives in localStorage, which Node does not have
+const stored = new Map();
+globalThis.localStorage = {
+    getItem: key => stored.get(key) ?? null,
+    setItem: (key, value) => stored.set(key, String(value)),
+    removeItem: key => stored.delete(key),
+    clear: () => stored.clear()
+};
+
+beforeEach(() => stored.clear());
+
+/**
+ * Export a profile with some fields replaced
+ * @param {Object} fields - Fields to replace
+ * @returns {string}
+ */
+function exported(fields) {
+    const source = new ProfileManager();
+    source.recordEnding('restored');
+    return JSON.stringify({ ...JSON.parse(source.exportProfile()), ...fields });
+}
+
+test('an exported profile imports into another', () => {
+    const profile = new ProfileManager();
+
+    assert.equal(profile.importProfile(exported({ readLines: ['chapter1.intro.0'] })), true);
+    assert.equal(profile.hasEnding('restored'), true);
+    assert.equal(profile.hasReadLine('chapter1.intro.0'), true);
+});
+
+test('an import with a field of the wrong type is rejected and changes nothing', () => {
+    const profile = new ProfileManager();
+    profile.load();
+    profile.markLineRead('chapter1.intro.0');
+    const before = profile.exportProfile();
+
+    const malformed = [
+        { endings: null },
+        { readLines: 'x' },
+        { readLines: [1, 2] },
+        { completedChapters: ['one'] },
+        { endings: { restored: 'yesterday' } },
+        { achievementProgress: { explorer: {} } },
+        { playtime: -5 },
+        { puzzleScores: [] },
+        { carryOver: 'everything' }
+    ];
+
+    const errors = [];
+    const original = console.error;
+    console.error = (message, error) => errors.push(error.message);
+    try {
+        for (const fields of malformed) {
+            assert.equal(profile.importProfile(exported(fields)), false, JSON.stringify(fields));
+        }
+        assert.equal(profile.importProfile('not json'), false);
+        assert.equal(profile.importProfile(JSON.stringify({ endings: {} })), false);
+        assert.equal(profile.importProfile(exported({ version: PROFILE_VERSION + 1 })), false);
+    } finally {
+        console.error = original;
+    }
+
+    assert.equal(errors[0], 'Invalid profile fields: endings');
+    assert.equal(errors[1], 'Invalid profile fields: readLines');
+    assert.equal(profile.exportProfile(), before);
+    assert.equal(profile.hasEnding('restored'), false);
+});
+
+test('a stored profile with malformed fields loads with their defaults', () => {
+    stored.set('befixed_profile', JSON.stringify({
+        version: PROFILE_VERSION,
+        readLines: ['chapter1.intro.0'],
+        endings: null,
+        gallery: 'all',
+        playtime: 'long'
+    }));
+
+    const profile = new ProfileManager();
+    profile.load();
+
+    assert.equal(profile.hasReadLine('chapter1.intro.0'), true);
+    assert.equal(profile.hasEnding('restored'), false);
+    assert.equal(profile.isGalleryUnlocked('all'), false);
+    assert.equal(profile.getPlaytime(), 0);
+});
+
+test('records kept before the profile existed are upgraded into it', () => {
+    stored.set('befixed_read_lines', JSON.stringify(['chapter1.intro.0']));
+    stored.set('befixed_completed_chapters', JSON.stringify([1]));
+    stored.set('befixed_endings', JSON.stringify({ restored: 1700000000000 }));
+    stored.set('befixed_new_game_plus', JSON.stringify({ chapter: 1 }));
+
+    const profile = new ProfileManager();
+    profile.load();
+
+    assert.equal(profile.hasReadLine('chapter1.intro.0'), true);
+    assert.deepEqual([...profile.getCompletedChapters()], [1]);
+    assert.equal(profile.getEndingTime('restored'), 1700000000000);
+    assert.deepEqual(profile.getCarryOver(), { chapter: 1 });
+
+    assert.equal(JSON.parse(stored.get('befixed_profile')).version, PROFILE_VERSION);
+    assert.deepEqual([...stored.keys()], ['befixed_profile']);
+});
+
+test('an older record of the wrong type is dropped while upgrading', () => {
+    stored.set('befixed_read_lines', JSON.stringify('everything'));
+    stored.set('befixed_endings', JSON.stringify({ restored: 1700000000000 }));
+
+    const profile = new ProfileManager();
+    profile.load();
+
+    assert.equal(profile.getReadLineCount(), 0);
+    assert.equal(profile.hasEnding('restored'), true);
+});
+
+test('read lines are written out in a batch when the profile is flushed', () => {
+    const profile = new ProfileManager();
+    profile.load();
+    const savedLines = () => JSON.parse(stored.get('befixed_profile')).readLines;
+
+    profile.markLineRead('chapter1.intro.0');
+    profile.markLineRead('chapter1.intro.1');
+    assert.deepEqual(savedLines(), []);
+
+    profile.flush();
+    assert.deepEqual(savedLines(), ['chapter1.intro.0', 'chapter1.intro.1']);
+
+    profile.recordEnding('restored');
+    assert.ok(JSON.parse(stored.get('befixed_profile')).endings.restored);
+});
+
+test('showing a background unlocks it in the gallery', () => {
+    globalThis.document = { getElementById: () => ({ style: {} }) };
+    try {
+        const profile = new ProfileManager();
+        const scenes = new SceneManager({ profile });
+        scenes.currentChapterData = { backgrounds: { workshop: 'assets/images/backgrounds/workshop.png' } };
+
+        scenes.setBackground('workshop');
+        scenes.setBackground({ image: 'assets/images/backgrounds/street.png', position: 'top' });
+
+        assert.equal(profile.isGalleryUnlocked('assets/images/backgrounds/workshop.png'), true);
+        assert.equal(profile.isGalleryUnlocked('assets/images/backgrounds/street.png'), true);
+    } finally {
+        delete globalThis.document;
+    }
+});
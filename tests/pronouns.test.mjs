@@ -0,0 +1,55 @@
+/**
+ * Pronoun tests - the player's name and pronouns in text and conditions
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { getPronounForms, getPronounLabel, getPronounSetIds } from '../src/narrative/Pronouns.js';
+
+const LINE = '{They} fixed it {themself}! Is this {their} workshop, {player.name}?';
+
+/**
+ * Interpolate a line for a player
+ * @param {Object} player - { name, pronouns }
+ * @param {string} text - Line
+ * @returns {string}
+ */
+function say(player, text) {
+    const state = new StateManager();
+    state.setPlayer(player);
+    return new NarrativeParser(state).parseVariable(text);
+}
+
+test('every pronoun set can be picked', () => {
+    assert.deepEqual(getPronounSetIds(), ['she', 'he', 'they']);
+    assert.equal(getPronounLabel('she'), 'she/her');
+    assert.equal(getPronounForms('he').Themself, 'Himself');
+});
+
+test('text takes the forms of the chosen set and the chosen name', () => {
+    assert.equal(say({ name: 'Ada', pronouns: 'she' }, LINE), 'She fixed it herself! Is this her workshop, Ada?');
+    assert.equal(say({ name: 'Tom', pronouns: 'he' }, LINE), 'He fixed it himself! Is this his workshop, Tom?');
+    assert.equal(say({ name: 'Sam', pronouns: 'they' }, LINE), 'They fixed it themself! Is this their workshop, Sam?');
+});
+
+test('a blank name falls back to the default', () => {
+    const state = new StateManager();
+    state.setPlayer({ name: '   ', pronouns: 'she' });
+
+    assert.deepEqual(state.getPlayer(), { name: 'Artificer', pronouns: 'she' });
+});
+
+test('the player details work in conditions and select forms', () => {
+    const state = new StateManager();
+    state.setPlayer({ name: 'Ada', pronouns: 'they' });
+    const parser = new NarrativeParser(state);
+
+    assert.equal(state.evaluateCondition("player.pronouns == 'they' && player.name == 'Ada'"), true);
+    assert.equal(parser.parseVariable('{They} {player.pronouns select they[are] other[is]} busy.'), 'They are busy.');
+});
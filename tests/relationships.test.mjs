@@ -0,0 +1,80 @@
+/**
+ * Relationship tests - values, ranges, thresholds and conditions
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { Relationships } from '../src/narrative/Relationships.js';
+import { globalEvents, GameEvents } from '../src/utils/EventEmitter.js';
+
+const ELARA = {
+    initial: 1,
+    min: -5,
+    max: 5,
+    thresholds: [
+        { id: 'trusting', name: 'Trusting', at: 4 },
+        { id: 'guarded', name: 'Guarded', at: -2 }
+    ]
+};
+
+/**
+ * Run a test body with Elara's relationship defined
+ * @param {Function} body - (relationships, state) => void
+ */
+function withRelationships(body) {
+    const state = new StateManager();
+    const relationships = new Relationships(state);
+    relationships.define('elara', ELARA);
+    try {
+        body(relationships, state);
+    } finally {
+        relationships.destroy();
+    }
+}
+
+test('values start at their initial value and stay within range', () => {
+    withRelationships((relationships, state) => {
+        assert.equal(relationships.get('elara'), 1);
+        assert.equal(state.getVariable('relationship_elara'), 1);
+
+        relationships.apply({ character: 'elara', change: 10 });
+        assert.equal(relationships.get('elara'), 5);
+
+        relationships.apply({ character: 'elara', set: -20 });
+        assert.equal(relationships.get('elara'), -5);
+    });
+});
+
+test('the standing is the highest threshold reached, announced when it changes', () => {
+    withRelationships((relationships) => {
+        const crossed = [];
+        const unsubscribe = globalEvents.on(GameEvents.RELATIONSHIP_THRESHOLD, (data) => crossed.push(data));
+        try {
+            assert.equal(relationships.getStanding('elara').id, 'guarded');
+            relationships.change('elara', 2);
+            relationships.change('elara', 1);
+        } finally {
+            unsubscribe();
+        }
+
+        assert.equal(relationships.getStanding('elara').id, 'trusting');
+        assert.equal(crossed.length, 1);
+        assert.equal(crossed[0].previous.id, 'guarded');
+        assert.equal(crossed[0].rising, true);
+    });
+});
+
+test('conditions and expressions can read relationships', () => {
+    withRelationships((relationships, state) => {
+        relationships.set('elara', 4);
+
+        assert.equal(state.evaluateCondition({ type: 'relationship', character: 'elara', threshold: 'trusting' }), true);
+        assert.equal(state.evaluateCondition({ type: 'relationship', character: 'elara', operator: '<', value: 0 }), false);
+        assert.equal(state.evaluateCondition("relationship('elara') >= 4 && standing('elara') == 'trusting'"), true);
+    });
+});
@@ -0,0 +1,82 @@
+/**
+ * Resume tests - a saved script position picks up the same line
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ScriptInterpreter } from '../src/narrative/ScriptInterpreter.js';
+
+const CHAPTER = {
+    number: 1,
+    id: 'chapter1',
+    scenes: [
+        {
+            id: 'repair',
+            content: [
+                { type: 'dialogue', speaker: 'Cog', text: 'Ready?' },
+                {
+                    type: 'if',
+                    condition: 'has_tools',
+                    then: [
+                        { type: 'dialogue', speaker: 'Cog', text: 'Tools out.' },
+                        { type: 'dialogue', speaker: 'Cog', text: 'Careful with that spring.' }
+                    ]
+                },
+                { type: 'dialogue', speaker: 'Cog', text: 'All done.' }
+            ]
+        },
+        { id: 'after', content: [{ type: 'dialogue', speaker: 'Cog', text: 'Next job.' }] }
+    ]
+};
+
+/**
+ * Build an interpreter whose dialogue lines wait to be clicked through
+ * @returns {{interpreter: ScriptInterpreter, shown: Array<string>, next: Function}}
+ */
+function createInterpreter() {
+    const state = new StateManager();
+    state.setFlag('has_tools');
+    const interpreter = new ScriptInterpreter(state, new NarrativeParser(state));
+    const shown = [];
+    let advance = null;
+
+    interpreter.registerExecutor('dialogue', (item) => {
+        shown.push(item.text);
+        return new Promise(resolve => { advance = resolve; });
+    });
+    interpreter.loadChapter(CHAPTER);
+
+    // Click through the line on screen and let the script reach the next one
+    const next = async () => {
+        advance();
+        for (let i = 0; i < 10; i++) await Promise.resolve();
+    };
+
+    return { interpreter, shown, next };
+}
+
+test('the position of a line in progress resumes on that same line', async () => {
+    const first = createInterpreter();
+    first.interpreter.run('repair');
+    await first.next();
+
+    assert.deepEqual(first.shown, ['Ready?', 'Tools out.']);
+    const position = first.interpreter.getPosition();
+    first.interpreter.stop();
+
+    assert.equal(position.sceneId, 'repair');
+    assert.equal(first.interpreter.getNodeAt(position.sceneId, position.path).text, 'Tools out.');
+
+    const second = createInterpreter();
+    const run = second.interpreter.run(position.sceneId, position.path);
+    for (let i = 0; i < 4; i++) await second.next();
+    await run;
+
+    assert.deepEqual(second.shown, ['Tools out.', 'Careful with that spring.', 'All done.', 'Next job.']);
+});
@@ -0,0 +1,83 @@
+/**
+ * Rollback tests - rewinding state, lines and choices, and barriers
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ScriptInterpreter } from '../src/narrative/ScriptInterpreter.js';
+import { Backlog } from '../src/narrative/Backlog.js';
+
+test('rolling back restores the state at an earlier point with its details', () => {
+    const state = new StateManager();
+
+    state.setVariable('gold', 10);
+    state.saveToHistory({ line: 1 });
+    state.setVariable('gold', 4);
+    state.setFlag('paid');
+    state.addItem('spring');
+    state.saveToHistory({ line: 2 });
+
+    assert.equal(state.canRestoreFromHistory(2), true);
+    assert.equal(state.canRestoreFromHistory(3), false);
+
+    const entry = state.restoreFromHistory(2);
+    assert.deepEqual(entry.meta, { line: 1 });
+    assert.equal(state.getVariable('gold'), 10);
+    assert.equal(state.hasFlag('paid'), false);
+    assert.equal(state.hasItem('spring'), false);
+    assert.equal(state.history.length, 0);
+    assert.equal(state.restoreFromHistory(), null);
+});
+
+test('history keeps only the newest points', () => {
+    const state = new StateManager();
+    state.maxHistory = 3;
+
+    for (let line = 1; line <= 5; line++) {
+        state.saveToHistory({ line });
+    }
+
+    assert.deepEqual(state.history.map(entry => entry.meta.line), [3, 4, 5]);
+});
+
+test('a barrier command clears the points before it', async () => {
+    const state = new StateManager();
+    const interpreter = new ScriptInterpreter(state, new NarrativeParser(state));
+    interpreter.registerExecutor('narration', () => state.saveToHistory());
+    interpreter.loadChapter({
+        number: 1,
+        id: 'chapter1',
+        scenes: [{
+            id: 'repair',
+            content: [
+                { type: 'narration', text: 'Before the puzzle.' },
+                { type: 'narration', text: 'Still before.' },
+                { type: 'barrier' },
+                { type: 'narration', text: 'After the puzzle.' }
+            ]
+        }]
+    });
+
+    await interpreter.run('repair');
+
+    assert.equal(state.history.length, 1);
+});
+
+test('the backlog forgets lines shown after the point rolled back to', () => {
+    const backlog = new Backlog();
+    backlog.restore([
+        { type: 'narration', text: 'One', timestamp: 100 },
+        { type: 'narration', text: 'Two', timestamp: 200 },
+        { type: 'narration', text: 'Three', timestamp: 300 }
+    ]);
+
+    backlog.rewind(200);
+
+    assert.deepEqual(backlog.getEntries().map(entry => entry.text), ['One']);
+});
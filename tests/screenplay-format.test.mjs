@@ -0,0 +1,82 @@
+/**
+ * Screenplay format tests - compiling text and decompiling chapters
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ScreenplayError, compileScreenplay, decompileChapter } from '../src/narrative/Screenplay.js';
+
+const SOURCE = `title: The Broken Automaton
+number: 1
+
+=== intro | Opening ===
+:: background: workshop
+@enter cog right animation=fade
+The sun rises over the workshop.
+Cog (happy): Good morning!
+#flag met_cog
+$ trust = trust + 1
+@if trust >= 1
+[if met_cog] Cog: I like you already.
+@else
+Cog: Hmm.
+@end
+? How do you respond?
+> I do my best. -> humble
+> [if trust > 5] Flatter Cog -> humble
+=== humble ===
+| Note: the end.
+`;
+
+test('each kind of line compiles to its chapter command', () => {
+    const chapter = compileScreenplay(SOURCE);
+
+    assert.equal(chapter.title, 'The Broken Automaton');
+    assert.equal(chapter.number, 1);
+    assert.deepEqual(chapter.scenes[0], {
+        id: 'intro',
+        name: 'Opening',
+        background: 'workshop',
+        content: [
+            { type: 'character', action: 'enter', character: 'cog', position: 'right', animation: 'fade' },
+            { type: 'narration', text: 'The sun rises over the workshop.' },
+            { type: 'dialogue', speaker: 'Cog', text: 'Good morning!', emotion: 'happy' },
+            { type: 'flag', set: 'met_cog' },
+            { type: 'variable', set: 'trust = trust + 1' },
+            {
+                type: 'if',
+                condition: 'trust >= 1',
+                then: [{ type: 'dialogue', speaker: 'Cog', text: 'I like you already.', condition: 'met_cog' }],
+                else: [{ type: 'dialogue', speaker: 'Cog', text: 'Hmm.' }]
+            },
+            {
+                type: 'choice',
+                prompt: 'How do you respond?',
+                options: [
+                    { text: 'I do my best.', next: 'humble' },
+                    { text: 'Flatter Cog', next: 'humble', condition: 'trust > 5' }
+                ]
+            }
+        ]
+    });
+    assert.deepEqual(chapter.scenes[1].content, [{ type: 'narration', text: 'Note: the end.' }]);
+});
+
+test('compile errors name the file and line', () => {
+    assert.throws(
+        () => compileScreenplay('=== intro ===\nHello.\n@teleport cog\n', { file: 'intro.screenplay' }),
+        error => error instanceof ScreenplayError && /^intro\.screenplay:3: /.test(error.message)
+    );
+});
+
+test('a decompiled chapter compiles back to the same data', () => {
+    const chapter = JSON.parse(readFileSync(new URL('../data/chapters/chapter1.json', import.meta.url), 'utf8'));
+
+    assert.deepEqual(compileScreenplay(decompileChapter(chapter)), chapter);
+    assert.deepEqual(compileScreenplay(decompileChapter(compileScreenplay(SOURCE))), compileScreenplay(SOURCE));
+});
@@ -0,0 +1,128 @@
+/**
+ * Screenplay tests - compiled screenplays run as written
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { ScreenplayError, compileScreenplay, decompileChapter } from '../src/narrative/Screenplay.js';
+import { PlaythroughRunner, PlaythroughStatus } from '../src/narrative/PlaythroughRunner.js';
+
+const LOOP = `title: Loops
+number: 1
+
+=== workshop | Workshop ===
+$ laps = 0
+[label top] Lap {laps}.
+$ laps = laps + 1
+[if laps < 3] -> #top
+-> #out
+This is skipped.
+@label out
+Done.
+`;
+
+test('"-> #label" compiles to a jump to a label in the same scene', () => {
+    const chapter = compileScreenplay(LOOP);
+    const jumps = chapter.scenes[0].content.filter(node => node.type === 'jump');
+
+    assert.deepEqual(jumps, [
+        { type: 'jump', label: 'top', condition: 'laps < 3' },
+        { type: 'jump', label: 'out' }
+    ]);
+    assert.match(decompileChapter(chapter), /-> #top/);
+});
+
+test('a compiled screenplay takes its "-> #label" jumps when played', async () => {
+    const runner = new PlaythroughRunner({ chapters: [compileScreenplay(LOOP)] });
+    runner.maxSteps = 200;
+    const result = await runner.play();
+
+    assert.equal(result.status, PlaythroughStatus.COMPLETE);
+    assert.deepEqual(result.transcript.map(line => line.text), ['Lap 0.', 'Lap 1.', 'Lap 2.', 'Done.']);
+});
+
+/**
+ * Compile a screenplay that should fail and return its errors
+ * @param {string} text - Screenplay source
+ * @returns {Array<{line: number, message: string}>}
+ */
+function compileErrors(text) {
+    try {
+        compileScreenplay(text);
+    } catch (error) {
+        assert.ok(error instanceof ScreenplayError, error.message);
+        return error.errors;
+    }
+    assert.fail('Expected the screenplay not to compile');
+}
+
+test('invalid lines are reported with their line numbers', () => {
+    const errors = compileErrors(`title: Broken
+
+=== workshop ===
+@enter
+> Walk away
+???
+-> #missing_label
+-> nowhere
+[if trust >=] Cog: Hmm.
+$ trust + 1
+? Well?
+Done.
+`);
+
+    assert.deepEqual(errors.map(error => error.line), [4, 5, 6, 7, 8, 9, 10, 11]);
+    assert.match(errors[0].message, /"@enter" needs a character/);
+    assert.match(errors[1].message, /without a "\?" line/);
+    assert.match(errors[2].message, /Unrecognised line "\?\?\?"/);
+    assert.match(errors[3].message, /no label "missing_label"/);
+    assert.match(errors[4].message, /Unknown scene "nowhere"/);
+    assert.match(errors[7].message, /Choice has no/);
+});
+
+test('conditions, option conditions and @if blocks are checked where they are written', () => {
+    const errors = compileErrors(`=== workshop ===
+? Choose
+> [if gold >] Pay -> workshop
+@if (trust
+Hmm.
+@end
+`);
+
+    assert.deepEqual(errors.map(error => error.line), [3, 4]);
+});
+
+test('jumps to labels and scenes written later in the chapter compile', () => {
+    const chapter = compileScreenplay(`=== first ===
+-> second#middle
+? Where to?
+> Back -> first
+=== second ===
+[label middle] Here.
+`);
+
+    assert.equal(chapter.scenes.length, 2);
+});
+
+test('the screenplay tool exits non-zero with file:line errors', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'screenplay-'));
+    const file = join(dir, 'broken.screenplay');
+    writeFileSync(file, '=== workshop ===\n[if has(] Cog: Hmm.\n@if nosuch_function(1)\nHi.\n@end\n');
+
+    const tool = fileURLToPath(new URL('../tools/screenplay.mjs', import.meta.url));
+    const result = spawnSync(process.execPath, [tool, 'compile', file], { encoding: 'utf8' });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^broken\.screenplay:2: /m);
+    assert.match(result.stderr, /^broken\.screenplay:3: Unknown function nosuch_function\(\)/m);
+    assert.equal(result.stdout, '');
+});
@@ -0,0 +1,47 @@
+/**
+ * Text markup tests - style and event tags in dialogue text
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMarkup, renderMarkup, stripMarkup } from '../src/utils/TextMarkup.js';
+
+test('style tags render as elements and bold and italic shorthand works', () => {
+    assert.equal(renderMarkup('A **bold** move'), 'A <strong class="text-emphasis">bold</strong> move');
+    assert.equal(renderMarkup('*quietly*'), '<em>quietly</em>');
+    assert.equal(renderMarkup('[color=#e6c44a]gold[/color]'), '<span style="color: #e6c44a">gold</span>');
+    assert.equal(renderMarkup('[thought]Hmm[/thought]'), '<span class="text-thought">Hmm</span>');
+});
+
+test('a partial render closes every tag it opened', () => {
+    assert.equal(renderMarkup('[magic]sparkle[/magic] dust', 3), '<span class="text-magic">spa</span>');
+});
+
+test('event tags are placed at the character they come before', () => {
+    const { chars, events, errors } = parseMarkup('Wait[pause=500] for it[sfx=gear_click].[expr=worried]');
+
+    assert.equal(chars.map(({ char }) => char).join(''), 'Wait for it.');
+    assert.deepEqual(events, [
+        { index: 4, type: 'pause', value: 500 },
+        { index: 11, type: 'sfx', value: 'gear_click' },
+        { index: 12, type: 'expr', value: 'worried' }
+    ]);
+    assert.deepEqual(errors, []);
+});
+
+test('speed tags scale the typing speed of the text inside them', () => {
+    const { chars } = parseMarkup('a[speed=0.5]b[speed=2]c[/speed][/speed]d');
+
+    assert.deepEqual(chars.map(({ speed }) => speed), [1, 0.5, 1, 1]);
+});
+
+test('unknown brackets stay as written and mistakes are reported', () => {
+    assert.equal(stripMarkup('[note] the [b]gear[/b]'), '[note] the gear');
+
+    const { errors } = parseMarkup('[shake]loose [pause=soon] [/wave]');
+    assert.deepEqual(errors, ['[pause] needs a valid value', '[/wave] has no opening tag', '[shake] is never closed']);
+});
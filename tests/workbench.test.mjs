@@ -0,0 +1,89 @@
+/**
+ * Workbench tests - combining inventory items by recipe
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { Workbench } from '../src/core/Workbench.js';
+
+const RECIPES = [{
+    id: 'repair_schematic',
+    name: 'Repair Schematic',
+    ingredients: { diagnosis_notes: 1, broken_automaton: 1 },
+    keep: ['broken_automaton'],
+    result: { repair_schematic: 1 },
+    condition: 'diagnosed_automaton',
+    success: 'The notes become a plan.',
+    failure: 'You need to diagnose it first.'
+}, {
+    id: 'gear_train',
+    ingredients: { brass_gear: 2 },
+    result: { gear_train: 1 }
+}];
+
+/**
+ * Set up a workbench with the test recipes
+ * @returns {{ state: StateManager, workbench: Workbench }}
+ */
+function setup() {
+    const state = new StateManager();
+    const workbench = new Workbench(state);
+    workbench.define(RECIPES);
+    state.addItem('diagnosis_notes');
+    state.addItem('broken_automaton');
+    state.addItem('brass_gear', 3);
+    return { state, workbench };
+}
+
+test('a recipe only matches its exact ingredients', () => {
+    const { workbench } = setup();
+
+    assert.equal(workbench.findRecipe(['brass_gear', 'brass_gear']).id, 'gear_train');
+    assert.equal(workbench.findRecipe(['brass_gear']), null);
+    assert.equal(workbench.findRecipe(['brass_gear', 'brass_gear', 'brass_gear']), null);
+    assert.equal(workbench.findRecipe(['broken_automaton', 'diagnosis_notes']).id, 'repair_schematic');
+});
+
+test('combining uses up the ingredients, keeps the kept ones and records the recipe', () => {
+    const { state, workbench } = setup();
+    state.setFlag('diagnosed_automaton');
+
+    const outcome = workbench.combine(['diagnosis_notes', 'broken_automaton']);
+
+    assert.equal(outcome.success, true);
+    assert.equal(outcome.message, 'The notes become a plan.');
+    assert.equal(state.hasItem('diagnosis_notes'), false);
+    assert.equal(state.hasItem('broken_automaton'), true);
+    assert.equal(state.hasItem('repair_schematic'), true);
+    assert.deepEqual(workbench.getDiscovered().map(recipe => recipe.id), ['repair_schematic']);
+});
+
+test('nothing is used up when the condition fails or the items are missing', () => {
+    const { state, workbench } = setup();
+
+    const outcome = workbench.combine(['diagnosis_notes', 'broken_automaton']);
+    assert.equal(outcome.success, false);
+    assert.equal(outcome.message, 'You need to diagnose it first.');
+    assert.equal(state.hasItem('diagnosis_notes'), true);
+
+    assert.equal(workbench.combine(['lens', 'lens']).success, false);
+    assert.equal(workbench.getDiscovered().length, 0);
+});
+
+test('discovered recipes are saved and carried over', () => {
+    const { state, workbench } = setup();
+    workbench.combine(['brass_gear', 'brass_gear']);
+
+    const restored = new StateManager();
+    restored.loadAll(JSON.parse(JSON.stringify(state.getAll())));
+    assert.equal(restored.hasDiscoveredRecipe('gear_train'), true);
+
+    const next = new StateManager();
+    next.applyCarryOver(state.getCarryOver());
+    assert.equal(next.hasDiscoveredRecipe('gear_train'), true);
+});
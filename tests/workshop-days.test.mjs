@@ -0,0 +1,112 @@
+/**
+ * Workshop day tests - the calendar between chapters and its side jobs
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { Economy } from '../src/core/Economy.js';
+import { Workshop, WORKSHOP_SEED_VARIABLE } from '../src/core/Workshop.js';
+import { PuzzleFactory } from '../src/puzzles/PuzzleFactory.js';
+import { globalEvents, GameEvents } from '../src/utils/EventEmitter.js';
+
+const WORKSHOP = {
+    jobsPerDay: 2,
+    days: { 2: 2 },
+    customers: [{ id: 'baker', name: 'Hollis the Baker' }],
+    templates: [
+        { id: 'music_box', title: 'A music box for {customer}', puzzle: 'gears', payment: 20, params: { difficulty: ['easy', 'hard'] } },
+        { id: 'lamp', title: 'A lamp', puzzle: 'gears', payment: 10, reputation: 1 },
+        { id: 'locked', title: 'Locked away', puzzle: 'gears', condition: 'reputation >= 5' },
+        { id: 'missing', title: 'No such puzzle', puzzle: 'nowhere' }
+    ]
+};
+
+/**
+ * Run a test against a workshop on a fresh state
+ * @param {Function} fn - ({ state, economy, workshop }) => void
+ */
+function withWorkshop(fn) {
+    const state = new StateManager();
+    const economy = new Economy(state);
+    economy.define({ startingGold: 0, orders: [{ id: 'clock', title: 'The town clock', puzzle: 'gears', payment: 30 }] });
+
+    const puzzles = new PuzzleFactory(state);
+    puzzles.puzzleConfigs.set('gears', { id: 'gears', type: 'mechanical', difficulty: 'normal' });
+
+    const workshop = new Workshop(state, economy);
+    workshop.define(WORKSHOP);
+    workshop.setPuzzleFactory(puzzles);
+    state.setVariable(WORKSHOP_SEED_VARIABLE, 7);
+    try {
+        fn({ state, economy, workshop });
+    } finally {
+        workshop.destroy();
+        economy.destroy();
+    }
+}
+
+test('the workshop opens for the chapter\'s days, then hands over to the chapter', () => {
+    withWorkshop(({ workshop }) => {
+        assert.equal(workshop.begin(3), false);
+        assert.equal(workshop.begin(2), true);
+        assert.equal(workshop.getDay(), 2);
+        assert.equal(workshop.getDaysLeft(), 2);
+
+        assert.equal(workshop.endDay(), null);
+        assert.equal(workshop.getDaysLeft(), 1);
+
+        const closed = [];
+        const unsubscribe = globalEvents.on(GameEvents.WORKSHOP_CLOSE, (data) => closed.push(data.chapter));
+        assert.equal(workshop.endDay(), 2);
+        unsubscribe();
+
+        assert.deepEqual(closed, [2]);
+        assert.equal(workshop.isActive(), false);
+    });
+});
+
+test('side jobs come from the templates whose condition and puzzle hold', () => {
+    withWorkshop(({ workshop }) => {
+        workshop.begin(2);
+        const jobs = workshop.getJobs();
+
+        assert.deepEqual(jobs.map(job => job.id).sort(), ['lamp', 'music_box']);
+        const musicBox = jobs.find(job => job.id === 'music_box');
+        assert.equal(musicBox.title, 'A music box for Hollis the Baker');
+        assert.ok(['easy', 'hard'].includes(musicBox.difficulty));
+        assert.equal(musicBox.type, 'mechanical');
+    });
+});
+
+test('open orders are offered before the side jobs', () => {
+    withWorkshop(({ economy, workshop }) => {
+        economy.takeOrder('clock');
+        workshop.begin(2);
+
+        const [first] = workshop.getJobs();
+        assert.equal(first.kind, 'order');
+        assert.equal(first.id, 'clock');
+    });
+});
+
+test('a finished side job is paid, raises reputation and stays done for the day', () => {
+    withWorkshop(({ state, economy, workshop }) => {
+        workshop.begin(2);
+        const lamp = workshop.getJobs().find(job => job.id === 'lamp');
+
+        const outcome = workshop.completeJob(lamp, 50);
+
+        assert.equal(outcome.payment, 5);
+        assert.equal(economy.getGold(), 5);
+        assert.equal(state.getVariable('reputation'), 1);
+        assert.equal(workshop.getJobs().find(job => job.id === 'lamp').done, true);
+
+        workshop.endDay();
+        assert.equal(workshop.getJobs().some(job => job.done), false);
+    });
+});
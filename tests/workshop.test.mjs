@@ -0,0 +1,113 @@
+/**
+ * Workshop tests - the day's queue of side jobs
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { Economy } from '../src/core/Economy.js';
+import { Workshop, WORKSHOP_SEED_VARIABLE } from '../src/core/Workshop.js';
+import { PuzzleFactory } from '../src/puzzles/PuzzleFactory.js';
+
+const readJSON = (path) => JSON.parse(readFileSync(new URL(`../${path}`, import.meta.url)));
+
+/**
+ * Open the workshop before chapter 2 with the game's own data
+ * @param {number} seed - Seed the queues are drawn from
+ * @param {boolean} [withPuzzles=true] - Whether to hand the workshop a puzzle factory
+ * @returns {{ state: StateManager, workshop: Workshop }}
+ */
+function openWorkshop(seed, withPuzzles = true) {
+    const state = new StateManager();
+    const economy = new Economy(state);
+    economy.define(readJSON('data/economy.json'));
+
+    const workshop = new Workshop(state, economy);
+    workshop.define(readJSON('data/workshop.json'));
+    state.setVariable(WORKSHOP_SEED_VARIABLE, seed);
+
+    if (withPuzzles) {
+        const puzzles = new PuzzleFactory(state);
+        for (const config of readJSON('data/puzzles/puzzle-configs.json').puzzles) {
+            puzzles.puzzleConfigs.set(config.id, config);
+        }
+        workshop.setPuzzleFactory(puzzles);
+    }
+
+    workshop.begin(2);
+    return { state, workshop };
+}
+
+const sideJobs = (workshop) => workshop.getJobs().filter(job => job.kind === 'job');
+
+test('finishing a job that raises reputation leaves the day\'s queue as it was', async () => {
+    const { state, workshop } = openWorkshop(2);
+    const before = sideJobs(workshop);
+    const job = before.find(entry => entry.reputation > 0);
+    assert.ok(job, 'seed 2 draws a job that raises reputation');
+
+    workshop.completeJob(job, 100);
+    assert.equal(state.getVariable('reputation'), job.reputation);
+
+    const after = sideJobs(workshop);
+    assert.deepEqual(after.map(entry => entry.id), before.map(entry => entry.id));
+    assert.deepEqual(after.map(entry => entry.title), before.map(entry => entry.title));
+    assert.deepEqual(after.filter(entry => entry.done).map(entry => entry.id), [job.id]);
+
+    const replay = await workshop.startJob(workshop.getJobs().findIndex(entry => entry.id === job.id));
+    assert.equal(replay.success, false);
+});
+
+test('the queue comes back after a save and load', () => {
+    const { state, workshop } = openWorkshop(2);
+    const [job] = sideJobs(workshop);
+    workshop.completeJob(job, 100);
+    const saved = structuredClone(state.getAll());
+    const before = sideJobs(workshop);
+    const day = workshop.getDay();
+
+    workshop.endDay();
+    assert.equal(workshop.getDay(), day + 1);
+
+    state.loadAll(saved);
+    assert.equal(workshop.getDay(), day);
+    assert.deepEqual(sideJobs(workshop), before);
+});
+
+test('a new day draws a new queue, with nothing done', () => {
+    const { state, workshop } = openWorkshop(2);
+    for (const job of sideJobs(workshop)) {
+        workshop.completeJob(job, 100);
+    }
+
+    workshop.endDay();
+
+    const jobs = sideJobs(workshop);
+    assert.ok(jobs.length > 0);
+    assert.ok(jobs.every(job => !job.done));
+    assert.ok(state.getVariable('reputation') > 0);
+});
+
+test('without a puzzle factory the workshop warns instead of drawing jobs', async () => {
+    const warnings = [];
+    const original = console.warn;
+    console.warn = (message) => warnings.push(message);
+    try {
+        const { workshop } = openWorkshop(2, false);
+
+        assert.deepEqual(workshop.getJobs(), []);
+        assert.equal((await workshop.startJob(0)).success, false);
+    } finally {
+        console.warn = original;
+    }
+
+    assert.deepEqual(warnings, [
+        'Workshop has no puzzle factory, so no side jobs can be drawn',
+        'Workshop has no puzzle factory, so jobs cannot be played'
+    ]);
+});
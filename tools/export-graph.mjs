@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Branch graph export - draws a chapter's scenes, choices, jumps and puzzles
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Usage: node tools/export-graph.mjs <chapter.json> [--format dot|mermaid] [--out file]
+ *
+ * Prints the graph (Graphviz DOT by default) and lists dead ends and orphaned
+ * scenes on stderr.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { BranchGraph } from '../src/narrative/BranchGraph.js';
+
+/**
+ * Read the value following a command-line option
+ * @param {Array<string>} args - Arguments
+ * @param {string} name - Option name
+ * @param {string|null} fallback - Default value
+ * @returns {string|null}
+ */
+function option(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const format = option(args, '--format', 'dot');
+    const out = option(args, '--out', null);
+    const file = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+
+    if (!file || !['dot', 'mermaid'].includes(format)) {
+        console.error('Usage: node tools/export-graph.mjs <chapter.json> [--format dot|mermaid] [--out file]');
+        process.exit(1);
+    }
+
+    const chapterData = JSON.parse(readFileSync(file, 'utf8'));
+    const graph = new BranchGraph(new NarrativeParser(new StateManager())).build(chapterData);
+    const output = format === 'mermaid' ? graph.toMermaid() : graph.toDot();
+
+    if (out) {
+        writeFileSync(out, `${output}\n`);
+    } else {
+        console.log(output);
+    }
+
+    const deadEnds = graph.getDeadEnds();
+    const orphans = graph.getOrphans();
+    if (deadEnds.length > 0) console.error(`Dead ends: ${deadEnds.join(', ')}`);
+    if (orphans.length > 0) console.error(`Orphaned scenes: ${orphans.join(', ')}`);
+}
+
+main();
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * String extraction - builds the English base table from the game's content
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Usage: node tools/extract-strings.mjs [--check]
+ *
+ * Collects UI labels (data-i18n attributes in index.html and
+ * localization.t('key', 'English') calls in src/), chapter text, puzzle
+ * text, item, recipe, order, workshop job, ending and achievement text and pronoun forms into data/locales/en.json, then lists keys that
+ * the other locales are missing or no longer need. With --check nothing is written and the
+ * tool exits with status 1 when en.json is out of date. Any other argument
+ * prints the usage and exits without writing; --help exits with status 0.
+ */
+
+import { readFileSync, writeFileSync, readdirSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { getPuzzleStrings } from '../src/utils/Localization.js';
+import { getPronounStrings } from '../src/narrative/Pronouns.js';
+import { getEndingStrings } from '../src/narrative/Endings.js';
+import { getAchievementStrings } from '../src/core/Achievements.js';
+import { getRecipeStrings } from '../src/core/Workbench.js';
+import { getItemStrings } from '../src/core/ItemRegistry.js';
+import { getEconomyStrings } from '../src/core/Economy.js';
+import { getWorkshopStrings } from '../src/core/Workshop.js';
+
+const USAGE = 'Usage: node tools/extract-strings.mjs [--check]';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const localeDir = join(root, 'data/locales');
+
+/**
+ * Undo the HTML entities used in index.html
+ * @param {string} text - HTML text
+ * @returns {string}
+ */
+function decodeHtml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Collect data-i18n and data-i18n-title strings from the page
+ * @param {Object} strings - Table to fill
+ */
+function extractHtml(strings) {
+    const html = readFileSync(join(root, 'index.html'), 'utf8');
+
+    for (const [, key, text] of html.matchAll(/<[^>]*\sdata-i18n="([^"]+)"[^>]*>([^<]*)</g)) {
+        strings[key] = decodeHtml(text.trim());
+    }
+    for (const [tag] of html.matchAll(/<[^>]*\sdata-i18n-title="[^"]+"[^>]*>/g)) {
+        const key = /data-i18n-title="([^"]+)"/.exec(tag)[1];
+        const title = /\stitle="([^"]*)"/.exec(tag);
+        if (title) strings[key] = decodeHtml(title[1]);
+    }
+}
+
+/**
+ * Collect localization.t('key', 'English') calls from the source tree
+ * @param {string} dir - Directory to scan
+ * @param {Object} strings - Table to fill
+ */
+function extractSource(dir, strings) {
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        const path = join(dir, entry.name);
+        if (entry.isDirectory()) {
+            extractSource(path, strings);
+        } else if (entry.name.endsWith('.js')) {
+            const source = readFileSync(path, 'utf8');
+            const calls = /\bt\(\s*'([\w.-]+)'\s*,\s*'((?:[^'\\]|\\.)*)'/g;
+            for (const [, key, text] of source.matchAll(calls)) {
+                strings[key] = text.replace(/\\(.)/g, '$1');
+            }
+        }
+    }
+}
+
+/**
+ * Collect chapter titles, scene names, dialogue, narration and choices
+ * @param {Object} strings - Table to fill
+ */
+function extractChapters(strings) {
+    const dir = join(root, 'data/chapters');
+    const parser = new NarrativeParser(new StateManager());
+
+    for (const name of readdirSync(dir).filter(file => file.endsWith('.json')).sort()) {
+        parser.parseChapter(JSON.parse(readFileSync(join(dir, name), 'utf8')));
+        Object.assign(strings, parser.getStrings());
+    }
+}
+
+/**
+ * Collect puzzle titles, descriptions, hints and other player-facing text
+ * @param {Object} strings - Table to fill
+ */
+function extractPuzzles(strings) {
+    const data = JSON.parse(readFileSync(join(root, 'data/puzzles/puzzle-configs.json'), 'utf8'));
+    for (const config of data.puzzles || []) {
+        Object.assign(strings, getPuzzleStrings(config));
+    }
+}
+
+/**
+ * Collect item names and descriptions
+ * @param {Object} strings - Table to fill
+ */
+function extractItems(strings) {
+    const data = JSON.parse(readFileSync(join(root, 'data/items.json'), 'utf8'));
+    Object.assign(strings, getItemStrings(data.items));
+}
+
+/**
+ * Collect recipe names and workbench text
+ * @param {Object} strings - Table to fill
+ */
+function extractRecipes(strings) {
+    const data = JSON.parse(readFileSync(join(root, 'data/recipes.json'), 'utf8'));
+    Object.assign(strings, getRecipeStrings(data.recipes));
+}
+
+/**
+ * Collect customer order titles and descriptions
+ * @param {Object} strings - Table to fill
+ */
+function extractEconomy(strings) {
+    const data = JSON.parse(readFileSync(join(root, 'data/economy.json'), 'utf8'));
+    Object.assign(strings, getEconomyStrings(data));
+}
+
+/**
+ * Collect workshop customer names and job titles and descriptions
+ * @param {Object} strings - Table to fill
+ */
+function extractWorkshop(strings) {
+    const data = JSON.parse(readFileSync(join(root, 'data/workshop.json'), 'utf8'));
+    Object.assign(strings, getWorkshopStrings(data));
+}
+
+/**
+ * Collect ending titles and descriptions
+ * @param {Object} strings - Table to fill
+ */
+function extractEndings(strings) {
+    const data = JSON.parse(readFileSync(join(root, 'data/endings.json'), 'utf8'));
+    Object.assign(strings, getEndingStrings(data.endings));
+}
+
+/**
+ * Collect achievement titles and descriptions
+ * @param {Object} strings - Table to fill
+ */
+function extractAchievements(strings) {
+    const data = JSON.parse(readFileSync(join(root, 'data/achievements.json'), 'utf8'));
+    Object.assign(strings, getAchievementStrings(data.achievements));
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log(USAGE);
+        return;
+    }
+    const unknown = args.filter(arg => arg !== '--check');
+    if (unknown.length > 0) {
+        console.error(`Unknown argument "${unknown[0]}"`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+    const check = args.includes('--check');
+
+    const strings = {};
+    extractHtml(strings);
+    extractSource(join(root, 'src'), strings);
+    extractChapters(strings);
+    extractPuzzles(strings);
+    extractItems(strings);
+    extractRecipes(strings);
+    extractEconomy(strings);
+    extractWorkshop(strings);
+    extractEndings(strings);
+    extractAchievements(strings);
+    Object.assign(strings, getPronounStrings());
+
+    const basePath = join(localeDir, 'en.json');
+    const output = `${JSON.stringify({ locale: 'en', name: 'English', strings }, null, 4)}\n`;
+    const current = existsSync(basePath) ? readFileSync(basePath, 'utf8') : '';
+
+    if (check) {
+        if (current !== output) {
+            console.error('data/locales/en.json is out of date; run node tools/extract-strings.mjs');
+            process.exit(1);
+        }
+    } else {
+        writeFileSync(basePath, output);
+        console.log(`Wrote ${Object.keys(strings).length} strings to data/locales/en.json`);
+    }
+
+    // Report what the other locales still need
+    const manifest = JSON.parse(readFileSync(join(localeDir, 'locales.json'), 'utf8'));
+    for (const { id } of manifest.locales) {
+        if (id === 'en') continue;
+
+        const table = JSON.parse(readFileSync(join(localeDir, `${id}.json`), 'utf8')).strings || {};
+        const missing = Object.keys(strings).filter(key => !(key in table));
+        const stale = Object.keys(table).filter(key => !(key in strings));
+
+        console.log(`${id}: ${missing.length} missing (English is shown), ${stale.length} unused`);
+        for (const key of stale) {
+            console.log(`  unused: ${key}`);
+        }
+    }
+}
+
+main();
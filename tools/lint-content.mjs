@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Content linter - checks chapter, character, item, puzzle, recipe, economy, workshop, ending and achievement data before it ships
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Usage: node tools/lint-content.mjs [--strict] [chapter.json ...]
+ *
+ * Lints every data/chapters/*.json by default. Exits with status 1 when any
+ * error is found (or any warning, with --strict).
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ContentLinter } from '../src/narrative/ContentLinter.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Read and parse a JSON file, exiting with a readable message on failure
+ * @param {string} file - Path
+ * @returns {Object}
+ */
+function readJson(file) {
+    try {
+        return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error(`${relative(root, file)}: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Format an issue for the terminal
+ * @param {Object} issue - Linter issue
+ * @returns {string}
+ */
+function formatIssue(issue) {
+    const location = [issue.file];
+    if (issue.scene) location.push(`scene "${issue.scene}"`);
+    if (issue.path) location.push(JSON.stringify(issue.path));
+    return `${location.join(' ')}  ${issue.severity}  ${issue.message}`;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const strict = args.includes('--strict');
+    let files = args.filter(arg => !arg.startsWith('--'));
+
+    if (files.length === 0) {
+        const dir = join(root, 'data/chapters');
+        files = readdirSync(dir)
+            .filter(name => name.endsWith('.json'))
+            .sort()
+            .map(name => join(dir, name));
+    }
+
+    const characters = readJson(join(root, 'data/characters.json'));
+    const items = readJson(join(root, 'data/items.json'));
+    const puzzles = readJson(join(root, 'data/puzzles/puzzle-configs.json'));
+    const recipes = readJson(join(root, 'data/recipes.json'));
+    const economy = readJson(join(root, 'data/economy.json'));
+    const workshop = readJson(join(root, 'data/workshop.json'));
+    const endings = readJson(join(root, 'data/endings.json'));
+    const achievements = readJson(join(root, 'data/achievements.json'));
+    const chapters = files.map(file => ({ ...readJson(file), file: relative(root, file) }));
+
+    // Expression problems are collected by the linter, not logged by the parser
+    const state = new StateManager();
+    const parser = new NarrativeParser(state);
+    const linter = new ContentLinter(parser, {
+        characters: characters.characters,
+        narrator: characters.narrator,
+        items: items.items,
+        puzzles: puzzles.puzzles,
+        recipes: recipes.recipes,
+        economy,
+        workshop,
+        endings: endings.endings,
+        achievements: achievements.achievements
+    });
+
+    const issues = linter.lint(chapters);
+    issues.forEach(issue => console.log(formatIssue(issue)));
+
+    const errors = issues.filter(issue => issue.severity === 'error').length;
+    const warnings = issues.length - errors;
+    console.log(`\n${chapters.length} chapter(s): ${errors} error(s), ${warnings} warning(s)`);
+
+    if (errors > 0 || (strict && warnings > 0)) {
+        process.exit(1);
+    }
+}
+
+main();
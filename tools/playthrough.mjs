@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Headless playthrough - plays chapters without a browser to catch softlocks
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Usage:
+ *   node tools/playthrough.mjs [--chapter 1] [--choices 0,2,1] [--puzzles 100,80]
+ *   node tools/playthrough.mjs --explore [--depth 10]
+ *
+ * Options:
+ *   --chapter N     Chapter to start (default 1)
+ *   --scene ID      Scene to start (default: the chapter's first)
+ *   --choices LIST  Option index for each choice, in order
+ *   --puzzles LIST  Outcome for each puzzle: a score, or "fail" for never solved
+ *   --explore       Try every choice path instead of a single scripted one
+ *   --depth N       Maximum number of choices per explored path (default 10)
+ *   --continue      Carry on into the next chapter when one ends
+ *   --json          Print results as JSON
+ *
+ * Exits with status 1 when any run softlocks, loops, gets stuck or errors.
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { PlaythroughRunner } from '../src/narrative/PlaythroughRunner.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Read the value following a command-line option
+ * @param {Array<string>} args - Arguments
+ * @param {string} name - Option name
+ * @param {string|null} fallback - Default value
+ * @returns {string|null}
+ */
+function option(args, name, fallback = null) {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+}
+
+/**
+ * Split a comma-separated list
+ * @param {string|null} value - List text
+ * @param {Function} map - Converts each entry
+ * @returns {Array}
+ */
+function list(value, map) {
+    return value ? value.split(',').map(entry => map(entry.trim())) : [];
+}
+
+/**
+ * Print one result as text
+ * @param {Object} result - Playthrough result
+ */
+function printResult(result) {
+    const choices = result.choices.length > 0 ? result.choices.join(',') : '-';
+    console.log(`[${result.status}] choices ${choices}${result.message ? `: ${result.message}` : ''}`);
+    console.log(`  scenes: ${result.scenes.join(' > ')}`);
+
+    for (const end of result.chapterEnds) {
+        console.log(`  chapter ${end.chapter} ${end.reason} (${end.scene})`);
+        console.log(`    flags: ${end.flags.join(', ') || '-'}`);
+        console.log(`    variables: ${JSON.stringify(end.variables)}`);
+        console.log(`    inventory: ${JSON.stringify(end.inventory)}`);
+    }
+
+    for (const warning of new Set(result.warnings)) {
+        console.log(`  warning: ${warning}`);
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    const dir = join(root, 'data/chapters');
+    const chapters = readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => JSON.parse(readFileSync(join(dir, name), 'utf8')));
+    const puzzles = JSON.parse(readFileSync(join(root, 'data/puzzles/puzzle-configs.json'), 'utf8'));
+    const characters = JSON.parse(readFileSync(join(root, 'data/characters.json'), 'utf8'));
+    const economy = JSON.parse(readFileSync(join(root, 'data/economy.json'), 'utf8'));
+
+    const runner = new PlaythroughRunner({
+        chapters,
+        puzzles: puzzles.puzzles,
+        characters: characters.characters,
+        economy
+    });
+    const options = {
+        chapter: Number(option(args, '--chapter', '1')),
+        scene: option(args, '--scene'),
+        choices: list(option(args, '--choices'), Number),
+        puzzles: list(option(args, '--puzzles'), entry => (entry === 'fail' ? false : Number(entry))),
+        continueChapters: args.includes('--continue')
+    };
+
+    const results = args.includes('--explore')
+        ? await runner.explore({ ...options, depth: Number(option(args, '--depth', '10')) })
+        : [await runner.play(options)];
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(results, null, 2));
+    } else {
+        results.forEach(printResult);
+        const failures = results.filter(result => runner.isFailure(result)).length;
+        console.log(`\n${results.length} run(s), ${failures} failing`);
+    }
+
+    if (results.some(result => runner.isFailure(result))) {
+        process.exit(1);
+    }
+}
+
+main();
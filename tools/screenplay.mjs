@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Screenplay converter - compiles screenplay text to chapter JSON and back
+ * Befixed - Magic & Mechanical Repair Shop
+ *
+ * Usage:
+ *   node tools/screenplay.mjs compile <chapter.screenplay> [--out chapter.json]
+ *   node tools/screenplay.mjs decompile <chapter.json> [--out chapter.screenplay]
+ *
+ * Compile errors, including invalid expressions and jumps to unknown scenes
+ * or labels, are printed as file:line: message and exit with status 1.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+
+import { StateManager } from '../src/core/StateManager.js';
+import { NarrativeParser } from '../src/narrative/NarrativeParser.js';
+import { ScreenplayError, compileScreenplay, decompileChapter } from '../src/narrative/Screenplay.js';
+
+const USAGE = 'Usage: node tools/screenplay.mjs compile|decompile <file> [--out file]';
+
+/**
+ * Read the value following a command-line option
+ * @param {Array<string>} args - Arguments
+ * @param {string} name - Option name
+ * @param {string|null} fallback - Default value
+ * @returns {string|null}
+ */
+function option(args, name, fallback) {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+}
+
+function main() {
+    const [command, file, ...rest] = process.argv.slice(2);
+    const out = option(rest, '--out', null);
+
+    if (!['compile', 'decompile'].includes(command) || !file) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const source = readFileSync(file, 'utf8');
+    let output;
+
+    if (command === 'compile') {
+        // Checking expressions against the game's functions, the way it would on load
+        const parser = new NarrativeParser(new StateManager());
+        let chapterData;
+        try {
+            chapterData = compileScreenplay(source, { file: basename(file), parser });
+        } catch (error) {
+            if (!(error instanceof ScreenplayError)) throw error;
+            console.error(error.message);
+            process.exit(1);
+        }
+
+        // Chapter fields such as itemReactions have no line numbers; the parser prints their errors
+        if (parser.parseChapter(chapterData).errors.length > 0) {
+            process.exit(1);
+        }
+
+        output = `${JSON.stringify(chapterData, null, 4)}\n`;
+    } else {
+        output = decompileChapter(JSON.parse(source));
+    }
+
+    if (out) {
+        writeFileSync(out, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+main();